@@ -0,0 +1,34 @@
+// Create an API user from the command line, e.g. the first admin:
+//   npm run create-user -- admin@goodland.com.au "a long password" admin "Admin Name"
+const db = require('../src/database/connection');
+const { ROLES, validateUser, createUser } = require('../src/services/users');
+const { recordAudit } = require('../src/services/auditLog');
+
+async function main() {
+  const [email, password, role = 'viewer', name = null] = process.argv.slice(2);
+
+  const validationError = validateUser({ email, password, role });
+  if (validationError) {
+    console.error(`❌ ${validationError}`);
+    console.error(`Usage: npm run create-user -- <email> <password> [${ROLES.join('|')}] [name]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const user = await createUser({ email, name, password, role });
+    await recordAudit({
+      entityType: 'user',
+      entityId: user.id,
+      action: 'create',
+      after: user,
+      actor: { changedBy: 'create-user script' }
+    });
+    console.log(`✅ Created user ${user.id}: ${user.email} (${user.role})`);
+  } catch (error) {
+    console.error(`❌ Error creating user: ${error.code === 'ER_DUP_ENTRY' ? 'email already exists' : error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main().finally(() => db.close());
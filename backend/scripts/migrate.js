@@ -0,0 +1,38 @@
+// Apply or roll back schema migrations (src/database/migrations):
+//   npm run migrate              apply all pending migrations
+//   npm run migrate -- status    list migrations and whether they have run
+//   npm run migrate -- down [n]  roll back the last n migrations (default 1)
+const db = require('../src/database/connection');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../src/database/migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'status') {
+    const status = await getMigrationStatus();
+    status.forEach(m => {
+      const state = m.missingFile ? 'applied, file missing' : m.pending ? 'pending' : `applied ${new Date(m.appliedAt).toISOString()}`;
+      console.log(`${m.version}_${m.name}  ${state}`);
+    });
+    console.log(`\n${status.filter(m => m.pending).length} pending`);
+  } else if (command === 'up') {
+    const applied = await migrateUp();
+    console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+  } else if (command === 'down') {
+    const steps = arg ? parseInt(arg) : 1;
+    if (!(steps > 0)) {
+      throw new Error('down takes a positive number of migrations to roll back');
+    }
+    const rolledBack = await migrateDown(steps);
+    console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+  } else {
+    throw new Error(`Unknown command "${command}". Use up, down [n] or status.`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
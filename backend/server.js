@@ -5,10 +5,29 @@ const cors = require('cors');
 const loansRoutes = require('./src/routes/loans');
 const remindersRoutes = require('./src/routes/reminders');
 const cashflowRoutes = require('./src/routes/cashflow');
+const interestsRoutes = require('./src/routes/interests');
 const debugRoutes = require('./src/routes/debug');
+const statusOverridesRoutes = require('./src/routes/statusOverrides');
+const stageResolutionsRoutes = require('./src/routes/stageResolutions');
+const interestConventionsRoutes = require('./src/routes/interestConventions');
+const scenariosRoutes = require('./src/routes/scenarios');
+const snapshotsRoutes = require('./src/routes/snapshots');
+const notificationsRoutes = require('./src/routes/notifications');
+const authRoutes = require('./src/routes/auth');
+const usersRoutes = require('./src/routes/users');
+const auditRoutes = require('./src/routes/audit');
+const dataQualityRoutes = require('./src/routes/dataQuality');
+const bankImportsRoutes = require('./src/routes/bankImports');
+const paymentBatchesRoutes = require('./src/routes/paymentBatches');
+const statementsRoutes = require('./src/routes/statements');
+const taxSummariesRoutes = require('./src/routes/taxSummaries');
+const analyticsRoutes = require('./src/routes/analytics');
 
 // Import utilities
 const db = require('./src/database/connection');
+const { startJobs, stopJobs } = require('./src/jobs');
+const { authenticate, requireRole } = require('./src/middleware/auth');
+const { assertSchemaCurrent } = require('./src/database/migrator');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -55,11 +74,27 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// API Routes
-app.use('/api/loans', loansRoutes);
-app.use('/api/reminders', remindersRoutes);
-app.use('/api/cashflow', cashflowRoutes);
-app.use('/api/debug', debugRoutes);
+// API Routes - everything except login requires a token; write routes check roles in the routers
+app.use('/api/auth', authRoutes);
+app.use('/api/users', authenticate, requireRole('admin'), usersRoutes);
+app.use('/api/loans', authenticate, loansRoutes);
+app.use('/api/reminders', authenticate, remindersRoutes);
+app.use('/api/cashflow/scenarios', authenticate, scenariosRoutes);
+app.use('/api/cashflow/snapshots', authenticate, snapshotsRoutes);
+app.use('/api/cashflow', authenticate, cashflowRoutes);
+app.use('/api/interests', authenticate, interestsRoutes);
+app.use('/api/debug', authenticate, requireRole('admin'), debugRoutes);
+app.use('/api/status-overrides', authenticate, statusOverridesRoutes);
+app.use('/api/stage-resolutions', authenticate, stageResolutionsRoutes);
+app.use('/api/interest-conventions', authenticate, interestConventionsRoutes);
+app.use('/api/notifications', authenticate, requireRole('ops'), notificationsRoutes);
+app.use('/api/audit', authenticate, requireRole('finance'), auditRoutes);
+app.use('/api/data-quality', authenticate, dataQualityRoutes);
+app.use('/api/bank-imports', authenticate, requireRole('finance'), bankImportsRoutes);
+app.use('/api/payment-batches', authenticate, requireRole('finance'), paymentBatchesRoutes);
+app.use('/api/statements', authenticate, requireRole('finance'), statementsRoutes);
+app.use('/api/tax-summaries', authenticate, requireRole('finance'), taxSummariesRoutes);
+app.use('/api/analytics', authenticate, requireRole('finance'), analyticsRoutes);
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
@@ -68,10 +103,42 @@ app.use('/api/*', (req, res) => {
     message: `API route ${req.path} not found`,
     availableRoutes: [
       '/api/health',
+      '/api/auth/login',
+      '/api/auth/me',
+      '/api/users',
       '/api/loans',
+      '/api/loans/{id}',
       '/api/reminders',
       '/api/reminders/investors',
       '/api/cashflow/monthly',
+      '/api/cashflow/scenarios',
+      '/api/cashflow/snapshots',
+      '/api/cashflow/snapshots/{id}/variance',
+      '/api/interests/schedule/{loanId}',
+      '/api/status-overrides',
+      '/api/stage-resolutions',
+      '/api/interest-conventions',
+      '/api/interest-conventions/holidays',
+      '/api/notifications/reminder-digest',
+      '/api/notifications/deliveries',
+      '/api/audit',
+      '/api/data-quality/findings',
+      '/api/data-quality/runs',
+      '/api/bank-imports',
+      '/api/bank-imports/mappings',
+      '/api/payment-batches',
+      '/api/payment-batches/profiles',
+      '/api/payment-batches/{id}/aba',
+      '/api/statements',
+      '/api/statements/investors',
+      '/api/statements/investors/{investorId}',
+      '/api/statements/batch',
+      '/api/statements/{id}/pdf',
+      '/api/tax-summaries',
+      '/api/tax-summaries/investors/{investorId}',
+      '/api/analytics/investor-returns',
+      '/api/analytics/stage-margins',
+      '/api/analytics/margins',
       '/api/debug/payment-sync/{projectName}',
       '/api/debug/prorated-payments/{stageId}/{investorId}',
       '/api/debug/duplicates/{projectName}'
@@ -94,24 +161,41 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Goodland LMS Backend v2.0 running on port ${PORT}`);
-  console.log(`🏗️  Modular Architecture Enabled`);
-  console.log(`📍 Health Check: http://localhost:${PORT}/api/health`);
-  console.log(`📍 Loans Data: http://localhost:${PORT}/api/loans`);
-  console.log(`📍 Cashflow Data: http://localhost:${PORT}/api/cashflow/monthly`);
-  console.log(`📍 Reminders: http://localhost:${PORT}/api/reminders`);
-  console.log(`📍 Investor Reminders: http://localhost:${PORT}/api/reminders/investors`);
-  console.log(`📍 Payment Sync Debug: http://localhost:${PORT}/api/debug/payment-sync/{projectName}`);
-  console.log(`📍 Prorated Payments Debug: http://localhost:${PORT}/api/debug/prorated-payments/{stageId}/{investorId}`);
-  console.log(`\n✅ Features: Modular Architecture + Prorated Payments + Payment Sync Debug + Comprehensive Reminders`);
-  console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Scheduled jobs, started once the server is listening
+let jobs = [];
+let server = null;
+
+// Start server once the database schema is current (run "npm run migrate" first)
+assertSchemaCurrent()
+  .then(() => {
+    server = app.listen(PORT, () => {
+      console.log(`🚀 Goodland LMS Backend v2.0 running on port ${PORT}`);
+      console.log(`🏗️  Modular Architecture Enabled`);
+      console.log(`📍 Health Check: http://localhost:${PORT}/api/health`);
+      console.log(`📍 Loans Data: http://localhost:${PORT}/api/loans`);
+      console.log(`📍 Cashflow Data: http://localhost:${PORT}/api/cashflow/monthly`);
+      console.log(`📍 Reminders: http://localhost:${PORT}/api/reminders`);
+      console.log(`📍 Investor Reminders: http://localhost:${PORT}/api/reminders/investors`);
+      console.log(`📍 Payment Sync Debug: http://localhost:${PORT}/api/debug/payment-sync/{projectName}`);
+      console.log(`📍 Prorated Payments Debug: http://localhost:${PORT}/api/debug/prorated-payments/{stageId}/{investorId}`);
+      console.log(`\n✅ Features: Modular Architecture + Prorated Payments + Payment Sync Debug + Comprehensive Reminders`);
+      console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+      if (!process.env.JWT_SECRET) {
+        console.warn('⚠️ JWT_SECRET is not set - authenticated API routes will return errors');
+      }
+      jobs = startJobs();
+    });
+  })
+  .catch(error => {
+    console.error(`❌ Refusing to start: ${error.message}`);
+    process.exit(1);
+  });
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  stopJobs(jobs);
+  if (!server) process.exit(0);
   server.close(() => {
     console.log('💤 Process terminated');
     process.exit(0);
@@ -120,6 +204,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  stopJobs(jobs);
+  if (!server) process.exit(0);
   server.close(() => {
     console.log('💤 Process terminated');
     process.exit(0);
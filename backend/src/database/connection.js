@@ -28,6 +28,29 @@ class Database {
     }
   }
 
+  // Run callback in a transaction on one pooled connection: committed when it resolves, rolled back when
+  // it throws. The callback gets a connection whose query() works like this one's.
+  async transaction(callback) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await callback({
+        query: async (sql, params = []) => {
+          const [rows] = await connection.execute(sql, params);
+          return rows;
+        }
+      });
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Database transaction rolled back:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
   async testConnection() {
     try {
       await this.query('SELECT 1');
@@ -38,6 +61,10 @@ class Database {
       return false;
     }
   }
+
+  async close() {
+    await this.pool.end();
+  }
 }
 
 module.exports = new Database();
\ No newline at end of file
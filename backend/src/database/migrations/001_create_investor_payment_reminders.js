@@ -0,0 +1,34 @@
+const { addColumnIfMissing, addIndexIfMissing } = require('../schemaHelpers');
+
+// Investor payment reminder status. Previously created by mark-status on first use, so existing
+// databases may already have the table without the ignore columns.
+// Data retention: 3 years for records, 15 days frontend visibility for paid/ignored.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS investor_payment_reminders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        stage_id INT NOT NULL,
+        investor_id INT NOT NULL,
+        scheduled_date DATE NOT NULL,
+        is_paid BOOLEAN DEFAULT FALSE,
+        marked_paid_at DATETIME DEFAULT NULL,
+        marked_by_user VARCHAR(255) DEFAULT 'manual',
+        user_note TEXT DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_payment (stage_id, investor_id, scheduled_date),
+        INDEX idx_scheduled_date (scheduled_date),
+        INDEX idx_marked_paid_at (marked_paid_at)
+      )
+    `);
+
+    await addColumnIfMissing(db, 'investor_payment_reminders', 'is_ignored', 'BOOLEAN DEFAULT FALSE');
+    await addColumnIfMissing(db, 'investor_payment_reminders', 'marked_ignored_at', 'DATETIME DEFAULT NULL');
+    await addIndexIfMissing(db, 'investor_payment_reminders', 'idx_marked_ignored_at', ['marked_ignored_at']);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS investor_payment_reminders');
+  }
+};
@@ -0,0 +1,42 @@
+const { STATUS_OVERRIDE_RULES } = require('../../utils/calculations');
+const { tableExists } = require('../schemaHelpers');
+
+// Projects that used to be hard-coded as special in getLoanStatus and the route WHERE clauses
+const LEGACY_SPECIAL_PROJECT_IDS = [59, 55, 51];
+
+// Status overrides, seeded with the legacy special projects when the table is new
+module.exports = {
+  async up(db) {
+    if (await tableExists(db, 'status_overrides')) return;
+
+    await db.query(`
+      CREATE TABLE status_overrides (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        project_id INT DEFAULT NULL,
+        stage_id INT DEFAULT NULL,
+        rule VARCHAR(50) NOT NULL,
+        reason TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_project_id (project_id),
+        INDEX idx_stage_id (stage_id),
+        INDEX idx_is_active (is_active)
+      )
+    `);
+
+    for (const projectId of LEGACY_SPECIAL_PROJECT_IDS) {
+      for (const rule of [STATUS_OVERRIDE_RULES.OVERDUE_AFTER_REPAYMENT, STATUS_OVERRIDE_RULES.OVERDUE_EXTENSION]) {
+        await db.query(`
+          INSERT INTO status_overrides (project_id, rule, reason, created_by)
+          VALUES (?, ?, ?, 'system')
+        `, [projectId, rule, 'Workout loan previously hard-coded as a special project']);
+      }
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS status_overrides');
+  }
+};
@@ -0,0 +1,25 @@
+// Default interest accruals; one row per accrual run and period_end of the latest row is where the next run starts
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS default_interest_ledger (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        stage_id INT NOT NULL,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        days INT NOT NULL,
+        principal DECIMAL(15,2) NOT NULL,
+        default_rate DECIMAL(10,6) NOT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        loan_status VARCHAR(50) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_accrual_period (stage_id, period_start),
+        INDEX idx_stage_id (stage_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS default_interest_ledger');
+  }
+};
@@ -0,0 +1,37 @@
+// Cashflow scenarios and their per-stage adjustments (one override per stage per scenario)
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cashflow_scenarios (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        scenario_type VARCHAR(50) NOT NULL DEFAULT 'custom',
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cashflow_scenario_adjustments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scenario_id INT NOT NULL,
+        stage_id INT NOT NULL,
+        adjustment_type VARCHAR(50) NOT NULL,
+        delay_months INT DEFAULT NULL,
+        delay_to_expiry BOOLEAN DEFAULT FALSE,
+        haircut_rate DECIMAL(5,4) DEFAULT NULL,
+        repayment_date DATE DEFAULT NULL,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_scenario_stage (scenario_id, stage_id),
+        INDEX idx_scenario_id (scenario_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS cashflow_scenario_adjustments');
+    await db.query('DROP TABLE IF EXISTS cashflow_scenarios');
+  }
+};
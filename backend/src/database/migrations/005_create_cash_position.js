@@ -0,0 +1,30 @@
+// Account balances (appended, never overwritten) and cashflow settings such as the minimum buffer
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cash_balances (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        account_type VARCHAR(50) NOT NULL,
+        balance DECIMAL(15,2) NOT NULL,
+        balance_date DATE NOT NULL,
+        note TEXT,
+        recorded_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_account_date (account_type, balance_date)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cashflow_settings (
+        setting_key VARCHAR(100) PRIMARY KEY,
+        setting_value VARCHAR(255) NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS cashflow_settings');
+    await db.query('DROP TABLE IF EXISTS cash_balances');
+  }
+};
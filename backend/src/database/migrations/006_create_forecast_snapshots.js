@@ -0,0 +1,39 @@
+// Versioned forecast snapshots with per month, stage and (for payouts) investor detail lines
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cashflow_forecast_snapshots (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        version INT NOT NULL,
+        label VARCHAR(255) DEFAULT NULL,
+        source VARCHAR(50) NOT NULL DEFAULT 'manual',
+        months INT NOT NULL,
+        snapshot_date DATE NOT NULL,
+        monthly_totals LONGTEXT NOT NULL,
+        summary LONGTEXT NOT NULL,
+        created_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_version (version)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS cashflow_forecast_snapshot_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        snapshot_id INT NOT NULL,
+        month CHAR(7) NOT NULL,
+        component VARCHAR(50) NOT NULL,
+        stage_id INT NOT NULL,
+        investor_id INT DEFAULT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        net_amount DECIMAL(15,2) NOT NULL,
+        INDEX idx_snapshot_month (snapshot_id, month)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS cashflow_forecast_snapshot_lines');
+    await db.query('DROP TABLE IF EXISTS cashflow_forecast_snapshots');
+  }
+};
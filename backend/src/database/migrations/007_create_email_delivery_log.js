@@ -0,0 +1,25 @@
+// Every email send attempt, including failures and skipped recipients
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS email_delivery_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email_type VARCHAR(50) NOT NULL,
+        recipient VARCHAR(255) DEFAULT NULL,
+        subject VARCHAR(500) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        message_id VARCHAR(255) DEFAULT NULL,
+        error TEXT DEFAULT NULL,
+        reference VARCHAR(255) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_email_type (email_type),
+        INDEX idx_reference (reference),
+        INDEX idx_created_at (created_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS email_delivery_log');
+  }
+};
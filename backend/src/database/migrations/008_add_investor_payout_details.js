@@ -0,0 +1,25 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../schemaHelpers');
+
+// Actual payout details recorded when an investor payment is marked paid
+const PAYOUT_DETAIL_COLUMNS = [
+  ['amount_paid', 'DECIMAL(15,2) DEFAULT NULL'],
+  ['payment_date', 'DATE DEFAULT NULL'],
+  ['bank_reference', 'VARCHAR(255) DEFAULT NULL'],
+  ['tax_withheld', 'DECIMAL(15,2) DEFAULT NULL'],
+  ['fee_withheld', 'DECIMAL(15,2) DEFAULT NULL'],
+  ['invest_interest_id', 'INT DEFAULT NULL']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, definition] of PAYOUT_DETAIL_COLUMNS) {
+      await addColumnIfMissing(db, 'investor_payment_reminders', column, definition);
+    }
+  },
+
+  async down(db) {
+    for (const [column] of [...PAYOUT_DETAIL_COLUMNS].reverse()) {
+      await dropColumnIfExists(db, 'investor_payment_reminders', column);
+    }
+  }
+};
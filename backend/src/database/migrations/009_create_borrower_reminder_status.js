@@ -0,0 +1,28 @@
+// Borrower reminder status, one row per stage and reminder type.
+// due_date is the due date the status was recorded against, so an extension reopens the reminder.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS borrower_reminder_status (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        stage_id INT NOT NULL,
+        reminder_type VARCHAR(50) NOT NULL,
+        due_date DATE NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        promised_date DATE DEFAULT NULL,
+        user_note TEXT DEFAULT NULL,
+        contacted_at DATETIME DEFAULT NULL,
+        status_changed_at DATETIME DEFAULT NULL,
+        marked_by_user VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_reminder (stage_id, reminder_type),
+        INDEX idx_status (status)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS borrower_reminder_status');
+  }
+};
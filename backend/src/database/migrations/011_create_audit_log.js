@@ -0,0 +1,26 @@
+// Append-only change history; the application only ever inserts into this table
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(255) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        before_value LONGTEXT DEFAULT NULL,
+        after_value LONGTEXT DEFAULT NULL,
+        reason TEXT DEFAULT NULL,
+        changed_by VARCHAR(255) NOT NULL DEFAULT 'manual',
+        request_ip VARCHAR(64) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_entity (entity_type, entity_id),
+        INDEX idx_created_at (created_at),
+        INDEX idx_changed_by (changed_by)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,50 @@
+// Data quality scans and their findings. A finding is keyed by rule and entity so repeat scans
+// update the same row; findings a later scan no longer sees are marked resolved.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS data_quality_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        source VARCHAR(50) NOT NULL DEFAULT 'manual',
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME DEFAULT NULL,
+        findings_count INT NOT NULL DEFAULT 0,
+        new_count INT NOT NULL DEFAULT 0,
+        resolved_count INT NOT NULL DEFAULT 0,
+        created_by VARCHAR(255) DEFAULT 'manual',
+        INDEX idx_started_at (started_at)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS data_quality_findings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rule VARCHAR(50) NOT NULL,
+        severity VARCHAR(20) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(255) NOT NULL,
+        project_id INT DEFAULT NULL,
+        stage_id INT DEFAULT NULL,
+        message TEXT NOT NULL,
+        details LONGTEXT DEFAULT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        status_note TEXT DEFAULT NULL,
+        status_changed_by VARCHAR(255) DEFAULT NULL,
+        status_changed_at DATETIME DEFAULT NULL,
+        first_run_id INT NOT NULL,
+        last_run_id INT NOT NULL,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME DEFAULT NULL,
+        UNIQUE KEY unique_finding (rule, entity_type, entity_id),
+        INDEX idx_status_severity (status, severity),
+        INDEX idx_stage (stage_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS data_quality_findings');
+    await db.query('DROP TABLE IF EXISTS data_quality_runs');
+  }
+};
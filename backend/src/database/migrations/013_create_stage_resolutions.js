@@ -0,0 +1,25 @@
+// Duplicate stage resolutions: a stage excluded from the loan book, or merged into a canonical stage.
+// Deactivated rows are kept for history; a stage has at most one active resolution.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS stage_resolutions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        stage_id INT NOT NULL,
+        resolution VARCHAR(20) NOT NULL,
+        canonical_stage_id INT DEFAULT NULL,
+        reason TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_stage_active (stage_id, is_active),
+        INDEX idx_canonical_stage_id (canonical_stage_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS stage_resolutions');
+  }
+};
@@ -0,0 +1,72 @@
+// Bank statement CSV imports: saved column mappings, one row per uploaded file and one per statement line.
+// A line is proposed a match against an expected payment and marks it paid once confirmed.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bank_import_mappings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        date_column VARCHAR(100) NOT NULL,
+        date_format VARCHAR(20) NOT NULL DEFAULT 'DD/MM/YYYY',
+        amount_column VARCHAR(100) DEFAULT NULL,
+        debit_column VARCHAR(100) DEFAULT NULL,
+        credit_column VARCHAR(100) DEFAULT NULL,
+        description_column VARCHAR(100) NOT NULL,
+        reference_column VARCHAR(100) DEFAULT NULL,
+        delimiter CHAR(1) NOT NULL DEFAULT ',',
+        skip_rows INT NOT NULL DEFAULT 0,
+        created_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_name (name)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bank_statement_imports (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        filename VARCHAR(255) DEFAULT NULL,
+        mapping_id INT DEFAULT NULL,
+        mapping LONGTEXT NOT NULL,
+        statement_from DATE DEFAULT NULL,
+        statement_to DATE DEFAULT NULL,
+        line_count INT NOT NULL DEFAULT 0,
+        duplicate_count INT NOT NULL DEFAULT 0,
+        imported_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bank_statement_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        import_id INT NOT NULL,
+        line_number INT NOT NULL,
+        transaction_date DATE NOT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        description TEXT DEFAULT NULL,
+        reference VARCHAR(255) DEFAULT NULL,
+        line_hash CHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'unmatched',
+        match_type VARCHAR(30) DEFAULT NULL,
+        match_key VARCHAR(100) DEFAULT NULL,
+        match_score DECIMAL(5,3) DEFAULT NULL,
+        candidates LONGTEXT DEFAULT NULL,
+        note TEXT DEFAULT NULL,
+        confirmed_by VARCHAR(255) DEFAULT NULL,
+        confirmed_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_import_status (import_id, status),
+        INDEX idx_line_hash (line_hash),
+        INDEX idx_match_key (match_key)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS bank_statement_lines');
+    await db.query('DROP TABLE IF EXISTS bank_statement_imports');
+    await db.query('DROP TABLE IF EXISTS bank_import_mappings');
+  }
+};
@@ -0,0 +1,68 @@
+const { addColumnIfMissing, addIndexIfMissing, dropColumnIfExists } = require('../schemaHelpers');
+
+// Investor bank accounts for payouts, and ABA payment batches with one item per investor payment reminder.
+// investor_payment_reminders.batch_id points at the submitted batch a reminder was paid through.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS investor_payment_profiles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        investor_id INT NOT NULL,
+        account_name VARCHAR(32) NOT NULL,
+        bsb CHAR(7) NOT NULL,
+        account_number VARCHAR(9) NOT NULL,
+        lodgement_reference VARCHAR(18) DEFAULT NULL,
+        updated_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_investor (investor_id)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payment_batches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        description VARCHAR(12) NOT NULL,
+        processing_date DATE NOT NULL,
+        payment_count INT NOT NULL DEFAULT 0,
+        total_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'submitted',
+        aba_content LONGTEXT NOT NULL,
+        created_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        cancelled_by VARCHAR(255) DEFAULT NULL,
+        cancelled_at DATETIME DEFAULT NULL,
+        cancel_reason TEXT DEFAULT NULL,
+        INDEX idx_status (status)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payment_batch_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        batch_id INT NOT NULL,
+        reminder_key VARCHAR(100) NOT NULL,
+        stage_id INT NOT NULL,
+        investor_id INT NOT NULL,
+        scheduled_date DATE NOT NULL,
+        amount DECIMAL(15,2) NOT NULL,
+        account_name VARCHAR(32) NOT NULL,
+        bsb CHAR(7) NOT NULL,
+        account_number VARCHAR(9) NOT NULL,
+        lodgement_reference VARCHAR(18) NOT NULL,
+        INDEX idx_batch (batch_id),
+        INDEX idx_reminder_key (reminder_key)
+      )
+    `);
+
+    await addColumnIfMissing(db, 'investor_payment_reminders', 'batch_id', 'INT DEFAULT NULL');
+    await addIndexIfMissing(db, 'investor_payment_reminders', 'idx_batch_id', ['batch_id']);
+  },
+
+  async down(db) {
+    await dropColumnIfExists(db, 'investor_payment_reminders', 'batch_id');
+    await db.query('DROP TABLE IF EXISTS payment_batch_items');
+    await db.query('DROP TABLE IF EXISTS payment_batches');
+    await db.query('DROP TABLE IF EXISTS investor_payment_profiles');
+  }
+};
@@ -0,0 +1,29 @@
+// Investor statements generated for a period. The rendered PDF is kept so a statement can be downloaded
+// again exactly as it was sent, even after the underlying payments are corrected.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS investor_statements (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        investor_id INT NOT NULL,
+        period_from DATE NOT NULL,
+        period_to DATE NOT NULL,
+        holdings_count INT NOT NULL DEFAULT 0,
+        payments_count INT NOT NULL DEFAULT 0,
+        total_gross DECIMAL(15,2) NOT NULL DEFAULT 0,
+        total_tax DECIMAL(15,2) NOT NULL DEFAULT 0,
+        total_fee DECIMAL(15,2) NOT NULL DEFAULT 0,
+        total_net DECIMAL(15,2) NOT NULL DEFAULT 0,
+        pdf LONGBLOB NOT NULL,
+        generated_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_investor_period (investor_id, period_from, period_to),
+        INDEX idx_period (period_from, period_to)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS investor_statements');
+  }
+};
@@ -0,0 +1,26 @@
+// Day-count and business-day conventions for a stage (borrower interest) or an investor funding (payouts).
+// A funding without its own row follows its stage; anything without a row keeps monthly + pro-rata on the
+// scheduled date. MySQL allows repeated NULLs in a unique key, so each stage and funding has at most one row.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS interest_conventions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        stage_id INT DEFAULT NULL,
+        funding_id INT DEFAULT NULL,
+        day_count VARCHAR(20) NOT NULL DEFAULT 'monthly_pro_rata',
+        business_day VARCHAR(20) NOT NULL DEFAULT 'none',
+        calendar VARCHAR(20) NOT NULL DEFAULT 'NSW',
+        updated_by VARCHAR(255) DEFAULT 'manual',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_stage_id (stage_id),
+        UNIQUE KEY uniq_funding_id (funding_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS interest_conventions');
+  }
+};
@@ -0,0 +1,32 @@
+const { STATUS_OVERRIDE_RULES } = require('../../utils/calculations');
+
+// Projects that used to be hard-coded as special in getLoanStatus and the route WHERE clauses
+const LEGACY_SPECIAL_PROJECT_IDS = [59, 55, 51];
+const SEED_REASON = 'Workout loan previously hard-coded as a special project';
+
+// Only include_matured keeps a stage in the active set after its repayment date. Migration 002 seeded
+// the legacy special projects with the two status rules, so give them include_matured as well to keep
+// them in the loan book.
+module.exports = {
+  async up(db) {
+    for (const projectId of LEGACY_SPECIAL_PROJECT_IDS) {
+      await db.query(`
+        INSERT INTO status_overrides (project_id, rule, reason, created_by)
+        SELECT ?, ?, ?, 'system'
+        FROM DUAL
+        WHERE NOT EXISTS (
+          SELECT 1 FROM status_overrides
+          WHERE project_id = ? AND rule = ?
+        )
+      `, [projectId, STATUS_OVERRIDE_RULES.INCLUDE_MATURED, SEED_REASON, projectId, STATUS_OVERRIDE_RULES.INCLUDE_MATURED]);
+    }
+  },
+
+  async down(db) {
+    await db.query(`
+      DELETE FROM status_overrides
+      WHERE rule = ? AND created_by = 'system' AND reason = ?
+        AND project_id IN (${LEGACY_SPECIAL_PROJECT_IDS.map(() => '?').join(', ')})
+    `, [STATUS_OVERRIDE_RULES.INCLUDE_MATURED, SEED_REASON, ...LEGACY_SPECIAL_PROJECT_IDS]);
+  }
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// 001_create_users.js -> version "001", name "create_users"
+const MIGRATION_FILE = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+// The only table created outside a migration: it records which migrations have run
+async function ensureMigrationsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Migration modules in version order; each must export async up(db) and down(db)
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) {
+        throw new Error(`Migration file ${file} must be named NNN_description.js`);
+      }
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+      return { version: match[1], name: match[2], file, ...migration };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+
+  const duplicate = migrations.find((m, i) => i > 0 && m.version === migrations[i - 1].version);
+  if (duplicate) {
+    throw new Error(`Duplicate migration version ${duplicate.version}`);
+  }
+  return migrations;
+}
+
+async function getAppliedMigrations() {
+  await ensureMigrationsTable();
+  return db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Every known migration with its applied time, plus applied versions whose file is missing
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations();
+
+  const status = migrations.map(m => {
+    const row = applied.find(a => a.version === m.version);
+    return { version: m.version, name: m.name, appliedAt: row ? row.applied_at : null, pending: !row };
+  });
+  const missing = applied
+    .filter(a => !migrations.some(m => m.version === a.version))
+    .map(a => ({ version: a.version, name: a.name, appliedAt: a.applied_at, pending: false, missingFile: true }));
+
+  return [...status, ...missing].sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function getPendingMigrations() {
+  const applied = await getAppliedMigrations();
+  return loadMigrations().filter(m => !applied.some(a => a.version === m.version));
+}
+
+// Apply pending migrations in order, stopping at the first failure.
+// MySQL commits DDL immediately, so a failed migration is not recorded and must be fixed and re-run.
+async function migrateUp() {
+  const pending = await getPendingMigrations();
+
+  for (const migration of pending) {
+    console.log(`⬆️  Applying migration ${migration.version}_${migration.name}...`);
+    await migration.up(db);
+    await db.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+  }
+
+  return pending.map(m => `${m.version}_${m.name}`);
+}
+
+// Roll back the most recently applied migrations (default one)
+async function migrateDown(steps = 1) {
+  const migrations = loadMigrations();
+  const applied = (await getAppliedMigrations()).reverse().slice(0, steps);
+  const rolledBack = [];
+
+  for (const row of applied) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Cannot roll back ${row.version}_${row.name}: migration file is missing`);
+    }
+    console.log(`⬇️  Rolling back migration ${migration.version}_${migration.name}...`);
+    await migration.down(db);
+    await db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    rolledBack.push(`${migration.version}_${migration.name}`);
+  }
+
+  return rolledBack;
+}
+
+// Throw when the database is behind the code; called before the server starts listening
+async function assertSchemaCurrent() {
+  const pending = await getPendingMigrations();
+  if (pending.length > 0) {
+    throw new Error(
+      `${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}. ` +
+      'Run "npm run migrate" before starting the server.'
+    );
+  }
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent
+};
@@ -0,0 +1,55 @@
+// Helpers for migrations that have to cope with tables created by the old on-first-use code
+
+async function tableExists(db, table) {
+  const [row] = await db.query(`
+    SELECT COUNT(*) as table_count
+    FROM information_schema.tables
+    WHERE table_schema = DATABASE() AND table_name = ?
+  `, [table]);
+  return row.table_count > 0;
+}
+
+async function columnExists(db, table, column) {
+  const [row] = await db.query(`
+    SELECT COUNT(*) as column_count
+    FROM information_schema.columns
+    WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?
+  `, [table, column]);
+  return row.column_count > 0;
+}
+
+// Add a column unless it is already there; definition is everything after the column name
+async function addColumnIfMissing(db, table, column, definition) {
+  if (await columnExists(db, table, column)) return false;
+
+  await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+// Add a (non-unique) index unless one with this name exists
+async function addIndexIfMissing(db, table, indexName, columns) {
+  const [row] = await db.query(`
+    SELECT COUNT(*) as index_count
+    FROM information_schema.statistics
+    WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?
+  `, [table, indexName]);
+  if (row.index_count > 0) return false;
+
+  await db.query(`CREATE INDEX ${indexName} ON ${table} (${columns.join(', ')})`);
+  return true;
+}
+
+async function dropColumnIfExists(db, table, column) {
+  if (!(await columnExists(db, table, column))) return false;
+
+  await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  return true;
+}
+
+module.exports = {
+  tableExists,
+  columnExists,
+  addColumnIfMissing,
+  addIndexIfMissing,
+  dropColumnIfExists
+};
@@ -0,0 +1,33 @@
+const cron = require('node-cron');
+const { runDataQualityScan } = require('../services/dataQuality');
+
+// 05:00 every day unless DATA_QUALITY_CRON says otherwise ('off' disables it)
+const DEFAULT_SCHEDULE = '0 5 * * *';
+
+function startDataQualityJob() {
+  const schedule = process.env.DATA_QUALITY_CRON || DEFAULT_SCHEDULE;
+
+  if (schedule === 'off') {
+    console.log('⏸️ Data quality scan job disabled');
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid DATA_QUALITY_CRON "${schedule}", data quality scan job not started`);
+    return null;
+  }
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      await runDataQualityScan({ source: 'scheduled', createdBy: 'system' });
+    } catch (error) {
+      console.error('❌ Scheduled data quality scan failed:', error);
+    }
+  }, {
+    timezone: process.env.CRON_TIMEZONE || 'Australia/Sydney'
+  });
+
+  console.log(`⏰ Data quality scan job scheduled (${schedule})`);
+  return task;
+}
+
+module.exports = { startDataQualityJob };
@@ -0,0 +1,34 @@
+const cron = require('node-cron');
+const { accrueOverdueLoans } = require('../services/defaultInterest');
+
+// 01:00 every day unless DEFAULT_INTEREST_CRON says otherwise ('off' disables it)
+const DEFAULT_SCHEDULE = '0 1 * * *';
+
+function startDefaultInterestJob() {
+  const schedule = process.env.DEFAULT_INTEREST_CRON || DEFAULT_SCHEDULE;
+
+  if (schedule === 'off') {
+    console.log('⏸️ Default interest accrual job disabled');
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid DEFAULT_INTEREST_CRON "${schedule}", default interest accrual job not started`);
+    return null;
+  }
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      const accruing = await accrueOverdueLoans();
+      console.log(`⚖️ Scheduled default interest accrual complete (${accruing} loans accruing)`);
+    } catch (error) {
+      console.error('❌ Scheduled default interest accrual failed:', error);
+    }
+  }, {
+    timezone: process.env.CRON_TIMEZONE || 'Australia/Sydney'
+  });
+
+  console.log(`⏰ Default interest accrual job scheduled (${schedule})`);
+  return task;
+}
+
+module.exports = { startDefaultInterestJob };
@@ -0,0 +1,39 @@
+const cron = require('node-cron');
+const { createSnapshot } = require('../services/forecastSnapshots');
+
+// 06:00 on the first of every month unless FORECAST_SNAPSHOT_CRON says otherwise ('off' disables it)
+const DEFAULT_SCHEDULE = '0 6 1 * *';
+
+function startForecastSnapshotJob() {
+  const schedule = process.env.FORECAST_SNAPSHOT_CRON || DEFAULT_SCHEDULE;
+
+  if (schedule === 'off') {
+    console.log('⏸️ Forecast snapshot job disabled');
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid FORECAST_SNAPSHOT_CRON "${schedule}", forecast snapshot job not started`);
+    return null;
+  }
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      const month = new Date().toISOString().slice(0, 7);
+      await createSnapshot({
+        label: `Scheduled ${month}`,
+        months: parseInt(process.env.FORECAST_SNAPSHOT_MONTHS) || 12,
+        source: 'scheduled',
+        createdBy: 'system'
+      });
+    } catch (error) {
+      console.error('❌ Scheduled forecast snapshot failed:', error);
+    }
+  }, {
+    timezone: process.env.CRON_TIMEZONE || 'Australia/Sydney'
+  });
+
+  console.log(`⏰ Forecast snapshot job scheduled (${schedule})`);
+  return task;
+}
+
+module.exports = { startForecastSnapshotJob };
@@ -0,0 +1,21 @@
+const { startForecastSnapshotJob } = require('./forecastSnapshotJob');
+const { startReminderDigestJob } = require('./reminderDigestJob');
+const { startDataQualityJob } = require('./dataQualityJob');
+const { startDefaultInterestJob } = require('./defaultInterestJob');
+
+// Start all scheduled jobs; returns the running cron tasks so they can be stopped on shutdown
+function startJobs() {
+  return [
+    startForecastSnapshotJob(),
+    startReminderDigestJob(),
+    startDataQualityJob(),
+    startDefaultInterestJob()
+  ].filter(Boolean);
+}
+
+// Stop running cron tasks so the process can exit
+function stopJobs(tasks) {
+  tasks.forEach(task => task.stop());
+}
+
+module.exports = { startJobs, stopJobs };
@@ -0,0 +1,35 @@
+const cron = require('node-cron');
+const { sendReminderDigest } = require('../services/reminderNotifications');
+
+// 08:00 on weekdays unless REMINDER_DIGEST_CRON says otherwise ('off' disables it)
+const DEFAULT_SCHEDULE = '0 8 * * 1-5';
+
+function startReminderDigestJob() {
+  const schedule = process.env.REMINDER_DIGEST_CRON || DEFAULT_SCHEDULE;
+
+  if (schedule === 'off') {
+    console.log('⏸️ Reminder digest job disabled');
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid REMINDER_DIGEST_CRON "${schedule}", reminder digest job not started`);
+    return null;
+  }
+
+  const task = cron.schedule(schedule, async () => {
+    try {
+      await sendReminderDigest({
+        notifyInvestors: process.env.INVESTOR_NOTICES_ENABLED === 'true'
+      });
+    } catch (error) {
+      console.error('❌ Scheduled reminder digest failed:', error);
+    }
+  }, {
+    timezone: process.env.CRON_TIMEZONE || 'Australia/Sydney'
+  });
+
+  console.log(`⏰ Reminder digest job scheduled (${schedule})`);
+  return task;
+}
+
+module.exports = { startReminderDigestJob };
@@ -0,0 +1,80 @@
+const jwt = require('jsonwebtoken');
+const { findUserById, roleAtLeast } = require('../services/users');
+
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+// Sign an access token for a user returned by the users service
+function issueToken(user) {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email, role: user.role },
+    getSecret(),
+    { expiresIn: TOKEN_EXPIRES_IN }
+  );
+}
+
+// Require a valid Bearer token; sets req.user from the users table so role changes and
+// deactivation take effect without waiting for the token to expire
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  try {
+    const payload = jwt.verify(token, getSecret());
+    const user = await findUserById(parseInt(payload.sub));
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ success: false, message: 'User account is not active' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+    console.error('❌ Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error authenticating request',
+      error: error.message
+    });
+  }
+}
+
+// Require at least the given role (viewer < ops < finance < admin); use after authenticate
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!req.user || !roleAtLeast(req.user.role, minRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${minRole} role or higher`
+      });
+    }
+    next();
+  };
+}
+
+// Name recorded in *_by columns for write actions
+const actorName = (req) => (req.user ? req.user.email : 'manual');
+
+// Who made a change and from where, for the audit log
+const auditActor = (req) => ({ changedBy: actorName(req), requestIp: req.ip || null });
+
+module.exports = {
+  issueToken,
+  authenticate,
+  requireRole,
+  actorName,
+  auditActor
+};
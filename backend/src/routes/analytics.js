@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { buildInvestorReturns, buildStageMargins } = require('../services/returnAnalytics');
+const { buildMarginReport } = require('../services/marginReport');
+
+const MAX_REPORT_MONTHS = 60;
+
+// XIRR and realised vs contracted yield per investor (?investorId for one investor)
+router.get('/investor-returns', async (req, res) => {
+  try {
+    const investorId = req.query.investorId ? parseInt(req.query.investorId) : null;
+    if (Number.isNaN(investorId)) {
+      return res.status(400).json({ success: false, message: 'investorId must be a number' });
+    }
+
+    const { data, summary } = await buildInvestorReturns({ investorId });
+    res.json({ success: true, data, summary, total: data.length });
+  } catch (error) {
+    console.error('❌ Error calculating investor returns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating investor returns',
+      error: error.message
+    });
+  }
+});
+
+// Borrower rate against weighted investor rate per stage (?status to limit to one stage status)
+router.get('/stage-margins', async (req, res) => {
+  try {
+    const { data, summary } = await buildStageMargins({ status: req.query.status || null });
+    res.json({ success: true, data, summary, total: data.length });
+  } catch (error) {
+    console.error('❌ Error calculating stage margins:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating stage margins',
+      error: error.message
+    });
+  }
+});
+
+// Net interest margin per stage and month: ?historyMonths of actuals (default 12) and ?months of forecast (default 12)
+router.get('/margins', async (req, res) => {
+  try {
+    const historyMonths = req.query.historyMonths === undefined ? 12 : parseInt(req.query.historyMonths);
+    const months = req.query.months === undefined ? 12 : parseInt(req.query.months);
+    if ([historyMonths, months].some(value => Number.isNaN(value) || value < 0 || value > MAX_REPORT_MONTHS)) {
+      return res.status(400).json({ success: false, message: `historyMonths and months must be between 0 and ${MAX_REPORT_MONTHS}` });
+    }
+
+    const report = await buildMarginReport({ historyMonths, months });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('❌ Error building margin report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building margin report',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
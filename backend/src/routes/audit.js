@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { AUDIT_ENTITY_TYPES, getAuditLog } = require('../services/auditLog');
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+
+// Query the audit log (?entityType=, ?entityId=, ?changedBy=, ?from=YYYY-MM-DD, ?to=YYYY-MM-DD, ?limit=, ?offset=)
+router.get('/', async (req, res) => {
+  try {
+    const { entityType, entityId, changedBy, from, to, limit, offset } = req.query;
+
+    if (entityType && !AUDIT_ENTITY_TYPES.includes(entityType)) {
+      return res.status(400).json({
+        success: false,
+        message: `entityType must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`
+      });
+    }
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be in YYYY-MM-DD format' });
+    }
+
+    const { total, entries } = await getAuditLog({ entityType, entityId, changedBy, from, to, limit, offset });
+
+    res.json({
+      success: true,
+      data: entries,
+      total,
+      entityTypes: AUDIT_ENTITY_TYPES
+    });
+  } catch (error) {
+    console.error('❌ Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
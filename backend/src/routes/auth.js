@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { verifyCredentials } = require('../services/users');
+const { issueToken, authenticate } = require('../middleware/auth');
+
+// Exchange an email and password for a JWT
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ success: false, message: 'email and password are required' });
+    }
+
+    const user = await verifyCredentials(email, password);
+    if (!user) {
+      console.log(`🔒 Failed login for ${email}`);
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    console.log(`🔑 ${user.email} logged in (${user.role})`);
+
+    res.json({
+      success: true,
+      data: {
+        token: issueToken(user),
+        user
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
+    });
+  }
+});
+
+// Current user for the supplied token
+router.get('/me', authenticate, (req, res) => {
+  res.json({ success: true, data: req.user });
+});
+
+module.exports = router;
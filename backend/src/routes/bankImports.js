@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const {
+  MATCH_DEFAULTS,
+  MIN_MATCH_SCORE,
+  LINE_STATUSES,
+  validateMapping,
+  listMappings,
+  findMapping,
+  saveMapping,
+  importStatement,
+  rematchImport,
+  listImports,
+  getImport,
+  confirmLine,
+  rejectLine,
+  ignoreLine
+} = require('../services/bankReconciliation');
+const { actorName, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+// Saved column mappings
+router.get('/mappings', async (req, res) => {
+  try {
+    const mappings = await listMappings();
+    res.json({ success: true, data: mappings, total: mappings.length });
+  } catch (error) {
+    console.error('❌ Error fetching bank import mappings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bank import mappings',
+      error: error.message
+    });
+  }
+});
+
+// Create or replace a column mapping (by name)
+router.post('/mappings', async (req, res) => {
+  try {
+    const mapping = req.body;
+    if (!mapping.name || !String(mapping.name).trim()) {
+      return res.status(400).json({ success: false, message: 'name is required' });
+    }
+    const validationError = validateMapping(mapping);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const saved = await saveMapping(mapping, actorName(req));
+    res.json({ success: true, message: `Mapping "${saved.name}" saved`, data: saved });
+  } catch (error) {
+    console.error('❌ Error saving bank import mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving bank import mapping',
+      error: error.message
+    });
+  }
+});
+
+// Recent imports with line counts per status
+router.get('/', async (req, res) => {
+  try {
+    const imports = await listImports(req.query.limit);
+    res.json({
+      success: true,
+      data: imports,
+      total: imports.length,
+      matchDefaults: MATCH_DEFAULTS,
+      minMatchScore: MIN_MATCH_SCORE
+    });
+  } catch (error) {
+    console.error('❌ Error fetching bank imports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bank imports',
+      error: error.message
+    });
+  }
+});
+
+// Upload a statement: { filename, csv, mappingId | mapping, options: { amountTolerance, amountTolerancePct, dateToleranceDays } }.
+// Lines are matched against expected payments and proposed for review; nothing is marked paid until confirmed.
+router.post('/', async (req, res) => {
+  try {
+    const { filename, csv, mappingId, options } = req.body;
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ success: false, message: 'csv must contain the statement file contents' });
+    }
+
+    const mapping = mappingId ? await findMapping(mappingId) : req.body.mapping;
+    if (mappingId && !mapping) {
+      return res.status(404).json({ success: false, message: 'Mapping not found' });
+    }
+    const validationError = validateMapping(mapping);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const result = await importStatement({
+      filename,
+      csv,
+      mapping,
+      mappingId: mappingId || null,
+      options,
+      importedBy: actorName(req)
+    });
+    if (!result.importId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No statement lines could be read with this mapping',
+        errors: result.errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.lineCount} lines: ${result.proposedCount} matched, ${result.unmatchedCount} unmatched, ${result.duplicateCount} already imported`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error importing bank statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing bank statement',
+      error: error.message
+    });
+  }
+});
+
+// One import with its lines (?status= filters the lines)
+router.get('/:id', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !LINE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${LINE_STATUSES.join(', ')}`
+      });
+    }
+
+    const statement = await getImport(parseInt(req.params.id), { status });
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Bank import not found' });
+    }
+    res.json({ success: true, data: statement, lineStatuses: LINE_STATUSES });
+  } catch (error) {
+    console.error('❌ Error fetching bank import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching bank import',
+      error: error.message
+    });
+  }
+});
+
+// Re-run matching for the import's unmatched lines, optionally with different tolerances
+router.post('/:id/rematch', async (req, res) => {
+  try {
+    const result = await rematchImport(parseInt(req.params.id), req.body && req.body.options);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Bank import not found' });
+    }
+    res.json({
+      success: true,
+      message: `${result.proposedCount} of ${result.rematchedCount} unmatched lines now have a proposed match`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error rematching bank import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rematching bank import',
+      error: error.message
+    });
+  }
+});
+
+// Apply a line action and audit it; the service returns null (not found) or { error } (conflict)
+async function handleLineAction(req, res, action, apply) {
+  const lineId = parseInt(req.params.lineId);
+  const result = await apply(lineId);
+  if (!result) {
+    return res.status(404).json({ success: false, message: 'Statement line not found' });
+  }
+  if (result.error) {
+    return res.status(409).json({ success: false, message: result.error });
+  }
+
+  await recordAudit({
+    entityType: 'bank_statement_line',
+    entityId: lineId,
+    action,
+    before: result.before,
+    after: result.after,
+    reason: req.body && req.body.note,
+    actor: auditActor(req)
+  });
+
+  res.json({
+    success: true,
+    message: `Statement line ${lineId} ${result.after.status}`,
+    data: result.after
+  });
+}
+
+// Confirm a line's match and mark the matched item paid.
+// Body: { matchKey (defaults to the proposal), note, taxWithheld, feeWithheld, recordInterest } - the
+// withheld amounts and recordInterest only apply to investor payouts.
+router.post('/lines/:lineId/confirm', async (req, res) => {
+  try {
+    const { matchKey, note, taxWithheld, feeWithheld, recordInterest } = req.body;
+    await handleLineAction(req, res, 'confirm', (lineId) => confirmLine(lineId, {
+      matchKey,
+      note,
+      taxWithheld,
+      feeWithheld,
+      recordInterest: recordInterest !== false,
+      actor: auditActor(req)
+    }));
+  } catch (error) {
+    console.error('❌ Error confirming statement line:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming statement line',
+      error: error.message
+    });
+  }
+});
+
+// Reject a proposed match (or un-ignore a line)
+router.post('/lines/:lineId/reject', async (req, res) => {
+  try {
+    await handleLineAction(req, res, 'reject', rejectLine);
+  } catch (error) {
+    console.error('❌ Error rejecting statement line match:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rejecting statement line match',
+      error: error.message
+    });
+  }
+});
+
+// Ignore a line that is not an expected payment
+router.post('/lines/:lineId/ignore', async (req, res) => {
+  try {
+    await handleLineAction(req, res, 'ignore', (lineId) => ignoreLine(lineId, req.body.note || null));
+  } catch (error) {
+    console.error('❌ Error ignoring statement line:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ignoring statement line',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const {
+  DATA_QUALITY_RULES,
+  SEVERITIES,
+  FINDING_STATUSES,
+  USER_STATUSES,
+  runDataQualityScan,
+  getFindings,
+  getFindingSummary,
+  listRuns,
+  updateFindingStatus
+} = require('../services/dataQuality');
+const { requireRole, actorName, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+// List findings (?status=open|acknowledged|ignored|resolved|all, ?severity=, ?rule=, ?stageId=, ?limit=, ?offset=)
+// Without ?status only findings still needing attention (open and acknowledged) are returned
+router.get('/findings', async (req, res) => {
+  try {
+    const { status, severity, rule, stageId, limit, offset } = req.query;
+
+    if (status && status !== 'all' && !FINDING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${FINDING_STATUSES.join(', ')}, all`
+      });
+    }
+    if (severity && !SEVERITIES.includes(severity)) {
+      return res.status(400).json({ success: false, message: `severity must be one of: ${SEVERITIES.join(', ')}` });
+    }
+    if (rule && !DATA_QUALITY_RULES[rule]) {
+      return res.status(400).json({
+        success: false,
+        message: `rule must be one of: ${Object.keys(DATA_QUALITY_RULES).join(', ')}`
+      });
+    }
+
+    const { total, findings } = await getFindings({ status, severity, rule, stageId, limit, offset });
+    const [summary, [lastRun]] = await Promise.all([getFindingSummary(), listRuns(1)]);
+
+    res.json({
+      success: true,
+      data: findings,
+      total,
+      summary,
+      lastRun: lastRun || null,
+      rules: DATA_QUALITY_RULES,
+      statuses: FINDING_STATUSES
+    });
+  } catch (error) {
+    console.error('❌ Error fetching data quality findings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching data quality findings',
+      error: error.message
+    });
+  }
+});
+
+// Recent scan runs, newest first (?limit=)
+router.get('/runs', async (req, res) => {
+  try {
+    const runs = await listRuns(req.query.limit);
+
+    res.json({
+      success: true,
+      data: runs,
+      total: runs.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching data quality runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching data quality runs',
+      error: error.message
+    });
+  }
+});
+
+// Run every rule now and persist the findings
+router.post('/scan', requireRole('ops'), async (req, res) => {
+  try {
+    console.log(`🧹 Data quality scan requested by ${actorName(req)}`);
+    const run = await runDataQualityScan({ source: 'manual', createdBy: actorName(req) });
+
+    res.json({
+      success: true,
+      message: `Scan complete: ${run.findingsCount} findings (${run.newCount} new, ${run.resolvedCount} resolved)`,
+      data: run
+    });
+  } catch (error) {
+    console.error('❌ Error running data quality scan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running data quality scan',
+      error: error.message
+    });
+  }
+});
+
+// Acknowledge, ignore or reopen a finding
+router.put('/findings/:id', requireRole('ops'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { status, note } = req.body;
+
+    if (!USER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${USER_STATUSES.join(', ')}`
+      });
+    }
+    if (status === 'ignored' && (!note || !String(note).trim())) {
+      return res.status(400).json({ success: false, message: 'A note is required when ignoring a finding' });
+    }
+
+    const result = await updateFindingStatus(id, { status, note: note || null, changedBy: actorName(req) });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Finding not found' });
+    }
+
+    await recordAudit({
+      entityType: 'data_quality_finding',
+      entityId: id,
+      action: status,
+      before: result.before,
+      after: result.after,
+      reason: note,
+      actor: auditActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: `Finding marked ${status}`,
+      data: result.after
+    });
+  } catch (error) {
+    console.error('❌ Error updating data quality finding:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating data quality finding',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
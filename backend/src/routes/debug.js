@@ -7,8 +7,11 @@ const {
   getLoanStatus,
   calculateBasePaymentDate,
   generatePaymentSchedule,
-  isPaymentDueInMonth
+  isPaymentDueInMonth,
+  STATUS_OVERRIDE_RULES
 } = require('../utils/calculations');
+const { loadStatusOverrides, overrideInclusionSql } = require('../services/statusOverrides');
+const { stageExclusionSql } = require('../services/stageResolutions');
 
 // Debug endpoint to investigate payment date synchronization issues
 router.get('/payment-sync/:projectName', async (req, res) => {
@@ -336,9 +339,12 @@ router.get('/duplicates/:projectName', async (req, res) => {
         p.name as project_title,
         p.id as project_id,
         DATEDIFF(s.loan_repayment_date, CURDATE()) as days_to_maturity,
+        sr.resolution,
+        sr.canonical_stage_id,
         'ALL_RECORDS' as query_type
       FROM stage s
       LEFT JOIN project p ON s.project_id = p.id
+      LEFT JOIN stage_resolutions sr ON sr.stage_id = s.id AND sr.is_active = TRUE
       WHERE p.name LIKE '%${projectName}%'
       ORDER BY s.id ASC
     `;
@@ -360,7 +366,8 @@ router.get('/duplicates/:projectName', async (req, res) => {
       LEFT JOIN project p ON s.project_id = p.id
       WHERE p.name LIKE '%${projectName}%'
         AND s.status = 'operating'
-        AND (p.id IN (59, 55, 51) OR s.loan_repayment_date >= CURDATE())
+        AND (${overrideInclusionSql('s')} OR s.loan_repayment_date >= CURDATE())
+        AND ${stageExclusionSql('s.id')}
       ORDER BY s.id ASC
     `;
     
@@ -375,7 +382,8 @@ router.get('/duplicates/:projectName', async (req, res) => {
       summary: {
         totalRecords: allRecords.length,
         filteredRecords: filteredRecords.length,
-        excludedRecords: allRecords.length - filteredRecords.length
+        excludedRecords: allRecords.length - filteredRecords.length,
+        resolvedRecords: allRecords.filter(r => r.resolution).length
       }
     });
     
@@ -395,6 +403,8 @@ router.get('/loans/:projectTitle', async (req, res) => {
     const projectTitle = req.params.projectTitle;
     console.log(`🔍 Debugging loan for project: ${projectTitle}`);
     
+    const statusOverrides = await loadStatusOverrides();
+    
     const query = `
       SELECT 
         s.id,
@@ -446,6 +456,7 @@ router.get('/loans/:projectTitle', async (req, res) => {
       );
       
       const actualPaidAmount = parseFloat(loan.total_interest_paid || 0);
+      const overrideRules = statusOverrides.rulesFor(loan.project_id, loan.id);
       
       // Debug the interest status calculation step by step
       let debugInfo = {
@@ -474,7 +485,8 @@ router.get('/loans/:projectTitle', async (req, res) => {
             (actualPaidAmount / expectedInterest.totalInterest * 100) : 0
         },
         statusLogic: {
-          isSpecialProject: [59, 55, 51].includes(loan.project_id)
+          isSpecialProject: overrideRules.length > 0,
+          overrideRules
         }
       };
       
@@ -482,11 +494,11 @@ router.get('/loans/:projectTitle', async (req, res) => {
       let interestStatus = 'unknown';
       let statusReason = '';
       
-      if ([59, 55, 51].includes(loan.project_id)) {
-        if (endDate < currentDate) {
+      if (overrideRules.length > 0) {
+        if (overrideRules.includes(STATUS_OVERRIDE_RULES.OVERDUE_AFTER_REPAYMENT) && endDate < currentDate) {
           interestStatus = 'overdue';
           statusReason = 'Special project: repayment date passed';
-        } else if (expireDate < endDate) {
+        } else if (overrideRules.includes(STATUS_OVERRIDE_RULES.OVERDUE_EXTENSION) && expireDate < endDate) {
           interestStatus = 'overdue-extension';
           statusReason = 'Special project: expiry date before repayment date';
         } else {
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/connection');
+const {
+  VALID_DAY_COUNTS,
+  VALID_BUSINESS_DAYS,
+  DEFAULT_CONVENTION,
+  validateConvention,
+  listInterestConventions,
+  setInterestConvention,
+  removeInterestConvention
+} = require('../services/interestConventions');
+const { DEFAULT_CALENDAR, availableCalendars, getHolidays, holidayYears } = require('../utils/businessDays');
+const { requireRole, actorName, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+// List day-count and business-day conventions (?stageId= for one stage and its fundings) with the valid options
+router.get('/', async (req, res) => {
+  try {
+    const conventions = await listInterestConventions({ stageId: req.query.stageId });
+
+    res.json({
+      success: true,
+      data: conventions,
+      total: conventions.length,
+      defaults: DEFAULT_CONVENTION,
+      dayCounts: VALID_DAY_COUNTS,
+      businessDays: VALID_BUSINESS_DAYS,
+      calendars: availableCalendars()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching interest conventions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching interest conventions',
+      error: error.message
+    });
+  }
+});
+
+// Public holidays in a calendar (?calendar=, default NSW; ?year= to limit to one year), with the years the
+// holiday file covers
+router.get('/holidays', async (req, res) => {
+  try {
+    const calendar = req.query.calendar || DEFAULT_CALENDAR;
+    if (!availableCalendars().includes(calendar)) {
+      return res.status(400).json({
+        success: false,
+        message: `calendar must be one of: ${availableCalendars().join(', ')}`
+      });
+    }
+
+    const holidays = Object.entries(getHolidays(calendar))
+      .filter(([date]) => !req.query.year || date.startsWith(`${req.query.year}-`))
+      .map(([date, name]) => ({ date, name }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const years = holidayYears(calendar);
+    const missingYear = req.query.year && !years.includes(parseInt(req.query.year)) ? req.query.year : null;
+
+    res.json({
+      success: true,
+      calendar,
+      data: holidays,
+      total: holidays.length,
+      years,
+      ...(missingYear && { warning: `No public holidays for ${missingYear} in the ${calendar} calendar; only weekends are skipped` })
+    });
+  } catch (error) {
+    console.error('❌ Error fetching public holidays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching public holidays',
+      error: error.message
+    });
+  }
+});
+
+// Set the conventions of a stage (borrower interest) or a funding (investor payouts)
+async function saveConvention(req, res, target) {
+  try {
+    const validationError = validateConvention(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const [exists] = target.stageId ?
+      await db.query('SELECT id FROM stage WHERE id = ?', [target.stageId]) :
+      await db.query('SELECT id FROM invest_funding WHERE id = ?', [target.fundingId]);
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: target.stageId ? 'Stage not found' : 'Funding not found'
+      });
+    }
+
+    const { before, after } = await setInterestConvention({
+      ...target,
+      dayCount: req.body.dayCount,
+      businessDay: req.body.businessDay,
+      calendar: req.body.calendar,
+      updatedBy: actorName(req)
+    });
+    await recordAudit({
+      entityType: 'interest_convention',
+      entityId: after.id,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+      reason: req.body.reason,
+      actor: auditActor(req)
+    });
+
+    res.status(before ? 200 : 201).json({
+      success: true,
+      message: 'Interest convention saved',
+      data: after
+    });
+  } catch (error) {
+    console.error('❌ Error saving interest convention:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving interest convention',
+      error: error.message
+    });
+  }
+}
+
+router.put('/stages/:stageId', requireRole('finance'), (req, res) => {
+  const stageId = parseInt(req.params.stageId);
+  if (Number.isNaN(stageId)) {
+    return res.status(400).json({ success: false, message: 'Stage ID must be a number' });
+  }
+  return saveConvention(req, res, { stageId });
+});
+
+router.put('/funding/:fundingId', requireRole('finance'), (req, res) => {
+  const fundingId = parseInt(req.params.fundingId);
+  if (Number.isNaN(fundingId)) {
+    return res.status(400).json({ success: false, message: 'Funding ID must be a number' });
+  }
+  return saveConvention(req, res, { fundingId });
+});
+
+// Remove a convention: the stage goes back to the default, a funding back to its stage's convention
+router.delete('/:id', requireRole('finance'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const removed = await removeInterestConvention(id);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Interest convention not found' });
+    }
+
+    await recordAudit({
+      entityType: 'interest_convention',
+      entityId: id,
+      action: 'delete',
+      before: removed,
+      reason: req.body && req.body.reason,
+      actor: auditActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Interest convention removed',
+      data: removed
+    });
+  } catch (error) {
+    console.error('❌ Error removing interest convention:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing interest convention',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../database/connection');
-const moment = require('moment');
+const {
+  calculateUpfrontInterest,
+  generateInterestAccrualPeriods
+} = require('../utils/calculations');
+const { loadInterestConventions } = require('../services/interestConventions');
+const { stageExclusionSql, canonicalStageSql } = require('../services/stageResolutions');
 
-// Calculate interest schedule for a loan
+// Calculate interest schedule for a loan (upfront interest model)
 router.get('/schedule/:loanId', async (req, res) => {
   try {
-    const { loanId } = req.params;
-    const months = parseInt(req.query.months) || 12;
-    
+    const loanId = parseInt(req.params.loanId);
+    const months = req.query.months === undefined ? null : parseInt(req.query.months); // Optional cap on periods returned
+
+    if (Number.isNaN(loanId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Loan ID must be a number'
+      });
+    }
+    if (months !== null && (Number.isNaN(months) || months < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'months must be a positive integer'
+      });
+    }
+
+    console.log(`📅 Building interest schedule for stage ${loanId}...`);
+
     // Get loan details
-    const loanQuery = `
-      SELECT * FROM stage WHERE id = ? AND status = 'operating'
-    `;
-    const [loan] = await db.query(loanQuery, [loanId]);
-    
+    const [loan] = await db.query(`
+      SELECT
+        s.id,
+        s.loan_amount,
+        s.interest_rate as borrower_interest_rate,
+        s.loan_start_date,
+        s.loan_repayment_date,
+        s.loan_expiry_date,
+        s.status,
+        p.id as project_id,
+        p.name as project_title
+      FROM stage s
+      LEFT JOIN project p ON s.project_id = p.id
+      WHERE s.id = ? AND s.status IN ('operating', 'performing')
+        AND ${stageExclusionSql('s.id')}
+    `, [loanId]);
+
     if (!loan) {
       return res.status(404).json({
         success: false,
@@ -22,34 +54,101 @@ router.get('/schedule/:loanId', async (req, res) => {
       });
     }
 
-    // Calculate future interest schedule
-    const schedule = [];
-    const dailyRate = loan.annual_interest_rate / 365;
-    
-    for (let i = 0; i < months; i++) {
-      const monthDate = moment().add(i, 'months');
-      const daysInMonth = monthDate.daysInMonth();
-      const monthlyInterest = loan.loan_amount * (dailyRate / 100) * daysInMonth;
-
-      schedule.push({
-        month: monthDate.format('YYYY-MM'),
-        monthName: monthDate.format('MMMM YYYY'),
-        daysInMonth,
-        dailyInterest: loan.loan_amount * (dailyRate / 100),
-        monthlyInterest: Math.round(monthlyInterest * 100) / 100,
-        outstandingPrincipal: loan.loan_amount,
-        paymentDue: monthDate.endOf('month').format('YYYY-MM-DD')
+    // Interest actually collected against this stage, including stages merged into it
+    const collections = await db.query(`
+      SELECT ii.date, ii.money, ii.net, ii.tax, ii.fee
+      FROM invest_interest ii
+      WHERE ${canonicalStageSql('ii.stage_id')} = ?
+      ORDER BY ii.date ASC
+    `, [loanId]);
+
+    // Accrue under the stage's day-count convention (monthly + pro-rata unless one is set)
+    const { dayCount } = (await loadInterestConventions()).forStage(loan.id);
+
+    const loanAmount = parseFloat(loan.loan_amount);
+    const expectedInterest = calculateUpfrontInterest(
+      loanAmount,
+      loan.borrower_interest_rate,
+      loan.loan_start_date,
+      loan.loan_repayment_date,
+      dayCount
+    );
+    const periods = generateInterestAccrualPeriods(
+      loanAmount,
+      loan.borrower_interest_rate,
+      loan.loan_start_date,
+      loan.loan_repayment_date,
+      dayCount
+    );
+
+    // Build schedule rows; collections before the start fall in the first period, after the end in the last
+    let cumulativeAccrued = 0;
+    let cumulativeCollected = 0;
+    const schedule = periods.map((period, index) => {
+      const isFirst = index === 0;
+      const isLast = index === periods.length - 1;
+
+      const periodCollections = collections.filter(c => {
+        const paidDate = new Date(c.date);
+        const afterStart = isFirst || paidDate >= period.periodStart;
+        const beforeEnd = isLast || paidDate < period.periodEnd;
+        return afterStart && beforeEnd;
       });
-    }
+
+      const collected = periodCollections.reduce((sum, c) => sum + parseFloat(c.money || 0), 0);
+      const collectedNet = periodCollections.reduce((sum, c) => sum + parseFloat(c.net || 0), 0);
+
+      cumulativeAccrued += period.accruedInterest;
+      cumulativeCollected += collected;
+
+      return {
+        periodNumber: period.periodNumber,
+        type: period.type,
+        periodStart: period.periodStart.toISOString().slice(0, 10),
+        periodEnd: period.periodEnd.toISOString().slice(0, 10),
+        days: period.days,
+        outstandingPrincipal: loanAmount,
+        accruedInterest: Math.round(period.accruedInterest * 100) / 100,
+        cumulativeAccrued: Math.round(cumulativeAccrued * 100) / 100,
+        collected: Math.round(collected * 100) / 100,
+        collectedNet: Math.round(collectedNet * 100) / 100,
+        paymentCount: periodCollections.length,
+        cumulativeCollected: Math.round(cumulativeCollected * 100) / 100,
+        // Contract interest still to be collected after this period
+        remainingBalance: Math.round((expectedInterest.totalInterest - cumulativeCollected) * 100) / 100,
+        // Accrued but not yet collected (negative when interest has been prepaid upfront)
+        accruedBalance: Math.round((cumulativeAccrued - cumulativeCollected) * 100) / 100
+      };
+    });
+
+    const totalCollected = collections.reduce((sum, c) => sum + parseFloat(c.money || 0), 0);
 
     res.json({
       success: true,
       data: {
-        loanDetails: loan,
-        schedule
+        loanDetails: {
+          ...loan,
+          loan_amount: loanAmount,
+          borrower_interest_rate: loan.borrower_interest_rate * 100
+        },
+        upfrontInterest: {
+          fullMonthsInterest: Math.round(expectedInterest.fullMonthsInterest * 100) / 100,
+          partialMonthInterest: Math.round(expectedInterest.partialMonthInterest * 100) / 100,
+          totalInterest: Math.round(expectedInterest.totalInterest * 100) / 100,
+          period: expectedInterest.period,
+          dayCount
+        },
+        schedule: months ? schedule.slice(0, months) : schedule,
+        summary: {
+          totalPeriods: schedule.length,
+          totalCollected: Math.round(totalCollected * 100) / 100,
+          remainingBalance: Math.round((expectedInterest.totalInterest - totalCollected) * 100) / 100,
+          paymentCount: collections.length
+        }
       }
     });
   } catch (error) {
+    console.error('❌ Error calculating interest schedule:', error);
     res.status(500).json({
       success: false,
       message: 'Error calculating interest schedule',
@@ -58,4 +157,4 @@ router.get('/schedule/:loanId', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -6,11 +6,26 @@ const {
   getUpfrontInterestStatus,
   getLoanStatus
 } = require('../utils/calculations');
+const { loadStatusOverrides, overrideInclusionSql } = require('../services/statusOverrides');
+const { stageExclusionSql, canonicalStageSql, loadStageResolutions } = require('../services/stageResolutions');
+const { defaultInterestAsOf, getDefaultInterestLedger } = require('../services/defaultInterest');
+const { loadInterestConventions } = require('../services/interestConventions');
+const { parseAsOf } = require('../utils/referenceDate');
 
-// Get loans with separate interest status and loan status
+// Get loans with separate interest status and loan status (?asOf=YYYY-MM-DD judges them at a past date,
+// ignoring interest payments recorded after it)
 router.get('/', async (req, res) => {
   try {
-    console.log('📊 Fetching loan data from database...');
+    const { asOf, asOfDate, error: asOfError } = parseAsOf(req.query.asOf);
+    if (asOfError) {
+      return res.status(400).json({ success: false, message: asOfError });
+    }
+
+    console.log(`📊 Fetching loan data from database${req.query.asOf ? ` as of ${asOfDate}` : ''}...`);
+    
+    const statusOverrides = await loadStatusOverrides();
+    const stageResolutions = await loadStageResolutions();
+    const interestConventions = await loadInterestConventions();
     
     const query = `
       SELECT 
@@ -25,36 +40,38 @@ router.get('/', async (req, res) => {
         p.name as project_title,
         p.status as project_status,
         p.id as project_id,
-        DATEDIFF(s.loan_repayment_date, CURDATE()) as days_to_maturity,
-        DATEDIFF(s.loan_start_date, CURDATE()) as days_to_start,
+        DATEDIFF(s.loan_repayment_date, ?) as days_to_maturity,
+        DATEDIFF(s.loan_start_date, ?) as days_to_start,
         (SELECT SUM(ii.money) 
          FROM invest_interest ii 
-         WHERE ii.stage_id = s.id) as total_interest_paid,
+         WHERE ${canonicalStageSql('ii.stage_id')} = s.id AND ii.date <= ?) as total_interest_paid,
         (SELECT MAX(ii.date) 
          FROM invest_interest ii 
-         WHERE ii.stage_id = s.id) as last_payment_date,
+         WHERE ${canonicalStageSql('ii.stage_id')} = s.id AND ii.date <= ?) as last_payment_date,
         (SELECT COUNT(ii.id) 
          FROM invest_interest ii 
-         WHERE ii.stage_id = s.id) as payment_count
+         WHERE ${canonicalStageSql('ii.stage_id')} = s.id AND ii.date <= ?) as payment_count
       FROM stage s
       LEFT JOIN project p ON s.project_id = p.id
       WHERE s.status IN ('operating', 'performing')
-        AND (p.id IN (59, 55, 51) OR s.loan_repayment_date >= CURDATE())
+        AND (${overrideInclusionSql('s')} OR s.loan_repayment_date >= ?)
+        AND ${stageExclusionSql('s.id')}
       ORDER BY s.loan_repayment_date ASC
     `;
     
-    const loans = await db.query(query);
+    const loans = await db.query(query, Array(6).fill(asOfDate));
     
     // Process loans and calculate statuses using upfront payment model
     const processedLoans = loans.map(loan => {
-      const currentDate = new Date();
+      const overrideRules = statusOverrides.rulesFor(loan.project_id, loan.id);
       
       // Calculate expected upfront interest amount using borrower's rate
       const expectedInterest = calculateUpfrontInterest(
         parseFloat(loan.loan_amount),
         loan.borrower_interest_rate, // Use borrower's rate, not lender's
         loan.loan_start_date,
-        loan.loan_repayment_date
+        loan.loan_repayment_date,
+        interestConventions.forStage(loan.id).dayCount
       );
       
       // Determine interest payment status (upfront model)
@@ -65,7 +82,8 @@ router.get('/', async (req, res) => {
         loan.loan_start_date,
         loan.project_id,
         loan.loan_repayment_date,
-        loan.loan_expiry_date
+        loan.loan_expiry_date,
+        asOf
       );
       
       // Debug specific problematic loans
@@ -77,12 +95,12 @@ router.get('/', async (req, res) => {
         console.log(`🔍 DEBUGGING INTEREST STATUS for ${loan.project_title}:`);
         console.log(`   Project ID: ${loan.project_id}`);
         console.log(`   Start Date: ${loan.loan_start_date}`);
-        console.log(`   Current Date: ${new Date().toISOString().slice(0, 10)}`);
+        console.log(`   As Of Date: ${asOfDate}`);
         console.log(`   Expected Interest: $${expectedInterest.totalInterest.toFixed(2)}`);
         console.log(`   Actual Paid: $${actualPaidAmount.toFixed(2)}`);
         console.log(`   Payment Count: ${loan.payment_count}`);
         console.log(`   Interest Status: ${interestStatus}`);
-        console.log(`   Is Special Project: ${[59, 55, 51].includes(loan.project_id)}`);
+        console.log(`   Status Overrides: ${overrideRules.length > 0 ? overrideRules.join(', ') : 'none'}`);
         
         if (actualPaidAmount > 0) {
           const paymentPercentage = (actualPaidAmount / expectedInterest.totalInterest) * 100;
@@ -95,13 +113,15 @@ router.get('/', async (req, res) => {
         console.log('   ---');
       }
       
-      // Calculate loan status with proper overdue logic for special projects
+      // Calculate loan status with proper overdue logic for overridden projects/stages
       const loanStatus = getLoanStatus(
         loan.project_id, 
         loan.loan_start_date, 
         loan.loan_repayment_date, 
         loan.days_to_maturity,
-        loan.loan_expiry_date
+        loan.loan_expiry_date,
+        overrideRules,
+        asOf
       );
       
       return {
@@ -129,6 +149,9 @@ router.get('/', async (req, res) => {
         last_payment_date: loan.last_payment_date,
         interest_status: interestStatus,
         loan_status: loanStatus,
+        status_override_rules: overrideRules,
+        // Duplicate stages merged into this one (they are excluded from the loan book)
+        merged_stage_ids: stageResolutions.mergedInto(loan.id),
         
         // Payment completion percentage
         payment_completion: loan.total_interest_paid ? 
@@ -136,39 +159,34 @@ router.get('/', async (req, res) => {
       };
     });
     
-    console.log(`✅ Found ${processedLoans.length} loans with upfront interest payment model`);
+    // Attach the default interest ledger balance brought up to today (estimated for a past asOf)
+    const defaultInterest = await defaultInterestAsOf(loans.map((loan, index) => ({
+      stageId: loan.id,
+      principal: loan.loan_amount,
+      defaultRate: loan.default_rate,
+      repaymentDate: loan.loan_repayment_date,
+      loanStatus: processedLoans[index].loan_status
+    })), asOf);
     
-    // Debug: Check for duplicate project names (dirty data)
-    const projectTitleCounts = {};
     processedLoans.forEach(loan => {
-      const title = loan.project_title;
-      if (!projectTitleCounts[title]) {
-        projectTitleCounts[title] = [];
-      }
-      projectTitleCounts[title].push({
-        stageId: loan.id,
-        amount: loan.loan_amount,
-        startDate: loan.loan_start_date,
-        interestStatus: loan.interest_status
-      });
+      const balance = defaultInterest[loan.id];
+      loan.accrued_default_interest = balance ? balance.accruedDefaultInterest : 0;
+      loan.default_interest_days = balance ? balance.accruedDays : 0;
+      loan.default_interest_daily = balance ? balance.dailyAccrual : 0;
+      loan.default_interest_since = balance ? balance.accruingSince : null;
     });
     
-    // Log duplicate project names
-    Object.keys(projectTitleCounts).forEach(title => {
-      if (projectTitleCounts[title].length > 1) {
-        console.log(`🔍 DUPLICATE PROJECT NAME "${title}":`);
-        projectTitleCounts[title].forEach(loan => {
-          console.log(`   Stage ID: ${loan.stageId}, Amount: $${loan.amount}, Start: ${loan.startDate}, Interest: ${loan.interestStatus}`);
-    });
-  }
-});
+    console.log(`✅ Found ${processedLoans.length} loans with upfront interest payment model`);
+    
+    // Duplicate project names and other dirty data are reported by the data quality scanner (/api/data-quality)
 
-    // Special projects debugging
-    const specialProjects = processedLoans.filter(l => [59, 55, 51].includes(l.project_id));
+    // Special projects debugging (loans with status overrides)
+    const specialProjects = processedLoans.filter(l => l.status_override_rules.length > 0);
     if (specialProjects.length > 0) {
-      console.log(`🔍 SPECIAL PROJECTS (59, 55, 51) STATUS:`);
+      console.log(`🔍 SPECIAL PROJECTS (status overrides) STATUS:`);
       specialProjects.forEach(loan => {
-        console.log(`   Project ${loan.project_id} (${loan.project_title}):`);
+        console.log(`   Project ${loan.project_id} (${loan.project_title}), Stage ${loan.id}:`);
+        console.log(`     Override Rules: ${loan.status_override_rules.join(', ')}`);
         console.log(`     Repayment Date: ${loan.loan_repayment_date}`);
         console.log(`     Expiry Date: ${loan.loan_expiry_date}`);
         console.log(`     Interest Status: ${loan.interest_status}`);
@@ -196,11 +214,13 @@ router.get('/', async (req, res) => {
     });
     console.log(`   - Total expected interest: $${processedLoans.reduce((sum, l) => sum + l.expected_total_interest, 0).toFixed(2)}`);
     console.log(`   - Total interest collected: $${processedLoans.reduce((sum, l) => sum + l.total_interest_paid, 0).toFixed(2)}`);
+    console.log(`   - Total accrued default interest: $${processedLoans.reduce((sum, l) => sum + l.accrued_default_interest, 0).toFixed(2)}`);
 
     res.json({
       success: true,
       data: processedLoans,
       total: processedLoans.length,
+      asOf: asOfDate,
       summary: {
         // Loan status summary with special project handling
         active_loans: processedLoans.filter(l => l.loan_status === 'active').length,
@@ -217,18 +237,19 @@ router.get('/', async (req, res) => {
         interest_overdue_extension: processedLoans.filter(l => l.interest_status === 'overdue-extension').length,
         interest_pending: processedLoans.filter(l => l.interest_status === 'pending').length,
         
-        // Special projects summary
+        // Special projects summary (loans with status overrides)
         special_projects: {
-          total: processedLoans.filter(l => [59, 55, 51].includes(l.project_id)).length,
-          overdue: processedLoans.filter(l => [59, 55, 51].includes(l.project_id) && l.loan_status === 'overdue').length,
-          overdue_extension: processedLoans.filter(l => [59, 55, 51].includes(l.project_id) && l.loan_status === 'overdue-extension').length,
-          other: processedLoans.filter(l => [59, 55, 51].includes(l.project_id) && !['overdue', 'overdue-extension'].includes(l.loan_status)).length
+          total: specialProjects.length,
+          overdue: specialProjects.filter(l => l.loan_status === 'overdue').length,
+          overdue_extension: specialProjects.filter(l => l.loan_status === 'overdue-extension').length,
+          other: specialProjects.filter(l => !['overdue', 'overdue-extension'].includes(l.loan_status)).length
         },
         
         // Financial summary
         total_loan_value: processedLoans.reduce((sum, l) => sum + parseFloat(l.loan_amount || 0), 0),
         total_expected_interest: processedLoans.reduce((sum, l) => sum + l.expected_total_interest, 0),
         total_interest_collected: processedLoans.reduce((sum, l) => sum + l.total_interest_paid, 0),
+        total_accrued_default_interest: Math.round(processedLoans.reduce((sum, l) => sum + l.accrued_default_interest, 0) * 100) / 100,
         collection_rate: processedLoans.reduce((sum, l) => sum + l.expected_total_interest, 0) > 0 ? 
           Math.round((processedLoans.reduce((sum, l) => sum + l.total_interest_paid, 0) / 
                      processedLoans.reduce((sum, l) => sum + l.expected_total_interest, 0)) * 100) : 0
@@ -244,4 +265,214 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get a single loan stage with its project, payments, investors and calculations (?asOf= as for the list)
+router.get('/:id', async (req, res) => {
+  try {
+    const stageId = parseInt(req.params.id);
+    
+    if (Number.isNaN(stageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stage ID must be a number'
+      });
+    }
+
+    const { asOf, asOfDate, error: asOfError } = parseAsOf(req.query.asOf);
+    if (asOfError) {
+      return res.status(400).json({ success: false, message: asOfError });
+    }
+    
+    console.log(`📄 Fetching loan detail for stage ${stageId}...`);
+    
+    const statusOverrides = await loadStatusOverrides();
+    const stageResolutions = await loadStageResolutions();
+    const interestConventions = await loadInterestConventions();
+    
+    const [loan] = await db.query(`
+      SELECT 
+        s.*,
+        s.interest_rate as borrower_interest_rate,
+        p.id as project_id,
+        p.name as project_title,
+        p.status as project_status,
+        DATEDIFF(s.loan_repayment_date, ?) as days_to_maturity,
+        DATEDIFF(s.loan_start_date, ?) as days_to_start
+      FROM stage s
+      LEFT JOIN project p ON s.project_id = p.id
+      WHERE s.id = ?
+    `, [asOfDate, asOfDate, stageId]);
+    
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        message: `Loan stage ${stageId} not found`
+      });
+    }
+    
+    // Every interest payment recorded against this stage, or against a duplicate merged into it
+    const interestPayments = await db.query(`
+      SELECT 
+        ii.id,
+        ii.investor_id,
+        a.name as investor_name,
+        ii.date,
+        ii.money,
+        ii.net,
+        ii.tax,
+        ii.fee
+      FROM invest_interest ii
+      LEFT JOIN account a ON ii.investor_id = a.id
+      WHERE (ii.stage_id = ? OR ${canonicalStageSql('ii.stage_id')} = ?) AND ii.date <= ?
+      ORDER BY ii.date ASC, ii.id ASC
+    `, [stageId, stageId, asOfDate]);
+    
+    // Investors funding this stage or a duplicate merged into it
+    const investors = await db.query(`
+      SELECT 
+        inf.id as funding_id,
+        inf.investor_id,
+        a.name as investor_name,
+        a.email as investor_email,
+        a.phone as investor_phone,
+        inf.type,
+        inf.value as investment_amount,
+        inf.income_rate as investor_rate,
+        inf.start_date as investor_start_date,
+        inf.end_date as investor_end_date,
+        inf.transcation_date
+      FROM invest_funding inf
+      LEFT JOIN account a ON inf.investor_id = a.id
+      WHERE (inf.stage_id = ? OR ${canonicalStageSql('inf.stage_id')} = ?)
+      ORDER BY inf.start_date ASC, inf.value DESC
+    `, [stageId, stageId]);
+    
+    const interestConvention = interestConventions.forStage(loan.id);
+    const expectedInterest = calculateUpfrontInterest(
+      parseFloat(loan.loan_amount),
+      loan.borrower_interest_rate,
+      loan.loan_start_date,
+      loan.loan_repayment_date,
+      interestConvention.dayCount
+    );
+    
+    const totalInterestPaid = interestPayments.reduce((sum, p) => sum + parseFloat(p.money || 0), 0);
+    const interestStatus = getUpfrontInterestStatus(
+      expectedInterest.totalInterest,
+      totalInterestPaid,
+      loan.loan_start_date,
+      loan.project_id,
+      loan.loan_repayment_date,
+      loan.loan_expiry_date,
+      asOf
+    );
+    
+    const overrideRules = statusOverrides.rulesFor(loan.project_id, loan.id);
+    const loanStatus = getLoanStatus(
+      loan.project_id,
+      loan.loan_start_date,
+      loan.loan_repayment_date,
+      loan.days_to_maturity,
+      loan.loan_expiry_date,
+      overrideRules,
+      asOf
+    );
+    
+    const defaultInterest = await defaultInterestAsOf([{
+      stageId: loan.id,
+      principal: loan.loan_amount,
+      defaultRate: loan.default_rate,
+      repaymentDate: loan.loan_repayment_date,
+      loanStatus
+    }], asOf);
+    const defaultInterestBalance = defaultInterest[loan.id];
+    const defaultInterestLedger = await getDefaultInterestLedger(loan.id, asOfDate);
+    
+    const investorRows = investors.map(inv => ({
+      ...inv,
+      investment_amount: parseFloat(inv.investment_amount || 0),
+      investor_rate: inv.investor_rate !== null ? parseFloat(inv.investor_rate) * 100 : null,
+      investor_name: inv.investor_name || `Investor ${inv.investor_id}`,
+      interest_convention: interestConventions.forFunding(inv.funding_id, loan.id)
+    }));
+    
+    console.log(`✅ Stage ${stageId}: ${interestPayments.length} interest payments, ${investors.length} funding records`);
+    
+    res.json({
+      success: true,
+      asOf: asOfDate,
+      data: {
+        stage: {
+          id: loan.id,
+          loan_amount: parseFloat(loan.loan_amount),
+          borrower_interest_rate: loan.borrower_interest_rate * 100,
+          default_rate: loan.default_rate * 100,
+          loan_start_date: loan.loan_start_date,
+          loan_repayment_date: loan.loan_repayment_date,
+          loan_expiry_date: loan.loan_expiry_date,
+          status: loan.status,
+          days_to_maturity: loan.days_to_maturity,
+          days_to_start: loan.days_to_start
+        },
+        project: {
+          id: loan.project_id,
+          title: loan.project_title,
+          status: loan.project_status
+        },
+        upfrontInterest: {
+          fullMonthsInterest: Math.round(expectedInterest.fullMonthsInterest * 100) / 100,
+          partialMonthInterest: Math.round(expectedInterest.partialMonthInterest * 100) / 100,
+          totalInterest: Math.round(expectedInterest.totalInterest * 100) / 100,
+          period: expectedInterest.period
+        },
+        interestStatus,
+        loanStatus,
+        // Day count and business-day rolling for the borrower's interest (see /api/interest-conventions)
+        interestConvention,
+        defaultInterest: {
+          accrued: defaultInterestBalance ? defaultInterestBalance.accruedDefaultInterest : 0,
+          days: defaultInterestBalance ? defaultInterestBalance.accruedDays : 0,
+          dailyAccrual: defaultInterestBalance ? defaultInterestBalance.dailyAccrual : 0,
+          accruingSince: defaultInterestBalance ? defaultInterestBalance.accruingSince : null,
+          ledger: defaultInterestLedger.map(entry => ({
+            ...entry,
+            principal: parseFloat(entry.principal),
+            default_rate: parseFloat(entry.default_rate) * 100,
+            amount: parseFloat(entry.amount)
+          }))
+        },
+        statusOverrides: statusOverrides.overrides.filter(o =>
+          o.stage_id === loan.id || o.project_id === loan.project_id
+        ),
+        // Set when this stage is excluded or merged into another stage, so it is missing from the loan book
+        stageResolution: stageResolutions.resolutionFor(loan.id),
+        mergedStageIds: stageResolutions.mergedInto(loan.id),
+        interestPayments: interestPayments.map(p => ({
+          ...p,
+          money: parseFloat(p.money || 0),
+          net: parseFloat(p.net || 0),
+          tax: parseFloat(p.tax || 0),
+          fee: parseFloat(p.fee || 0)
+        })),
+        investors: investorRows,
+        summary: {
+          total_interest_paid: Math.round(totalInterestPaid * 100) / 100,
+          payment_count: interestPayments.length,
+          last_payment_date: interestPayments.length > 0 ? interestPayments[interestPayments.length - 1].date : null,
+          payment_completion: expectedInterest.totalInterest > 0 ?
+            Math.round((totalInterestPaid / expectedInterest.totalInterest) * 100) : 0,
+          investor_count: [...new Set(investorRows.map(inv => inv.investor_id))].length,
+          total_funded: investorRows.reduce((sum, inv) => sum + inv.investment_amount, 0)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching loan detail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching loan detail from database',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { isMailConfigured, getDeliveryLog } = require('../services/mailer');
+const { sendReminderDigest } = require('../services/reminderNotifications');
+
+// Send the investor payout digest now (dryRun renders it without sending)
+router.post('/reminder-digest', async (req, res) => {
+  try {
+    const options = {
+      daysAhead: parseInt(req.body.daysAhead) || 7,
+      daysBack: req.body.daysBack !== undefined ? parseInt(req.body.daysBack) || 0 : 30,
+      notifyInvestors: req.body.notifyInvestors === true,
+      dryRun: req.body.dryRun === true
+    };
+
+    console.log(`📬 ${options.dryRun ? 'Previewing' : 'Sending'} investor payout digest...`);
+
+    const result = await sendReminderDigest(options);
+
+    res.json({
+      success: true,
+      message: options.dryRun ? 'Digest preview generated' : 'Digest processed',
+      smtpConfigured: isMailConfigured(),
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error sending reminder digest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending reminder digest',
+      error: error.message
+    });
+  }
+});
+
+// Email delivery log (?type=ops_digest|investor_notice&status=sent|failed|skipped&reference=&limit=)
+router.get('/deliveries', async (req, res) => {
+  try {
+    const deliveries = await getDeliveryLog({
+      type: req.query.type,
+      status: req.query.status,
+      reference: req.query.reference,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      total: deliveries.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching email delivery log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching email delivery log',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
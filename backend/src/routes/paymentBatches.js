@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRemitterSettings,
+  validatePaymentProfile,
+  listPaymentProfiles,
+  savePaymentProfile,
+  createPaymentBatch,
+  listPaymentBatches,
+  getPaymentBatch,
+  cancelPaymentBatch
+} = require('../services/paymentBatches');
+const { actorName, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+// Investor bank accounts used for ABA payouts
+router.get('/profiles', async (req, res) => {
+  try {
+    const profiles = await listPaymentProfiles();
+    res.json({ success: true, data: profiles, total: profiles.length });
+  } catch (error) {
+    console.error('❌ Error fetching investor payment profiles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching investor payment profiles',
+      error: error.message
+    });
+  }
+});
+
+// Create or replace an investor's payment profile: { accountName, bsb, accountNumber, lodgementReference }
+router.put('/profiles/:investorId', async (req, res) => {
+  try {
+    const investorId = parseInt(req.params.investorId);
+    if (Number.isNaN(investorId)) {
+      return res.status(400).json({ success: false, message: 'investorId must be a number' });
+    }
+    const validationError = validatePaymentProfile(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const { before, after } = await savePaymentProfile(investorId, req.body, actorName(req));
+    await recordAudit({
+      entityType: 'investor_payment_profile',
+      entityId: investorId,
+      action: before ? 'update' : 'create',
+      before,
+      after,
+      actor: auditActor(req)
+    });
+
+    res.json({ success: true, message: 'Payment profile saved', data: after });
+  } catch (error) {
+    console.error('❌ Error saving investor payment profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving investor payment profile',
+      error: error.message
+    });
+  }
+});
+
+// Recent batches, and which ABA remitter settings are missing or invalid
+router.get('/', async (req, res) => {
+  try {
+    const batches = await listPaymentBatches(req.query.limit);
+    const { missing, error: remitterError } = getRemitterSettings();
+    res.json({
+      success: true,
+      data: batches,
+      total: batches.length,
+      remitterConfigured: !remitterError,
+      missingSettings: missing,
+      remitterError
+    });
+  } catch (error) {
+    console.error('❌ Error fetching payment batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment batches',
+      error: error.message
+    });
+  }
+});
+
+// Batch the selected investor payouts: { reminderKeys, processingDate (default today), description }.
+// Generates the ABA file and moves the reminders into the batched state until they are marked paid.
+router.post('/', async (req, res) => {
+  try {
+    const { reminderKeys, description } = req.body;
+    const processingDate = req.body.processingDate || new Date().toISOString().slice(0, 10);
+
+    if (!Array.isArray(reminderKeys) || reminderKeys.length === 0) {
+      return res.status(400).json({ success: false, message: 'reminderKeys must be a non-empty array' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(processingDate) || Number.isNaN(new Date(processingDate).getTime())) {
+      return res.status(400).json({ success: false, message: 'processingDate must be YYYY-MM-DD' });
+    }
+    if (description && String(description).trim().length > 12) {
+      return res.status(400).json({ success: false, message: 'description must be at most 12 characters' });
+    }
+
+    const result = await createPaymentBatch({
+      reminderKeys,
+      processingDate,
+      description,
+      createdBy: actorName(req)
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error, problems: result.problems });
+    }
+
+    await recordAudit({
+      entityType: 'payment_batch',
+      entityId: result.id,
+      action: 'create',
+      after: result,
+      actor: auditActor(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payment batch ${result.id} created with ${result.payment_count} payouts`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error creating payment batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating payment batch',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const batch = await getPaymentBatch(parseInt(req.params.id));
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Payment batch not found' });
+    }
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    console.error('❌ Error fetching payment batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payment batch',
+      error: error.message
+    });
+  }
+});
+
+// Download the batch's ABA file as generated when the batch was created
+router.get('/:id/aba', async (req, res) => {
+  try {
+    const batch = await getPaymentBatch(parseInt(req.params.id), { includeFile: true });
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Payment batch not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=us-ascii');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.fileName}"`);
+    res.send(batch.abaContent);
+  } catch (error) {
+    console.error('❌ Error downloading ABA file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading ABA file',
+      error: error.message
+    });
+  }
+});
+
+// Cancel a submitted batch and release its unpaid reminders
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const reason = req.body && req.body.reason;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required to cancel a batch' });
+    }
+
+    const result = await cancelPaymentBatch(id, { reason, cancelledBy: actorName(req) });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Payment batch not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ success: false, message: result.error });
+    }
+
+    await recordAudit({
+      entityType: 'payment_batch',
+      entityId: id,
+      action: 'cancel',
+      before: result.before,
+      after: result.after,
+      reason,
+      actor: auditActor(req)
+    });
+
+    res.json({ success: true, message: `Payment batch ${id} cancelled`, data: result.after });
+  } catch (error) {
+    console.error('❌ Error cancelling payment batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling payment batch',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/connection');
+const {
+  SCENARIO_TYPES,
+  ADJUSTMENT_TYPES,
+  validateScenario,
+  saveAdjustments,
+  loadScenario
+} = require('../services/cashflowScenarios');
+const { requireRole, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+// List saved cashflow scenarios
+router.get('/', async (req, res) => {
+  try {
+    const scenarios = await db.query(`
+      SELECT
+        cs.*,
+        COUNT(csa.id) as adjustment_count
+      FROM cashflow_scenarios cs
+      LEFT JOIN cashflow_scenario_adjustments csa ON csa.scenario_id = cs.id
+      GROUP BY cs.id
+      ORDER BY cs.name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: scenarios,
+      total: scenarios.length,
+      scenarioTypes: SCENARIO_TYPES,
+      adjustmentTypes: ADJUSTMENT_TYPES
+    });
+  } catch (error) {
+    console.error('❌ Error fetching cashflow scenarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cashflow scenarios',
+      error: error.message
+    });
+  }
+});
+
+// Get a scenario with its stage adjustments
+router.get('/:id', async (req, res) => {
+  try {
+    const scenario = await loadScenario(parseInt(req.params.id));
+    if (!scenario) {
+      return res.status(404).json({ success: false, message: 'Scenario not found' });
+    }
+
+    res.json({ success: true, data: scenario });
+  } catch (error) {
+    console.error('❌ Error fetching cashflow scenario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching cashflow scenario',
+      error: error.message
+    });
+  }
+});
+
+// Create a scenario with its stage adjustments
+router.post('/', requireRole('finance'), async (req, res) => {
+  try {
+    const { name, scenarioType = 'custom', description, adjustments = [] } = req.body;
+    const validationError = validateScenario({ name, scenarioType, adjustments });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    console.log(`🧪 Creating cashflow scenario "${name}" with ${adjustments.length} adjustment(s)`);
+
+    const result = await db.query(`
+      INSERT INTO cashflow_scenarios (name, scenario_type, description)
+      VALUES (?, ?, ?)
+    `, [name, scenarioType, description || null]);
+
+    await saveAdjustments(result.insertId, adjustments);
+
+    const created = await loadScenario(result.insertId);
+    await recordAudit({
+      entityType: 'cashflow_scenario',
+      entityId: result.insertId,
+      action: 'create',
+      after: created,
+      actor: auditActor(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Scenario created',
+      data: created
+    });
+  } catch (error) {
+    console.error('❌ Error creating cashflow scenario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating cashflow scenario',
+      error: error.message
+    });
+  }
+});
+
+// Update a scenario; adjustments are replaced when provided
+router.put('/:id', requireRole('finance'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await loadScenario(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Scenario not found' });
+    }
+
+    const updated = {
+      name: req.body.name !== undefined ? req.body.name : existing.name,
+      scenarioType: req.body.scenarioType !== undefined ? req.body.scenarioType : existing.scenario_type,
+      description: req.body.description !== undefined ? req.body.description : existing.description,
+      adjustments: req.body.adjustments
+    };
+
+    const validationError = validateScenario(updated);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    await db.query(`
+      UPDATE cashflow_scenarios
+      SET name = ?, scenario_type = ?, description = ?
+      WHERE id = ?
+    `, [updated.name, updated.scenarioType, updated.description, id]);
+
+    if (updated.adjustments !== undefined) {
+      await saveAdjustments(id, updated.adjustments);
+    }
+
+    const after = await loadScenario(id);
+    await recordAudit({
+      entityType: 'cashflow_scenario',
+      entityId: id,
+      action: 'update',
+      before: existing,
+      after,
+      actor: auditActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Scenario updated',
+      data: after
+    });
+  } catch (error) {
+    console.error('❌ Error updating cashflow scenario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cashflow scenario',
+      error: error.message
+    });
+  }
+});
+
+// Delete a scenario and its adjustments
+router.delete('/:id', requireRole('finance'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await loadScenario(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Scenario not found' });
+    }
+
+    await db.query('DELETE FROM cashflow_scenario_adjustments WHERE scenario_id = ?', [id]);
+    await db.query('DELETE FROM cashflow_scenarios WHERE id = ?', [id]);
+
+    await recordAudit({
+      entityType: 'cashflow_scenario',
+      entityId: id,
+      action: 'delete',
+      before: existing,
+      actor: auditActor(req)
+    });
+
+    res.json({ success: true, message: 'Scenario deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting cashflow scenario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting cashflow scenario',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
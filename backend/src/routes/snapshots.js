@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  calculateVariance
+} = require('../services/forecastSnapshots');
+const { requireRole, actorName } = require('../middleware/auth');
+
+// List saved forecast snapshots, newest version first
+router.get('/', async (req, res) => {
+  try {
+    const snapshots = await listSnapshots();
+
+    res.json({
+      success: true,
+      data: snapshots,
+      total: snapshots.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching forecast snapshots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching forecast snapshots',
+      error: error.message
+    });
+  }
+});
+
+// Save the current forecast as a new snapshot version
+router.post('/', requireRole('finance'), async (req, res) => {
+  try {
+    const months = parseInt(req.body.months) || 12;
+    const { label } = req.body;
+
+    console.log(`📸 Saving forecast snapshot${label ? ` "${label}"` : ''} (${months} months)...`);
+
+    const created = await createSnapshot({ label: label || null, months, source: 'manual', createdBy: actorName(req) });
+
+    res.status(201).json({
+      success: true,
+      message: `Forecast snapshot v${created.version} saved`,
+      data: {
+        ...await getSnapshot(created.id),
+        lineCount: created.lineCount
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error saving forecast snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving forecast snapshot',
+      error: error.message
+    });
+  }
+});
+
+// Get a snapshot with its monthly totals and summary
+router.get('/:id', async (req, res) => {
+  try {
+    const snapshot = await getSnapshot(parseInt(req.params.id));
+    if (!snapshot) {
+      return res.status(404).json({ success: false, message: 'Snapshot not found' });
+    }
+
+    res.json({ success: true, data: snapshot });
+  } catch (error) {
+    console.error('❌ Error fetching forecast snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching forecast snapshot',
+      error: error.message
+    });
+  }
+});
+
+// Compare a snapshot month (?month=YYYY-MM, default last month) with actual receipts and payouts
+router.get('/:id/variance', async (req, res) => {
+  try {
+    const snapshot = await getSnapshot(parseInt(req.params.id));
+    if (!snapshot) {
+      return res.status(404).json({ success: false, message: 'Snapshot not found' });
+    }
+
+    let month = req.query.month;
+    if (!month) {
+      const lastMonth = new Date();
+      lastMonth.setDate(1);
+      lastMonth.setMonth(lastMonth.getMonth() - 1);
+      month = lastMonth.toISOString().slice(0, 7);
+    }
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({ success: false, message: 'month must be in YYYY-MM format' });
+    }
+    if (!snapshot.monthly_totals.some(m => m.month === month)) {
+      return res.status(400).json({
+        success: false,
+        message: `Snapshot v${snapshot.version} does not cover ${month}`,
+        coveredMonths: snapshot.monthly_totals.map(m => m.month)
+      });
+    }
+
+    console.log(`📐 Calculating variance for snapshot v${snapshot.version}, ${month}...`);
+
+    const variance = await calculateVariance(snapshot, month);
+
+    res.json({
+      success: true,
+      data: {
+        snapshot: {
+          id: snapshot.id,
+          version: snapshot.version,
+          label: snapshot.label,
+          source: snapshot.source,
+          snapshotDate: snapshot.snapshot_date
+        },
+        ...variance
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error calculating forecast variance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating forecast variance',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
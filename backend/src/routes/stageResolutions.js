@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const {
+  STAGE_RESOLUTIONS,
+  validateResolution,
+  listStageResolutions,
+  checkResolutionTargets,
+  resolveStages,
+  deactivateStageResolution
+} = require('../services/stageResolutions');
+const { requireRole, actorName, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+// List stage resolutions (active only unless ?includeInactive=true; ?stageId= matches resolved or canonical stage)
+router.get('/', async (req, res) => {
+  try {
+    const resolutions = await listStageResolutions({
+      includeInactive: req.query.includeInactive === 'true',
+      stageId: req.query.stageId
+    });
+
+    res.json({
+      success: true,
+      data: resolutions,
+      total: resolutions.length,
+      resolutions: STAGE_RESOLUTIONS
+    });
+  } catch (error) {
+    console.error('❌ Error fetching stage resolutions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching stage resolutions',
+      error: error.message
+    });
+  }
+});
+
+// Resolve duplicates: keep canonicalStageId and exclude or merge every stage in stageIds
+router.post('/', requireRole('finance'), async (req, res) => {
+  try {
+    const { canonicalStageId, stageIds, resolution, reason } = req.body;
+    const validationError = validateResolution(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const targetError = await checkResolutionTargets({ canonicalStageId, stageIds });
+    if (targetError) {
+      return res.status(409).json({ success: false, message: targetError });
+    }
+
+    const created = await resolveStages({
+      canonicalStageId,
+      stageIds,
+      resolution,
+      reason,
+      createdBy: actorName(req)
+    });
+    for (const row of created) {
+      await recordAudit({
+        entityType: 'stage_resolution',
+        entityId: row.id,
+        action: resolution,
+        after: row,
+        reason,
+        actor: auditActor(req)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} stage(s) ${resolution}`,
+      data: created
+    });
+  } catch (error) {
+    console.error('❌ Error resolving stages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving stages',
+      error: error.message
+    });
+  }
+});
+
+// Reinstate a stage by deactivating its resolution (kept for history)
+router.delete('/:id', requireRole('finance'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const result = await deactivateStageResolution(id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Stage resolution not found' });
+    }
+
+    await recordAudit({
+      entityType: 'stage_resolution',
+      entityId: id,
+      action: 'reinstate',
+      before: result.before,
+      after: result.after,
+      reason: req.body && req.body.reason,
+      actor: auditActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: `Stage ${result.before.stage_id} reinstated`,
+      data: result.after
+    });
+  } catch (error) {
+    console.error('❌ Error reinstating stage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reinstating stage',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
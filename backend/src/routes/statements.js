@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listInvestorsWithActivity,
+  buildInvestorStatement,
+  generateInvestorStatement,
+  generateStatementBatch,
+  listStatements,
+  getStatementPdf,
+  statementFileName
+} = require('../services/investorStatements');
+const { actorName, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(new Date(value).getTime());
+
+// Validate the statement period; returns an error message or null
+function validatePeriod(from, to) {
+  if (!isDate(from) || !isDate(to)) {
+    return 'from and to must be YYYY-MM-DD';
+  }
+  if (from > to) {
+    return 'from must be on or before to';
+  }
+  return null;
+}
+
+const sendPdf = (res, fileName, pdf) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(pdf);
+};
+
+// Investors with a payment or holding in the period (?from&to)
+router.get('/investors', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const periodError = validatePeriod(from, to);
+    if (periodError) {
+      return res.status(400).json({ success: false, message: periodError });
+    }
+
+    const investors = await listInvestorsWithActivity(from, to);
+    res.json({ success: true, data: investors, total: investors.length });
+  } catch (error) {
+    console.error('❌ Error fetching investors with statement activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching investors with statement activity',
+      error: error.message
+    });
+  }
+});
+
+// One investor's statement for ?from&to. format=pdf renders the PDF and stores a copy; the default JSON
+// is a preview and is not stored.
+router.get('/investors/:investorId', async (req, res) => {
+  try {
+    const investorId = parseInt(req.params.investorId);
+    const { from, to, format = 'json' } = req.query;
+    if (Number.isNaN(investorId)) {
+      return res.status(400).json({ success: false, message: 'investorId must be a number' });
+    }
+    const periodError = validatePeriod(from, to);
+    if (periodError) {
+      return res.status(400).json({ success: false, message: periodError });
+    }
+    if (!['json', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json or pdf' });
+    }
+
+    if (format === 'json') {
+      const statement = await buildInvestorStatement({ investorId, from, to });
+      if (!statement) {
+        return res.status(404).json({ success: false, message: 'Investor not found' });
+      }
+      return res.json({ success: true, data: statement });
+    }
+
+    const stored = await generateInvestorStatement({ investorId, from, to, generatedBy: actorName(req) });
+    if (!stored) {
+      return res.status(404).json({ success: false, message: 'Investor not found' });
+    }
+    await recordAudit({
+      entityType: 'investor_statement',
+      entityId: stored.id,
+      action: 'generate',
+      after: stored,
+      actor: auditActor(req)
+    });
+
+    const { pdf } = await getStatementPdf(stored.id);
+    sendPdf(res, statementFileName(investorId, from, to), pdf);
+  } catch (error) {
+    console.error('❌ Error generating investor statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating investor statement',
+      error: error.message
+    });
+  }
+});
+
+// Generate and store statements for every investor with activity in the period: { from, to }
+router.post('/batch', async (req, res) => {
+  try {
+    const { from, to } = req.body || {};
+    const periodError = validatePeriod(from, to);
+    if (periodError) {
+      return res.status(400).json({ success: false, message: periodError });
+    }
+
+    const result = await generateStatementBatch({ from, to, generatedBy: actorName(req) });
+    for (const statement of result.generated) {
+      await recordAudit({
+        entityType: 'investor_statement',
+        entityId: statement.id,
+        action: 'generate',
+        after: statement,
+        reason: `Batch for ${from} to ${to}`,
+        actor: auditActor(req)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Generated ${result.generated.length} of ${result.investors} investor statements`,
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error generating investor statements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating investor statements',
+      error: error.message
+    });
+  }
+});
+
+// Stored statements, newest first (?investorId&from&to&limit)
+router.get('/', async (req, res) => {
+  try {
+    const { investorId, from, to, limit } = req.query;
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD' });
+    }
+
+    const statements = await listStatements({ investorId: investorId ? parseInt(investorId) : null, from, to, limit });
+    res.json({ success: true, data: statements, total: statements.length });
+  } catch (error) {
+    console.error('❌ Error fetching investor statements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching investor statements',
+      error: error.message
+    });
+  }
+});
+
+// Download a stored statement exactly as it was generated
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const statement = await getStatementPdf(parseInt(req.params.id));
+    if (!statement) {
+      return res.status(404).json({ success: false, message: 'Statement not found' });
+    }
+    sendPdf(res, statement.fileName, statement.pdf);
+  } catch (error) {
+    console.error('❌ Error downloading investor statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading investor statement',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../database/connection');
+const { STATUS_OVERRIDE_RULES } = require('../utils/calculations');
+const { requireRole, actorName, auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+const VALID_RULES = Object.values(STATUS_OVERRIDE_RULES);
+
+// Overrides joined to the project name, whether they target a project or a stage
+const OVERRIDE_SELECT = `
+  SELECT
+    so.*,
+    COALESCE(p.name, sp.name) as project_title
+  FROM status_overrides so
+  LEFT JOIN project p ON so.project_id = p.id
+  LEFT JOIN stage s ON so.stage_id = s.id
+  LEFT JOIN project sp ON s.project_id = sp.id
+`;
+
+// Validate an override payload; returns an error message or null
+function validateOverride({ projectId, stageId, rule, reason }) {
+  if (!projectId && !stageId) {
+    return 'Either projectId or stageId is required';
+  }
+  if (projectId && stageId) {
+    return 'An override applies to a project or a stage, not both';
+  }
+  if (!VALID_RULES.includes(rule)) {
+    return `rule must be one of: ${VALID_RULES.join(', ')}`;
+  }
+  if (!reason || !String(reason).trim()) {
+    return 'A reason is required';
+  }
+  return null;
+}
+
+async function findOverride(id) {
+  const [override] = await db.query(`${OVERRIDE_SELECT} WHERE so.id = ?`, [id]);
+  return override;
+}
+
+// List status overrides (active only unless ?includeInactive=true)
+router.get('/', async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true';
+    const overrides = await db.query(`
+      ${OVERRIDE_SELECT}
+      ${includeInactive ? '' : 'WHERE so.is_active = TRUE'}
+      ORDER BY so.created_at DESC, so.id DESC
+    `);
+
+    res.json({
+      success: true,
+      data: overrides,
+      total: overrides.length,
+      rules: VALID_RULES
+    });
+  } catch (error) {
+    console.error('❌ Error fetching status overrides:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching status overrides',
+      error: error.message
+    });
+  }
+});
+
+// Get a single status override
+router.get('/:id', async (req, res) => {
+  try {
+    const override = await findOverride(parseInt(req.params.id));
+    if (!override) {
+      return res.status(404).json({ success: false, message: 'Status override not found' });
+    }
+
+    res.json({ success: true, data: override });
+  } catch (error) {
+    console.error('❌ Error fetching status override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching status override',
+      error: error.message
+    });
+  }
+});
+
+// Create a status override for a project or stage
+router.post('/', requireRole('finance'), async (req, res) => {
+  try {
+    const { projectId, stageId, rule, reason } = req.body;
+    const validationError = validateOverride(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    console.log(`🛠️ Creating status override: ${rule} for ${projectId ? `project ${projectId}` : `stage ${stageId}`}`);
+
+    const result = await db.query(`
+      INSERT INTO status_overrides (project_id, stage_id, rule, reason, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [
+      projectId ? parseInt(projectId) : null,
+      stageId ? parseInt(stageId) : null,
+      rule,
+      reason,
+      actorName(req)
+    ]);
+
+    const created = await findOverride(result.insertId);
+    await recordAudit({
+      entityType: 'status_override',
+      entityId: result.insertId,
+      action: 'create',
+      after: created,
+      reason,
+      actor: auditActor(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Status override created',
+      data: created
+    });
+  } catch (error) {
+    console.error('❌ Error creating status override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating status override',
+      error: error.message
+    });
+  }
+});
+
+// Update a status override
+router.put('/:id', requireRole('finance'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await findOverride(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Status override not found' });
+    }
+
+    const updated = {
+      projectId: req.body.projectId !== undefined ? req.body.projectId : existing.project_id,
+      stageId: req.body.stageId !== undefined ? req.body.stageId : existing.stage_id,
+      rule: req.body.rule !== undefined ? req.body.rule : existing.rule,
+      reason: req.body.reason !== undefined ? req.body.reason : existing.reason,
+      isActive: req.body.isActive !== undefined ? Boolean(req.body.isActive) : Boolean(existing.is_active)
+    };
+
+    const validationError = validateOverride(updated);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    await db.query(`
+      UPDATE status_overrides
+      SET project_id = ?, stage_id = ?, rule = ?, reason = ?, is_active = ?
+      WHERE id = ?
+    `, [
+      updated.projectId ? parseInt(updated.projectId) : null,
+      updated.stageId ? parseInt(updated.stageId) : null,
+      updated.rule,
+      updated.reason,
+      updated.isActive,
+      id
+    ]);
+
+    const after = await findOverride(id);
+    await recordAudit({
+      entityType: 'status_override',
+      entityId: id,
+      action: 'update',
+      before: existing,
+      after,
+      reason: updated.reason,
+      actor: auditActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Status override updated',
+      data: after
+    });
+  } catch (error) {
+    console.error('❌ Error updating status override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating status override',
+      error: error.message
+    });
+  }
+});
+
+// Deactivate a status override (kept for history)
+router.delete('/:id', requireRole('finance'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const existing = await findOverride(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Status override not found' });
+    }
+
+    await db.query(`UPDATE status_overrides SET is_active = FALSE WHERE id = ?`, [id]);
+
+    const after = await findOverride(id);
+    await recordAudit({
+      entityType: 'status_override',
+      entityId: id,
+      action: 'deactivate',
+      before: existing,
+      after,
+      reason: req.body && req.body.reason ? req.body.reason : null,
+      actor: auditActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'Status override deactivated',
+      data: after
+    });
+  } catch (error) {
+    console.error('❌ Error deactivating status override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deactivating status override',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const {
+  currentFinancialYear,
+  buildInvestorTaxSummary,
+  buildFirmTaxSummary,
+  investorTaxSummaryCsv,
+  firmTaxSummaryCsv
+} = require('../services/taxSummaries');
+const { renderTaxSummaryPdf } = require('../utils/statementPdf');
+
+// ?year is the year the financial year ends in; defaults to the last completed financial year
+function parseYear(value) {
+  if (value === undefined || value === '') return currentFinancialYear() - 1;
+  const year = parseInt(value);
+  if (!/^\d{4}$/.test(String(value)) || year < 2000 || year > 2100) return null;
+  return year;
+}
+
+const sendFile = (res, contentType, fileName, content) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(content);
+};
+
+// Firm-wide totals for the year by investor and project stage (?year&format=json|csv)
+router.get('/', async (req, res) => {
+  try {
+    const year = parseYear(req.query.year);
+    const { format = 'json' } = req.query;
+    if (!year) {
+      return res.status(400).json({ success: false, message: 'year must be a four-digit financial year (e.g. 2026 for FY2025-26)' });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json or csv' });
+    }
+
+    const summary = await buildFirmTaxSummary(year);
+    if (format === 'csv') {
+      return sendFile(res, 'text/csv; charset=utf-8', `tax-summary-FY${year}.csv`, firmTaxSummaryCsv(summary));
+    }
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('❌ Error building firm tax summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building firm tax summary',
+      error: error.message
+    });
+  }
+});
+
+// One investor's tax summary for the year (?year&format=json|csv|pdf): CSV for the accountant, PDF for the investor
+router.get('/investors/:investorId', async (req, res) => {
+  try {
+    const investorId = parseInt(req.params.investorId);
+    const year = parseYear(req.query.year);
+    const { format = 'json' } = req.query;
+    if (Number.isNaN(investorId)) {
+      return res.status(400).json({ success: false, message: 'investorId must be a number' });
+    }
+    if (!year) {
+      return res.status(400).json({ success: false, message: 'year must be a four-digit financial year (e.g. 2026 for FY2025-26)' });
+    }
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json, csv or pdf' });
+    }
+
+    const summary = await buildInvestorTaxSummary(investorId, year);
+    if (!summary) {
+      return res.status(404).json({ success: false, message: 'Investor not found' });
+    }
+
+    const fileName = `tax-summary-FY${year}-investor-${investorId}`;
+    if (format === 'csv') {
+      return sendFile(res, 'text/csv; charset=utf-8', `${fileName}.csv`, investorTaxSummaryCsv(summary));
+    }
+    if (format === 'pdf') {
+      return sendFile(res, 'application/pdf', `${fileName}.pdf`, await renderTaxSummaryPdf(summary));
+    }
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    console.error('❌ Error building investor tax summary:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building investor tax summary',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const {
+  ROLES,
+  validateUser,
+  listUsers,
+  findUserById,
+  createUser,
+  updateUser
+} = require('../services/users');
+const { auditActor } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditLog');
+
+// List users and the available roles
+router.get('/', async (req, res) => {
+  try {
+    const users = await listUsers();
+
+    res.json({
+      success: true,
+      data: users,
+      roles: ROLES,
+      total: users.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+});
+
+// Create a user
+router.post('/', async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+    const validationError = validateUser({ email, password, role });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const user = await createUser({ email, name, password, role });
+    await recordAudit({ entityType: 'user', entityId: user.id, action: 'create', after: user, actor: auditActor(req) });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created',
+      data: user
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ success: false, message: 'A user with this email already exists' });
+    }
+    console.error('❌ Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating user',
+      error: error.message
+    });
+  }
+});
+
+// Update a user's name, role, active flag or password
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { name, role, isActive, password } = req.body;
+
+    const existing = await findUserById(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const validationError = validateUser({ password, role }, { isNew: false });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    if (id === req.user.id && ((role !== undefined && role !== 'admin') || isActive === false)) {
+      return res.status(400).json({ success: false, message: 'You cannot remove your own admin access' });
+    }
+
+    console.log(`👤 Updating user ${id} by ${req.user.email}`);
+
+    const updated = await updateUser(id, { name, role, isActive, password });
+    // Password hashes are never logged; only the fact that it changed
+    await recordAudit({
+      entityType: 'user',
+      entityId: id,
+      action: password !== undefined ? 'update_with_password' : 'update',
+      before: existing,
+      after: updated,
+      actor: auditActor(req)
+    });
+
+    res.json({
+      success: true,
+      message: 'User updated',
+      data: updated
+    });
+  } catch (error) {
+    console.error('❌ Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
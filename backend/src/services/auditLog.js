@@ -0,0 +1,91 @@
+const db = require('../database/connection');
+
+// Entity types written to the audit log; new loan edits should add theirs here
+const AUDIT_ENTITY_TYPES = [
+  'investor_payment_reminder',
+  'borrower_reminder',
+  'invest_interest',
+  'status_override',
+  'stage_resolution',
+  'cash_balance',
+  'cashflow_setting',
+  'cashflow_scenario',
+  'user',
+  'data_quality_finding',
+  'bank_statement_line',
+  'investor_payment_profile',
+  'payment_batch',
+  'investor_statement',
+  'interest_convention'
+];
+
+const serialize = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+// Append one entry. before/after are stored as JSON snapshots of the entity.
+// Pass the connection from db.transaction to write the entry in the same transaction as the change.
+async function recordAudit({ entityType, entityId, action, before = null, after = null, reason = null, actor = {} }, connection = db) {
+  await connection.query(`
+    INSERT INTO audit_log (entity_type, entity_id, action, before_value, after_value, reason, changed_by, request_ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    entityType,
+    String(entityId),
+    action,
+    serialize(before),
+    serialize(after),
+    reason || null,
+    actor.changedBy || 'manual',
+    actor.requestIp || null
+  ]);
+}
+
+// Audit entries newest first, filtered by entity, user and created_at date range (inclusive)
+async function getAuditLog({ entityType, entityId, changedBy, from, to, limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (entityType) {
+    conditions.push('entity_type = ?');
+    params.push(entityType);
+  }
+  if (entityId) {
+    conditions.push('entity_id = ?');
+    params.push(String(entityId));
+  }
+  if (changedBy) {
+    conditions.push('changed_by = ?');
+    params.push(changedBy);
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(to);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [{ total }] = await db.query(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+  const rows = await db.query(`
+    SELECT id, entity_type, entity_id, action, before_value, after_value, reason, changed_by, request_ip, created_at
+    FROM audit_log
+    ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${Math.min(parseInt(limit) || 100, 1000)} OFFSET ${Math.max(parseInt(offset) || 0, 0)}
+  `, params);
+
+  return {
+    total,
+    entries: rows.map(row => ({
+      ...row,
+      before_value: row.before_value ? JSON.parse(row.before_value) : null,
+      after_value: row.after_value ? JSON.parse(row.after_value) : null
+    }))
+  };
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  recordAudit,
+  getAuditLog
+};
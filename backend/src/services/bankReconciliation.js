@@ -0,0 +1,606 @@
+const crypto = require('crypto');
+const db = require('../database/connection');
+const { calculateUpfrontInterest } = require('../utils/calculations');
+const { DATE_FORMATS, parseCsv, mapStatementRows } = require('../utils/bankCsv');
+const { overrideInclusionSql } = require('./statusOverrides');
+const { stageExclusionSql } = require('./stageResolutions');
+const { loadInterestConventions } = require('./interestConventions');
+const { buildInvestorReminders } = require('./investorReminders');
+const { parseReminderKey, validatePayoutDetails, markInvestorPaymentStatus } = require('./investorReminderStatus');
+const { parseBorrowerReminderKey, markBorrowerReminderStatus } = require('./borrowerReminderStatus');
+
+// A line matches an expected payment when the amount is within the larger of amountTolerance dollars and
+// amountTolerancePct percent, and the date is within dateToleranceDays of the due date
+const MATCH_DEFAULTS = { amountTolerance: 1, amountTolerancePct: 1, dateToleranceDays: 7 };
+// Best candidates at or above this score are proposed; the rest stay unmatched for manual review
+const MIN_MATCH_SCORE = 0.6;
+const MAX_CANDIDATES = 5;
+
+// Money in is matched against borrower payments, money out against investor payouts
+const MATCH_TYPES = ['borrower_interest', 'principal_repayment', 'investor_payout'];
+const LINE_STATUSES = ['unmatched', 'proposed', 'confirmed', 'ignored', 'duplicate'];
+
+// Words too common in account and project names to count as a name match
+const NAME_STOP_WORDS = new Set(['pty', 'ltd', 'limited', 'the', 'and', 'trust', 'trustee', 'atf', 'for', 'group', 'investor', 'project', 'stage']);
+
+const round = (value) => Math.round(value * 100) / 100;
+const toDateString = (value) => new Date(value).toISOString().slice(0, 10);
+const daysBetween = (a, b) => Math.round((new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24));
+
+function matchOptions(options = {}) {
+  const parsed = {};
+  for (const [key, fallback] of Object.entries(MATCH_DEFAULTS)) {
+    const value = parseFloat(options[key]);
+    parsed[key] = Number.isNaN(value) || value < 0 ? fallback : value;
+  }
+  return parsed;
+}
+
+// Validate a column mapping; returns an error message or null
+function validateMapping(mapping) {
+  if (!mapping) {
+    return 'A column mapping (mappingId or mapping) is required';
+  }
+  if (!mapping.dateColumn || !mapping.descriptionColumn) {
+    return 'dateColumn and descriptionColumn are required';
+  }
+  if (!mapping.amountColumn && !(mapping.debitColumn && mapping.creditColumn)) {
+    return 'Either amountColumn or both debitColumn and creditColumn are required';
+  }
+  if (!DATE_FORMATS.includes(mapping.dateFormat || 'DD/MM/YYYY')) {
+    return `dateFormat must be one of: ${DATE_FORMATS.join(', ')}`;
+  }
+  if (mapping.delimiter && String(mapping.delimiter).length !== 1) {
+    return 'delimiter must be a single character';
+  }
+  return null;
+}
+
+function toMapping(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    dateColumn: row.date_column,
+    dateFormat: row.date_format,
+    amountColumn: row.amount_column,
+    debitColumn: row.debit_column,
+    creditColumn: row.credit_column,
+    descriptionColumn: row.description_column,
+    referenceColumn: row.reference_column,
+    delimiter: row.delimiter,
+    skipRows: row.skip_rows
+  };
+}
+
+async function listMappings() {
+  const rows = await db.query('SELECT * FROM bank_import_mappings ORDER BY name');
+  return rows.map(toMapping);
+}
+
+async function findMapping(id) {
+  const [row] = await db.query('SELECT * FROM bank_import_mappings WHERE id = ?', [id]);
+  return row ? toMapping(row) : null;
+}
+
+// Create a mapping, or replace the one with the same name
+async function saveMapping(mapping, createdBy = 'manual') {
+  await db.query(`
+    INSERT INTO bank_import_mappings
+      (name, date_column, date_format, amount_column, debit_column, credit_column, description_column,
+       reference_column, delimiter, skip_rows, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      date_column = VALUES(date_column),
+      date_format = VALUES(date_format),
+      amount_column = VALUES(amount_column),
+      debit_column = VALUES(debit_column),
+      credit_column = VALUES(credit_column),
+      description_column = VALUES(description_column),
+      reference_column = VALUES(reference_column),
+      delimiter = VALUES(delimiter),
+      skip_rows = VALUES(skip_rows)
+  `, [
+    mapping.name.trim(),
+    mapping.dateColumn,
+    mapping.dateFormat || 'DD/MM/YYYY',
+    mapping.amountColumn || null,
+    mapping.debitColumn || null,
+    mapping.creditColumn || null,
+    mapping.descriptionColumn,
+    mapping.referenceColumn || null,
+    mapping.delimiter || ',',
+    parseInt(mapping.skipRows) || 0,
+    createdBy
+  ]);
+
+  const [row] = await db.query('SELECT * FROM bank_import_mappings WHERE name = ?', [mapping.name.trim()]);
+  return toMapping(row);
+}
+
+function nameTokens(name) {
+  return [...new Set(String(name || '').toLowerCase().split(/[^a-z0-9]+/))]
+    .filter(token => token.length >= 3 && !NAME_STOP_WORDS.has(token));
+}
+
+// Expected payments whose due date falls within the statement period (widened by the date tolerance),
+// excluding anything already marked paid, waived or ignored
+async function loadExpectedPayments(from, to, options) {
+  const windowStart = new Date(from);
+  windowStart.setDate(windowStart.getDate() - options.dateToleranceDays);
+  const windowEnd = new Date(to);
+  windowEnd.setDate(windowEnd.getDate() + options.dateToleranceDays);
+  const inWindow = (date) => new Date(date) >= windowStart && new Date(date) <= windowEnd;
+
+  const stages = await db.query(`
+    SELECT
+      s.id,
+      s.loan_amount,
+      s.interest_rate as borrower_interest_rate,
+      s.loan_start_date,
+      s.loan_repayment_date,
+      p.name as project_title
+    FROM stage s
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE s.status IN ('operating', 'performing')
+      AND (${overrideInclusionSql('s')} OR s.loan_repayment_date >= ?)
+      AND ${stageExclusionSql('s.id')}
+  `, [toDateString(windowStart)]);
+
+  const closed = await db.query(`
+    SELECT stage_id, reminder_type, due_date
+    FROM borrower_reminder_status
+    WHERE status IN ('paid', 'waived')
+  `);
+  const isClosed = (stageId, reminderType, dueDate) => closed.some(row =>
+    row.stage_id === stageId && row.reminder_type === reminderType && toDateString(row.due_date) === toDateString(dueDate)
+  );
+
+  const interestConventions = await loadInterestConventions();
+  const candidates = [];
+  stages.forEach(stage => {
+    const projectTitle = stage.project_title || `Stage ${stage.id}`;
+    if (inWindow(stage.loan_start_date) && !isClosed(stage.id, 'upfront_interest', stage.loan_start_date)) {
+      const upfront = calculateUpfrontInterest(
+        parseFloat(stage.loan_amount),
+        stage.borrower_interest_rate,
+        stage.loan_start_date,
+        stage.loan_repayment_date,
+        interestConventions.forStage(stage.id).dayCount
+      );
+      candidates.push({
+        matchType: 'borrower_interest',
+        matchKey: `${stage.id}|upfront_interest`,
+        stageId: stage.id,
+        dueDate: toDateString(stage.loan_start_date),
+        expectedAmount: round(upfront.totalInterest),
+        name: projectTitle,
+        label: `${projectTitle} upfront interest`
+      });
+    }
+    if (inWindow(stage.loan_repayment_date) && !isClosed(stage.id, 'principal_payment', stage.loan_repayment_date)) {
+      candidates.push({
+        matchType: 'principal_repayment',
+        matchKey: `${stage.id}|principal_payment`,
+        stageId: stage.id,
+        dueDate: toDateString(stage.loan_repayment_date),
+        expectedAmount: round(parseFloat(stage.loan_amount)),
+        name: projectTitle,
+        label: `${projectTitle} principal repayment`
+      });
+    }
+  });
+
+  // Investor payouts come from the same schedule as GET /api/reminders/investors
+  const today = new Date();
+  const { data: investorReminders } = await buildInvestorReminders({
+    daysAhead: Math.max(0, daysBetween(windowEnd, today)),
+    daysBack: Math.max(0, daysBetween(today, windowStart))
+  });
+  investorReminders.forEach(project => {
+    project.upcomingPayments
+      .filter(payment => !payment.isPaid && !payment.isIgnored && inWindow(payment.dueDate))
+      .forEach(payment => {
+        candidates.push({
+          matchType: 'investor_payout',
+          matchKey: payment.reminderKey,
+          stageId: project.stageId,
+          investorId: payment.investorId,
+          dueDate: payment.dueDate,
+          expectedAmount: round(payment.monthlyPayment),
+          name: payment.investorName,
+          label: `${payment.investorName} payout (${project.projectTitle})`
+        });
+      });
+  });
+
+  return candidates;
+}
+
+// Score a candidate for a line between 0 and 1 (amount 50%, date 30%, name 20%); null when outside tolerance
+function scoreCandidate(line, candidate, options) {
+  const isInflow = line.amount > 0;
+  if (isInflow !== (candidate.matchType !== 'investor_payout')) return null;
+
+  const amount = Math.abs(line.amount);
+  const amountDiff = Math.abs(amount - candidate.expectedAmount);
+  const amountTolerance = Math.max(options.amountTolerance, candidate.expectedAmount * options.amountTolerancePct / 100);
+  const dayDiff = Math.abs(daysBetween(line.transactionDate, candidate.dueDate));
+  if (amountDiff > amountTolerance || dayDiff > options.dateToleranceDays) return null;
+
+  const tokens = nameTokens(candidate.name);
+  const text = `${line.description} ${line.reference || ''}`.toLowerCase();
+  const nameScore = tokens.length > 0 ? tokens.filter(token => text.includes(token)).length / tokens.length : 0;
+
+  const amountScore = amountTolerance > 0 ? 1 - (amountDiff / amountTolerance) * 0.5 : 1;
+  const dateScore = options.dateToleranceDays > 0 ? 1 - (dayDiff / options.dateToleranceDays) * 0.5 : 1;
+
+  return {
+    ...candidate,
+    score: Math.round((amountScore * 0.5 + dateScore * 0.3 + nameScore * 0.2) * 1000) / 1000,
+    amountDifference: round(amount - candidate.expectedAmount),
+    dayDifference: daysBetween(line.transactionDate, candidate.dueDate),
+    nameScore: Math.round(nameScore * 100) / 100
+  };
+}
+
+// Attach scored candidates to each line and propose the best one. Each expected payment is proposed
+// for at most one line: pairs are assigned best score first.
+function matchLines(lines, candidates, options) {
+  const pairs = [];
+  lines.forEach(line => {
+    const scored = candidates
+      .map(candidate => scoreCandidate(line, candidate, options))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+    line.candidates = scored.slice(0, MAX_CANDIDATES);
+    line.proposal = null;
+    scored.filter(c => c.score >= MIN_MATCH_SCORE).forEach(candidate => pairs.push({ line, candidate }));
+  });
+
+  const taken = new Set();
+  pairs
+    .sort((a, b) => b.candidate.score - a.candidate.score)
+    .forEach(({ line, candidate }) => {
+      if (line.proposal || taken.has(candidate.matchKey)) return;
+      line.proposal = candidate;
+      taken.add(candidate.matchKey);
+    });
+
+  return lines;
+}
+
+// Match keys already proposed or confirmed on other lines, so they are not offered twice
+async function loadClaimedMatchKeys(excludeImportId = null) {
+  const rows = await db.query(`
+    SELECT DISTINCT match_key FROM bank_statement_lines
+    WHERE status IN ('proposed', 'confirmed') AND match_key IS NOT NULL
+      ${excludeImportId ? 'AND import_id <> ?' : ''}
+  `, excludeImportId ? [excludeImportId] : []);
+  return new Set(rows.map(row => row.match_key));
+}
+
+// Parse, de-duplicate, match and store a statement. Lines already imported (same date, amount,
+// description and reference) are stored as duplicates and not matched.
+async function importStatement({ filename = null, csv, mapping, mappingId = null, options = {}, importedBy = 'manual' }) {
+  const matchSettings = matchOptions(options);
+  const { lines, errors } = mapStatementRows(parseCsv(csv, mapping.delimiter || ','), mapping);
+  if (lines.length === 0) {
+    return { importId: null, errors: errors.length > 0 ? errors : ['The file has no statement lines'] };
+  }
+
+  // Hash with the occurrence number so identical lines within one file are kept
+  const occurrences = {};
+  lines.forEach(line => {
+    const base = [line.transactionDate, line.amount.toFixed(2), line.description, line.reference || ''].join('|');
+    occurrences[base] = (occurrences[base] || 0) + 1;
+    line.hash = crypto.createHash('sha256').update(`${base}|${occurrences[base]}`).digest('hex');
+  });
+
+  const hashes = lines.map(line => line.hash);
+  const existing = await db.query(`
+    SELECT line_hash FROM bank_statement_lines
+    WHERE status <> 'duplicate' AND line_hash IN (${hashes.map(() => '?').join(', ')})
+  `, hashes);
+  const existingHashes = new Set(existing.map(row => row.line_hash));
+
+  const dates = lines.map(line => line.transactionDate).sort();
+  const statementFrom = dates[0];
+  const statementTo = dates[dates.length - 1];
+
+  const newLines = lines.filter(line => !existingHashes.has(line.hash));
+  const claimed = await loadClaimedMatchKeys();
+  const candidates = (await loadExpectedPayments(statementFrom, statementTo, matchSettings))
+    .filter(candidate => !claimed.has(candidate.matchKey));
+  matchLines(newLines, candidates, matchSettings);
+
+  // The header and its lines are written together so a failed line leaves no partial import
+  const importId = await db.transaction(async (connection) => {
+    const result = await connection.query(`
+      INSERT INTO bank_statement_imports
+        (filename, mapping_id, mapping, statement_from, statement_to, line_count, duplicate_count, imported_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      filename,
+      mappingId,
+      JSON.stringify(mapping),
+      statementFrom,
+      statementTo,
+      lines.length,
+      lines.length - newLines.length,
+      importedBy
+    ]);
+    for (const line of lines) {
+      const isDuplicate = existingHashes.has(line.hash);
+      await connection.query(`
+        INSERT INTO bank_statement_lines
+          (import_id, line_number, transaction_date, amount, description, reference, line_hash,
+           status, match_type, match_key, match_score, candidates)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        result.insertId,
+        line.lineNumber,
+        line.transactionDate,
+        line.amount,
+        line.description,
+        line.reference,
+        line.hash,
+        isDuplicate ? 'duplicate' : line.proposal ? 'proposed' : 'unmatched',
+        line.proposal ? line.proposal.matchType : null,
+        line.proposal ? line.proposal.matchKey : null,
+        line.proposal ? line.proposal.score : null,
+        isDuplicate ? null : JSON.stringify(line.candidates)
+      ]);
+    }
+    return result.insertId;
+  });
+
+  const proposedCount = newLines.filter(line => line.proposal).length;
+  console.log(`🏦 Imported ${lines.length} statement lines from ${filename || 'upload'}: ${proposedCount} proposed, ${lines.length - newLines.length} duplicates`);
+
+  return {
+    importId,
+    lineCount: lines.length,
+    duplicateCount: lines.length - newLines.length,
+    proposedCount,
+    unmatchedCount: newLines.length - proposedCount,
+    errors
+  };
+}
+
+// Re-run matching for an import's unmatched lines, e.g. with wider tolerances
+async function rematchImport(importId, options = {}) {
+  const matchSettings = matchOptions(options);
+  const [statement] = await db.query('SELECT * FROM bank_statement_imports WHERE id = ?', [importId]);
+  if (!statement) return null;
+
+  const rows = await db.query(`
+    SELECT id, transaction_date, amount, description, reference
+    FROM bank_statement_lines
+    WHERE import_id = ? AND status = 'unmatched'
+  `, [importId]);
+  const lines = rows.map(row => ({
+    id: row.id,
+    transactionDate: toDateString(row.transaction_date),
+    amount: parseFloat(row.amount),
+    description: row.description || '',
+    reference: row.reference
+  }));
+
+  const claimed = await loadClaimedMatchKeys();
+  const candidates = (await loadExpectedPayments(statement.statement_from, statement.statement_to, matchSettings))
+    .filter(candidate => !claimed.has(candidate.matchKey));
+  matchLines(lines, candidates, matchSettings);
+
+  for (const line of lines) {
+    await db.query(`
+      UPDATE bank_statement_lines
+      SET status = ?, match_type = ?, match_key = ?, match_score = ?, candidates = ?
+      WHERE id = ?
+    `, [
+      line.proposal ? 'proposed' : 'unmatched',
+      line.proposal ? line.proposal.matchType : null,
+      line.proposal ? line.proposal.matchKey : null,
+      line.proposal ? line.proposal.score : null,
+      JSON.stringify(line.candidates),
+      line.id
+    ]);
+  }
+
+  return {
+    importId,
+    rematchedCount: lines.length,
+    proposedCount: lines.filter(line => line.proposal).length
+  };
+}
+
+async function listImports(limit = 50) {
+  return db.query(`
+    SELECT
+      bi.id, bi.filename, bi.mapping_id, bi.statement_from, bi.statement_to,
+      bi.line_count, bi.duplicate_count, bi.imported_by, bi.created_at,
+      SUM(bl.status = 'proposed') as proposed_count,
+      SUM(bl.status = 'confirmed') as confirmed_count,
+      SUM(bl.status = 'unmatched') as unmatched_count,
+      SUM(bl.status = 'ignored') as ignored_count
+    FROM bank_statement_imports bi
+    LEFT JOIN bank_statement_lines bl ON bl.import_id = bi.id
+    GROUP BY bi.id
+    ORDER BY bi.created_at DESC, bi.id DESC
+    LIMIT ${Math.min(parseInt(limit) || 50, 500)}
+  `);
+}
+
+function parseLine(row) {
+  return {
+    ...row,
+    amount: parseFloat(row.amount),
+    match_score: row.match_score !== null ? parseFloat(row.match_score) : null,
+    candidates: row.candidates ? JSON.parse(row.candidates) : []
+  };
+}
+
+async function findLine(id) {
+  const [row] = await db.query('SELECT * FROM bank_statement_lines WHERE id = ?', [id]);
+  return row ? parseLine(row) : null;
+}
+
+// An import with its lines (?status= filters the lines); returns null when it does not exist
+async function getImport(importId, { status } = {}) {
+  const [statement] = await db.query('SELECT * FROM bank_statement_imports WHERE id = ?', [importId]);
+  if (!statement) return null;
+
+  const lines = await db.query(`
+    SELECT * FROM bank_statement_lines
+    WHERE import_id = ? ${status ? 'AND status = ?' : ''}
+    ORDER BY line_number ASC
+  `, status ? [importId, status] : [importId]);
+
+  return {
+    ...statement,
+    mapping: JSON.parse(statement.mapping),
+    lines: lines.map(parseLine)
+  };
+}
+
+// Why a candidate's item is closed now (paid, waived, ignored or in a payment batch), or null while it is open
+async function closedItemReason(candidate) {
+  if (candidate.matchType === 'investor_payout') {
+    const { stageId, investorId, scheduledDate } = parseReminderKey(candidate.matchKey);
+    const [reminder] = await db.query(`
+      SELECT is_paid, is_ignored, batch_id FROM investor_payment_reminders
+      WHERE stage_id = ? AND investor_id = ? AND scheduled_date = ?
+    `, [stageId, investorId, scheduledDate]);
+    if (!reminder) return null;
+    if (reminder.is_paid) return 'paid';
+    if (reminder.is_ignored) return 'ignored';
+    return reminder.batch_id ? `in payment batch ${reminder.batch_id}` : null;
+  }
+
+  const { stageId, reminderType } = parseBorrowerReminderKey(candidate.matchKey);
+  const [status] = await db.query(`
+    SELECT status, due_date FROM borrower_reminder_status
+    WHERE stage_id = ? AND reminder_type = ? AND status IN ('paid', 'waived')
+  `, [stageId, reminderType]);
+  // A status recorded against a different due date no longer applies
+  return status && toDateString(status.due_date) === candidate.dueDate ? status.status : null;
+}
+
+// Confirm a line against its proposal, or against one of its other candidates (matchKey), and mark the
+// matched item paid: investor payouts through markInvestorPaymentStatus (optionally recording the
+// invest_interest row), borrower interest and principal through markBorrowerReminderStatus.
+// Returns { error } when the line cannot be confirmed or the item was closed since the import, otherwise the
+// before and after line.
+async function confirmLine(lineId, { matchKey, taxWithheld, feeWithheld, recordInterest = true, note = null, actor = {} }) {
+  const before = await findLine(lineId);
+  if (!before) return null;
+  if (!['proposed', 'unmatched'].includes(before.status)) {
+    return { error: `Line is ${before.status} and cannot be confirmed` };
+  }
+
+  const key = matchKey || before.match_key;
+  const candidate = before.candidates.find(c => c.matchKey === key);
+  if (!candidate) {
+    return { error: key ? `${key} is not a candidate for this line` : 'The line has no proposed match; choose one of its candidates' };
+  }
+  const claimed = await loadClaimedMatchKeys();
+  if (claimed.has(candidate.matchKey) && candidate.matchKey !== before.match_key) {
+    return { error: `${candidate.matchKey} is already matched to another statement line` };
+  }
+  // The candidates were saved at import; the item may have been paid, waived, ignored or batched since
+  const closedReason = await closedItemReason(candidate);
+  if (closedReason) {
+    return { error: `${candidate.matchKey} is already ${closedReason}` };
+  }
+
+  const transactionDate = toDateString(before.transaction_date);
+  const bankReference = (before.reference || before.description || '').slice(0, 255) || null;
+  const userNote = note || `Bank statement line ${lineId} (${transactionDate}, $${Math.abs(before.amount).toFixed(2)})`;
+
+  if (candidate.matchType === 'investor_payout') {
+    const tax = parseFloat(taxWithheld || 0);
+    const fee = parseFloat(feeWithheld || 0);
+    // The bank shows what the investor received; the payout amount is that plus anything withheld
+    const payout = {
+      amountPaid: round(Math.abs(before.amount) + tax + fee),
+      paymentDate: transactionDate,
+      bankReference,
+      taxWithheld: tax,
+      feeWithheld: fee,
+      recordInterest: !!recordInterest
+    };
+    const payoutError = validatePayoutDetails(payout);
+    if (payoutError) return { error: payoutError };
+
+    await markInvestorPaymentStatus({ reminderKey: candidate.matchKey, isPaid: true, isIgnored: false, userNote, payout, actor });
+  } else {
+    await markBorrowerReminderStatus({ reminderKey: candidate.matchKey, dueDate: candidate.dueDate, status: 'paid', userNote, actor });
+  }
+
+  await db.query(`
+    UPDATE bank_statement_lines
+    SET status = 'confirmed', match_type = ?, match_key = ?, match_score = ?, note = ?, confirmed_by = ?, confirmed_at = NOW()
+    WHERE id = ?
+  `, [candidate.matchType, candidate.matchKey, candidate.score, note, actor.changedBy || 'manual', lineId]);
+
+  // Other lines proposing the same item go back to unmatched
+  await db.query(`
+    UPDATE bank_statement_lines
+    SET status = 'unmatched', match_type = NULL, match_key = NULL, match_score = NULL
+    WHERE match_key = ? AND status = 'proposed' AND id <> ?
+  `, [candidate.matchKey, lineId]);
+
+  console.log(`✅ Confirmed statement line ${lineId} as ${candidate.matchType} ${candidate.matchKey}`);
+  return { before, after: await findLine(lineId), candidate };
+}
+
+// Reject a proposal, or un-ignore a line: back to unmatched
+async function rejectLine(lineId) {
+  const before = await findLine(lineId);
+  if (!before) return null;
+  if (!['proposed', 'ignored'].includes(before.status)) {
+    return { error: `Line is ${before.status}; only proposed or ignored lines can be reset` };
+  }
+
+  await db.query(`
+    UPDATE bank_statement_lines
+    SET status = 'unmatched', match_type = NULL, match_key = NULL, match_score = NULL, note = NULL
+    WHERE id = ?
+  `, [lineId]);
+  return { before, after: await findLine(lineId) };
+}
+
+// Ignore a line that is not an expected payment (bank fees, transfers between accounts)
+async function ignoreLine(lineId, note) {
+  const before = await findLine(lineId);
+  if (!before) return null;
+  if (!['proposed', 'unmatched'].includes(before.status)) {
+    return { error: `Line is ${before.status} and cannot be ignored` };
+  }
+
+  await db.query(`
+    UPDATE bank_statement_lines
+    SET status = 'ignored', match_type = NULL, match_key = NULL, match_score = NULL, note = ?
+    WHERE id = ?
+  `, [note, lineId]);
+  return { before, after: await findLine(lineId) };
+}
+
+module.exports = {
+  MATCH_DEFAULTS,
+  MIN_MATCH_SCORE,
+  MATCH_TYPES,
+  LINE_STATUSES,
+  validateMapping,
+  listMappings,
+  findMapping,
+  saveMapping,
+  scoreCandidate,
+  matchLines,
+  importStatement,
+  rematchImport,
+  listImports,
+  getImport,
+  confirmLine,
+  rejectLine,
+  ignoreLine
+};
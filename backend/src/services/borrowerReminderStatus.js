@@ -0,0 +1,139 @@
+const db = require('../database/connection');
+const { recordAudit } = require('./auditLog');
+const { toDateKey } = require('../utils/referenceDate');
+
+const REMINDER_TYPES = ['upfront_interest', 'principal_payment'];
+// open is the default for reminders without a saved status; paid and waived close the reminder
+const BORROWER_REMINDER_STATUSES = ['open', 'contacted', 'promised', 'paid', 'waived'];
+const RESOLVED_STATUSES = ['paid', 'waived'];
+
+const toDateString = (value) => new Date(value).toISOString().slice(0, 10);
+
+// Parse a reminder key: stageId|reminderType
+function parseBorrowerReminderKey(reminderKey) {
+  const [stageId, reminderType] = String(reminderKey || '').split('|');
+  if (!stageId || Number.isNaN(parseInt(stageId)) || !REMINDER_TYPES.includes(reminderType)) {
+    return null;
+  }
+  return { stageId: parseInt(stageId), reminderType };
+}
+
+// Validate a status update; returns an error message or null
+function validateBorrowerStatus({ status, promisedDate, dueDate }) {
+  if (!BORROWER_REMINDER_STATUSES.includes(status)) {
+    return `status must be one of: ${BORROWER_REMINDER_STATUSES.join(', ')}`;
+  }
+  if (!dueDate || Number.isNaN(new Date(dueDate).getTime())) {
+    return 'dueDate must be a valid date';
+  }
+  if (status === 'promised' && (!promisedDate || Number.isNaN(new Date(promisedDate).getTime()))) {
+    return 'promisedDate is required when the borrower has promised to pay';
+  }
+  return null;
+}
+
+// Attach the saved status to each reminder (mutates and returns the list).
+// A status recorded against a different due date (e.g. the loan was extended) no longer applies.
+// asOf (defaults to now): only one status is kept per reminder, so a status changed after asOf is treated as open.
+async function applyBorrowerStatuses(reminders, asOf = new Date()) {
+  const stageIds = [...new Set(reminders.map(r => r.id))];
+  const rows = stageIds.length > 0 ? await db.query(`
+    SELECT stage_id, reminder_type, due_date, status, promised_date, user_note,
+           contacted_at, status_changed_at, marked_by_user
+    FROM borrower_reminder_status
+    WHERE stage_id IN (${stageIds.map(() => '?').join(', ')})
+  `, stageIds) : [];
+
+  const today = toDateKey(asOf);
+
+  reminders.forEach(reminder => {
+    const row = rows.find(r =>
+      r.stage_id === reminder.id &&
+      r.reminder_type === reminder.reminderType &&
+      toDateString(r.due_date) === toDateString(reminder.dueDate) &&
+      (!r.status_changed_at || toDateKey(new Date(r.status_changed_at)) <= today)
+    );
+    const promisedDate = row && row.promised_date ? toDateString(row.promised_date) : null;
+
+    reminder.reminderKey = `${reminder.id}|${reminder.reminderType}`;
+    reminder.reminderStatus = row ? row.status : 'open';
+    reminder.promisedDate = promisedDate;
+    reminder.statusNote = row ? row.user_note : null;
+    reminder.contactedAt = row ? row.contacted_at : null;
+    reminder.statusChangedAt = row ? row.status_changed_at : null;
+    reminder.markedByUser = row ? row.marked_by_user : null;
+    reminder.isResolved = RESOLVED_STATUSES.includes(reminder.reminderStatus);
+    reminder.promiseBroken = reminder.reminderStatus === 'promised' && promisedDate < today;
+  });
+
+  return reminders;
+}
+
+// Save the status of a borrower reminder and audit the change.
+// contacted_at keeps the first time the borrower was contacted.
+async function markBorrowerReminderStatus({ reminderKey, dueDate, status, promisedDate, userNote, actor = {} }) {
+  const { stageId, reminderType } = parseBorrowerReminderKey(reminderKey);
+  const savedPromisedDate = status === 'promised' ? toDateString(promisedDate) : null;
+  const markedBy = actor.changedBy || 'manual';
+  const selectStatus = () => db.query(`
+    SELECT due_date, status, promised_date, user_note, contacted_at, status_changed_at, marked_by_user
+    FROM borrower_reminder_status
+    WHERE stage_id = ? AND reminder_type = ?
+  `, [stageId, reminderType]);
+
+  const [before] = await selectStatus();
+
+  await db.query(`
+    INSERT INTO borrower_reminder_status
+      (stage_id, reminder_type, due_date, status, promised_date, user_note, contacted_at, status_changed_at, marked_by_user)
+    VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?)
+    ON DUPLICATE KEY UPDATE
+      contacted_at = IF(due_date = VALUES(due_date), COALESCE(contacted_at, VALUES(contacted_at)), VALUES(contacted_at)),
+      due_date = VALUES(due_date),
+      status = VALUES(status),
+      promised_date = VALUES(promised_date),
+      user_note = VALUES(user_note),
+      status_changed_at = NOW(),
+      marked_by_user = VALUES(marked_by_user),
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    stageId,
+    reminderType,
+    toDateString(dueDate),
+    status,
+    savedPromisedDate,
+    userNote || null,
+    status === 'open' ? null : new Date(),
+    markedBy
+  ]);
+
+  const [after] = await selectStatus();
+  await recordAudit({
+    entityType: 'borrower_reminder',
+    entityId: reminderKey,
+    action: `mark_${status}`,
+    before: before || null,
+    after,
+    reason: userNote,
+    actor
+  });
+
+  return {
+    stageId,
+    reminderType,
+    dueDate: toDateString(dueDate),
+    status,
+    promisedDate: savedPromisedDate,
+    userNote: userNote || null,
+    isResolved: RESOLVED_STATUSES.includes(status)
+  };
+}
+
+module.exports = {
+  REMINDER_TYPES,
+  BORROWER_REMINDER_STATUSES,
+  parseBorrowerReminderKey,
+  validateBorrowerStatus,
+  applyBorrowerStatuses,
+  markBorrowerReminderStatus
+};
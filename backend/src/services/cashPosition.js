@@ -0,0 +1,118 @@
+const db = require('../database/connection');
+
+const ACCOUNT_TYPES = ['trust', 'operating'];
+
+// Latest recorded balance per account, summed into the forecast opening balance.
+// asOf (YYYY-MM-DD) limits it to balances recorded on or before that date.
+async function getOpeningBalance(asOf = null) {
+  const accounts = await db.query(`
+    SELECT cb.id, cb.account_type, cb.balance, cb.balance_date, cb.note, cb.recorded_by, cb.created_at
+    FROM cash_balances cb
+    WHERE cb.id = (
+      SELECT latest.id FROM cash_balances latest
+      WHERE latest.account_type = cb.account_type
+        AND (? IS NULL OR latest.balance_date <= ?)
+      ORDER BY latest.balance_date DESC, latest.id DESC
+      LIMIT 1
+    )
+    ORDER BY cb.account_type ASC
+  `, [asOf, asOf]);
+
+  const openingBalance = accounts.reduce((sum, a) => sum + parseFloat(a.balance), 0);
+
+  return {
+    openingBalance: Math.round(openingBalance * 100) / 100,
+    // Oldest of the latest balances, so callers can tell how stale the position is
+    balanceDate: accounts.length > 0 ?
+      accounts.map(a => new Date(a.balance_date)).sort((a, b) => a - b)[0] : null,
+    accounts
+  };
+}
+
+// Minimum cash buffer: saved setting, else CASHFLOW_MIN_BUFFER, else 0
+async function getMinBuffer() {
+  const [setting] = await db.query(
+    "SELECT setting_value FROM cashflow_settings WHERE setting_key = 'min_buffer'"
+  );
+  if (setting) return parseFloat(setting.setting_value);
+
+  return parseFloat(process.env.CASHFLOW_MIN_BUFFER || 0);
+}
+
+async function setMinBuffer(minBuffer) {
+  await db.query(`
+    INSERT INTO cashflow_settings (setting_key, setting_value)
+    VALUES ('min_buffer', ?)
+    ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)
+  `, [String(minBuffer)]);
+}
+
+// Net cashflow of the flows in a period dated after dateKey (YYYY-MM-DD). Default interest is receivable
+// from the start of the forecast, so it always counts.
+function netCashflowAfter(month, dateKey) {
+  const after = (items, dateField, amountField = 'amount') => items
+    .filter(item => item[dateField] > dateKey)
+    .reduce((sum, item) => sum + item[amountField], 0);
+
+  const inflows = after(month.interestPayments, 'scheduledPaymentDate', 'netAmount') +
+    after(month.loanMaturies, 'maturityDate') +
+    month.totalDefaultInterest;
+  const outflows = after(month.investorPayouts.filter(p => !p.excludedFromOutflows), 'paymentDate');
+
+  return inflows - outflows;
+}
+
+// Add opening/closing balances to each period of a forecast and flag periods below the buffer.
+// Flows dated on or before balanceDate are already in the recorded balance, so the carry starts after it.
+// Mutates the period objects and returns the liquidity summary (shortfallMonths lists periods of any granularity).
+function applyRunningBalance(cashflowData, openingBalance, minBuffer, balanceDate = null) {
+  const balanceKey = balanceDate ? new Date(balanceDate).toISOString().slice(0, 10) : null;
+  let balance = openingBalance;
+  let lowestBalance = openingBalance;
+  let lowestBalanceMonth = null;
+  let lowestBalancePeriod = null;
+  const shortfallMonths = [];
+
+  cashflowData.forEach(month => {
+    month.openingBalance = Math.round(balance * 100) / 100;
+    balance += balanceKey && month.periodStart <= balanceKey ?
+      netCashflowAfter(month, balanceKey) : month.netCashflow;
+    month.closingBalance = Math.round(balance * 100) / 100;
+    month.belowBuffer = month.closingBalance < minBuffer;
+    month.bufferShortfall = month.belowBuffer ? Math.round((minBuffer - month.closingBalance) * 100) / 100 : 0;
+
+    if (month.belowBuffer) {
+      shortfallMonths.push({
+        month: month.month,
+        monthName: month.monthName,
+        period: month.period,
+        label: month.label,
+        closingBalance: month.closingBalance,
+        shortfall: month.bufferShortfall
+      });
+    }
+    if (lowestBalanceMonth === null || month.closingBalance < lowestBalance) {
+      lowestBalance = month.closingBalance;
+      lowestBalanceMonth = month.month;
+      lowestBalancePeriod = month.period;
+    }
+  });
+
+  return {
+    openingBalance: Math.round(openingBalance * 100) / 100,
+    closingBalance: Math.round(balance * 100) / 100,
+    minBuffer,
+    lowestBalance: Math.round(lowestBalance * 100) / 100,
+    lowestBalanceMonth,
+    lowestBalancePeriod,
+    shortfallMonths
+  };
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  getOpeningBalance,
+  getMinBuffer,
+  setMinBuffer,
+  applyRunningBalance
+};
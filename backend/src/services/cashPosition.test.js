@@ -0,0 +1,85 @@
+const { applyRunningBalance } = require('./cashPosition');
+
+// A forecast period shaped like buildMonthlyCashflow's output
+const period = (periodStart, periodEnd, { interest = [], maturities = [], payouts = [], defaultInterest = 0 } = {}) => {
+  const inflows = interest.reduce((sum, p) => sum + p.netAmount, 0) +
+    maturities.reduce((sum, m) => sum + m.amount, 0) + defaultInterest;
+  const outflows = payouts.filter(p => !p.excludedFromOutflows).reduce((sum, p) => sum + p.amount, 0);
+  return {
+    period: periodStart.slice(0, 7),
+    month: periodStart.slice(0, 7),
+    periodStart,
+    periodEnd,
+    interestPayments: interest,
+    loanMaturies: maturities,
+    investorPayouts: payouts,
+    totalDefaultInterest: defaultInterest,
+    netCashflow: inflows - outflows
+  };
+};
+
+// cash_balances.balance_date comes back from the pool as UTC midnight
+const balanceDate = new Date('2026-03-15T00:00:00Z');
+
+const forecast = () => [
+  period('2026-03-01', '2026-03-31', {
+    interest: [
+      { netAmount: 1000, scheduledPaymentDate: '2026-03-10' },
+      { netAmount: 2000, scheduledPaymentDate: '2026-03-20' }
+    ],
+    maturities: [{ amount: 50000, maturityDate: '2026-03-15' }],
+    payouts: [
+      { amount: 400, paymentDate: '2026-03-05' },
+      { amount: 700, paymentDate: '2026-03-25' },
+      { amount: 900, paymentDate: '2026-03-25', excludedFromOutflows: true }
+    ],
+    defaultInterest: 150
+  }),
+  period('2026-04-01', '2026-04-30', {
+    interest: [{ netAmount: 3000, scheduledPaymentDate: '2026-04-10' }],
+    payouts: [{ amount: 500, paymentDate: '2026-04-25' }]
+  })
+];
+
+describe('applyRunningBalance', () => {
+  test('carries every flow when there is no balance date', () => {
+    const data = forecast();
+    const liquidity = applyRunningBalance(data, 10000, 0);
+
+    expect(data[0].closingBalance).toBe(10000 + 53150 - 1100);
+    expect(liquidity.closingBalance).toBe(62050 + 2500);
+  });
+
+  test('drops flows dated on or before the balance date in the period that straddles it', () => {
+    const data = forecast();
+    const liquidity = applyRunningBalance(data, 10000, 0, balanceDate);
+
+    // Only the 20 Mar interest, the 25 Mar payout and the default interest receivable move the balance
+    expect(data[0].openingBalance).toBe(10000);
+    expect(data[0].closingBalance).toBe(10000 + 2000 - 700 + 150);
+    expect(data[1].openingBalance).toBe(11450);
+    expect(data[1].closingBalance).toBe(11450 + 2500);
+    expect(liquidity.closingBalance).toBe(13950);
+  });
+
+  test('skips periods that end before the balance date', () => {
+    const data = forecast();
+    applyRunningBalance(data, 10000, 0, new Date('2026-04-05T00:00:00Z'));
+
+    expect(data[0].closingBalance).toBe(10000 + 150);
+    expect(data[1].closingBalance).toBe(10150 + 3000 - 500);
+  });
+
+  test('flags periods that close below the buffer', () => {
+    const data = forecast();
+    const liquidity = applyRunningBalance(data, 10000, 12000, balanceDate);
+
+    expect(data[0].belowBuffer).toBe(true);
+    expect(data[0].bufferShortfall).toBe(550);
+    expect(data[1].belowBuffer).toBe(false);
+    expect(liquidity.shortfallMonths).toEqual([
+      expect.objectContaining({ month: '2026-03', closingBalance: 11450, shortfall: 550 })
+    ]);
+    expect(liquidity.lowestBalance).toBe(11450);
+  });
+});
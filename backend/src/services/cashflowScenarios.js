@@ -0,0 +1,163 @@
+const db = require('../database/connection');
+const { prepareLoanForecast } = require('./cashflowForecast');
+
+const SCENARIO_TYPES = ['base', 'delayed', 'partial_default', 'early_repayment', 'custom'];
+const ADJUSTMENT_TYPES = ['delay', 'default', 'early_repayment'];
+
+// Validate a single stage adjustment; returns an error message or null
+function validateAdjustment(adjustment) {
+  const { stageId, adjustmentType, delayMonths, delayToExpiry, haircutRate, repaymentDate } = adjustment;
+
+  if (!stageId || Number.isNaN(parseInt(stageId))) {
+    return 'Each adjustment needs a numeric stageId';
+  }
+  if (!ADJUSTMENT_TYPES.includes(adjustmentType)) {
+    return `adjustmentType must be one of: ${ADJUSTMENT_TYPES.join(', ')}`;
+  }
+  if (adjustmentType === 'delay' && !delayToExpiry && !(parseInt(delayMonths) > 0)) {
+    return `Stage ${stageId}: a delay needs delayMonths > 0 or delayToExpiry`;
+  }
+  if (adjustmentType === 'default') {
+    const rate = parseFloat(haircutRate);
+    if (Number.isNaN(rate) || rate <= 0 || rate > 1) {
+      return `Stage ${stageId}: haircutRate must be between 0 and 1`;
+    }
+  }
+  if (adjustmentType === 'early_repayment' && Number.isNaN(new Date(repaymentDate).getTime())) {
+    return `Stage ${stageId}: early repayment needs a valid repaymentDate`;
+  }
+  return null;
+}
+
+// Validate a scenario payload; returns an error message or null
+function validateScenario({ name, scenarioType, adjustments }) {
+  if (!name || !String(name).trim()) {
+    return 'A scenario name is required';
+  }
+  if (scenarioType !== undefined && !SCENARIO_TYPES.includes(scenarioType)) {
+    return `scenarioType must be one of: ${SCENARIO_TYPES.join(', ')}`;
+  }
+  if (adjustments !== undefined) {
+    if (!Array.isArray(adjustments)) {
+      return 'adjustments must be an array';
+    }
+    const stageIds = adjustments.map(a => parseInt(a.stageId));
+    if (new Set(stageIds).size !== stageIds.length) {
+      return 'Each stage can only be adjusted once per scenario';
+    }
+    for (const adjustment of adjustments) {
+      const error = validateAdjustment(adjustment);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Replace all adjustments of a scenario
+async function saveAdjustments(scenarioId, adjustments) {
+  await db.query('DELETE FROM cashflow_scenario_adjustments WHERE scenario_id = ?', [scenarioId]);
+
+  for (const adjustment of adjustments) {
+    await db.query(`
+      INSERT INTO cashflow_scenario_adjustments
+        (scenario_id, stage_id, adjustment_type, delay_months, delay_to_expiry, haircut_rate, repayment_date, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      scenarioId,
+      parseInt(adjustment.stageId),
+      adjustment.adjustmentType,
+      adjustment.adjustmentType === 'delay' && adjustment.delayMonths ? parseInt(adjustment.delayMonths) : null,
+      adjustment.adjustmentType === 'delay' && Boolean(adjustment.delayToExpiry),
+      adjustment.adjustmentType === 'default' ? parseFloat(adjustment.haircutRate) : null,
+      adjustment.adjustmentType === 'early_repayment' ? adjustment.repaymentDate : null,
+      adjustment.note || null
+    ]);
+  }
+}
+
+// Load a scenario with its stage adjustments; returns null when it does not exist
+async function loadScenario(scenarioId) {
+  const [scenario] = await db.query('SELECT * FROM cashflow_scenarios WHERE id = ?', [scenarioId]);
+  if (!scenario) return null;
+
+  const adjustments = await db.query(`
+    SELECT
+      csa.*,
+      p.name as project_title
+    FROM cashflow_scenario_adjustments csa
+    LEFT JOIN stage s ON csa.stage_id = s.id
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE csa.scenario_id = ?
+    ORDER BY csa.stage_id ASC
+  `, [scenarioId]);
+
+  return { ...scenario, adjustments };
+}
+
+// Apply a scenario's stage adjustments to prepared loan data.
+// Delays and early repayments move the repayment date (and so the interest schedule and principal month);
+// defaults reduce the principal and interest expected from the stage. Unadjusted loans are returned as-is.
+// asOf: the as-of date the base forecast was prepared at (defaults to now)
+function applyScenario(loanData, adjustments, predictionEndDate, asOf) {
+  return loanData.map(loan => {
+    const adjustment = adjustments.find(a => a.stage_id === loan.id);
+    if (!adjustment) return loan;
+
+    let repaymentDate = new Date(loan.loan_repayment_date);
+    let recoveryRate = 1;
+
+    if (adjustment.adjustment_type === 'delay') {
+      if (adjustment.delay_to_expiry && loan.loan_expiry_date) {
+        repaymentDate = new Date(loan.loan_expiry_date);
+      } else if (adjustment.delay_months) {
+        repaymentDate.setMonth(repaymentDate.getMonth() + adjustment.delay_months);
+      }
+    } else if (adjustment.adjustment_type === 'early_repayment') {
+      repaymentDate = new Date(adjustment.repayment_date);
+    } else if (adjustment.adjustment_type === 'default') {
+      recoveryRate = 1 - parseFloat(adjustment.haircut_rate);
+    }
+
+    const adjusted = prepareLoanForecast({
+      ...loan,
+      loan_repayment_date: repaymentDate,
+      principalRecoveryRate: recoveryRate,
+      interestRecoveryRate: recoveryRate
+    }, predictionEndDate, loan.loanStatus, asOf);
+
+    adjusted.accruedDefaultInterest = loan.accruedDefaultInterest * recoveryRate;
+    adjusted.scenarioAdjustment = adjustment.adjustment_type;
+    return adjusted;
+  });
+}
+
+// Month-by-month difference between the base case and a scenario
+function compareForecasts(baseData, scenarioData) {
+  return baseData.map((baseMonth, index) => {
+    const scenarioMonth = scenarioData[index];
+    return {
+      month: baseMonth.month,
+      monthName: baseMonth.monthName,
+      period: baseMonth.period,
+      label: baseMonth.label,
+      baseCashInflow: baseMonth.totalCashInflow,
+      scenarioCashInflow: scenarioMonth.totalCashInflow,
+      baseNetCashflow: baseMonth.netCashflow,
+      scenarioNetCashflow: scenarioMonth.netCashflow,
+      difference: Math.round((scenarioMonth.netCashflow - baseMonth.netCashflow) * 100) / 100,
+      baseClosingBalance: baseMonth.closingBalance,
+      scenarioClosingBalance: scenarioMonth.closingBalance,
+      scenarioBelowBuffer: scenarioMonth.belowBuffer
+    };
+  });
+}
+
+module.exports = {
+  SCENARIO_TYPES,
+  ADJUSTMENT_TYPES,
+  validateScenario,
+  saveAdjustments,
+  loadScenario,
+  applyScenario,
+  compareForecasts
+};
@@ -0,0 +1,453 @@
+const db = require('../database/connection');
+const { calculateUpfrontInterest } = require('../utils/calculations');
+const { stageExclusionSql, canonicalStageSql } = require('./stageResolutions');
+const { loadInterestConventions } = require('./interestConventions');
+
+// Interest received above this share of the expected upfront interest is flagged
+const MAX_PAYMENT_COMPLETION = 150;
+// Allowed rounding difference between money and net + tax + fee
+const SPLIT_TOLERANCE = 0.01;
+
+const SEVERITIES = ['error', 'warning', 'info'];
+// open -> acknowledged or ignored by a user; resolved is set by the scan when the problem is gone
+const FINDING_STATUSES = ['open', 'acknowledged', 'ignored', 'resolved'];
+const USER_STATUSES = ['open', 'acknowledged', 'ignored'];
+
+const DATA_QUALITY_RULES = {
+  duplicate_project_name: {
+    severity: 'warning',
+    description: 'More than one project has the same name'
+  },
+  duplicate_stage: {
+    severity: 'error',
+    description: 'Stages with identical loan amount, start date and repayment date that have not been excluded or merged'
+  },
+  payment_completion_over_limit: {
+    severity: 'warning',
+    description: `Interest received is more than ${MAX_PAYMENT_COMPLETION}% of the expected upfront interest`
+  },
+  non_positive_interest_payment: {
+    severity: 'error',
+    description: 'invest_interest payment with zero or negative money'
+  },
+  interest_split_mismatch: {
+    severity: 'warning',
+    description: 'invest_interest net + tax + fee does not add up to money'
+  },
+  funding_after_stage_end: {
+    severity: 'warning',
+    description: 'Investor funding dated after the stage repayment date'
+  }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+function finding(rule, { entityType, entityId, projectId = null, stageId = null, message, details }) {
+  return {
+    rule,
+    severity: DATA_QUALITY_RULES[rule].severity,
+    entityType,
+    entityId: String(entityId),
+    projectId,
+    stageId,
+    message,
+    details
+  };
+}
+
+async function checkDuplicateProjectNames() {
+  const rows = await db.query(`
+    SELECT
+      LOWER(TRIM(p.name)) as normalized_name,
+      GROUP_CONCAT(p.id ORDER BY p.id) as project_ids,
+      GROUP_CONCAT(DISTINCT p.name ORDER BY p.id SEPARATOR ' | ') as names,
+      COUNT(*) as project_count
+    FROM project p
+    WHERE p.name IS NOT NULL AND TRIM(p.name) <> ''
+    GROUP BY LOWER(TRIM(p.name))
+    HAVING COUNT(*) > 1
+  `);
+
+  return rows.map(row => {
+    const projectIds = row.project_ids.split(',').map(Number);
+    return finding('duplicate_project_name', {
+      entityType: 'project',
+      entityId: row.normalized_name,
+      projectId: projectIds[0],
+      message: `${row.project_count} projects are named "${row.names}"`,
+      details: { projectIds, names: row.names.split(' | ') }
+    });
+  });
+}
+
+async function checkDuplicateStages() {
+  const rows = await db.query(`
+    SELECT
+      s.loan_amount,
+      s.loan_start_date,
+      s.loan_repayment_date,
+      GROUP_CONCAT(s.id ORDER BY s.id) as stage_ids,
+      GROUP_CONCAT(DISTINCT s.project_id ORDER BY s.id) as project_ids,
+      MIN(p.name) as project_title,
+      COUNT(*) as stage_count
+    FROM stage s
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE s.loan_amount > 0
+      AND s.loan_start_date IS NOT NULL
+      AND s.loan_repayment_date IS NOT NULL
+      AND ${stageExclusionSql('s.id')}
+    GROUP BY s.loan_amount, s.loan_start_date, s.loan_repayment_date
+    HAVING COUNT(*) > 1
+  `);
+
+  return rows.map(row => {
+    const stageIds = row.stage_ids.split(',').map(Number);
+    const projectIds = row.project_ids.split(',').map(Number);
+    return finding('duplicate_stage', {
+      entityType: 'stage',
+      entityId: stageIds.join(','),
+      projectId: projectIds[0],
+      stageId: stageIds[0],
+      message: `Stages ${stageIds.join(', ')} (${row.project_title || 'unknown project'}) share amount $${parseFloat(row.loan_amount).toFixed(2)} ` +
+        `and dates ${formatDate(row.loan_start_date)} to ${formatDate(row.loan_repayment_date)}`,
+      details: {
+        stageIds,
+        projectIds,
+        loanAmount: parseFloat(row.loan_amount),
+        startDate: formatDate(row.loan_start_date),
+        repaymentDate: formatDate(row.loan_repayment_date)
+      }
+    });
+  });
+}
+
+// Same expected-interest model and loan scope as the loans endpoint's payment_completion; payments recorded
+// against a merged duplicate count towards its canonical stage
+async function checkPaymentCompletion() {
+  const rows = await db.query(`
+    SELECT
+      s.id,
+      s.project_id,
+      s.loan_amount,
+      s.interest_rate,
+      s.loan_start_date,
+      s.loan_repayment_date,
+      MAX(p.name) as project_title,
+      SUM(ii.money) as total_interest_paid,
+      COUNT(ii.id) as payment_count
+    FROM stage s
+    JOIN invest_interest ii ON ${canonicalStageSql('ii.stage_id')} = s.id
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE s.status IN ('operating', 'performing')
+      AND s.loan_start_date IS NOT NULL
+      AND s.loan_repayment_date IS NOT NULL
+      AND ${stageExclusionSql('s.id')}
+    GROUP BY s.id
+  `);
+  const interestConventions = await loadInterestConventions();
+
+  return rows.flatMap(row => {
+    const expected = calculateUpfrontInterest(
+      parseFloat(row.loan_amount),
+      row.interest_rate,
+      row.loan_start_date,
+      row.loan_repayment_date,
+      interestConventions.forStage(row.id).dayCount
+    ).totalInterest;
+    const paid = parseFloat(row.total_interest_paid || 0);
+    if (!(expected > 0)) return [];
+
+    const completion = Math.round((paid / expected) * 100);
+    if (completion <= MAX_PAYMENT_COMPLETION) return [];
+
+    return [finding('payment_completion_over_limit', {
+      entityType: 'stage',
+      entityId: row.id,
+      projectId: row.project_id,
+      stageId: row.id,
+      message: `${row.project_title || 'Stage ' + row.id}: $${paid.toFixed(2)} received against $${expected.toFixed(2)} expected (${completion}%)`,
+      details: {
+        expectedInterest: round(expected),
+        totalInterestPaid: round(paid),
+        paymentCompletion: completion,
+        paymentCount: row.payment_count
+      }
+    })];
+  });
+}
+
+async function checkNonPositiveInterestPayments() {
+  const rows = await db.query(`
+    SELECT ii.id, ii.stage_id, ii.investor_id, ii.date, ii.money, s.project_id, p.name as project_title
+    FROM invest_interest ii
+    LEFT JOIN stage s ON ii.stage_id = s.id
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE ii.money IS NULL OR ii.money <= 0
+  `);
+
+  return rows.map(row => finding('non_positive_interest_payment', {
+    entityType: 'invest_interest',
+    entityId: row.id,
+    projectId: row.project_id,
+    stageId: row.stage_id,
+    message: `Interest payment ${row.id} (${row.project_title || 'stage ' + row.stage_id}, investor ${row.investor_id}) ` +
+      `on ${formatDate(row.date)} has money ${row.money === null ? 'NULL' : parseFloat(row.money).toFixed(2)}`,
+    details: {
+      investorId: row.investor_id,
+      date: formatDate(row.date),
+      money: row.money === null ? null : parseFloat(row.money)
+    }
+  }));
+}
+
+async function checkInterestSplit() {
+  const rows = await db.query(`
+    SELECT ii.id, ii.stage_id, ii.investor_id, ii.date, ii.money, ii.net, ii.tax, ii.fee, s.project_id
+    FROM invest_interest ii
+    LEFT JOIN stage s ON ii.stage_id = s.id
+    WHERE ii.net IS NOT NULL
+      AND ABS(ii.net + COALESCE(ii.tax, 0) + COALESCE(ii.fee, 0) - COALESCE(ii.money, 0)) > ?
+  `, [SPLIT_TOLERANCE]);
+
+  return rows.map(row => {
+    const money = parseFloat(row.money || 0);
+    const net = parseFloat(row.net);
+    const tax = parseFloat(row.tax || 0);
+    const fee = parseFloat(row.fee || 0);
+    return finding('interest_split_mismatch', {
+      entityType: 'invest_interest',
+      entityId: row.id,
+      projectId: row.project_id,
+      stageId: row.stage_id,
+      message: `Interest payment ${row.id}: net ${net.toFixed(2)} + tax ${tax.toFixed(2)} + fee ${fee.toFixed(2)} ` +
+        `= ${(net + tax + fee).toFixed(2)}, but money is ${money.toFixed(2)}`,
+      details: {
+        investorId: row.investor_id,
+        date: formatDate(row.date),
+        money,
+        net,
+        tax,
+        fee,
+        difference: round(net + tax + fee - money)
+      }
+    });
+  });
+}
+
+async function checkFundingAfterStageEnd() {
+  const rows = await db.query(`
+    SELECT
+      inf.id,
+      inf.stage_id,
+      inf.investor_id,
+      inf.value,
+      COALESCE(inf.transcation_date, inf.start_date) as funded_date,
+      s.loan_repayment_date,
+      s.project_id,
+      p.name as project_title
+    FROM invest_funding inf
+    JOIN stage s ON inf.stage_id = s.id
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE inf.type = 'Investment'
+      AND s.loan_repayment_date IS NOT NULL
+      AND COALESCE(inf.transcation_date, inf.start_date) > s.loan_repayment_date
+  `);
+
+  return rows.map(row => finding('funding_after_stage_end', {
+    entityType: 'invest_funding',
+    entityId: row.id,
+    projectId: row.project_id,
+    stageId: row.stage_id,
+    message: `Funding ${row.id} (${row.project_title || 'stage ' + row.stage_id}, investor ${row.investor_id}) dated ` +
+      `${formatDate(row.funded_date)} is after the stage repayment date ${formatDate(row.loan_repayment_date)}`,
+    details: {
+      investorId: row.investor_id,
+      amount: parseFloat(row.value || 0),
+      fundedDate: formatDate(row.funded_date),
+      repaymentDate: formatDate(row.loan_repayment_date)
+    }
+  }));
+}
+
+const RULE_CHECKS = {
+  duplicate_project_name: checkDuplicateProjectNames,
+  duplicate_stage: checkDuplicateStages,
+  payment_completion_over_limit: checkPaymentCompletion,
+  non_positive_interest_payment: checkNonPositiveInterestPayments,
+  interest_split_mismatch: checkInterestSplit,
+  funding_after_stage_end: checkFundingAfterStageEnd
+};
+
+// Run every rule and persist the results: new findings are inserted, repeat findings refreshed
+// (a resolved one reopens), and open or acknowledged findings not seen this run are resolved.
+// Ignored findings keep their status either way.
+async function runDataQualityScan({ source = 'manual', createdBy = 'manual' } = {}) {
+  const runResult = await db.query(
+    'INSERT INTO data_quality_runs (source, started_at, created_by) VALUES (?, NOW(), ?)',
+    [source, createdBy]
+  );
+  const runId = runResult.insertId;
+
+  const findings = [];
+  for (const check of Object.values(RULE_CHECKS)) {
+    findings.push(...await check());
+  }
+
+  let newCount = 0;
+  for (const f of findings) {
+    // resolved_at is assigned before status because MySQL applies these assignments left to right
+    const result = await db.query(`
+      INSERT INTO data_quality_findings
+        (rule, severity, entity_type, entity_id, project_id, stage_id, message, details, first_run_id, last_run_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        severity = VALUES(severity),
+        project_id = VALUES(project_id),
+        stage_id = VALUES(stage_id),
+        message = VALUES(message),
+        details = VALUES(details),
+        last_run_id = VALUES(last_run_id),
+        last_seen_at = NOW(),
+        resolved_at = IF(status = 'resolved', NULL, resolved_at),
+        status = IF(status = 'resolved', 'open', status)
+    `, [
+      f.rule,
+      f.severity,
+      f.entityType,
+      f.entityId,
+      f.projectId,
+      f.stageId,
+      f.message,
+      JSON.stringify(f.details),
+      runId,
+      runId
+    ]);
+    // affectedRows is 1 for an insert and 2 for an update
+    if (result.affectedRows === 1) newCount++;
+  }
+
+  const resolved = await db.query(`
+    UPDATE data_quality_findings
+    SET status = 'resolved', resolved_at = NOW()
+    WHERE last_run_id <> ? AND status IN ('open', 'acknowledged')
+  `, [runId]);
+
+  await db.query(`
+    UPDATE data_quality_runs
+    SET finished_at = NOW(), findings_count = ?, new_count = ?, resolved_count = ?
+    WHERE id = ?
+  `, [findings.length, newCount, resolved.affectedRows, runId]);
+
+  console.log(`🧹 Data quality scan ${runId} (${source}): ${findings.length} findings, ${newCount} new, ${resolved.affectedRows} resolved`);
+
+  return {
+    runId,
+    findingsCount: findings.length,
+    newCount,
+    resolvedCount: resolved.affectedRows
+  };
+}
+
+function parseFinding(row) {
+  return {
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null
+  };
+}
+
+async function findFinding(id) {
+  const [row] = await db.query('SELECT * FROM data_quality_findings WHERE id = ?', [id]);
+  return row ? parseFinding(row) : null;
+}
+
+// Findings, most severe and most recently seen first. status defaults to everything still
+// needing attention (open and acknowledged); pass 'all' for every status.
+async function getFindings({ status, severity, rule, stageId, limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (!status) {
+    conditions.push("f.status IN ('open', 'acknowledged')");
+  } else if (status !== 'all') {
+    conditions.push('f.status = ?');
+    params.push(status);
+  }
+  if (severity) {
+    conditions.push('f.severity = ?');
+    params.push(severity);
+  }
+  if (rule) {
+    conditions.push('f.rule = ?');
+    params.push(rule);
+  }
+  if (stageId) {
+    conditions.push('f.stage_id = ?');
+    params.push(parseInt(stageId));
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [{ total }] = await db.query(`SELECT COUNT(*) as total FROM data_quality_findings f ${where}`, params);
+  const rows = await db.query(`
+    SELECT f.*, p.name as project_title
+    FROM data_quality_findings f
+    LEFT JOIN project p ON f.project_id = p.id
+    ${where}
+    ORDER BY FIELD(f.severity, ${SEVERITIES.map(() => '?').join(', ')}), f.last_seen_at DESC, f.id DESC
+    LIMIT ${Math.min(parseInt(limit) || 100, 1000)} OFFSET ${Math.max(parseInt(offset) || 0, 0)}
+  `, [...params, ...SEVERITIES]);
+
+  return { total, findings: rows.map(parseFinding) };
+}
+
+// Counts of findings still needing attention, by severity and by rule
+async function getFindingSummary() {
+  const rows = await db.query(`
+    SELECT rule, severity, COUNT(*) as count
+    FROM data_quality_findings
+    WHERE status IN ('open', 'acknowledged')
+    GROUP BY rule, severity
+  `);
+
+  const bySeverity = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+  const byRule = Object.fromEntries(Object.keys(DATA_QUALITY_RULES).map(r => [r, 0]));
+  rows.forEach(row => {
+    bySeverity[row.severity] = (bySeverity[row.severity] || 0) + row.count;
+    byRule[row.rule] = (byRule[row.rule] || 0) + row.count;
+  });
+
+  return { total: rows.reduce((sum, row) => sum + row.count, 0), bySeverity, byRule };
+}
+
+async function listRuns(limit = 20) {
+  return db.query(`
+    SELECT * FROM data_quality_runs
+    ORDER BY started_at DESC, id DESC
+    LIMIT ${Math.min(parseInt(limit) || 20, 200)}
+  `);
+}
+
+// Set a finding to open, acknowledged or ignored; returns the before and after rows, or null when not found
+async function updateFindingStatus(id, { status, note = null, changedBy = 'manual' }) {
+  const before = await findFinding(id);
+  if (!before) return null;
+
+  await db.query(`
+    UPDATE data_quality_findings
+    SET status = ?, status_note = ?, status_changed_by = ?, status_changed_at = NOW()
+    WHERE id = ?
+  `, [status, note, changedBy, id]);
+
+  return { before, after: await findFinding(id) };
+}
+
+module.exports = {
+  DATA_QUALITY_RULES,
+  SEVERITIES,
+  FINDING_STATUSES,
+  USER_STATUSES,
+  runDataQualityScan,
+  getFindings,
+  getFindingSummary,
+  listRuns,
+  updateFindingStatus
+};
@@ -0,0 +1,241 @@
+const db = require('../database/connection');
+const { calculateDefaultInterest, getLoanStatus } = require('../utils/calculations');
+const { loadStatusOverrides, overrideInclusionSql } = require('./statusOverrides');
+const { stageExclusionSql } = require('./stageResolutions');
+const { toDateKey, isHistorical } = require('../utils/referenceDate');
+
+// Loan statuses (from getLoanStatus) that put a stage into default
+const DEFAULT_INTEREST_STATUSES = ['overdue', 'overdue-extension'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Today's local date (the job runs at 01:00 Sydney time, before the UTC date rolls over) at UTC midnight,
+// matching how DATE columns come back from the pool
+function localToday() {
+  return new Date(toDateKey(new Date()));
+}
+
+// Sum the ledger per stage; returns { [stageId]: balance }
+async function getDefaultInterestBalances() {
+  const rows = await db.query(`
+    SELECT
+      stage_id,
+      SUM(amount) as accrued_amount,
+      SUM(days) as accrued_days,
+      MIN(period_start) as accruing_since,
+      MAX(period_end) as accrued_to
+    FROM default_interest_ledger
+    GROUP BY stage_id
+  `);
+
+  const balances = {};
+  rows.forEach(row => {
+    balances[row.stage_id] = {
+      accruedDefaultInterest: Math.round(parseFloat(row.accrued_amount || 0) * 100) / 100,
+      accruedDays: parseInt(row.accrued_days || 0),
+      accruingSince: row.accruing_since,
+      accruedTo: row.accrued_to
+    };
+  });
+  return balances;
+}
+
+function defaultedLoans(loans) {
+  return loans.filter(loan =>
+    DEFAULT_INTEREST_STATUSES.includes(loan.loanStatus) && parseFloat(loan.defaultRate) > 0
+  );
+}
+
+// Default interest not yet in the ledger for a defaulted loan: from its last accrual (or the repayment
+// date) to today
+function unaccruedDefaultInterest(loan, lastPeriodEnd, today) {
+  const periodStart = new Date(lastPeriodEnd || loan.repaymentDate);
+  const days = Math.floor((today - periodStart) / DAY_MS);
+  const principal = parseFloat(loan.principal);
+  const defaultRate = parseFloat(loan.defaultRate);
+  return {
+    periodStart,
+    days,
+    principal,
+    defaultRate,
+    amount: days > 0 ? calculateDefaultInterest(principal, defaultRate, days) : 0
+  };
+}
+
+// Add the current daily accrual so callers can project forward
+function withDailyAccrual(balances, loans, defaulted) {
+  loans.forEach(loan => {
+    if (!balances[loan.stageId]) return;
+    balances[loan.stageId].isAccruing = defaulted.some(d => d.stageId === loan.stageId);
+    balances[loan.stageId].dailyAccrual = balances[loan.stageId].isAccruing ?
+      Math.round(calculateDefaultInterest(parseFloat(loan.principal), parseFloat(loan.defaultRate), 1) * 100) / 100 : 0;
+  });
+  return balances;
+}
+
+// Accrue default interest for every defaulted loan up to today and return ledger balances per stage.
+// loans: [{ stageId, principal, defaultRate, repaymentDate, loanStatus }]
+// Accrual starts on the repayment date and continues from the last ledger entry, so calling this
+// repeatedly only adds the days that have passed since the previous run. Only the scheduled
+// default interest job writes the ledger; requests read it through currentDefaultInterest.
+async function accrueDefaultInterest(loans) {
+  const today = localToday();
+  const defaulted = defaultedLoans(loans);
+
+  if (defaulted.length > 0) {
+    const lastAccruals = await db.query(`
+      SELECT stage_id, MAX(period_end) as last_period_end
+      FROM default_interest_ledger
+      GROUP BY stage_id
+    `);
+
+    for (const loan of defaulted) {
+      const lastAccrual = lastAccruals.find(row => row.stage_id === loan.stageId);
+      const { periodStart, days, principal, defaultRate, amount } =
+        unaccruedDefaultInterest(loan, lastAccrual ? lastAccrual.last_period_end : null, today);
+
+      if (days <= 0) continue;
+
+      await db.query(`
+        INSERT IGNORE INTO default_interest_ledger
+          (stage_id, period_start, period_end, days, principal, default_rate, amount, loan_status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        loan.stageId,
+        periodStart.toISOString().slice(0, 10),
+        today.toISOString().slice(0, 10),
+        days,
+        principal,
+        defaultRate,
+        Math.round(amount * 100) / 100,
+        loan.loanStatus
+      ]);
+
+      console.log(`⚖️ Accrued ${days} day(s) of default interest for stage ${loan.stageId}: $${amount.toFixed(2)}`);
+    }
+  }
+
+  return withDailyAccrual(await getDefaultInterestBalances(), loans, defaulted);
+}
+
+// Ledger balances up to today without writing: the days since the last accrual run are added to the
+// balance the same way the next run will add them to the ledger.
+// loans: [{ stageId, principal, defaultRate, repaymentDate, loanStatus }]
+async function currentDefaultInterest(loans) {
+  const today = localToday();
+  const defaulted = defaultedLoans(loans);
+  const balances = await getDefaultInterestBalances();
+
+  defaulted.forEach(loan => {
+    const balance = balances[loan.stageId];
+    const { days, amount } = unaccruedDefaultInterest(loan, balance ? balance.accruedTo : null, today);
+    if (days <= 0) return;
+
+    const current = balance || { accruedDefaultInterest: 0, accruedDays: 0, accruingSince: loan.repaymentDate };
+    balances[loan.stageId] = {
+      ...current,
+      accruedDefaultInterest: Math.round((current.accruedDefaultInterest + amount) * 100) / 100,
+      accruedDays: current.accruedDays + days,
+      accruedTo: today
+    };
+  });
+
+  return withDailyAccrual(balances, loans, defaulted);
+}
+
+// Accrue the ledger for every active loan in default (the scheduled job). Loans are scoped and their
+// status worked out the same way as the loans endpoint.
+async function accrueOverdueLoans() {
+  const today = new Date();
+  const statusOverrides = await loadStatusOverrides();
+  const loans = await db.query(`
+    SELECT
+      s.id,
+      s.project_id,
+      s.loan_amount,
+      s.loan_start_date,
+      s.loan_repayment_date,
+      s.loan_expiry_date,
+      s.default_rate,
+      DATEDIFF(s.loan_repayment_date, ?) as days_to_maturity
+    FROM stage s
+    WHERE s.status IN ('operating', 'performing')
+      AND s.default_rate > 0
+      AND (${overrideInclusionSql('s')} OR s.loan_repayment_date >= ?)
+      AND ${stageExclusionSql('s.id')}
+  `, [toDateKey(today), toDateKey(today)]);
+
+  const balances = await accrueDefaultInterest(loans.map(loan => ({
+    stageId: loan.id,
+    principal: loan.loan_amount,
+    defaultRate: loan.default_rate,
+    repaymentDate: loan.loan_repayment_date,
+    loanStatus: getLoanStatus(
+      loan.project_id,
+      loan.loan_start_date,
+      loan.loan_repayment_date,
+      loan.days_to_maturity,
+      loan.loan_expiry_date,
+      statusOverrides.rulesFor(loan.project_id, loan.id),
+      today
+    )
+  })));
+
+  return Object.values(balances).filter(balance => balance.isAccruing).length;
+}
+
+// Default interest a forecast run as at a past date would have seen: accrued from the repayment date to
+// asOf at the current default rate. Reads nothing from the ledger and writes nothing to it.
+// loans: [{ stageId, principal, defaultRate, repaymentDate, loanStatus }]
+function estimateDefaultInterest(loans, asOf) {
+  const asOfUtc = new Date(Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate()));
+  const balances = {};
+
+  loans
+    .filter(loan => DEFAULT_INTEREST_STATUSES.includes(loan.loanStatus) && parseFloat(loan.defaultRate) > 0)
+    .forEach(loan => {
+      const days = Math.floor((asOfUtc - new Date(loan.repaymentDate)) / DAY_MS);
+      if (days <= 0) return;
+
+      const principal = parseFloat(loan.principal);
+      const defaultRate = parseFloat(loan.defaultRate);
+      balances[loan.stageId] = {
+        accruedDefaultInterest: Math.round(calculateDefaultInterest(principal, defaultRate, days) * 100) / 100,
+        accruedDays: days,
+        accruingSince: loan.repaymentDate,
+        accruedTo: asOfUtc,
+        isAccruing: true,
+        dailyAccrual: Math.round(calculateDefaultInterest(principal, defaultRate, 1) * 100) / 100
+      };
+    });
+
+  return balances;
+}
+
+// Default interest balances as of a reference date: the ledger brought up to today for a current run,
+// or an estimate for a past asOf. Never writes the ledger.
+async function defaultInterestAsOf(loans, asOf) {
+  return isHistorical(asOf) ? estimateDefaultInterest(loans, asOf) : currentDefaultInterest(loans);
+}
+
+// Ledger rows for a single stage, oldest first (upTo: YYYY-MM-DD, only periods ending on or before it)
+async function getDefaultInterestLedger(stageId, upTo = null) {
+  return db.query(`
+    SELECT id, period_start, period_end, days, principal, default_rate, amount, loan_status, created_at
+    FROM default_interest_ledger
+    WHERE stage_id = ?
+      AND (? IS NULL OR period_end <= ?)
+    ORDER BY period_start ASC
+  `, [stageId, upTo, upTo]);
+}
+
+module.exports = {
+  DEFAULT_INTEREST_STATUSES,
+  accrueDefaultInterest,
+  accrueOverdueLoans,
+  currentDefaultInterest,
+  estimateDefaultInterest,
+  defaultInterestAsOf,
+  getDefaultInterestBalances,
+  getDefaultInterestLedger
+};
@@ -0,0 +1,287 @@
+const db = require('../database/connection');
+const {
+  loadCashflowInputs,
+  buildMonthlyCashflow,
+  summarizeCashflow
+} = require('./cashflowForecast');
+const { stageExclusionSql, excludedStageSql, canonicalStageSql } = require('./stageResolutions');
+const { internalAccountExclusionSql } = require('./internalAccounts');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Snapshots saved at the same time can both read the same next version; the unique key on version
+// rejects the second insert, whose transaction then rolls back and retries with a fresh one
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Insert the snapshot header and its lines ({ month, lines } per month) in one transaction
+async function insertSnapshot(values, monthLines) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await db.transaction(async (connection) => {
+        const [{ next_version: version }] = await connection.query(
+          'SELECT COALESCE(MAX(version), 0) + 1 as next_version FROM cashflow_forecast_snapshots'
+        );
+        const result = await connection.query(`
+          INSERT INTO cashflow_forecast_snapshots
+            (version, label, source, months, snapshot_date, monthly_totals, summary, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [version, ...values]);
+        const snapshotId = result.insertId;
+
+        for (const { month, lines } of monthLines) {
+          await connection.query(`
+            INSERT INTO cashflow_forecast_snapshot_lines
+              (snapshot_id, month, component, stage_id, investor_id, amount, net_amount)
+            VALUES ${lines.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}
+          `, lines.flatMap(line => [snapshotId, month, ...line]));
+        }
+
+        return { snapshotId, version };
+      });
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY' || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+      console.log(`⚠️ Forecast snapshot version was taken (attempt ${attempt}), retrying with the next version`);
+    }
+  }
+}
+
+// Run the current forecast and store it as the next snapshot version
+async function createSnapshot({ label = null, months = 12, source = 'manual', createdBy = 'manual' } = {}) {
+  const { loanData, investorFunding } = await loadCashflowInputs(months);
+  const forecast = buildMonthlyCashflow(loanData, investorFunding, months);
+  const summary = summarizeCashflow(loanData, investorFunding, forecast);
+
+  // Month totals without the detail arrays, which go into the lines table
+  const monthlyTotals = forecast.data.map(month => ({
+    month: month.month,
+    monthName: month.monthName,
+    totalInterestReceivable: month.totalInterestReceivable,
+    totalPrincipalDue: month.totalPrincipalDue,
+    totalDefaultInterest: month.totalDefaultInterest,
+    totalCashInflow: month.totalCashInflow,
+    totalInvestorPayouts: month.totalInvestorPayouts,
+    netCashflow: month.netCashflow
+  }));
+
+  const monthLines = forecast.data.map(month => ({
+    month: month.month,
+    lines: [
+      ...month.interestPayments.map(p => ['interest', p.stageId, null, round(p.grossAmount), round(p.netAmount)]),
+      ...month.loanMaturies.map(m => ['principal', m.stageId, null, round(m.amount), round(m.amount)]),
+      ...month.investorPayouts
+        .filter(p => !p.excludedFromOutflows)
+        .map(p => ['payout', p.stageId, p.investorId, round(p.amount), round(p.amount)])
+    ]
+  })).filter(({ lines }) => lines.length > 0);
+  const lineCount = monthLines.reduce((sum, { lines }) => sum + lines.length, 0);
+
+  const { snapshotId, version } = await insertSnapshot([
+    label,
+    source,
+    months,
+    new Date().toISOString().slice(0, 10),
+    JSON.stringify(monthlyTotals),
+    JSON.stringify(summary),
+    createdBy
+  ], monthLines);
+
+  console.log(`📸 Saved forecast snapshot v${version} (${source}) with ${lineCount} lines`);
+
+  return { id: snapshotId, version, lineCount };
+}
+
+function parseSnapshot(row) {
+  return {
+    ...row,
+    monthly_totals: JSON.parse(row.monthly_totals),
+    summary: JSON.parse(row.summary)
+  };
+}
+
+async function listSnapshots() {
+  return db.query(`
+    SELECT id, version, label, source, months, snapshot_date, created_by, created_at
+    FROM cashflow_forecast_snapshots
+    ORDER BY version DESC
+  `);
+}
+
+// Load a snapshot with its monthly totals; returns null when it does not exist
+async function getSnapshot(snapshotId) {
+  const [row] = await db.query('SELECT * FROM cashflow_forecast_snapshots WHERE id = ?', [snapshotId]);
+  return row ? parseSnapshot(row) : null;
+}
+
+const emptyComponent = () => ({ forecast: 0, actual: 0 });
+
+function withVariance(component) {
+  const forecast = round(component.forecast);
+  const actual = round(component.actual);
+  return {
+    ...component,
+    forecast,
+    actual,
+    variance: round(actual - forecast),
+    variancePercent: forecast !== 0 ? round(((actual - forecast) / forecast) * 100) : null
+  };
+}
+
+// Compare one month of a snapshot against what actually happened, by stage and by component.
+// Interest actuals are invest_interest receipts dated in the month, by canonical stage. Payout actuals are investor
+// reminders marked paid for that month, at the recorded amount paid (else the scheduled amount: the
+// investor's funding in the stage, totalled first so each reminder is counted once). Principal is
+// received in the month its borrower principal reminder was marked paid; a stage without one that
+// is no longer operating/performing counts as repaid on its repayment date.
+async function calculateVariance(snapshot, month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const monthStart = new Date(Date.UTC(year, monthIndex - 1, 1)).toISOString().slice(0, 10);
+  const monthEnd = new Date(Date.UTC(year, monthIndex, 0)).toISOString().slice(0, 10);
+
+  const forecastLines = await db.query(`
+    SELECT component, stage_id, SUM(amount) as amount, SUM(net_amount) as net_amount
+    FROM cashflow_forecast_snapshot_lines
+    WHERE snapshot_id = ? AND month = ?
+    GROUP BY component, stage_id
+  `, [snapshot.id, month]);
+
+  const actualInterest = await db.query(`
+    SELECT ${canonicalStageSql('ii.stage_id')} as stage_id, SUM(ii.money) as amount, SUM(ii.net) as net_amount
+    FROM invest_interest ii
+    WHERE ii.date BETWEEN ? AND ?
+      AND ${excludedStageSql('ii.stage_id')}
+    GROUP BY 1
+  `, [monthStart, monthEnd]);
+  const actualPayouts = await db.query(`
+    SELECT ipr.stage_id, SUM(COALESCE(ipr.amount_paid, funding.monthly_amount)) as amount
+    FROM investor_payment_reminders ipr
+    JOIN (
+      SELECT
+        ${canonicalStageSql('inf.stage_id')} as stage_id,
+        inf.investor_id,
+        SUM(inf.value * inf.income_rate / 12) as monthly_amount
+      FROM invest_funding inf
+      WHERE inf.type = 'Investment'
+        AND ${excludedStageSql('inf.stage_id')}
+      GROUP BY 1, 2
+    ) funding ON funding.stage_id = ipr.stage_id AND funding.investor_id = ipr.investor_id
+    LEFT JOIN account a ON ipr.investor_id = a.id
+    WHERE ipr.is_paid = TRUE
+      AND ipr.scheduled_date BETWEEN ? AND ?
+      AND ${internalAccountExclusionSql('a')}
+    GROUP BY ipr.stage_id
+  `, [monthStart, monthEnd]);
+
+  const repaidStages = await db.query(`
+    SELECT s.id, s.loan_amount
+    FROM stage s
+    LEFT JOIN borrower_reminder_status brs ON brs.stage_id = s.id
+      AND brs.reminder_type = 'principal_payment'
+      AND brs.status = 'paid'
+    WHERE s.loan_amount > 0
+      AND ${stageExclusionSql('s.id')}
+      AND (
+        DATE(brs.status_changed_at) BETWEEN ? AND ?
+        OR (brs.id IS NULL AND s.status NOT IN ('operating', 'performing') AND s.loan_repayment_date BETWEEN ? AND ?)
+      )
+  `, [monthStart, monthEnd, monthStart, monthEnd]);
+
+  const stages = {};
+  const stageEntry = (stageId) => {
+    if (!stages[stageId]) {
+      stages[stageId] = {
+        stageId,
+        interest: { ...emptyComponent(), forecastNet: 0, actualNet: 0 },
+        principal: emptyComponent(),
+        payouts: emptyComponent()
+      };
+    }
+    return stages[stageId];
+  };
+
+  forecastLines.forEach(line => {
+    const entry = stageEntry(line.stage_id);
+    if (line.component === 'interest') {
+      entry.interest.forecast += parseFloat(line.amount);
+      entry.interest.forecastNet += parseFloat(line.net_amount);
+    } else if (line.component === 'principal') {
+      entry.principal.forecast += parseFloat(line.amount);
+    } else if (line.component === 'payout') {
+      entry.payouts.forecast += parseFloat(line.amount);
+    }
+  });
+  actualInterest.forEach(row => {
+    const entry = stageEntry(row.stage_id);
+    entry.interest.actual += parseFloat(row.amount || 0);
+    entry.interest.actualNet += parseFloat(row.net_amount || 0);
+  });
+  repaidStages.forEach(row => {
+    stageEntry(row.id).principal.actual += parseFloat(row.loan_amount);
+  });
+  actualPayouts.forEach(row => {
+    stageEntry(row.stage_id).payouts.actual += parseFloat(row.amount || 0);
+  });
+
+  const stageIds = Object.keys(stages).map(Number);
+  const titles = stageIds.length > 0 ? await db.query(`
+    SELECT s.id, p.name as project_title
+    FROM stage s
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE s.id IN (${stageIds.map(() => '?').join(', ')})
+  `, stageIds) : [];
+
+  const totals = {
+    interest: { ...emptyComponent(), forecastNet: 0, actualNet: 0 },
+    principal: emptyComponent(),
+    payouts: emptyComponent()
+  };
+
+  const byStage = Object.values(stages).map(entry => {
+    ['interest', 'principal', 'payouts'].forEach(component => {
+      Object.keys(totals[component]).forEach(key => {
+        totals[component][key] += entry[component][key];
+      });
+    });
+
+    const title = titles.find(t => t.id === entry.stageId);
+    return {
+      stageId: entry.stageId,
+      projectTitle: title ? title.project_title : null,
+      interest: withVariance({
+        ...entry.interest,
+        forecastNet: round(entry.interest.forecastNet),
+        actualNet: round(entry.interest.actualNet)
+      }),
+      principal: withVariance(entry.principal),
+      payouts: withVariance(entry.payouts)
+    };
+  }).sort((a, b) => a.stageId - b.stageId);
+
+  // Net position uses net interest, matching netCashflow in the forecast
+  const net = withVariance({
+    forecast: totals.interest.forecastNet + totals.principal.forecast - totals.payouts.forecast,
+    actual: totals.interest.actualNet + totals.principal.actual - totals.payouts.actual
+  });
+
+  return {
+    month,
+    period: { start: monthStart, end: monthEnd },
+    components: {
+      interest: withVariance({
+        ...totals.interest,
+        forecastNet: round(totals.interest.forecastNet),
+        actualNet: round(totals.interest.actualNet)
+      }),
+      principal: withVariance(totals.principal),
+      payouts: withVariance(totals.payouts)
+    },
+    net,
+    stages: byStage
+  };
+}
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  calculateVariance
+};
@@ -0,0 +1,145 @@
+const db = require('../database/connection');
+const { DAY_COUNT_CONVENTIONS } = require('../utils/dayCount');
+const {
+  BUSINESS_DAY_CONVENTIONS,
+  DEFAULT_CALENDAR,
+  availableCalendars
+} = require('../utils/businessDays');
+
+const VALID_DAY_COUNTS = Object.values(DAY_COUNT_CONVENTIONS);
+const VALID_BUSINESS_DAYS = Object.values(BUSINESS_DAY_CONVENTIONS);
+
+// What a stage or funding without a convention row uses: the loan book's original maths, paid on the scheduled date
+const DEFAULT_CONVENTION = {
+  dayCount: DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA,
+  businessDay: BUSINESS_DAY_CONVENTIONS.NONE,
+  calendar: DEFAULT_CALENDAR
+};
+
+// Conventions joined to the project name, whether they are set on a stage or on a funding
+const CONVENTION_SELECT = `
+  SELECT
+    ic.*,
+    COALESCE(ic.stage_id, inf.stage_id) as effective_stage_id,
+    inf.investor_id,
+    a.name as investor_name,
+    p.name as project_title
+  FROM interest_conventions ic
+  LEFT JOIN invest_funding inf ON ic.funding_id = inf.id
+  LEFT JOIN account a ON inf.investor_id = a.id
+  LEFT JOIN stage s ON s.id = COALESCE(ic.stage_id, inf.stage_id)
+  LEFT JOIN project p ON s.project_id = p.id
+`;
+
+// Validate a convention payload; returns an error message or null
+function validateConvention({ dayCount, businessDay, calendar }) {
+  if (dayCount !== undefined && !VALID_DAY_COUNTS.includes(dayCount)) {
+    return `dayCount must be one of: ${VALID_DAY_COUNTS.join(', ')}`;
+  }
+  if (businessDay !== undefined && !VALID_BUSINESS_DAYS.includes(businessDay)) {
+    return `businessDay must be one of: ${VALID_BUSINESS_DAYS.join(', ')}`;
+  }
+  if (calendar !== undefined && !availableCalendars().includes(calendar)) {
+    return `calendar must be one of: ${availableCalendars().join(', ')}`;
+  }
+  return null;
+}
+
+function toConvention(row) {
+  return {
+    dayCount: row.day_count,
+    businessDay: row.business_day,
+    calendar: row.calendar
+  };
+}
+
+async function findInterestConvention(id) {
+  const [convention] = await db.query(`${CONVENTION_SELECT} WHERE ic.id = ?`, [id]);
+  return convention || null;
+}
+
+// List conventions (?stageId= matches a stage's own row and the rows of its fundings)
+async function listInterestConventions({ stageId } = {}) {
+  return db.query(`
+    ${CONVENTION_SELECT}
+    ${stageId ? 'WHERE COALESCE(ic.stage_id, inf.stage_id) = ?' : ''}
+    ORDER BY effective_stage_id, ic.funding_id IS NOT NULL, ic.funding_id
+  `, stageId ? [parseInt(stageId)] : []);
+}
+
+// Create or replace the convention of one stage or funding; fields left out keep their current (or default) value.
+// Returns the before (null when new) and after rows.
+async function setInterestConvention({ stageId = null, fundingId = null, dayCount, businessDay, calendar, updatedBy = 'manual' }) {
+  const [existing] = await db.query(`
+    SELECT id FROM interest_conventions WHERE ${stageId ? 'stage_id' : 'funding_id'} = ?
+  `, [stageId || fundingId]);
+  const before = existing ? await findInterestConvention(existing.id) : null;
+  const current = before ? toConvention(before) : DEFAULT_CONVENTION;
+
+  const values = [
+    dayCount !== undefined ? dayCount : current.dayCount,
+    businessDay !== undefined ? businessDay : current.businessDay,
+    calendar !== undefined ? calendar : current.calendar,
+    updatedBy
+  ];
+
+  let id;
+  if (before) {
+    id = before.id;
+    await db.query(`
+      UPDATE interest_conventions SET day_count = ?, business_day = ?, calendar = ?, updated_by = ? WHERE id = ?
+    `, [...values, id]);
+  } else {
+    const result = await db.query(`
+      INSERT INTO interest_conventions (stage_id, funding_id, day_count, business_day, calendar, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [stageId, fundingId, ...values]);
+    id = result.insertId;
+  }
+
+  console.log(`📐 ${stageId ? `Stage ${stageId}` : `Funding ${fundingId}`} conventions: ${values.slice(0, 3).join(', ')}`);
+  return { before, after: await findInterestConvention(id) };
+}
+
+// Remove a convention so the stage or funding falls back to the default (or its stage); returns the removed row
+async function removeInterestConvention(id) {
+  const before = await findInterestConvention(id);
+  if (!before) return null;
+
+  await db.query('DELETE FROM interest_conventions WHERE id = ?', [id]);
+  return before;
+}
+
+// Load every convention and return lookups for a stage and for a funding (which falls back to its stage)
+async function loadInterestConventions() {
+  const conventions = await db.query(`
+    SELECT id, stage_id, funding_id, day_count, business_day, calendar
+    FROM interest_conventions
+  `);
+
+  const forStage = (stageId) => {
+    const row = conventions.find(c => c.stage_id !== null && c.stage_id === stageId);
+    return row ? toConvention(row) : { ...DEFAULT_CONVENTION };
+  };
+
+  return {
+    conventions,
+    forStage,
+    forFunding: (fundingId, stageId) => {
+      const row = conventions.find(c => c.funding_id !== null && c.funding_id === fundingId);
+      return row ? toConvention(row) : forStage(stageId);
+    }
+  };
+}
+
+module.exports = {
+  VALID_DAY_COUNTS,
+  VALID_BUSINESS_DAYS,
+  DEFAULT_CONVENTION,
+  validateConvention,
+  findInterestConvention,
+  listInterestConventions,
+  setInterestConvention,
+  removeInterestConvention,
+  loadInterestConventions
+};
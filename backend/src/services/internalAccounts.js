@@ -0,0 +1,17 @@
+// Goodland's own accounts hold funding like any investor, but their payouts stay in-house. An account is
+// internal when its name contains "goodland" (the forecast applies the same rule to investor names).
+
+// SQL predicate that is true for an internal account; accountAlias is the joined account table
+function internalAccountSql(accountAlias = 'a') {
+  return `LOWER(COALESCE(${accountAlias}.name, '')) LIKE '%goodland%'`;
+}
+
+// SQL predicate that drops internal accounts from investor totals, statements and analytics
+function internalAccountExclusionSql(accountAlias = 'a') {
+  return `LOWER(COALESCE(${accountAlias}.name, '')) NOT LIKE '%goodland%'`;
+}
+
+module.exports = {
+  internalAccountSql,
+  internalAccountExclusionSql
+};
@@ -0,0 +1,186 @@
+const db = require('../database/connection');
+const { recordAudit } = require('./auditLog');
+
+// Parse a reminder key: stageId|investorId|date
+function parseReminderKey(reminderKey) {
+  const [stageId, investorId, scheduledDate] = String(reminderKey || '').split('|');
+  if (!stageId || !investorId || !scheduledDate ||
+      Number.isNaN(parseInt(stageId)) || Number.isNaN(parseInt(investorId)) ||
+      Number.isNaN(new Date(scheduledDate).getTime())) {
+    return null;
+  }
+  return { stageId: parseInt(stageId), investorId: parseInt(investorId), scheduledDate };
+}
+
+// Validate payout details supplied when marking paid; returns an error message or null
+function validatePayoutDetails(details) {
+  if (!details) return null;
+
+  const { amountPaid, paymentDate, taxWithheld, feeWithheld, recordInterest } = details;
+  for (const [field, value] of Object.entries({ amountPaid, taxWithheld, feeWithheld })) {
+    if (value !== undefined && value !== null && value !== '' &&
+        (Number.isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+  if (paymentDate && Number.isNaN(new Date(paymentDate).getTime())) {
+    return 'paymentDate must be a valid date';
+  }
+  const amount = parseFloat(amountPaid || 0);
+  if (parseFloat(taxWithheld || 0) + parseFloat(feeWithheld || 0) > amount && amount > 0) {
+    return 'Tax and fee withheld cannot exceed the amount paid';
+  }
+  if (recordInterest && (!(amount > 0) || !paymentDate)) {
+    return 'amountPaid and paymentDate are required to record an interest payment';
+  }
+  return null;
+}
+
+const AUDITED_COLUMNS = `
+  is_paid, is_ignored, marked_paid_at, marked_ignored_at, marked_by_user, user_note,
+  amount_paid, payment_date, bank_reference, tax_withheld, fee_withheld, invest_interest_id
+`;
+
+// Mark an investor payment as paid, ignored or active again.
+// When paid with recordInterest, the payout is written to invest_interest (money/tax/fee/net) so the
+// next calculateBasePaymentDate run starts from this payment. Un-marking a paid reminder removes the
+// invest_interest row it created. The reminder and invest_interest changes are written to the audit log,
+// all in one transaction.
+async function markInvestorPaymentStatus({ reminderKey, isPaid, isIgnored, userNote, payout = null, actor = {} }) {
+  const { stageId, investorId, scheduledDate } = parseReminderKey(reminderKey);
+  const markedBy = actor.changedBy || 'manual';
+  return db.transaction(async (connection) => {
+    const selectReminder = () => connection.query(`
+      SELECT id, ${AUDITED_COLUMNS}
+      FROM investor_payment_reminders
+      WHERE stage_id = ? AND investor_id = ? AND scheduled_date = ?
+    `, [stageId, investorId, scheduledDate]);
+    const selectInterest = (id) => connection.query(`
+      SELECT id, stage_id, investor_id, date, money, tax, fee, net FROM invest_interest WHERE id = ?
+    `, [id]);
+
+    const [existing] = await selectReminder();
+
+    const details = isPaid && payout ? {
+      amountPaid: payout.amountPaid !== undefined && payout.amountPaid !== '' ? parseFloat(payout.amountPaid) : null,
+      paymentDate: payout.paymentDate || null,
+      bankReference: payout.bankReference || null,
+      taxWithheld: payout.taxWithheld !== undefined && payout.taxWithheld !== '' ? parseFloat(payout.taxWithheld) : null,
+      feeWithheld: payout.feeWithheld !== undefined && payout.feeWithheld !== '' ? parseFloat(payout.feeWithheld) : null
+    } : { amountPaid: null, paymentDate: null, bankReference: null, taxWithheld: null, feeWithheld: null };
+
+    let investInterestId = existing ? existing.invest_interest_id : null;
+
+    if (isPaid && payout && payout.recordInterest) {
+      const tax = details.taxWithheld || 0;
+      const fee = details.feeWithheld || 0;
+      const interestRow = [details.paymentDate, details.amountPaid, tax, fee, details.amountPaid - tax - fee];
+
+      const [interestBefore] = investInterestId ? await selectInterest(investInterestId) : [];
+
+      if (interestBefore) {
+        await connection.query(`
+          UPDATE invest_interest SET date = ?, money = ?, tax = ?, fee = ?, net = ? WHERE id = ?
+        `, [...interestRow, investInterestId]);
+      } else {
+        const result = await connection.query(`
+          INSERT INTO invest_interest (stage_id, investor_id, date, money, tax, fee, net)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [stageId, investorId, ...interestRow]);
+        investInterestId = result.insertId;
+      }
+      console.log(`💵 Recorded invest_interest row ${investInterestId} for stage ${stageId}, investor ${investorId}`);
+
+      const [interestAfter] = await selectInterest(investInterestId);
+      await recordAudit({
+        entityType: 'invest_interest',
+        entityId: investInterestId,
+        action: interestBefore ? 'update' : 'create',
+        before: interestBefore || null,
+        after: interestAfter,
+        reason: `Investor payment ${reminderKey} marked paid`,
+        actor
+      }, connection);
+    } else if (!isPaid && investInterestId) {
+      const [interestBefore] = await selectInterest(investInterestId);
+      await connection.query('DELETE FROM invest_interest WHERE id = ?', [investInterestId]);
+      console.log(`🗑️ Removed invest_interest row ${investInterestId} created when this payment was marked paid`);
+
+      await recordAudit({
+        entityType: 'invest_interest',
+        entityId: investInterestId,
+        action: 'delete',
+        before: interestBefore || null,
+        reason: `Investor payment ${reminderKey} marked ${isIgnored ? 'ignored' : 'unpaid'}`,
+        actor
+      }, connection);
+      investInterestId = null;
+    }
+
+    // Insert or update payment reminder status
+    await connection.query(`
+      INSERT INTO investor_payment_reminders
+        (stage_id, investor_id, scheduled_date, is_paid, is_ignored, marked_paid_at, marked_ignored_at, marked_by_user, user_note,
+         amount_paid, payment_date, bank_reference, tax_withheld, fee_withheld, invest_interest_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        is_paid = VALUES(is_paid),
+        is_ignored = VALUES(is_ignored),
+        marked_paid_at = VALUES(marked_paid_at),
+        marked_ignored_at = VALUES(marked_ignored_at),
+        marked_by_user = VALUES(marked_by_user),
+        user_note = VALUES(user_note),
+        amount_paid = VALUES(amount_paid),
+        payment_date = VALUES(payment_date),
+        bank_reference = VALUES(bank_reference),
+        tax_withheld = VALUES(tax_withheld),
+        fee_withheld = VALUES(fee_withheld),
+        invest_interest_id = VALUES(invest_interest_id),
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      stageId,
+      investorId,
+      scheduledDate,
+      isPaid || false,
+      isIgnored || false,
+      isPaid ? new Date() : null,
+      isIgnored ? new Date() : null,
+      markedBy,
+      userNote || null,
+      details.amountPaid,
+      details.paymentDate,
+      details.bankReference,
+      details.taxWithheld,
+      details.feeWithheld,
+      investInterestId
+    ]);
+
+    const [after] = await selectReminder();
+    await recordAudit({
+      entityType: 'investor_payment_reminder',
+      entityId: reminderKey,
+      action: isPaid ? 'mark_paid' : isIgnored ? 'mark_ignored' : 'mark_active',
+      before: existing || null,
+      after,
+      reason: userNote,
+      actor
+    }, connection);
+
+    return {
+      stageId,
+      investorId,
+      scheduledDate,
+      isPaid: isPaid || false,
+      isIgnored: isIgnored || false,
+      markedAt: isPaid ? new Date() : (isIgnored ? new Date() : null),
+      ...details,
+      investInterestId
+    };
+  });
+}
+
+module.exports = {
+  parseReminderKey,
+  validatePayoutDetails,
+  markInvestorPaymentStatus
+};
@@ -0,0 +1,320 @@
+const db = require('../database/connection');
+const {
+  calculateBasePaymentDate,
+  generatePaymentSchedule
+} = require('../utils/calculations');
+const { overrideInclusionSql } = require('./statusOverrides');
+const { stageExclusionSql, canonicalStageSql } = require('./stageResolutions');
+const { loadInterestConventions } = require('./interestConventions');
+const { toDateKey } = require('../utils/referenceDate');
+const { DAY_COUNT_CONVENTIONS, accrueInterest } = require('../utils/dayCount');
+const { adjustToBusinessDay } = require('../utils/businessDays');
+
+// Build investor payment reminders grouped by project, as returned by GET /api/reminders/investors.
+// daysAhead: how far ahead to look for scheduled payouts.
+// daysBack: how far back to keep scheduled payouts whose date has passed (reported as overdue).
+// asOf: the date reminders are judged at (defaults to now). Interest payments recorded after it are ignored and
+// payouts marked paid or ignored after it show as still open.
+async function buildInvestorReminders({ daysAhead = 30, daysBack = 0, asOf = new Date() } = {}) {
+  const asOfDate = toDateKey(asOf);
+
+  // Get active loans with investor funding
+  const activeLoans = await db.query(`
+    SELECT 
+      s.id as stage_id,
+      s.loan_amount,
+      s.loan_start_date,
+      s.loan_repayment_date,
+      p.name as project_title,
+      p.id as project_id
+    FROM stage s
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE s.status IN ('operating', 'performing')
+      AND (${overrideInclusionSql('s')} OR s.loan_repayment_date >= ?)
+      AND ${stageExclusionSql('s.id')}
+  `, [asOfDate]);
+
+  // Get investor funding with payment details. Funding and payments booked against a merged duplicate stage
+  // belong to its canonical stage (s).
+  const investorFunding = await db.query(`
+    SELECT 
+      inf.id as funding_id,
+      s.id as stage_id,
+      inf.investor_id,
+      inf.income_rate as investor_rate,
+      inf.value as investment_amount,
+      inf.start_date as investor_start_date,
+      inf.end_date as investor_end_date,
+      inf.transcation_date,
+      a.name as investor_name,
+      a.email as investor_email,
+      a.phone as investor_phone,
+      (SELECT MAX(ii.date) 
+       FROM invest_interest ii 
+       WHERE ${canonicalStageSql('ii.stage_id')} = s.id
+         AND ii.investor_id = inf.investor_id
+         AND ii.date <= ?) as last_payment_date,
+      (SELECT COUNT(ii.id) 
+       FROM invest_interest ii 
+       WHERE ${canonicalStageSql('ii.stage_id')} = s.id
+         AND ii.investor_id = inf.investor_id
+         AND ii.date <= ?) as payment_count
+    FROM invest_funding inf
+    JOIN stage s ON s.id = ${canonicalStageSql('inf.stage_id')}
+    LEFT JOIN project p ON s.project_id = p.id  
+    LEFT JOIN account a ON inf.investor_id = a.id
+    WHERE inf.type = 'Investment'
+      AND s.status IN ('operating', 'performing')
+      AND (${overrideInclusionSql('s')} OR s.loan_repayment_date >= ?)
+      AND ${stageExclusionSql('s.id')}
+      AND inf.income_rate IS NOT NULL
+      AND inf.income_rate > 0
+  `, [asOfDate, asOfDate, asOfDate]);
+
+  // Get existing payment reminders status (if we have a tracking table)
+  // Keep data for 3 years but hide from frontend after 15 days when paid/ignored
+  const paymentReminders = await db.query(`
+    SELECT 
+      stage_id,
+      investor_id,
+      scheduled_date,
+      is_paid,
+      is_ignored,
+      marked_paid_at,
+      marked_ignored_at,
+      marked_by_user,
+      amount_paid,
+      payment_date,
+      bank_reference,
+      tax_withheld,
+      fee_withheld,
+      invest_interest_id,
+      batch_id
+    FROM investor_payment_reminders 
+    WHERE scheduled_date >= DATE_SUB(?, INTERVAL 3 YEAR)
+      AND scheduled_date <= DATE_ADD(?, INTERVAL ? DAY)
+      AND (
+        -- Always show active (unpaid/unignored) reminders
+        (is_paid = FALSE AND is_ignored = FALSE) OR
+        -- Only show paid/ignored items for 15 days, then hide from frontend
+        (is_paid = TRUE AND DATEDIFF(?, marked_paid_at) <= 15) OR
+        (is_ignored = TRUE AND DATEDIFF(?, marked_ignored_at) <= 15)
+      )
+  `, [asOfDate, asOfDate, daysAhead, asOfDate, asOfDate]);
+
+  // A payout marked after asOf was still open on that date
+  const markedByAsOf = (markedAt) => !!markedAt && toDateKey(new Date(markedAt)) <= asOfDate;
+  paymentReminders.forEach(reminder => {
+    if (reminder.is_paid && !markedByAsOf(reminder.marked_paid_at)) {
+      Object.assign(reminder, {
+        is_paid: false,
+        marked_paid_at: null,
+        amount_paid: null,
+        payment_date: null,
+        bank_reference: null,
+        tax_withheld: null,
+        fee_withheld: null,
+        invest_interest_id: null
+      });
+    }
+    if (reminder.is_ignored && !markedByAsOf(reminder.marked_ignored_at)) {
+      Object.assign(reminder, { is_ignored: false, marked_ignored_at: null });
+    }
+  });
+
+  // Calculate prediction end date
+  const predictionEndDate = new Date(asOf);
+  predictionEndDate.setDate(predictionEndDate.getDate() + daysAhead);
+
+  // Missed payments from the last daysBack days are kept as overdue
+  const earliestPaymentDate = new Date(asOf);
+  earliestPaymentDate.setDate(earliestPaymentDate.getDate() - daysBack);
+
+  // Day count and business-day rolling for each funding (falling back to its stage's)
+  const interestConventions = await loadInterestConventions();
+
+  // Process investor payment schedules
+  const projectReminders = {};
+
+  for (const investor of investorFunding) {
+    const convention = interestConventions.forFunding(investor.funding_id, investor.stage_id);
+
+    const basePaymentDate = calculateBasePaymentDate(
+      investor.last_payment_date,
+      investor.investor_start_date,
+      investor.transcation_date
+    );
+    
+    const paymentSchedule = generatePaymentSchedule(
+      basePaymentDate,
+      investor.investor_end_date,
+      predictionEndDate,
+      !!investor.last_payment_date,
+      earliestPaymentDate
+    );
+    
+    // Filter payments due in the next X days (and overdue ones within the lookback). Reminders stay keyed by the
+    // scheduled date; dueDate is the business day the payout is actually made.
+    const upcomingPayments = paymentSchedule
+      .map(paymentDate => ({ paymentDate, dueDate: adjustToBusinessDay(paymentDate, convention.businessDay, convention.calendar) }))
+      .filter(({ dueDate }) => {
+        const daysUntilPayment = Math.ceil((dueDate - asOf) / (1000 * 60 * 60 * 24));
+        return daysUntilPayment >= -daysBack && daysUntilPayment <= daysAhead;
+      });
+    
+    // Process each upcoming payment
+    upcomingPayments.forEach(({ paymentDate, dueDate }) => {
+      const isMonthlyDayCount = convention.dayCount === DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA;
+      const monthlyRate = parseFloat(investor.investor_rate) / 12;
+      let paymentAmount = parseFloat(investor.investment_amount) * monthlyRate;
+      if (!isMonthlyDayCount) {
+        // Other day counts accrue the month up to the scheduled date
+        const accrualStart = new Date(paymentDate);
+        accrualStart.setMonth(accrualStart.getMonth() - 1);
+        paymentAmount = accrueInterest(parseFloat(investor.investment_amount), investor.investor_rate, accrualStart, paymentDate, convention.dayCount);
+      }
+      const daysUntilPayment = Math.ceil((dueDate - asOf) / (1000 * 60 * 60 * 24));
+      
+      // Check if this is the final payment and needs prorating
+      const investmentEndDate = new Date(investor.investor_end_date);
+      const isLastPayment = paymentDate.getTime() === investmentEndDate.getTime() || 
+                           (paymentDate > investmentEndDate && Math.abs(paymentDate - investmentEndDate) < 7 * 24 * 60 * 60 * 1000); // Within 7 days
+      
+      if (isLastPayment) {
+        // Calculate prorated amount for remaining days
+        const lastPaymentDate = investor.last_payment_date ? new Date(investor.last_payment_date) : new Date(investor.investor_start_date);
+        const remainingDays = Math.ceil((investmentEndDate - lastPaymentDate) / (1000 * 60 * 60 * 24));
+        
+        // If remaining days are less than a full month, prorate the payment
+        if (remainingDays < 30 && !isMonthlyDayCount) {
+          paymentAmount = accrueInterest(parseFloat(investor.investment_amount), investor.investor_rate, lastPaymentDate, investmentEndDate, convention.dayCount);
+          console.log(`💰 Prorated final payment for investor ${investor.investor_id} in stage ${investor.stage_id} (${convention.dayCount}): $${paymentAmount.toFixed(2)}`);
+        } else if (remainingDays < 30) {
+          const daysInMonth = new Date(investmentEndDate.getFullYear(), investmentEndDate.getMonth() + 1, 0).getDate();
+          const dailyRate = monthlyRate / daysInMonth;
+          paymentAmount = parseFloat(investor.investment_amount) * dailyRate * remainingDays;
+          
+          console.log(`💰 Prorated final payment for investor ${investor.investor_id} in stage ${investor.stage_id}:`);
+          console.log(`   Investment end date: ${investmentEndDate.toISOString().slice(0, 10)}`);
+          console.log(`   Last payment date: ${lastPaymentDate.toISOString().slice(0, 10)}`);
+          console.log(`   Remaining days: ${remainingDays}`);
+          console.log(`   Days in final month: ${daysInMonth}`);
+          console.log(`   Monthly rate: ${monthlyRate.toFixed(6)}`);
+          console.log(`   Daily rate: ${dailyRate.toFixed(8)}`);
+          console.log(`   Standard monthly payment: $${(parseFloat(investor.investment_amount) * monthlyRate).toFixed(2)}`);
+          console.log(`   Prorated payment: $${paymentAmount.toFixed(2)}`);
+        }
+      }
+      
+      // Find project info
+      const project = activeLoans.find(loan => loan.stage_id === investor.stage_id);
+      if (!project) return;
+      
+      // Check if this payment is already marked as paid or ignored
+      const reminderStatus = paymentReminders.find(r => 
+        r.stage_id === investor.stage_id && 
+        r.investor_id === investor.investor_id &&
+        Math.abs((new Date(r.scheduled_date) - paymentDate) / (1000 * 60 * 60 * 24)) < 1 // Same day
+      );
+      
+      // Group by project
+      if (!projectReminders[project.project_id]) {
+        projectReminders[project.project_id] = {
+          projectId: project.project_id,
+          projectTitle: project.project_title,
+          stageId: project.stage_id,
+          loanAmount: project.loan_amount,
+          totalInvestorsCount: 0,
+          totalPaymentAmount: 0,
+          upcomingPayments: [],
+          urgencyLevel: 'upcoming'
+        };
+      }
+      
+      // Add investor payment details
+      projectReminders[project.project_id].upcomingPayments.push({
+        fundingId: investor.funding_id,
+        investorId: investor.investor_id,
+        investorName: investor.investor_name || `Investor ${investor.investor_id}`,
+        investorEmail: investor.investor_email,
+        investorPhone: investor.investor_phone,
+        investmentAmount: parseFloat(investor.investment_amount),
+        annualRate: parseFloat(investor.investor_rate) * 100,
+        monthlyPayment: paymentAmount, // Use calculated amount (prorated if final payment)
+        scheduledDate: paymentDate.toISOString().slice(0, 10),
+        dueDate: dueDate.toISOString().slice(0, 10),
+        daysUntilPayment: daysUntilPayment,
+        lastPaymentDate: investor.last_payment_date,
+        paymentCount: investor.payment_count,
+        urgencyLevel: daysUntilPayment <= 7 ? 'urgent' : 'upcoming',
+        isPaid: reminderStatus ? reminderStatus.is_paid : false,
+        isIgnored: reminderStatus ? reminderStatus.is_ignored : false,
+        markedPaidAt: reminderStatus ? reminderStatus.marked_paid_at : null,
+        markedIgnoredAt: reminderStatus ? reminderStatus.marked_ignored_at : null,
+        markedByUser: reminderStatus ? reminderStatus.marked_by_user : null,
+        amountPaid: reminderStatus && reminderStatus.amount_paid !== null ? parseFloat(reminderStatus.amount_paid) : null,
+        paymentDate: reminderStatus && reminderStatus.payment_date ? new Date(reminderStatus.payment_date).toISOString().slice(0, 10) : null,
+        bankReference: reminderStatus ? reminderStatus.bank_reference : null,
+        taxWithheld: reminderStatus && reminderStatus.tax_withheld !== null ? parseFloat(reminderStatus.tax_withheld) : null,
+        feeWithheld: reminderStatus && reminderStatus.fee_withheld !== null ? parseFloat(reminderStatus.fee_withheld) : null,
+        investInterestId: reminderStatus ? reminderStatus.invest_interest_id : null,
+        // Included in a submitted ABA payment batch but not yet marked paid
+        batchId: reminderStatus ? reminderStatus.batch_id : null,
+        isBatched: !!(reminderStatus && reminderStatus.batch_id && !reminderStatus.is_paid),
+        reminderKey: `${investor.stage_id}|${investor.investor_id}|${paymentDate.toISOString().slice(0, 10)}`,
+        isProrated: isLastPayment && paymentAmount < (parseFloat(investor.investment_amount) * monthlyRate), // Flag for frontend
+        proratedDays: isLastPayment ? Math.ceil((investmentEndDate - (investor.last_payment_date ? new Date(investor.last_payment_date) : new Date(investor.investor_start_date))) / (1000 * 60 * 60 * 24)) : null
+      });
+      
+      // Update project totals
+      projectReminders[project.project_id].totalPaymentAmount += paymentAmount;
+      
+      // Set project urgency level (most urgent wins)
+      if (daysUntilPayment <= 7) {
+        projectReminders[project.project_id].urgencyLevel = 'urgent';
+      }
+    });
+  }
+
+  // Calculate unique investors per project and sort payments
+  Object.values(projectReminders).forEach(project => {
+    project.totalInvestorsCount = [...new Set(project.upcomingPayments.map(p => p.investorId))].length;
+    project.upcomingPayments.sort((a, b) => a.daysUntilPayment - b.daysUntilPayment);
+    project.totalPaymentAmount = Math.round(project.totalPaymentAmount * 100) / 100;
+  });
+
+  // Convert to array and sort by urgency and date
+  const remindersList = Object.values(projectReminders).sort((a, b) => {
+    if (a.urgencyLevel === 'urgent' && b.urgencyLevel !== 'urgent') return -1;
+    if (b.urgencyLevel === 'urgent' && a.urgencyLevel !== 'urgent') return 1;
+    
+    const aEarliestPayment = Math.min(...a.upcomingPayments.map(p => p.daysUntilPayment));
+    const bEarliestPayment = Math.min(...b.upcomingPayments.map(p => p.daysUntilPayment));
+    return aEarliestPayment - bEarliestPayment;
+  });
+
+  // Calculate summary statistics
+  const allPayments = remindersList.flatMap(p => p.upcomingPayments);
+  const summary = {
+    totalProjects: remindersList.length,
+    totalInvestors: [...new Set(allPayments.map(pay => pay.investorId))].length,
+    totalPaymentAmount: remindersList.reduce((sum, p) => sum + p.totalPaymentAmount, 0),
+    urgentProjects: remindersList.filter(p => p.urgencyLevel === 'urgent').length,
+    urgentPayments: allPayments.filter(p => p.urgencyLevel === 'urgent').length,
+    unpaidPayments: allPayments.filter(p => !p.isPaid && !p.isIgnored).length,
+    batchedPayments: allPayments.filter(p => p.isBatched).length,
+    paidPayments: allPayments.filter(p => p.isPaid).length,
+    ignoredPayments: allPayments.filter(p => p.isIgnored).length,
+    overduePayments: allPayments.filter(p => p.daysUntilPayment < 0 && !p.isPaid && !p.isIgnored).length
+  };
+
+  console.log(`✅ Found ${remindersList.length} projects with upcoming investor payments`);
+  console.log(`💰 Total payment amount due: $${summary.totalPaymentAmount.toFixed(2)}`);
+  console.log(`🚨 Urgent payments: ${summary.urgentPayments}`);
+
+  return { data: remindersList, summary };
+}
+
+module.exports = {
+  buildInvestorReminders
+};
@@ -0,0 +1,274 @@
+const db = require('../database/connection');
+const { calculateBasePaymentDate, generatePaymentSchedule } = require('../utils/calculations');
+const { renderStatementPdf } = require('../utils/statementPdf');
+const { excludedStageSql, canonicalStageSql } = require('./stageResolutions');
+const { internalAccountExclusionSql } = require('./internalAccounts');
+const { loadInterestConventions } = require('./interestConventions');
+const { DAY_COUNT_CONVENTIONS, accrueInterest } = require('../utils/dayCount');
+const { adjustToBusinessDay } = require('../utils/businessDays');
+
+// How far past the statement (or today, if later) upcoming payouts are listed
+const DEFAULT_UPCOMING_MONTHS = 3;
+
+const toDateString = (value) => new Date(value).toISOString().slice(0, 10);
+const round = (value) => Math.round(value * 100) / 100;
+
+// Holdings overlapping the period: started by its end and not finished before its start
+const holdingInPeriodSql = `
+  inf.type = 'Investment'
+  AND COALESCE(inf.start_date, inf.transcation_date) <= ?
+  AND (inf.end_date IS NULL OR inf.end_date >= ?)
+  AND ${excludedStageSql('inf.stage_id')}
+`;
+
+// Investors with an interest payment or a holding in the period, excluding Goodland's own accounts
+async function listInvestorsWithActivity(from, to) {
+  return db.query(`
+    SELECT a.id, a.name, a.email
+    FROM account a
+    WHERE (
+        a.id IN (SELECT ii.investor_id FROM invest_interest ii WHERE ii.date BETWEEN ? AND ?)
+        OR a.id IN (SELECT inf.investor_id FROM invest_funding inf WHERE ${holdingInPeriodSql})
+      )
+      AND ${internalAccountExclusionSql('a')}
+    ORDER BY a.name, a.id
+  `, [from, to, to, from]);
+}
+
+// Build an investor's statement for a period: holdings from invest_funding, payments from invest_interest
+// and the payouts scheduled after the period. Returns null when the investor does not exist.
+async function buildInvestorStatement({ investorId, from, to, upcomingMonths = DEFAULT_UPCOMING_MONTHS }) {
+  const [investor] = await db.query('SELECT id, name, email FROM account WHERE id = ?', [investorId]);
+  if (!investor) return null;
+
+  const holdings = await db.query(`
+    SELECT
+      inf.id as funding_id,
+      s.id as stage_id,
+      inf.value,
+      inf.income_rate,
+      inf.start_date,
+      inf.end_date,
+      inf.transcation_date,
+      s.status as stage_status,
+      p.name as project_title
+    FROM invest_funding inf
+    JOIN stage s ON s.id = ${canonicalStageSql('inf.stage_id')}
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE inf.investor_id = ? AND ${holdingInPeriodSql}
+    ORDER BY inf.start_date, inf.id
+  `, [investorId, to, from]);
+
+  const payments = await db.query(`
+    SELECT ii.id, ${canonicalStageSql('ii.stage_id')} as stage_id, ii.date, ii.money, ii.tax, ii.fee, ii.net, p.name as project_title
+    FROM invest_interest ii
+    LEFT JOIN stage s ON s.id = ${canonicalStageSql('ii.stage_id')}
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE ii.investor_id = ? AND ii.date BETWEEN ? AND ?
+    ORDER BY ii.date, ii.id
+  `, [investorId, from, to]);
+
+  const lastPayments = await db.query(`
+    SELECT ${canonicalStageSql('ii.stage_id')} as stage_id, MAX(ii.date) as last_payment_date
+    FROM invest_interest ii
+    WHERE ii.investor_id = ?
+    GROUP BY 1
+  `, [investorId]);
+
+  // Upcoming payouts use the same schedule as the investor reminders, from the later of the day after the
+  // statement and today
+  const dayAfterPeriod = new Date(to);
+  dayAfterPeriod.setDate(dayAfterPeriod.getDate() + 1);
+  const upcomingFrom = new Date(Math.max(dayAfterPeriod.getTime(), new Date().setHours(0, 0, 0, 0)));
+  const upcomingTo = new Date(upcomingFrom);
+  upcomingTo.setMonth(upcomingTo.getMonth() + upcomingMonths);
+
+  const interestConventions = await loadInterestConventions();
+  const upcomingPayouts = [];
+  holdings
+    .filter(holding => ['operating', 'performing'].includes(holding.stage_status) && parseFloat(holding.income_rate) > 0)
+    .forEach(holding => {
+      const last = lastPayments.find(row => row.stage_id === holding.stage_id);
+      const lastPaymentDate = last ? last.last_payment_date : null;
+      const schedule = generatePaymentSchedule(
+        calculateBasePaymentDate(lastPaymentDate, holding.start_date, holding.transcation_date),
+        holding.end_date,
+        upcomingTo,
+        !!lastPaymentDate,
+        upcomingFrom
+      );
+      // Paid on the business day the scheduled date rolls to; a month's interest under the funding's day count
+      const convention = interestConventions.forFunding(holding.funding_id, holding.stage_id);
+      schedule.forEach(date => {
+        const accrualStart = new Date(date);
+        accrualStart.setMonth(accrualStart.getMonth() - 1);
+        upcomingPayouts.push({
+          date: toDateString(adjustToBusinessDay(date, convention.businessDay, convention.calendar)),
+          stageId: holding.stage_id,
+          projectTitle: holding.project_title,
+          estimatedAmount: round(convention.dayCount === DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA ?
+            parseFloat(holding.value) * parseFloat(holding.income_rate) / 12 :
+            accrueInterest(parseFloat(holding.value), holding.income_rate, accrualStart, date, convention.dayCount))
+        });
+      });
+    });
+  upcomingPayouts.sort((a, b) => a.date.localeCompare(b.date));
+
+  const statementPayments = payments.map(payment => ({
+    date: toDateString(payment.date),
+    stageId: payment.stage_id,
+    projectTitle: payment.project_title,
+    gross: round(parseFloat(payment.money || 0)),
+    tax: round(parseFloat(payment.tax || 0)),
+    fee: round(parseFloat(payment.fee || 0)),
+    net: round(parseFloat(payment.net || 0))
+  }));
+  const sum = (field) => round(statementPayments.reduce((total, payment) => total + payment[field], 0));
+
+  return {
+    investor,
+    period: { from, to },
+    generatedAt: new Date().toISOString(),
+    holdings: holdings.map(holding => ({
+      fundingId: holding.funding_id,
+      stageId: holding.stage_id,
+      projectTitle: holding.project_title,
+      amount: round(parseFloat(holding.value)),
+      annualRate: round(parseFloat(holding.income_rate || 0) * 100),
+      startDate: holding.start_date ? toDateString(holding.start_date) : null,
+      endDate: holding.end_date ? toDateString(holding.end_date) : null
+    })),
+    payments: statementPayments,
+    totals: {
+      payments: statementPayments.length,
+      gross: sum('gross'),
+      tax: sum('tax'),
+      fee: sum('fee'),
+      net: sum('net')
+    },
+    upcomingPayouts
+  };
+}
+
+// Build, render and store one statement; returns the stored row without the PDF, or null for an unknown investor
+async function generateInvestorStatement({ investorId, from, to, generatedBy = 'manual' }) {
+  const statement = await buildInvestorStatement({ investorId, from, to });
+  if (!statement) return null;
+
+  const pdf = await renderStatementPdf(statement);
+  const result = await db.query(`
+    INSERT INTO investor_statements
+      (investor_id, period_from, period_to, holdings_count, payments_count, total_gross, total_tax, total_fee, total_net, pdf, generated_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    investorId,
+    from,
+    to,
+    statement.holdings.length,
+    statement.totals.payments,
+    statement.totals.gross,
+    statement.totals.tax,
+    statement.totals.fee,
+    statement.totals.net,
+    pdf,
+    generatedBy
+  ]);
+
+  return findStatement(result.insertId);
+}
+
+// Generate statements for every investor with activity in the period. A failure for one investor is
+// reported and the rest are still generated.
+async function generateStatementBatch({ from, to, generatedBy = 'manual' }) {
+  const investors = await listInvestorsWithActivity(from, to);
+  const generated = [];
+  const failed = [];
+
+  for (const investor of investors) {
+    try {
+      generated.push(await generateInvestorStatement({ investorId: investor.id, from, to, generatedBy }));
+    } catch (error) {
+      console.error(`❌ Statement for investor ${investor.id} failed:`, error.message);
+      failed.push({ investorId: investor.id, investorName: investor.name, error: error.message });
+    }
+  }
+
+  console.log(`📄 Generated ${generated.length} investor statements for ${from} to ${to} (${failed.length} failed)`);
+  return { investors: investors.length, generated, failed };
+}
+
+const STATEMENT_COLUMNS = `
+  st.id, st.investor_id, a.name as investor_name, a.email as investor_email, st.period_from, st.period_to,
+  st.holdings_count, st.payments_count, st.total_gross, st.total_tax, st.total_fee, st.total_net,
+  st.generated_by, st.created_at
+`;
+
+async function findStatement(id) {
+  const [statement] = await db.query(`
+    SELECT ${STATEMENT_COLUMNS}
+    FROM investor_statements st
+    LEFT JOIN account a ON st.investor_id = a.id
+    WHERE st.id = ?
+  `, [id]);
+  return statement || null;
+}
+
+// Stored statements, newest first (filters: investorId, from/to match the statement period exactly)
+async function listStatements({ investorId, from, to, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (investorId) {
+    conditions.push('st.investor_id = ?');
+    params.push(investorId);
+  }
+  if (from) {
+    conditions.push('st.period_from = ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('st.period_to = ?');
+    params.push(to);
+  }
+
+  const statements = await db.query(`
+    SELECT ${STATEMENT_COLUMNS}
+    FROM investor_statements st
+    LEFT JOIN account a ON st.investor_id = a.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY st.created_at DESC, st.id DESC
+    LIMIT ${Math.min(parseInt(limit) || 100, 1000)}
+  `, params);
+  return statements.map(statement => ({
+    ...statement,
+    fileName: statementFileName(statement.investor_id, toDateString(statement.period_from), toDateString(statement.period_to))
+  }));
+}
+
+// The stored PDF and a download file name; null when the statement does not exist
+async function getStatementPdf(id) {
+  const [row] = await db.query(`
+    SELECT st.investor_id, st.period_from, st.period_to, st.pdf
+    FROM investor_statements st
+    WHERE st.id = ?
+  `, [id]);
+  if (!row) return null;
+
+  return {
+    fileName: statementFileName(row.investor_id, toDateString(row.period_from), toDateString(row.period_to)),
+    pdf: row.pdf
+  };
+}
+
+function statementFileName(investorId, from, to) {
+  return `statement-investor-${investorId}-${from}-to-${to}.pdf`;
+}
+
+module.exports = {
+  listInvestorsWithActivity,
+  buildInvestorStatement,
+  generateInvestorStatement,
+  generateStatementBatch,
+  listStatements,
+  getStatementPdf,
+  statementFileName
+};
@@ -0,0 +1,91 @@
+const nodemailer = require('nodemailer');
+const db = require('../database/connection');
+
+let transporter = null;
+// SMTP_HOST is required; point it at a local SMTP catcher (e.g. port 1025) when testing
+function isMailConfigured() {
+  return !!process.env.SMTP_HOST;
+}
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+  return transporter;
+}
+
+async function logDelivery({ type, to, subject, status, messageId = null, error = null, reference = null }) {
+  await db.query(`
+    INSERT INTO email_delivery_log (email_type, recipient, subject, status, message_id, error, reference)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [type, to || null, subject, status, messageId, error, reference]);
+}
+
+// Send one email and record the attempt; resolves to the log status ('sent', 'failed' or 'skipped')
+async function sendMail({ type, to, subject, text, html, reference = null }) {
+  if (!to) {
+    await logDelivery({ type, to, subject, status: 'skipped', error: 'No recipient address', reference });
+    return 'skipped';
+  }
+  if (!isMailConfigured()) {
+    await logDelivery({ type, to, subject, status: 'skipped', error: 'SMTP_HOST is not configured', reference });
+    return 'skipped';
+  }
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: process.env.MAIL_FROM || 'Goodland LMS <no-reply@localhost>',
+      to,
+      subject,
+      text,
+      html
+    });
+    await logDelivery({ type, to, subject, status: 'sent', messageId: info.messageId, reference });
+    console.log(`📧 Sent ${type} email to ${to}`);
+    return 'sent';
+  } catch (error) {
+    await logDelivery({ type, to, subject, status: 'failed', error: error.message, reference });
+    console.error(`❌ Failed to send ${type} email to ${to}:`, error.message);
+    return 'failed';
+  }
+}
+
+// Delivery log entries, newest first
+async function getDeliveryLog({ type, status, reference, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (type) {
+    conditions.push('email_type = ?');
+    params.push(type);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (reference) {
+    conditions.push('reference = ?');
+    params.push(reference);
+  }
+
+  return db.query(`
+    SELECT id, email_type, recipient, subject, status, message_id, error, reference, created_at
+    FROM email_delivery_log
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${Math.min(parseInt(limit) || 100, 1000)}
+  `, params);
+}
+
+module.exports = {
+  isMailConfigured,
+  sendMail,
+  getDeliveryLog
+};
@@ -0,0 +1,192 @@
+const db = require('../database/connection');
+const { generateInterestAccrualPeriods } = require('../utils/calculations');
+const { loadCashflowInputs, buildMonthlyCashflow } = require('./cashflowForecast');
+const { stageExclusionSql, excludedStageSql, canonicalStageSql } = require('./stageResolutions');
+const { loadInterestConventions } = require('./interestConventions');
+const { internalAccountSql } = require('./internalAccounts');
+const { toDateKey } = require('../utils/referenceDate');
+
+const round = (value) => Math.round(value * 100) / 100;
+const toMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+const emptyTotals = () => ({ borrowerInterest: 0, investorPayouts: 0, goodlandPayouts: 0 });
+
+// grossMargin is borrower interest less every investor payout on the stage. Payouts on Goodland-held
+// funding stay in-house, so netMargin (what Goodland keeps) adds them back.
+const withMargins = (totals) => ({
+  borrowerInterest: round(totals.borrowerInterest),
+  investorPayouts: round(totals.investorPayouts),
+  goodlandPayouts: round(totals.goodlandPayouts),
+  grossMargin: round(totals.borrowerInterest - totals.investorPayouts),
+  netMargin: round(totals.borrowerInterest - totals.investorPayouts + totals.goodlandPayouts)
+});
+
+const addTo = (totals, { borrowerInterest = 0, investorPayouts = 0, goodlandPayouts = 0 }) => {
+  totals.borrowerInterest += borrowerInterest;
+  totals.investorPayouts += investorPayouts;
+  totals.goodlandPayouts += goodlandPayouts;
+};
+
+// Collects amounts by month and stage
+function createLedger() {
+  const months = new Map();
+  return {
+    add(month, type, stageId, projectTitle, amounts) {
+      if (!months.has(month)) months.set(month, { month, type, stages: new Map() });
+      const stages = months.get(month).stages;
+      if (!stages.has(stageId)) stages.set(stageId, { stageId, projectTitle, ...emptyTotals() });
+      const stage = stages.get(stageId);
+      if (!stage.projectTitle) stage.projectTitle = projectTitle;
+      addTo(stage, amounts);
+    },
+    months: () => [...months.values()].sort((a, b) => a.month.localeCompare(b.month))
+  };
+}
+
+// Actual months: borrower interest accrued under the contract (generateInterestAccrualPeriods, one period per
+// month) against the investor payouts recorded in invest_interest. from and to are YYYY-MM-DD.
+async function addActualMonths(ledger, from, to) {
+  const stages = await db.query(`
+    SELECT s.id, s.loan_amount, s.interest_rate, s.loan_start_date, s.loan_repayment_date, p.name as project_title
+    FROM stage s
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE s.loan_start_date <= ? AND s.loan_repayment_date >= ?
+      AND s.loan_amount > 0
+      AND ${stageExclusionSql('s.id')}
+  `, [to, from]);
+
+  const interestConventions = await loadInterestConventions();
+  const fromMonth = from.slice(0, 7);
+  const toMonth = to.slice(0, 7);
+  stages.forEach(stage => {
+    generateInterestAccrualPeriods(
+      parseFloat(stage.loan_amount),
+      parseFloat(stage.interest_rate) || 0,
+      stage.loan_start_date,
+      stage.loan_repayment_date,
+      interestConventions.forStage(stage.id).dayCount
+    ).forEach(period => {
+      const month = toMonthKey(period.periodStart);
+      if (month >= fromMonth && month <= toMonth) {
+        ledger.add(month, 'actual', stage.id, stage.project_title, { borrowerInterest: period.accruedInterest });
+      }
+    });
+  });
+
+  const payouts = await db.query(`
+    SELECT
+      ${canonicalStageSql('ii.stage_id')} as stage_id,
+      DATE_FORMAT(ii.date, '%Y-%m') as month,
+      MAX(p.name) as project_title,
+      SUM(ii.money) as payouts,
+      SUM(CASE WHEN ${internalAccountSql('a')} THEN ii.money ELSE 0 END) as goodland_payouts
+    FROM invest_interest ii
+    LEFT JOIN account a ON ii.investor_id = a.id
+    LEFT JOIN stage s ON s.id = ${canonicalStageSql('ii.stage_id')}
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE ii.date BETWEEN ? AND ?
+      AND ${excludedStageSql('ii.stage_id')}
+    GROUP BY 1, 2
+  `, [from, to]);
+
+  payouts.forEach(row => ledger.add(row.month, 'actual', row.stage_id, row.project_title, {
+    investorPayouts: parseFloat(row.payouts) || 0,
+    goodlandPayouts: parseFloat(row.goodland_payouts) || 0
+  }));
+}
+
+// Forecast months: the cashflow forecast's borrower interest (gross) and investor payouts, joined by stage
+async function addForecastMonths(ledger, months) {
+  const { loanData, investorFunding } = await loadCashflowInputs(months);
+  const forecast = buildMonthlyCashflow(loanData, investorFunding, months);
+  const titles = new Map(loanData.map(loan => [loan.id, loan.project_title]));
+
+  forecast.data.forEach(month => {
+    month.interestPayments.forEach(payment => ledger.add(month.month, 'forecast', payment.stageId, payment.projectTitle, {
+      borrowerInterest: payment.grossAmount
+    }));
+    month.investorPayouts.forEach(payout => ledger.add(month.month, 'forecast', payout.stageId, titles.get(payout.stageId), {
+      investorPayouts: payout.amount,
+      goodlandPayouts: payout.isGoodlandInvestor ? payout.amount : 0
+    }));
+  });
+}
+
+// Net interest margin per stage and month: historyMonths of actuals up to last month, then months of forecast
+// from this month. Stages with a negative gross margin over either part are listed.
+async function buildMarginReport({ historyMonths = 12, months = 12 } = {}) {
+  const today = new Date();
+  const actualFrom = toDateKey(new Date(today.getFullYear(), today.getMonth() - historyMonths, 1));
+  const actualTo = toDateKey(new Date(today.getFullYear(), today.getMonth(), 0));
+
+  const ledger = createLedger();
+  if (historyMonths > 0) await addActualMonths(ledger, actualFrom, actualTo);
+  if (months > 0) await addForecastMonths(ledger, months);
+
+  const stageTotals = new Map();
+  const typeTotals = { actual: emptyTotals(), forecast: emptyTotals() };
+
+  const monthRows = ledger.months().map(month => {
+    const stages = [...month.stages.values()].sort((a, b) => a.stageId - b.stageId);
+    const totals = emptyTotals();
+    stages.forEach(stage => {
+      addTo(totals, stage);
+      if (!stageTotals.has(stage.stageId)) {
+        stageTotals.set(stage.stageId, {
+          stageId: stage.stageId,
+          projectTitle: stage.projectTitle,
+          actual: emptyTotals(),
+          forecast: emptyTotals(),
+          negativeMonths: 0
+        });
+      }
+      const stageTotal = stageTotals.get(stage.stageId);
+      addTo(stageTotal[month.type], stage);
+      if (stage.borrowerInterest - stage.investorPayouts < 0) stageTotal.negativeMonths++;
+    });
+    addTo(typeTotals[month.type], totals);
+
+    const stageRows = stages.map(stage => ({ stageId: stage.stageId, projectTitle: stage.projectTitle, ...withMargins(stage) }));
+    return {
+      month: month.month,
+      type: month.type,
+      ...withMargins(totals),
+      negativeMarginStages: stageRows.filter(stage => stage.grossMargin < 0).length,
+      stages: stageRows
+    };
+  });
+
+  const stages = [...stageTotals.values()]
+    .map(stage => {
+      const actual = withMargins(stage.actual);
+      const forecast = withMargins(stage.forecast);
+      return {
+        stageId: stage.stageId,
+        projectTitle: stage.projectTitle,
+        actual,
+        forecast,
+        negativeMonths: stage.negativeMonths,
+        isNegativeMargin: actual.grossMargin < 0 || forecast.grossMargin < 0
+      };
+    })
+    .sort((a, b) => (a.projectTitle || '').localeCompare(b.projectTitle || '') || a.stageId - b.stageId);
+
+  return {
+    period: {
+      actualFrom: historyMonths > 0 ? actualFrom.slice(0, 7) : null,
+      actualTo: historyMonths > 0 ? actualTo.slice(0, 7) : null,
+      forecastMonths: months
+    },
+    months: monthRows,
+    stages,
+    summary: {
+      actual: withMargins(typeTotals.actual),
+      forecast: withMargins(typeTotals.forecast),
+      negativeMarginStages: stages.filter(stage => stage.isNegativeMargin).length
+    }
+  };
+}
+
+module.exports = {
+  buildMarginReport
+};
@@ -0,0 +1,316 @@
+const db = require('../database/connection');
+const { formatBsb, validateBankAccount, buildAbaFile } = require('../utils/aba');
+const { buildInvestorReminders } = require('./investorReminders');
+const { parseReminderKey } = require('./investorReminderStatus');
+
+// Originating account details for the ABA descriptive and trace fields
+const REMITTER_SETTINGS = {
+  bankCode: 'ABA_BANK_CODE',
+  userName: 'ABA_USER_NAME',
+  userId: 'ABA_USER_ID',
+  bsb: 'ABA_BSB',
+  accountNumber: 'ABA_ACCOUNT_NUMBER',
+  remitterName: 'ABA_REMITTER_NAME'
+};
+const DEFAULT_BATCH_DESCRIPTION = 'INV PAYOUTS';
+
+const toDateString = (value) => new Date(value).toISOString().slice(0, 10);
+const round = (value) => Math.round(value * 100) / 100;
+const batchFileName = (batch) => `investor-payouts-${toDateString(batch.processing_date)}-${batch.id}.aba`;
+
+// Validate the remitter details; returns an error message or null
+function validateRemitter(remitter) {
+  const accountError = validateBankAccount({
+    bsb: remitter.bsb,
+    accountNumber: remitter.accountNumber,
+    accountName: remitter.remitterName
+  });
+  if (accountError) {
+    return `ABA remitter account (ABA_BSB, ABA_ACCOUNT_NUMBER, ABA_REMITTER_NAME) is invalid: ${accountError}`;
+  }
+  if (!/^[A-Za-z]{3}$/.test(remitter.bankCode)) {
+    return 'ABA_BANK_CODE must be the three letter bank abbreviation';
+  }
+  if (!/^\d{1,6}$/.test(remitter.userId)) {
+    return 'ABA_USER_ID must be the APCA user ID (up to 6 digits)';
+  }
+  return null;
+}
+
+// Remitter details from the environment; missing lists the unset variables and error says why the
+// details cannot be used (null when they can)
+function getRemitterSettings() {
+  const remitter = {};
+  const missing = [];
+  for (const [field, variable] of Object.entries(REMITTER_SETTINGS)) {
+    remitter[field] = (process.env[variable] || '').trim();
+    if (!remitter[field]) missing.push(variable);
+  }
+  if (missing.length > 0) {
+    return { remitter, missing, error: `ABA remitter details are not configured: ${missing.join(', ')}` };
+  }
+
+  const error = validateRemitter(remitter);
+  return { remitter: { ...remitter, bsb: formatBsb(remitter.bsb) }, missing, error };
+}
+
+// Validate a payment profile; returns an error message or null
+function validatePaymentProfile(profile) {
+  const accountError = validateBankAccount(profile);
+  if (accountError) return accountError;
+  if (profile.lodgementReference && String(profile.lodgementReference).length > 18) {
+    return 'lodgementReference must be at most 18 characters';
+  }
+  return null;
+}
+
+async function listPaymentProfiles() {
+  return db.query(`
+    SELECT ipp.*, a.name as investor_name
+    FROM investor_payment_profiles ipp
+    LEFT JOIN account a ON ipp.investor_id = a.id
+    ORDER BY a.name, ipp.investor_id
+  `);
+}
+
+async function findPaymentProfile(investorId) {
+  const [profile] = await db.query(`
+    SELECT ipp.*, a.name as investor_name
+    FROM investor_payment_profiles ipp
+    LEFT JOIN account a ON ipp.investor_id = a.id
+    WHERE ipp.investor_id = ?
+  `, [investorId]);
+  return profile || null;
+}
+
+// Create or replace an investor's bank account; returns the before and after rows
+async function savePaymentProfile(investorId, { accountName, bsb, accountNumber, lodgementReference }, updatedBy = 'manual') {
+  const before = await findPaymentProfile(investorId);
+
+  await db.query(`
+    INSERT INTO investor_payment_profiles (investor_id, account_name, bsb, account_number, lodgement_reference, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      account_name = VALUES(account_name),
+      bsb = VALUES(bsb),
+      account_number = VALUES(account_number),
+      lodgement_reference = VALUES(lodgement_reference),
+      updated_by = VALUES(updated_by)
+  `, [
+    investorId,
+    String(accountName).trim(),
+    formatBsb(bsb),
+    String(accountNumber).replace(/\s/g, ''),
+    lodgementReference ? String(lodgementReference).trim() : null,
+    updatedBy
+  ]);
+
+  return { before, after: await findPaymentProfile(investorId) };
+}
+
+// Look up the selected reminders in the investor payout schedule. Returns { payments } or { error, problems }
+// when any key is not a scheduled payout, is already paid, ignored or batched, or the investor has no
+// payment profile.
+async function resolveBatchPayments(reminderKeys) {
+  const parsed = reminderKeys.map(key => ({ key, parsed: parseReminderKey(key) }));
+  const invalid = parsed.filter(item => !item.parsed).map(item => item.key);
+  if (invalid.length > 0) {
+    return { error: 'reminderKeys must be in the form stageId|investorId|YYYY-MM-DD', problems: invalid };
+  }
+
+  // Widen the schedule window to cover every selected date (plus a week for payouts rolled to a later business day)
+  const today = new Date();
+  const dayOffsets = parsed.map(item => Math.ceil((new Date(item.parsed.scheduledDate) - today) / (1000 * 60 * 60 * 24)));
+  const { data: reminders } = await buildInvestorReminders({
+    daysAhead: Math.max(0, ...dayOffsets) + 7,
+    daysBack: Math.max(0, ...dayOffsets.map(offset => -offset)) + 1
+  });
+  const scheduled = new Map();
+  reminders.forEach(project => {
+    project.upcomingPayments.forEach(payment => scheduled.set(payment.reminderKey, payment));
+  });
+
+  const investorIds = [...new Set(parsed.map(item => item.parsed.investorId))];
+  const profiles = await db.query(`
+    SELECT * FROM investor_payment_profiles
+    WHERE investor_id IN (${investorIds.map(() => '?').join(', ')})
+  `, investorIds);
+
+  const problems = [];
+  const payments = [];
+  reminderKeys.forEach(key => {
+    const payment = scheduled.get(key);
+    if (!payment) {
+      problems.push(`${key}: not a scheduled investor payout`);
+    } else if (payment.isPaid) {
+      problems.push(`${key}: already paid`);
+    } else if (payment.isIgnored) {
+      problems.push(`${key}: ignored`);
+    } else if (payment.isBatched) {
+      problems.push(`${key}: already in payment batch ${payment.batchId}`);
+    } else {
+      const profile = profiles.find(p => p.investor_id === payment.investorId);
+      if (!profile) {
+        problems.push(`${key}: ${payment.investorName} has no payment profile`);
+      } else {
+        payments.push({ payment, profile });
+      }
+    }
+  });
+
+  if (problems.length > 0) {
+    return { error: `${problems.length} selected payment(s) cannot be batched`, problems };
+  }
+  return { payments };
+}
+
+// Create a batch for the selected reminders, generate its ABA file and mark the reminders batched.
+// Returns { error, problems } when the selection or remitter settings are invalid, otherwise the batch.
+async function createPaymentBatch({ reminderKeys, processingDate, description, createdBy = 'manual' }) {
+  const { remitter, error: remitterError } = getRemitterSettings();
+  if (remitterError) {
+    return { error: remitterError, problems: [] };
+  }
+
+  const { payments, error, problems } = await resolveBatchPayments([...new Set(reminderKeys)]);
+  if (error) return { error, problems };
+
+  const batchDescription = (description || DEFAULT_BATCH_DESCRIPTION).trim().slice(0, 12);
+  const items = payments.map(({ payment, profile }) => ({
+    reminderKey: payment.reminderKey,
+    stageId: parseReminderKey(payment.reminderKey).stageId,
+    investorId: payment.investorId,
+    scheduledDate: payment.scheduledDate,
+    amount: round(payment.monthlyPayment),
+    accountName: profile.account_name,
+    bsb: profile.bsb,
+    accountNumber: profile.account_number,
+    lodgementReference: profile.lodgement_reference || `GL INT ${payment.scheduledDate.replace(/-/g, '')}`
+  }));
+
+  const abaContent = buildAbaFile({ remitter, description: batchDescription, processingDate, payments: items });
+  const totalAmount = round(items.reduce((sum, item) => sum + item.amount, 0));
+
+  // The batch, its items and the reminders' batch_id are written together. The reminders are locked first
+  // so a payout batched by another request since resolveBatchPayments ran is rejected, not batched twice.
+  const { batchId, problems: taken } = await db.transaction(async (connection) => {
+    const locked = await connection.query(`
+      SELECT stage_id, investor_id, scheduled_date, batch_id, is_paid, is_ignored
+      FROM investor_payment_reminders
+      WHERE ${items.map(() => '(stage_id = ? AND investor_id = ? AND scheduled_date = ?)').join(' OR ')}
+      FOR UPDATE
+    `, items.flatMap(item => [item.stageId, item.investorId, item.scheduledDate]));
+    const unavailable = locked.filter(row => row.batch_id !== null || row.is_paid || row.is_ignored);
+    if (unavailable.length > 0) {
+      return { problems: unavailable.map(row => `${row.stage_id}|${row.investor_id}|${toDateString(row.scheduled_date)}: ` +
+        (row.batch_id !== null ? `already in payment batch ${row.batch_id}` : row.is_paid ? 'already paid' : 'ignored')) };
+    }
+
+    const result = await connection.query(`
+      INSERT INTO payment_batches (description, processing_date, payment_count, total_amount, status, aba_content, created_by)
+      VALUES (?, ?, ?, ?, 'submitted', ?, ?)
+    `, [batchDescription, processingDate, items.length, totalAmount, abaContent, createdBy]);
+
+    for (const item of items) {
+      await connection.query(`
+        INSERT INTO payment_batch_items
+          (batch_id, reminder_key, stage_id, investor_id, scheduled_date, amount, account_name, bsb, account_number, lodgement_reference)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        result.insertId,
+        item.reminderKey,
+        item.stageId,
+        item.investorId,
+        item.scheduledDate,
+        item.amount,
+        item.accountName,
+        item.bsb,
+        item.accountNumber,
+        item.lodgementReference
+      ]);
+
+      await connection.query(`
+        INSERT INTO investor_payment_reminders (stage_id, investor_id, scheduled_date, batch_id, marked_by_user)
+        VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE batch_id = VALUES(batch_id), updated_at = CURRENT_TIMESTAMP
+      `, [item.stageId, item.investorId, item.scheduledDate, result.insertId, createdBy]);
+    }
+    return { batchId: result.insertId };
+  });
+
+  if (taken) {
+    return { error: `${taken.length} selected payment(s) cannot be batched`, problems: taken };
+  }
+  return getPaymentBatch(batchId);
+}
+
+async function listPaymentBatches(limit = 50) {
+  const batches = await db.query(`
+    SELECT id, description, processing_date, payment_count, total_amount, status, created_by, created_at,
+           cancelled_by, cancelled_at, cancel_reason
+    FROM payment_batches
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${Math.min(parseInt(limit) || 50, 500)}
+  `);
+  return batches.map(batch => ({ ...batch, fileName: batchFileName(batch) }));
+}
+
+// A batch with its items and whether each has since been marked paid; null when it does not exist
+async function getPaymentBatch(batchId, { includeFile = false } = {}) {
+  const [batch] = await db.query('SELECT * FROM payment_batches WHERE id = ?', [batchId]);
+  if (!batch) return null;
+
+  const items = await db.query(`
+    SELECT pbi.*, a.name as investor_name, p.name as project_title, ipr.is_paid
+    FROM payment_batch_items pbi
+    LEFT JOIN account a ON pbi.investor_id = a.id
+    LEFT JOIN stage s ON pbi.stage_id = s.id
+    LEFT JOIN project p ON s.project_id = p.id
+    LEFT JOIN investor_payment_reminders ipr
+      ON ipr.stage_id = pbi.stage_id AND ipr.investor_id = pbi.investor_id AND ipr.scheduled_date = pbi.scheduled_date
+    WHERE pbi.batch_id = ?
+    ORDER BY pbi.id
+  `, [batchId]);
+
+  const { aba_content: abaContent, ...details } = batch;
+  return {
+    ...details,
+    fileName: batchFileName(batch),
+    ...(includeFile && { abaContent }),
+    items: items.map(item => ({ ...item, amount: parseFloat(item.amount), is_paid: !!item.is_paid }))
+  };
+}
+
+// Cancel a submitted batch (e.g. the bank rejected the file) and release its unpaid reminders so they can
+// be batched again. Payments already marked paid stay paid. Returns { error } when not submitted.
+async function cancelPaymentBatch(batchId, { reason, cancelledBy = 'manual' }) {
+  const before = await getPaymentBatch(batchId);
+  if (!before) return null;
+  if (before.status !== 'submitted') {
+    return { error: `Batch is ${before.status} and cannot be cancelled` };
+  }
+
+  await db.query(`
+    UPDATE payment_batches
+    SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW(), cancel_reason = ?
+    WHERE id = ?
+  `, [cancelledBy, reason || null, batchId]);
+  await db.query(`
+    UPDATE investor_payment_reminders SET batch_id = NULL
+    WHERE batch_id = ? AND is_paid = FALSE
+  `, [batchId]);
+
+  return { before, after: await getPaymentBatch(batchId) };
+}
+
+module.exports = {
+  getRemitterSettings,
+  validatePaymentProfile,
+  listPaymentProfiles,
+  findPaymentProfile,
+  savePaymentProfile,
+  createPaymentBatch,
+  listPaymentBatches,
+  getPaymentBatch,
+  cancelPaymentBatch
+};
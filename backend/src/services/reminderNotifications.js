@@ -0,0 +1,182 @@
+const db = require('../database/connection');
+const { buildInvestorReminders } = require('./investorReminders');
+const { sendMail } = require('./mailer');
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-AU', {
+  style: 'currency',
+  currency: 'AUD'
+}).format(amount);
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Unpaid, unignored payouts that are overdue or due within the urgent window (7 days)
+function selectActionablePayments(reminders) {
+  return reminders.flatMap(project => project.upcomingPayments
+    .filter(payment => !payment.isPaid && !payment.isIgnored)
+    .filter(payment => payment.daysUntilPayment < 0 || payment.urgencyLevel === 'urgent')
+    .map(payment => ({
+      ...payment,
+      projectId: project.projectId,
+      projectTitle: project.projectTitle,
+      stageId: project.stageId,
+      isOverdue: payment.daysUntilPayment < 0
+    }))
+  );
+}
+
+// Ops digest of overdue and urgent payouts, grouped by project
+function renderOpsDigest(payments) {
+  const overdue = payments.filter(p => p.isOverdue);
+  const urgent = payments.filter(p => !p.isOverdue);
+  const total = payments.reduce((sum, p) => sum + p.monthlyPayment, 0);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const subject = `Investor payout digest ${today}: ${overdue.length} overdue, ${urgent.length} due within 7 days`;
+
+  const describe = (p) => `${p.projectTitle} (stage ${p.stageId}) - ${p.investorName}: ` +
+    `${formatCurrency(p.monthlyPayment)} on ${p.dueDate}` +
+    (p.isOverdue ? ` (${Math.abs(p.daysUntilPayment)} days overdue)` : ` (in ${p.daysUntilPayment} days)`);
+
+  const text = [
+    `Investor payouts needing action as of ${today}`,
+    `Total: ${formatCurrency(total)} across ${payments.length} payment(s)`,
+    '',
+    `OVERDUE (${overdue.length})`,
+    ...(overdue.length > 0 ? overdue.map(describe) : ['None']),
+    '',
+    `DUE WITHIN 7 DAYS (${urgent.length})`,
+    ...(urgent.length > 0 ? urgent.map(describe) : ['None'])
+  ].join('\n');
+
+  const rows = (list) => list.map(p => `
+      <tr>
+        <td>${escapeHtml(p.projectTitle)}</td>
+        <td>${escapeHtml(p.stageId)}</td>
+        <td>${escapeHtml(p.investorName)}</td>
+        <td style="text-align:right">${formatCurrency(p.monthlyPayment)}</td>
+        <td>${escapeHtml(p.dueDate)}</td>
+        <td>${p.isOverdue ? `${Math.abs(p.daysUntilPayment)} days overdue` : `in ${p.daysUntilPayment} days`}</td>
+      </tr>`).join('');
+
+  const table = (title, list) => `
+    <h3>${title} (${list.length})</h3>
+    ${list.length === 0 ? '<p>None</p>' : `
+    <table border="1" cellpadding="4" cellspacing="0">
+      <tr><th>Project</th><th>Stage</th><th>Investor</th><th>Amount</th><th>Scheduled</th><th>Status</th></tr>
+      ${rows(list)}
+    </table>`}`;
+
+  const html = `
+    <p>Investor payouts needing action as of ${today}.</p>
+    <p><strong>Total: ${formatCurrency(total)}</strong> across ${payments.length} payment(s).</p>
+    ${table('Overdue', overdue)}
+    ${table('Due within 7 days', urgent)}`;
+
+  return { subject, text, html };
+}
+
+// Notice to an investor about an upcoming interest payment
+function renderInvestorNotice(payment) {
+  const subject = `Upcoming interest payment: ${payment.projectTitle}`;
+
+  const text = [
+    `Dear ${payment.investorName},`,
+    '',
+    `Your interest payment of ${formatCurrency(payment.monthlyPayment)} for ${payment.projectTitle} ` +
+      `is scheduled for ${payment.dueDate}.`,
+    payment.isProrated ? `This is your final payment, prorated for ${payment.proratedDays} days.` : null,
+    '',
+    'Kind regards,',
+    'Goodland Capital'
+  ].filter(line => line !== null).join('\n');
+
+  const html = `
+    <p>Dear ${escapeHtml(payment.investorName)},</p>
+    <p>Your interest payment of <strong>${formatCurrency(payment.monthlyPayment)}</strong> for
+      ${escapeHtml(payment.projectTitle)} is scheduled for ${escapeHtml(payment.dueDate)}.</p>
+    ${payment.isProrated ? `<p>This is your final payment, prorated for ${payment.proratedDays} days.</p>` : ''}
+    <p>Kind regards,<br/>Goodland Capital</p>`;
+
+  return { subject, text, html };
+}
+
+function opsRecipients() {
+  return (process.env.OPS_DIGEST_RECIPIENTS || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+}
+
+// Build the investor reminder payload, email the ops digest and (optionally) investor notices.
+// Investor notices are sent once per reminderKey; a previous successful send is not repeated.
+// dryRun renders everything without sending or logging.
+async function sendReminderDigest({ daysAhead = 7, daysBack = 30, notifyInvestors = false, dryRun = false } = {}) {
+  const { data: reminders } = await buildInvestorReminders({ daysAhead, daysBack });
+  const payments = selectActionablePayments(reminders);
+  const digest = renderOpsDigest(payments);
+  const recipients = opsRecipients();
+
+  const result = {
+    actionablePayments: payments.length,
+    overduePayments: payments.filter(p => p.isOverdue).length,
+    digest: { recipients, subject: digest.subject, statuses: [] },
+    investorNotices: { sent: 0, failed: 0, skipped: 0, alreadySent: 0 }
+  };
+
+  if (dryRun) {
+    result.digest.text = digest.text;
+    result.investorNotices.preview = payments
+      .filter(p => p.investorEmail)
+      .map(p => ({ to: p.investorEmail, reminderKey: p.reminderKey, ...renderInvestorNotice(p) }));
+    return result;
+  }
+
+  if (payments.length > 0) {
+    if (recipients.length === 0) {
+      console.log('ℹ️ OPS_DIGEST_RECIPIENTS is not set, skipping ops digest');
+    }
+    for (const to of recipients) {
+      result.digest.statuses.push({
+        to,
+        status: await sendMail({ type: 'ops_digest', to, ...digest })
+      });
+    }
+  }
+
+  if (notifyInvestors) {
+    for (const payment of payments.filter(p => !p.isOverdue)) {
+      const [previous] = await db.query(`
+        SELECT id FROM email_delivery_log
+        WHERE email_type = 'investor_notice' AND reference = ? AND status = 'sent'
+        LIMIT 1
+      `, [payment.reminderKey]);
+
+      if (previous) {
+        result.investorNotices.alreadySent++;
+        continue;
+      }
+
+      const status = await sendMail({
+        type: 'investor_notice',
+        to: payment.investorEmail,
+        reference: payment.reminderKey,
+        ...renderInvestorNotice(payment)
+      });
+      result.investorNotices[status]++;
+    }
+  }
+
+  console.log(`📬 Reminder digest: ${payments.length} actionable payment(s), ${result.digest.statuses.length} digest email(s)`);
+  return result;
+}
+
+module.exports = {
+  selectActionablePayments,
+  renderOpsDigest,
+  renderInvestorNotice,
+  sendReminderDigest
+};
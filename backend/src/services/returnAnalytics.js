@@ -0,0 +1,214 @@
+const db = require('../database/connection');
+const { calculateXirr } = require('../utils/calculations');
+const { stageExclusionSql, excludedStageSql, canonicalStageSql } = require('./stageResolutions');
+const { internalAccountExclusionSql } = require('./internalAccounts');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const round = (value, places = 2) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+// Rates are returned as percentages; null stays null
+const toPercent = (rate) => (rate === null || rate === undefined ? null : round(rate * 100));
+
+// Investor cashflows per holding: the invest_funding value goes out on the transaction date (or start date),
+// invest_interest net payments come in, and principal comes back at end_date. Holdings that have not matured
+// yet are valued at their principal today, so open and closed positions can be compared.
+async function loadInvestorHoldings(investorId) {
+  const holdings = await db.query(`
+    SELECT
+      inf.id as funding_id,
+      ${canonicalStageSql('inf.stage_id')} as stage_id,
+      inf.investor_id,
+      inf.value,
+      inf.income_rate,
+      COALESCE(inf.transcation_date, inf.start_date) as invested_date,
+      inf.end_date,
+      a.name as investor_name,
+      p.name as project_title
+    FROM invest_funding inf
+    LEFT JOIN account a ON inf.investor_id = a.id
+    LEFT JOIN stage s ON s.id = ${canonicalStageSql('inf.stage_id')}
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE inf.type = 'Investment'
+      AND COALESCE(inf.transcation_date, inf.start_date) IS NOT NULL
+      AND ${internalAccountExclusionSql('a')}
+      AND ${excludedStageSql('inf.stage_id')}
+      ${investorId ? 'AND inf.investor_id = ?' : ''}
+    ORDER BY a.name, inf.investor_id, invested_date
+  `, investorId ? [investorId] : []);
+
+  const payments = await db.query(`
+    SELECT ii.investor_id, ${canonicalStageSql('ii.stage_id')} as stage_id, ii.date, ii.net
+    FROM invest_interest ii
+    WHERE ii.date IS NOT NULL
+      AND ${excludedStageSql('ii.stage_id')}
+      ${investorId ? 'AND ii.investor_id = ?' : ''}
+  `, investorId ? [investorId] : []);
+
+  return { holdings, payments };
+}
+
+// Summarise one set of holdings and their interest payments into return metrics
+function summariseReturns(holdings, payments, today) {
+  const cashflows = [];
+  let capital = 0;
+  let weightedRate = 0;
+  let capitalYears = 0;
+  let openHoldings = 0;
+
+  holdings.forEach(holding => {
+    const value = parseFloat(holding.value) || 0;
+    const invested = new Date(holding.invested_date);
+    const matured = holding.end_date && new Date(holding.end_date) <= today;
+    const returnDate = matured ? new Date(holding.end_date) : today;
+
+    capital += value;
+    weightedRate += value * (parseFloat(holding.income_rate) || 0);
+    capitalYears += value * Math.max(0, (returnDate - invested) / DAY_MS) / 365;
+    if (!matured) openHoldings++;
+
+    cashflows.push({ date: invested, amount: -value });
+    cashflows.push({ date: returnDate, amount: value });
+  });
+
+  const netInterest = payments.reduce((sum, payment) => sum + (parseFloat(payment.net) || 0), 0);
+  payments.forEach(payment => cashflows.push({ date: new Date(payment.date), amount: parseFloat(payment.net) || 0 }));
+
+  return {
+    holdings: holdings.length,
+    openHoldings,
+    capital: round(capital),
+    netInterest: round(netInterest),
+    contractedYield: capital > 0 ? toPercent(weightedRate / capital) : null,
+    // Simple annualised yield: net interest per dollar-year invested
+    realisedYield: capitalYears > 0 ? toPercent(netInterest / capitalYears) : null,
+    xirr: toPercent(calculateXirr(cashflows))
+  };
+}
+
+// XIRR and realised vs contracted yield per investor (or for one investor), with a per-stage breakdown
+async function buildInvestorReturns({ investorId = null } = {}) {
+  const today = new Date();
+  const { holdings, payments } = await loadInvestorHoldings(investorId);
+
+  const investors = new Map();
+  holdings.forEach(holding => {
+    if (!investors.has(holding.investor_id)) {
+      investors.set(holding.investor_id, { investorName: holding.investor_name, holdings: [] });
+    }
+    investors.get(holding.investor_id).holdings.push(holding);
+  });
+
+  const data = [...investors.entries()].map(([id, investor]) => {
+    const investorPayments = payments.filter(payment => payment.investor_id === id);
+    const stageIds = [...new Set(investor.holdings.map(holding => holding.stage_id))];
+
+    return {
+      investorId: id,
+      investorName: investor.investorName,
+      ...summariseReturns(investor.holdings, investorPayments, today),
+      stages: stageIds.map(stageId => {
+        const stageHoldings = investor.holdings.filter(holding => holding.stage_id === stageId);
+        return {
+          stageId,
+          projectTitle: stageHoldings[0].project_title,
+          ...summariseReturns(stageHoldings, investorPayments.filter(payment => payment.stage_id === stageId), today)
+        };
+      })
+    };
+  });
+
+  return {
+    data,
+    summary: {
+      investors: data.length,
+      ...summariseReturns(holdings, payments.filter(payment => investors.has(payment.investor_id)), today)
+    }
+  };
+}
+
+// Borrower interest_rate against the value-weighted investor income_rate per stage. The margin is in
+// percentage points; annualMargin is the yearly dollar difference on the current loan and funding amounts.
+async function buildStageMargins({ status = null } = {}) {
+  const rows = await db.query(`
+    SELECT
+      s.id as stage_id,
+      s.status,
+      s.loan_amount,
+      s.interest_rate as borrower_interest_rate,
+      s.loan_start_date,
+      s.loan_repayment_date,
+      p.name as project_title,
+      COALESCE(funding.funded_amount, 0) as funded_amount,
+      COALESCE(funding.weighted_rate_amount, 0) as weighted_rate_amount,
+      COALESCE(funding.investors, 0) as investors
+    FROM stage s
+    LEFT JOIN project p ON s.project_id = p.id
+    LEFT JOIN (
+      SELECT
+        ${canonicalStageSql('inf.stage_id')} as canonical_stage_id,
+        SUM(inf.value) as funded_amount,
+        SUM(inf.value * inf.income_rate) as weighted_rate_amount,
+        COUNT(DISTINCT inf.investor_id) as investors
+      FROM invest_funding inf
+      WHERE inf.type = 'Investment'
+      GROUP BY canonical_stage_id
+    ) funding ON s.id = funding.canonical_stage_id
+    WHERE ${stageExclusionSql('s.id')}
+      ${status ? 'AND s.status = ?' : ''}
+    ORDER BY p.name, s.id
+  `, status ? [status] : []);
+
+  let totalLoan = 0;
+  let totalFunded = 0;
+  let borrowerInterest = 0;
+  let investorInterest = 0;
+
+  const data = rows.map(row => {
+    const loanAmount = parseFloat(row.loan_amount) || 0;
+    const borrowerRate = parseFloat(row.borrower_interest_rate) || 0;
+    const fundedAmount = parseFloat(row.funded_amount) || 0;
+    const weightedRateAmount = parseFloat(row.weighted_rate_amount) || 0;
+    const investorRate = fundedAmount > 0 ? weightedRateAmount / fundedAmount : null;
+
+    totalLoan += loanAmount;
+    totalFunded += fundedAmount;
+    borrowerInterest += loanAmount * borrowerRate;
+    investorInterest += weightedRateAmount;
+
+    return {
+      stageId: row.stage_id,
+      projectTitle: row.project_title,
+      status: row.status,
+      loanStartDate: row.loan_start_date,
+      loanRepaymentDate: row.loan_repayment_date,
+      loanAmount: round(loanAmount),
+      fundedAmount: round(fundedAmount),
+      investors: parseInt(row.investors) || 0,
+      borrowerRate: toPercent(borrowerRate),
+      investorRate: toPercent(investorRate),
+      margin: investorRate === null ? null : toPercent(borrowerRate - investorRate),
+      annualMargin: round(loanAmount * borrowerRate - weightedRateAmount)
+    };
+  });
+
+  const borrowerRate = totalLoan > 0 ? borrowerInterest / totalLoan : null;
+  const investorRate = totalFunded > 0 ? investorInterest / totalFunded : null;
+
+  return {
+    data,
+    summary: {
+      stages: data.length,
+      loanAmount: round(totalLoan),
+      fundedAmount: round(totalFunded),
+      borrowerRate: toPercent(borrowerRate),
+      investorRate: toPercent(investorRate),
+      margin: borrowerRate !== null && investorRate !== null ? toPercent(borrowerRate - investorRate) : null,
+      annualMargin: round(borrowerInterest - investorInterest)
+    }
+  };
+}
+
+module.exports = {
+  buildInvestorReturns,
+  buildStageMargins
+};
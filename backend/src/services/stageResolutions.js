@@ -0,0 +1,182 @@
+const db = require('../database/connection');
+
+// excluded: the stage is ignored everywhere. merged: the same, but it is recorded as a duplicate of canonical_stage_id.
+const STAGE_RESOLUTIONS = ['excluded', 'merged'];
+
+// SQL predicate that drops stages with an active resolution from the loan book (a merged stage's own principal and
+// dates are the canonical stage's); used next to overrideInclusionSql on stage rows. Funding and interest rows use
+// excludedStageSql and canonicalStageSql instead, so a merged stage's payouts and payments are folded in.
+function stageExclusionSql(stageIdColumn = 's.id') {
+  return `NOT EXISTS (
+    SELECT 1 FROM stage_resolutions sr
+    WHERE sr.is_active = TRUE
+      AND sr.stage_id = ${stageIdColumn}
+  )`;
+}
+
+// SQL predicate for invest_funding and invest_interest rows: drops only the rows of excluded stages. Rows booked
+// against a merged stage are kept and belong to the canonical stage (see canonicalStageSql).
+function excludedStageSql(stageIdColumn) {
+  return `NOT EXISTS (
+    SELECT 1 FROM stage_resolutions sr
+    WHERE sr.is_active = TRUE
+      AND sr.resolution = 'excluded'
+      AND sr.stage_id = ${stageIdColumn}
+  )`;
+}
+
+// SQL expression for the stage a funding or interest row counts towards: the canonical stage when its own stage
+// was merged, otherwise its own stage
+function canonicalStageSql(stageIdColumn) {
+  return `COALESCE((
+    SELECT sr.canonical_stage_id FROM stage_resolutions sr
+    WHERE sr.is_active = TRUE
+      AND sr.resolution = 'merged'
+      AND sr.stage_id = ${stageIdColumn}
+    LIMIT 1
+  ), ${stageIdColumn})`;
+}
+
+// Resolutions joined to the project names of the resolved and canonical stages
+const RESOLUTION_SELECT = `
+  SELECT
+    sr.*,
+    p.name as project_title,
+    s.loan_amount,
+    s.loan_start_date,
+    s.loan_repayment_date,
+    cp.name as canonical_project_title
+  FROM stage_resolutions sr
+  LEFT JOIN stage s ON sr.stage_id = s.id
+  LEFT JOIN project p ON s.project_id = p.id
+  LEFT JOIN stage cs ON sr.canonical_stage_id = cs.id
+  LEFT JOIN project cp ON cs.project_id = cp.id
+`;
+
+// Validate a resolve request; returns an error message or null
+function validateResolution({ canonicalStageId, stageIds, resolution, reason }) {
+  if (!Array.isArray(stageIds) || stageIds.length === 0 || stageIds.some(id => !Number.isInteger(Number(id)))) {
+    return 'stageIds must be a non-empty array of stage IDs';
+  }
+  if (!STAGE_RESOLUTIONS.includes(resolution)) {
+    return `resolution must be one of: ${STAGE_RESOLUTIONS.join(', ')}`;
+  }
+  if (resolution === 'merged' && !canonicalStageId) {
+    return 'canonicalStageId is required when merging stages';
+  }
+  if (canonicalStageId && stageIds.map(Number).includes(Number(canonicalStageId))) {
+    return 'The canonical stage cannot also be excluded or merged';
+  }
+  if (!reason || !String(reason).trim()) {
+    return 'A reason is required';
+  }
+  return null;
+}
+
+async function findStageResolution(id) {
+  const [resolution] = await db.query(`${RESOLUTION_SELECT} WHERE sr.id = ?`, [id]);
+  return resolution || null;
+}
+
+async function listStageResolutions({ includeInactive = false, stageId } = {}) {
+  const conditions = [];
+  const params = [];
+  if (!includeInactive) {
+    conditions.push('sr.is_active = TRUE');
+  }
+  if (stageId) {
+    conditions.push('(sr.stage_id = ? OR sr.canonical_stage_id = ?)');
+    params.push(parseInt(stageId), parseInt(stageId));
+  }
+
+  return db.query(`
+    ${RESOLUTION_SELECT}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY sr.created_at DESC, sr.id DESC
+  `, params);
+}
+
+// Check the stages in a resolve request against the database; returns an error message or null
+async function checkResolutionTargets({ canonicalStageId, stageIds }) {
+  const ids = [...new Set(stageIds.map(Number))];
+  const allIds = canonicalStageId ? [...ids, Number(canonicalStageId)] : ids;
+
+  const existing = await db.query(
+    `SELECT id FROM stage WHERE id IN (${allIds.map(() => '?').join(', ')})`,
+    allIds
+  );
+  const missing = allIds.filter(id => !existing.some(row => row.id === id));
+  if (missing.length > 0) {
+    return `Stage(s) not found: ${missing.join(', ')}`;
+  }
+
+  const active = await db.query(`
+    SELECT stage_id, canonical_stage_id FROM stage_resolutions
+    WHERE is_active = TRUE AND (stage_id IN (${allIds.map(() => '?').join(', ')}) OR canonical_stage_id IN (${ids.map(() => '?').join(', ')}))
+  `, [...allIds, ...ids]);
+
+  const alreadyResolved = active.filter(row => allIds.includes(row.stage_id)).map(row => row.stage_id);
+  if (alreadyResolved.length > 0) {
+    return `Stage(s) already excluded or merged: ${[...new Set(alreadyResolved)].join(', ')}. Reinstate them first`;
+  }
+  const canonicalFor = active.filter(row => ids.includes(row.canonical_stage_id)).map(row => row.canonical_stage_id);
+  if (canonicalFor.length > 0) {
+    return `Stage(s) ${[...new Set(canonicalFor)].join(', ')} are the canonical record for other stages`;
+  }
+  return null;
+}
+
+// Exclude or merge each stage; returns the created resolutions
+async function resolveStages({ canonicalStageId = null, stageIds, resolution, reason, createdBy = 'manual' }) {
+  const created = [];
+  for (const stageId of [...new Set(stageIds.map(Number))]) {
+    const result = await db.query(`
+      INSERT INTO stage_resolutions (stage_id, resolution, canonical_stage_id, reason, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [stageId, resolution, canonicalStageId ? parseInt(canonicalStageId) : null, reason, createdBy]);
+    created.push(await findStageResolution(result.insertId));
+  }
+
+  console.log(`🧬 ${resolution === 'merged' ? `Merged stage(s) ${stageIds.join(', ')} into ${canonicalStageId}` : `Excluded stage(s) ${stageIds.join(', ')}`}`);
+  return created;
+}
+
+// Reinstate a stage by deactivating its resolution (kept for history); returns the before and after rows
+async function deactivateStageResolution(id) {
+  const before = await findStageResolution(id);
+  if (!before) return null;
+
+  await db.query('UPDATE stage_resolutions SET is_active = FALSE WHERE id = ?', [id]);
+  return { before, after: await findStageResolution(id) };
+}
+
+// Load active resolutions and return lookups by resolved stage and by canonical stage
+async function loadStageResolutions() {
+  const resolutions = await db.query(`
+    SELECT id, stage_id, resolution, canonical_stage_id, reason
+    FROM stage_resolutions
+    WHERE is_active = TRUE
+  `);
+
+  return {
+    resolutions,
+    resolutionFor: (stageId) => resolutions.find(r => r.stage_id === stageId) || null,
+    mergedInto: (canonicalStageId) => resolutions
+      .filter(r => r.resolution === 'merged' && r.canonical_stage_id === canonicalStageId)
+      .map(r => r.stage_id)
+  };
+}
+
+module.exports = {
+  STAGE_RESOLUTIONS,
+  stageExclusionSql,
+  excludedStageSql,
+  canonicalStageSql,
+  validateResolution,
+  findStageResolution,
+  listStageResolutions,
+  checkResolutionTargets,
+  resolveStages,
+  deactivateStageResolution,
+  loadStageResolutions
+};
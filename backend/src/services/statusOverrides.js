@@ -0,0 +1,42 @@
+const db = require('../database/connection');
+const { STATUS_OVERRIDE_RULES } = require('../utils/calculations');
+
+// SQL predicate that keeps a stage in the active set after maturity when an active include_matured
+// override names it or its project. Used in place of the old "p.id IN (59, 55, 51)" condition (migration
+// 018 gives those projects the rule); stageAlias must expose id and project_id.
+function overrideInclusionSql(stageAlias = 's') {
+  return `EXISTS (
+    SELECT 1 FROM status_overrides so
+    WHERE so.is_active = TRUE
+      AND so.rule = '${STATUS_OVERRIDE_RULES.INCLUDE_MATURED}'
+      AND (so.stage_id = ${stageAlias}.id OR so.project_id = ${stageAlias}.project_id)
+  )`;
+}
+
+// Load active overrides and return a lookup for the rules that apply to a given loan
+async function loadStatusOverrides() {
+  const overrides = await db.query(`
+    SELECT id, project_id, stage_id, rule, reason
+    FROM status_overrides
+    WHERE is_active = TRUE
+  `);
+
+  const rulesFor = (projectId, stageId) => {
+    const rules = overrides
+      .filter(o => (o.stage_id !== null && o.stage_id === stageId) ||
+                   (o.project_id !== null && o.project_id === projectId))
+      .map(o => o.rule);
+    return [...new Set(rules)];
+  };
+
+  return {
+    overrides,
+    rulesFor,
+    hasOverride: (projectId, stageId) => rulesFor(projectId, stageId).length > 0
+  };
+}
+
+module.exports = {
+  overrideInclusionSql,
+  loadStatusOverrides
+};
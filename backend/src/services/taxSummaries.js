@@ -0,0 +1,160 @@
+const db = require('../database/connection');
+const { canonicalStageSql } = require('./stageResolutions');
+const { internalAccountExclusionSql } = require('./internalAccounts');
+
+// Australian financial years run 1 July to 30 June and are named by the year they end in (FY2026 = 2025-07-01
+// to 2026-06-30)
+function financialYearRange(year) {
+  return { from: `${year - 1}-07-01`, to: `${year}-06-30` };
+}
+
+function currentFinancialYear(date = new Date()) {
+  return date.getMonth() >= 6 ? date.getFullYear() + 1 : date.getFullYear();
+}
+
+const round = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const AMOUNT_COLUMNS = `
+  COUNT(*) as payments,
+  COALESCE(SUM(ii.money), 0) as gross,
+  COALESCE(SUM(ii.tax), 0) as tax,
+  COALESCE(SUM(ii.fee), 0) as fee,
+  COALESCE(SUM(ii.net), 0) as net
+`;
+
+const toAmounts = (row) => ({
+  payments: parseInt(row.payments) || 0,
+  gross: round(row.gross),
+  tax: round(row.tax),
+  fee: round(row.fee),
+  net: round(row.net)
+});
+
+const sumAmounts = (rows) => rows.reduce((totals, row) => ({
+  payments: totals.payments + row.payments,
+  gross: round(totals.gross + row.gross),
+  tax: round(totals.tax + row.tax),
+  fee: round(totals.fee + row.fee),
+  net: round(totals.net + row.net)
+}), { payments: 0, gross: 0, tax: 0, fee: 0, net: 0 });
+
+// One investor's interest, withholding tax and fees for a financial year, by project stage (a merged stage's
+// payments count towards its canonical stage).
+// Returns null when the investor does not exist.
+async function buildInvestorTaxSummary(investorId, year) {
+  const [investor] = await db.query('SELECT id, name, email FROM account WHERE id = ?', [investorId]);
+  if (!investor) return null;
+
+  const { from, to } = financialYearRange(year);
+  const rows = await db.query(`
+    SELECT ${canonicalStageSql('ii.stage_id')} as stage_id, p.name as project_title, ${AMOUNT_COLUMNS}
+    FROM invest_interest ii
+    LEFT JOIN stage s ON s.id = ${canonicalStageSql('ii.stage_id')}
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE ii.investor_id = ? AND ii.date BETWEEN ? AND ?
+    GROUP BY 1, p.name
+    ORDER BY p.name, 1
+  `, [investorId, from, to]);
+
+  const stages = rows.map(row => ({ stageId: row.stage_id, projectTitle: row.project_title, ...toAmounts(row) }));
+  return {
+    investor,
+    financialYear: year,
+    period: { from, to },
+    generatedAt: new Date().toISOString(),
+    stages,
+    totals: sumAmounts(stages)
+  };
+}
+
+// Firm-wide totals for a financial year, by investor and by project stage. Internal Goodland accounts are
+// left out, as they are from investor statements.
+async function buildFirmTaxSummary(year) {
+  const { from, to } = financialYearRange(year);
+  const investorRows = await db.query(`
+    SELECT ii.investor_id, a.name as investor_name, ${AMOUNT_COLUMNS}
+    FROM invest_interest ii
+    LEFT JOIN account a ON ii.investor_id = a.id
+    WHERE ii.date BETWEEN ? AND ? AND ${internalAccountExclusionSql('a')}
+    GROUP BY ii.investor_id, a.name
+    ORDER BY a.name, ii.investor_id
+  `, [from, to]);
+
+  const stageRows = await db.query(`
+    SELECT
+      ${canonicalStageSql('ii.stage_id')} as stage_id,
+      p.name as project_title,
+      COUNT(DISTINCT ii.investor_id) as investors,
+      ${AMOUNT_COLUMNS}
+    FROM invest_interest ii
+    LEFT JOIN account a ON ii.investor_id = a.id
+    LEFT JOIN stage s ON s.id = ${canonicalStageSql('ii.stage_id')}
+    LEFT JOIN project p ON s.project_id = p.id
+    WHERE ii.date BETWEEN ? AND ? AND ${internalAccountExclusionSql('a')}
+    GROUP BY 1, p.name
+    ORDER BY p.name, 1
+  `, [from, to]);
+
+  const investors = investorRows.map(row => ({
+    investorId: row.investor_id,
+    investorName: row.investor_name,
+    ...toAmounts(row)
+  }));
+
+  return {
+    financialYear: year,
+    period: { from, to },
+    generatedAt: new Date().toISOString(),
+    investors,
+    stages: stageRows.map(row => ({
+      stageId: row.stage_id,
+      projectTitle: row.project_title,
+      investors: parseInt(row.investors) || 0,
+      ...toAmounts(row)
+    })),
+    totals: { investors: investors.length, ...sumAmounts(investors) }
+  };
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvLine = (fields) => fields.map(csvField).join(',');
+const amountFields = (row) => [row.payments, row.gross.toFixed(2), row.tax.toFixed(2), row.fee.toFixed(2), row.net.toFixed(2)];
+const AMOUNT_HEADERS = ['Payments', 'Gross Interest', 'Withholding Tax', 'Fees', 'Net Paid'];
+
+// CSV for the accountant: one line per project stage and a total line
+function investorTaxSummaryCsv(summary) {
+  const lines = [
+    csvLine(['Financial Year', 'Investor ID', 'Investor', 'Stage ID', 'Project', ...AMOUNT_HEADERS]),
+    ...summary.stages.map(stage => csvLine([
+      `FY${summary.financialYear}`, summary.investor.id, summary.investor.name, stage.stageId, stage.projectTitle,
+      ...amountFields(stage)
+    ])),
+    csvLine([`FY${summary.financialYear}`, summary.investor.id, summary.investor.name, '', 'Total', ...amountFields(summary.totals)])
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// CSV of the firm-wide report: one line per investor and a total line
+function firmTaxSummaryCsv(summary) {
+  const lines = [
+    csvLine(['Financial Year', 'Investor ID', 'Investor', ...AMOUNT_HEADERS]),
+    ...summary.investors.map(investor => csvLine([
+      `FY${summary.financialYear}`, investor.investorId, investor.investorName, ...amountFields(investor)
+    ])),
+    csvLine([`FY${summary.financialYear}`, '', 'Total', ...amountFields(summary.totals)])
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  financialYearRange,
+  currentFinancialYear,
+  buildInvestorTaxSummary,
+  buildFirmTaxSummary,
+  investorTaxSummaryCsv,
+  firmTaxSummaryCsv
+};
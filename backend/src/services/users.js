@@ -0,0 +1,108 @@
+const bcrypt = require('bcryptjs');
+const db = require('../database/connection');
+
+// Ordered from least to most privileged; each role can do everything the roles before it can
+const ROLES = ['viewer', 'ops', 'finance', 'admin'];
+const MIN_PASSWORD_LENGTH = 10;
+
+// True when role is at least minRole in the ROLES order
+function roleAtLeast(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole) && ROLES.includes(role);
+}
+
+// Validate new or updated user fields; returns an error message or null
+function validateUser({ email, password, role }, { isNew = true } = {}) {
+  if (isNew && (!email || !/^[^@\s]+@[^@\s]+$/.test(email))) {
+    return 'A valid email is required';
+  }
+  if ((isNew || password !== undefined) && (!password || String(password).length < MIN_PASSWORD_LENGTH)) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if ((isNew || role !== undefined) && !ROLES.includes(role)) {
+    return `role must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+// Public fields only - the password hash never leaves this module
+function toUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    isActive: !!row.is_active,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at
+  };
+}
+
+async function listUsers() {
+  const rows = await db.query('SELECT * FROM users ORDER BY email');
+  return rows.map(toUser);
+}
+
+async function findUserById(id) {
+  const [row] = await db.query('SELECT * FROM users WHERE id = ?', [id]);
+  return row ? toUser(row) : null;
+}
+
+async function createUser({ email, name = null, password, role = 'viewer' }) {
+  const passwordHash = await bcrypt.hash(String(password), 12);
+  const result = await db.query(`
+    INSERT INTO users (email, name, password_hash, role)
+    VALUES (?, ?, ?, ?)
+  `, [email.trim().toLowerCase(), name, passwordHash, role]);
+
+  console.log(`👤 Created ${role} user ${email}`);
+  return findUserById(result.insertId);
+}
+
+// Update name, role, active flag and/or password; returns null when the user does not exist
+async function updateUser(id, { name, role, isActive, password }) {
+  const updates = [];
+  const params = [];
+  if (name !== undefined) {
+    updates.push('name = ?');
+    params.push(name);
+  }
+  if (role !== undefined) {
+    updates.push('role = ?');
+    params.push(role);
+  }
+  if (isActive !== undefined) {
+    updates.push('is_active = ?');
+    params.push(!!isActive);
+  }
+  if (password !== undefined) {
+    updates.push('password_hash = ?');
+    params.push(await bcrypt.hash(String(password), 12));
+  }
+
+  if (updates.length > 0) {
+    await db.query(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, [...params, id]);
+  }
+  return findUserById(id);
+}
+
+// Check an email/password pair; returns the user, or null for unknown, inactive or wrong password
+async function verifyCredentials(email, password) {
+  const [row] = await db.query('SELECT * FROM users WHERE email = ?', [String(email || '').trim().toLowerCase()]);
+  if (!row || !row.is_active || !(await bcrypt.compare(String(password || ''), row.password_hash))) {
+    return null;
+  }
+
+  await db.query('UPDATE users SET last_login_at = NOW() WHERE id = ?', [row.id]);
+  return toUser(row);
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  validateUser,
+  listUsers,
+  findUserById,
+  createUser,
+  updateUser,
+  verifyCredentials
+};
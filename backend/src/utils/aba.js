@@ -0,0 +1,113 @@
+// Australian Direct Entry (ABA / Cemtext) file generation. Every record is 120 characters and ends in CRLF:
+// one descriptive record (type 0), one detail record per payment (type 1) and a file total record (type 7).
+
+const RECORD_LENGTH = 120;
+const CREDIT_TRANSACTION_CODE = '50';
+
+const ACCOUNT_NUMBER_PATTERN = /^[0-9-]{1,9}$/;
+// Amounts are ten digits of cents
+const MAX_CENTS = 9999999999;
+
+// Characters outside the BECS character set are replaced with spaces
+const toBecsText = (value) => String(value || '').replace(/[^A-Za-z0-9 &'()*+,\-./]/g, ' ');
+
+const left = (value, length) => toBecsText(value).slice(0, length).padEnd(length, ' ');
+const rightSpaces = (value, length) => String(value || '').slice(-length).padStart(length, ' ');
+const rightZeros = (value, length) => String(value || 0).slice(-length).padStart(length, '0');
+const blank = (length) => ' '.repeat(length);
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Normalise a BSB to XXX-XXX; returns null when it is not six digits
+function formatBsb(value) {
+  const digits = String(value || '').replace(/[\s-]/g, '');
+  if (!/^\d{6}$/.test(digits)) return null;
+  return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+}
+
+// Validate the bank details used in a detail record; returns an error message or null
+function validateBankAccount({ bsb, accountNumber, accountName }) {
+  if (!formatBsb(bsb)) {
+    return 'bsb must be six digits (XXX-XXX)';
+  }
+  if (!ACCOUNT_NUMBER_PATTERN.test(String(accountNumber || '').replace(/\s/g, ''))) {
+    return 'accountNumber must be 1 to 9 digits';
+  }
+  if (!accountName || !String(accountName).trim()) {
+    return 'accountName is required';
+  }
+  if (String(accountName).trim().length > 32) {
+    return 'accountName must be at most 32 characters';
+  }
+  return null;
+}
+
+// DDMMYY for a YYYY-MM-DD date
+function formatProcessingDate(date) {
+  const [year, month, day] = String(date).slice(0, 10).split('-');
+  return `${day}${month}${year.slice(2)}`;
+}
+
+function assertLength(record) {
+  if (record.length !== RECORD_LENGTH) {
+    throw new Error(`ABA record is ${record.length} characters, expected ${RECORD_LENGTH}`);
+  }
+  return record;
+}
+
+// Build the file.
+// remitter: { bankCode (3 letter FI abbreviation), userName, userId (APCA user ID), bsb, accountNumber, remitterName }
+// payments: [{ bsb, accountNumber, accountName, amount (dollars), lodgementReference }]
+function buildAbaFile({ remitter, description, processingDate, payments }) {
+  const descriptive = assertLength([
+    '0',
+    blank(17),
+    '01',
+    left(remitter.bankCode, 3),
+    blank(7),
+    left(remitter.userName, 26),
+    rightZeros(remitter.userId, 6),
+    left(description, 12),
+    formatProcessingDate(processingDate),
+    blank(40)
+  ].join(''));
+
+  const details = payments.map(payment => assertLength([
+    '1',
+    formatBsb(payment.bsb),
+    rightSpaces(String(payment.accountNumber).replace(/\s/g, ''), 9),
+    ' ',
+    CREDIT_TRANSACTION_CODE,
+    rightZeros(toCents(payment.amount), 10),
+    left(payment.accountName, 32),
+    left(payment.lodgementReference, 18),
+    formatBsb(remitter.bsb),
+    rightSpaces(String(remitter.accountNumber).replace(/\s/g, ''), 9),
+    left(remitter.remitterName, 16),
+    rightZeros(0, 8)
+  ].join('')));
+
+  const creditTotal = payments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  if (creditTotal > MAX_CENTS) {
+    throw new Error('ABA file total exceeds $99,999,999.99');
+  }
+  const fileTotal = assertLength([
+    '7',
+    '999-999',
+    blank(12),
+    rightZeros(creditTotal, 10),
+    rightZeros(creditTotal, 10),
+    rightZeros(0, 10),
+    blank(24),
+    rightZeros(payments.length, 6),
+    blank(40)
+  ].join(''));
+
+  return [descriptive, ...details, fileTotal].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  formatBsb,
+  validateBankAccount,
+  buildAbaFile
+};
@@ -0,0 +1,109 @@
+const { formatBsb, validateBankAccount, buildAbaFile } = require('./aba');
+
+const remitter = {
+  bankCode: 'CBA',
+  userName: 'GOODLAND',
+  userId: '123456',
+  bsb: '062-000',
+  accountNumber: '12345678',
+  remitterName: 'GOODLAND'
+};
+
+const payments = [
+  { bsb: '062001', accountNumber: '1234567', accountName: 'Jane Investor', amount: 1250.5, lodgementReference: 'GL INT 20261101' },
+  { bsb: '082-002', accountNumber: '98765432', accountName: 'Smith Family Trust', amount: 99.99, lodgementReference: 'GL INT 20261101' }
+];
+
+const buildRecords = () => {
+  const file = buildAbaFile({ remitter, description: 'INV PAYOUTS', processingDate: '2026-11-02', payments });
+  return { file, records: file.split('\r\n').slice(0, -1) };
+};
+
+describe('formatBsb', () => {
+  test('normalises six digits to XXX-XXX', () => {
+    expect(formatBsb('062000')).toBe('062-000');
+    expect(formatBsb(' 062 000 ')).toBe('062-000');
+    expect(formatBsb('062-000')).toBe('062-000');
+  });
+
+  test('rejects anything that is not six digits', () => {
+    expect(formatBsb('06200')).toBeNull();
+    expect(formatBsb('0620001')).toBeNull();
+    expect(formatBsb(null)).toBeNull();
+  });
+});
+
+describe('validateBankAccount', () => {
+  test('accepts a valid account', () => {
+    expect(validateBankAccount({ bsb: '062-000', accountNumber: '1234 5678', accountName: 'Jane Investor' })).toBeNull();
+  });
+
+  test('reports the first invalid field', () => {
+    expect(validateBankAccount({ bsb: '123', accountNumber: '1', accountName: 'A' })).toMatch(/bsb/);
+    expect(validateBankAccount({ bsb: '062000', accountNumber: '1234567890', accountName: 'A' })).toMatch(/accountNumber/);
+    expect(validateBankAccount({ bsb: '062000', accountNumber: '1', accountName: ' ' })).toMatch(/accountName is required/);
+    expect(validateBankAccount({ bsb: '062000', accountNumber: '1', accountName: 'x'.repeat(33) })).toMatch(/32 characters/);
+  });
+});
+
+describe('buildAbaFile', () => {
+  test('writes one descriptive, one detail per payment and one total record, each 120 characters and CRLF terminated', () => {
+    const { file, records } = buildRecords();
+
+    expect(file.endsWith('\r\n')).toBe(true);
+    expect(records).toHaveLength(payments.length + 2);
+    records.forEach(record => expect(record).toHaveLength(120));
+    expect(records.map(record => record[0])).toEqual(['0', '1', '1', '7']);
+  });
+
+  test('descriptive record carries the remitter, description and DDMMYY processing date', () => {
+    const [descriptive] = buildRecords().records;
+
+    expect(descriptive.slice(18, 20)).toBe('01');
+    expect(descriptive.slice(20, 23)).toBe('CBA');
+    expect(descriptive.slice(30, 56).trim()).toBe('GOODLAND');
+    expect(descriptive.slice(56, 62)).toBe('123456');
+    expect(descriptive.slice(62, 74).trim()).toBe('INV PAYOUTS');
+    expect(descriptive.slice(74, 80)).toBe('021126');
+  });
+
+  test('detail records are credits in cents to the payee, traced to the remitter account', () => {
+    const [, first] = buildRecords().records;
+
+    expect(first.slice(1, 8)).toBe('062-001');
+    expect(first.slice(8, 17)).toBe('  1234567');
+    expect(first.slice(18, 20)).toBe('50');
+    expect(first.slice(20, 30)).toBe('0000125050');
+    expect(first.slice(30, 62).trim()).toBe('Jane Investor');
+    expect(first.slice(62, 80).trim()).toBe('GL INT 20261101');
+    expect(first.slice(80, 87)).toBe('062-000');
+    expect(first.slice(87, 96)).toBe(' 12345678');
+    expect(first.slice(96, 112).trim()).toBe('GOODLAND');
+    expect(first.slice(112, 120)).toBe('00000000');
+  });
+
+  test('file total record balances the credits and counts the detail records', () => {
+    const records = buildRecords().records;
+    const total = records[records.length - 1];
+    const detailCents = records
+      .filter(record => record[0] === '1')
+      .reduce((sum, record) => sum + parseInt(record.slice(20, 30), 10), 0);
+
+    expect(detailCents).toBe(135049);
+    expect(total.slice(1, 8)).toBe('999-999');
+    // Net total (credits less debits), credit total, debit total
+    expect(parseInt(total.slice(20, 30), 10)).toBe(detailCents);
+    expect(parseInt(total.slice(30, 40), 10)).toBe(detailCents);
+    expect(parseInt(total.slice(40, 50), 10)).toBe(0);
+    expect(parseInt(total.slice(74, 80), 10)).toBe(payments.length);
+  });
+
+  test('rejects a file whose total does not fit the amount field', () => {
+    expect(() => buildAbaFile({
+      remitter,
+      description: 'INV PAYOUTS',
+      processingDate: '2026-11-02',
+      payments: [{ ...payments[0], amount: 100000000 }]
+    })).toThrow(/exceeds/);
+  });
+});
@@ -0,0 +1,158 @@
+// Parsing helpers for bank statement CSV exports
+
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'YYYY/MM/DD', 'DD.MM.YYYY'];
+
+// Split CSV text into rows of fields. Handles quoted fields, "" escapes, CRLF and a leading BOM.
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse a statement date in one of DATE_FORMATS; returns YYYY-MM-DD or null
+function parseStatementDate(value, format = 'DD/MM/YYYY') {
+  const separator = format.replace(/[DMY]/g, '')[0];
+  const parts = String(value || '').trim().split(/\s+/)[0].split(separator);
+  const order = format.split(separator);
+  if (parts.length !== 3 || order.length !== 3) return null;
+
+  const get = (token) => parseInt(parts[order.indexOf(token)]);
+  let year = get('YYYY');
+  const month = get('MM');
+  const day = get('DD');
+  if (year < 100) year += 2000;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Parse a money amount such as "1,234.56", "$-50.00", "(50.00)" or "50.00 DR"; returns a number or null
+function parseAmount(value) {
+  let text = String(value === undefined || value === null ? '' : value).trim();
+  if (text === '' || text === '-') return null;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/DR$/i.test(text)) sign = -1;
+  text = text.replace(/(CR|DR)$/i, '').replace(/[$,\s]/g, '');
+
+  const amount = parseFloat(text);
+  return Number.isNaN(amount) ? null : sign * amount;
+}
+
+// Turn parsed CSV rows into statement lines using a column mapping. Money in is positive, money out negative:
+// either a signed amount column, or separate debit and credit columns.
+// Returns { lines, errors }; lineNumber counts non-blank rows from the top of the file, header included.
+function mapStatementRows(rows, mapping) {
+  const dataRows = rows.slice(mapping.skipRows || 0);
+  const header = (dataRows[0] || []).map(h => h.trim());
+  const column = (name) => (name ? header.indexOf(name.trim()) : -1);
+
+  const columns = {
+    date: column(mapping.dateColumn),
+    amount: column(mapping.amountColumn),
+    debit: column(mapping.debitColumn),
+    credit: column(mapping.creditColumn),
+    description: column(mapping.descriptionColumn),
+    reference: column(mapping.referenceColumn)
+  };
+
+  const missing = [
+    ['dateColumn', columns.date],
+    ['descriptionColumn', columns.description],
+    ...(mapping.amountColumn ? [['amountColumn', columns.amount]] : [['debitColumn', columns.debit], ['creditColumn', columns.credit]]),
+    ...(mapping.referenceColumn ? [['referenceColumn', columns.reference]] : [])
+  ].filter(([, index]) => index === -1);
+  if (missing.length > 0) {
+    return {
+      lines: [],
+      errors: [`Column(s) not found in the header row: ${missing.map(([field]) => `${field} "${mapping[field]}"`).join(', ')}`]
+    };
+  }
+
+  const lines = [];
+  const errors = [];
+  dataRows.slice(1).forEach((row, index) => {
+    const lineNumber = index + 2 + (mapping.skipRows || 0);
+    const transactionDate = parseStatementDate(row[columns.date], mapping.dateFormat);
+
+    let amount;
+    if (columns.amount !== -1) {
+      amount = parseAmount(row[columns.amount]);
+    } else {
+      const credit = parseAmount(row[columns.credit]) || 0;
+      const debit = parseAmount(row[columns.debit]) || 0;
+      amount = credit - Math.abs(debit);
+    }
+
+    if (!transactionDate) {
+      errors.push(`Line ${lineNumber}: invalid date "${row[columns.date] || ''}" for format ${mapping.dateFormat}`);
+      return;
+    }
+    if (amount === null || amount === 0) {
+      errors.push(`Line ${lineNumber}: no amount`);
+      return;
+    }
+
+    lines.push({
+      lineNumber,
+      transactionDate,
+      amount: Math.round(amount * 100) / 100,
+      description: (row[columns.description] || '').trim(),
+      reference: columns.reference !== -1 ? (row[columns.reference] || '').trim() || null : null
+    });
+  });
+
+  return { lines, errors };
+}
+
+module.exports = {
+  DATE_FORMATS,
+  parseCsv,
+  parseStatementDate,
+  parseAmount,
+  mapStatementRows
+};
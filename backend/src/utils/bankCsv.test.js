@@ -0,0 +1,126 @@
+const { parseCsv, parseStatementDate, parseAmount, mapStatementRows } = require('./bankCsv');
+
+describe('parseStatementDate', () => {
+  test('reads each supported format', () => {
+    expect(parseStatementDate('05/03/2026', 'DD/MM/YYYY')).toBe('2026-03-05');
+    expect(parseStatementDate('03/05/2026', 'MM/DD/YYYY')).toBe('2026-03-05');
+    expect(parseStatementDate('2026-03-05', 'YYYY-MM-DD')).toBe('2026-03-05');
+    expect(parseStatementDate('05-03-2026', 'DD-MM-YYYY')).toBe('2026-03-05');
+    expect(parseStatementDate('2026/03/05', 'YYYY/MM/DD')).toBe('2026-03-05');
+    expect(parseStatementDate('05.03.2026', 'DD.MM.YYYY')).toBe('2026-03-05');
+  });
+
+  test('defaults to DD/MM/YYYY, expands two-digit years and ignores a trailing time', () => {
+    expect(parseStatementDate('31/12/25')).toBe('2025-12-31');
+    expect(parseStatementDate(' 01/02/2026 09:15:00 ')).toBe('2026-02-01');
+  });
+
+  test('rejects dates that do not exist or do not match the format', () => {
+    expect(parseStatementDate('29/02/2026')).toBeNull();
+    expect(parseStatementDate('31/04/2026')).toBeNull();
+    expect(parseStatementDate('2026-03-05', 'DD/MM/YYYY')).toBeNull();
+    expect(parseStatementDate('')).toBeNull();
+  });
+
+  test('accepts 29 February in a leap year', () => {
+    expect(parseStatementDate('29/02/2028')).toBe('2028-02-29');
+  });
+});
+
+describe('parseAmount', () => {
+  test('strips currency symbols and thousands separators', () => {
+    expect(parseAmount('1,234.56')).toBe(1234.56);
+    expect(parseAmount('$2,000')).toBe(2000);
+    expect(parseAmount(' 15.5 ')).toBe(15.5);
+    expect(parseAmount(42)).toBe(42);
+  });
+
+  test('reads negative amounts written with a sign, brackets or DR', () => {
+    expect(parseAmount('$-50.00')).toBe(-50);
+    expect(parseAmount('(50.00)')).toBe(-50);
+    expect(parseAmount('50.00 DR')).toBe(-50);
+    expect(parseAmount('50.00 CR')).toBe(50);
+  });
+
+  test('returns null when there is no amount', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('-')).toBeNull();
+    expect(parseAmount(null)).toBeNull();
+    expect(parseAmount(undefined)).toBeNull();
+    expect(parseAmount('n/a')).toBeNull();
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quoted fields, escaped quotes, CRLF, a BOM and blank lines', () => {
+    const text = '\uFEFFDate,Amount,Description\r\n01/11/2026,"1,000.00","Interest ""Nov"""\r\n\r\n02/11/2026,-5.00,Fee\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['Date', 'Amount', 'Description'],
+      ['01/11/2026', '1,000.00', 'Interest "Nov"'],
+      ['02/11/2026', '-5.00', 'Fee']
+    ]);
+  });
+
+  test('splits on another delimiter', () => {
+    expect(parseCsv('a;b\n1;2', ';')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('mapStatementRows', () => {
+  test('maps a signed amount column and reports invalid lines by file line number', () => {
+    const rows = parseCsv([
+      'Date,Amount,Narrative,Ref',
+      '01/11/2026,"1,250.50",Interest Smith,INV-7',
+      '31/11/2026,10.00,Bad date,',
+      '02/11/2026,,No amount,'
+    ].join('\n'));
+
+    const { lines, errors } = mapStatementRows(rows, {
+      dateColumn: 'Date',
+      amountColumn: 'Amount',
+      descriptionColumn: 'Narrative',
+      referenceColumn: 'Ref',
+      dateFormat: 'DD/MM/YYYY'
+    });
+
+    expect(lines).toEqual([
+      { lineNumber: 2, transactionDate: '2026-11-01', amount: 1250.5, description: 'Interest Smith', reference: 'INV-7' }
+    ]);
+    expect(errors).toEqual([
+      'Line 3: invalid date "31/11/2026" for format DD/MM/YYYY',
+      'Line 4: no amount'
+    ]);
+  });
+
+  test('combines debit and credit columns, money out negative', () => {
+    const rows = parseCsv('Date,Debit,Credit,Details\n2026-11-03,200.00,,Payout\n2026-11-04,,75.25,Receipt');
+
+    const { lines, errors } = mapStatementRows(rows, {
+      dateColumn: 'Date',
+      debitColumn: 'Debit',
+      creditColumn: 'Credit',
+      descriptionColumn: 'Details',
+      dateFormat: 'YYYY-MM-DD'
+    });
+
+    expect(errors).toEqual([]);
+    expect(lines.map(line => [line.transactionDate, line.amount, line.reference])).toEqual([
+      ['2026-11-03', -200, null],
+      ['2026-11-04', 75.25, null]
+    ]);
+  });
+
+  test('reports mapped columns missing from the header row', () => {
+    const { lines, errors } = mapStatementRows(parseCsv('Date,Amount\n01/11/2026,5'), {
+      dateColumn: 'Date',
+      amountColumn: 'Value',
+      descriptionColumn: 'Narrative',
+      dateFormat: 'DD/MM/YYYY'
+    });
+
+    expect(lines).toEqual([]);
+    expect(errors[0]).toMatch(/amountColumn "Value"/);
+    expect(errors[0]).toMatch(/descriptionColumn "Narrative"/);
+  });
+});
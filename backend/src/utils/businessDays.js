@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { toDateKey } = require('./referenceDate');
+
+// Business-day calendar for rolling payment dates off weekends and public holidays.
+// Holidays come from a local JSON file (src/data/publicHolidays.json, or PUBLIC_HOLIDAYS_FILE) keyed by calendar:
+// "national" holidays apply everywhere, a state calendar such as "NSW" adds its own on top.
+
+const BUSINESS_DAY_CONVENTIONS = {
+  NONE: 'none',                             // Pay on the scheduled date
+  FOLLOWING: 'following',                   // Next business day
+  MODIFIED_FOLLOWING: 'modified_following'  // Next business day unless that is in the next month, then the previous one
+};
+
+const NATIONAL_CALENDAR = 'national';
+const DEFAULT_CALENDAR = 'NSW';
+
+const DEFAULT_HOLIDAYS_FILE = path.join(__dirname, '..', 'data', 'publicHolidays.json');
+
+let holidayFile = null;
+const calendarHolidays = {};
+const warnedYears = new Set();
+
+// Load the holiday file once; { calendar: { 'YYYY-MM-DD': name } }
+function loadHolidayFile() {
+  if (!holidayFile) {
+    const file = process.env.PUBLIC_HOLIDAYS_FILE || DEFAULT_HOLIDAYS_FILE;
+    holidayFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`📅 Loaded public holidays for ${Object.keys(holidayFile).join(', ')} from ${file}`);
+  }
+  return holidayFile;
+}
+
+// Calendars that can be selected (every key in the holiday file)
+function availableCalendars() {
+  return Object.keys(loadHolidayFile());
+}
+
+// Holidays observed under a calendar: the national ones plus the calendar's own
+function getHolidays(calendar = DEFAULT_CALENDAR) {
+  if (!calendarHolidays[calendar]) {
+    const file = loadHolidayFile();
+    if (!file[calendar]) {
+      throw new Error(`Unknown holiday calendar: ${calendar}`);
+    }
+    calendarHolidays[calendar] = {
+      ...(file[NATIONAL_CALENDAR] || {}),
+      ...(calendar === NATIONAL_CALENDAR ? {} : file[calendar])
+    };
+  }
+  return calendarHolidays[calendar];
+}
+
+// Years with at least one holiday under a calendar, oldest first
+function holidayYears(calendar = DEFAULT_CALENDAR) {
+  return [...new Set(Object.keys(getHolidays(calendar)).map(date => parseInt(date.slice(0, 4))))].sort((a, b) => a - b);
+}
+
+function hasHolidayData(year, calendar = DEFAULT_CALENDAR) {
+  return holidayYears(calendar).includes(year);
+}
+
+function isBusinessDay(date, calendar = DEFAULT_CALENDAR) {
+  const value = new Date(date);
+  const year = value.getFullYear();
+  // A year missing from the file would silently treat every holiday as a business day; say so once per year
+  if (!hasHolidayData(year, calendar) && !warnedYears.has(`${calendar}|${year}`)) {
+    warnedYears.add(`${calendar}|${year}`);
+    console.warn(`⚠️ No public holidays for ${year} in the ${calendar} calendar, only weekends are skipped. Add them to the holiday file.`);
+  }
+  const day = value.getDay();
+  return day !== 0 && day !== 6 && !getHolidays(calendar)[toDateKey(value)];
+}
+
+// Move a date by whole days until it is a business day (step 1 forwards, -1 backwards)
+function rollToBusinessDay(date, step, calendar) {
+  const rolled = new Date(date);
+  while (!isBusinessDay(rolled, calendar)) {
+    rolled.setDate(rolled.getDate() + step);
+  }
+  return rolled;
+}
+
+// The date a payment scheduled on `date` is actually made under a business-day convention
+function adjustToBusinessDay(date, convention = BUSINESS_DAY_CONVENTIONS.NONE, calendar = DEFAULT_CALENDAR) {
+  const scheduled = new Date(date);
+  switch (convention) {
+    case BUSINESS_DAY_CONVENTIONS.NONE:
+      return scheduled;
+    case BUSINESS_DAY_CONVENTIONS.FOLLOWING:
+      return rollToBusinessDay(scheduled, 1, calendar);
+    case BUSINESS_DAY_CONVENTIONS.MODIFIED_FOLLOWING: {
+      const following = rollToBusinessDay(scheduled, 1, calendar);
+      return following.getMonth() === scheduled.getMonth() ? following : rollToBusinessDay(scheduled, -1, calendar);
+    }
+    default:
+      throw new Error(`Unknown business day convention: ${convention}`);
+  }
+}
+
+module.exports = {
+  BUSINESS_DAY_CONVENTIONS,
+  DEFAULT_CALENDAR,
+  availableCalendars,
+  getHolidays,
+  holidayYears,
+  hasHolidayData,
+  isBusinessDay,
+  adjustToBusinessDay
+};
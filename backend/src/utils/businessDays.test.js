@@ -0,0 +1,95 @@
+const {
+  BUSINESS_DAY_CONVENTIONS,
+  availableCalendars,
+  holidayYears,
+  hasHolidayData,
+  isBusinessDay,
+  adjustToBusinessDay
+} = require('./businessDays');
+const { toDateKey: key } = require('./referenceDate');
+
+const { NONE, FOLLOWING, MODIFIED_FOLLOWING } = BUSINESS_DAY_CONVENTIONS;
+
+const date = (year, month, day) => new Date(year, month - 1, day);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('isBusinessDay', () => {
+  test('weekends and public holidays are not business days', () => {
+    expect(isBusinessDay(date(2026, 10, 19))).toBe(true);
+    expect(isBusinessDay(date(2026, 10, 17))).toBe(false);
+    expect(isBusinessDay(date(2026, 10, 18))).toBe(false);
+    expect(isBusinessDay(date(2026, 12, 25))).toBe(false);
+  });
+
+  test('state holidays only apply under their own calendar', () => {
+    expect(isBusinessDay(date(2026, 10, 5), 'NSW')).toBe(false);
+    expect(isBusinessDay(date(2026, 10, 5), 'national')).toBe(true);
+  });
+
+  test('lists the calendars in the holiday file', () => {
+    expect(availableCalendars()).toEqual(expect.arrayContaining(['national', 'NSW']));
+  });
+});
+
+describe('adjustToBusinessDay', () => {
+  test('none keeps the scheduled date', () => {
+    expect(key(adjustToBusinessDay(date(2026, 10, 31), NONE))).toBe('2026-10-31');
+  });
+
+  test('following rolls a weekend forward to Monday', () => {
+    expect(key(adjustToBusinessDay(date(2026, 10, 31), FOLLOWING))).toBe('2026-11-02');
+  });
+
+  test('following rolls over Christmas, the weekend and the observed Boxing Day', () => {
+    expect(key(adjustToBusinessDay(date(2026, 12, 25), FOLLOWING))).toBe('2026-12-29');
+  });
+
+  test('following rolls past a Monday state holiday only under that calendar', () => {
+    expect(key(adjustToBusinessDay(date(2026, 10, 3), FOLLOWING, 'NSW'))).toBe('2026-10-06');
+    expect(key(adjustToBusinessDay(date(2026, 10, 3), FOLLOWING, 'national'))).toBe('2026-10-05');
+  });
+
+  test('modified following rolls back when the next business day is in the next month', () => {
+    expect(key(adjustToBusinessDay(date(2026, 10, 31), MODIFIED_FOLLOWING))).toBe('2026-10-30');
+    expect(key(adjustToBusinessDay(date(2026, 10, 3), MODIFIED_FOLLOWING))).toBe('2026-10-06');
+  });
+
+  test('a business day is never moved', () => {
+    expect(key(adjustToBusinessDay(date(2026, 10, 19), FOLLOWING))).toBe('2026-10-19');
+    expect(key(adjustToBusinessDay(date(2026, 10, 19), MODIFIED_FOLLOWING))).toBe('2026-10-19');
+  });
+
+  test('rejects an unknown convention or calendar', () => {
+    expect(() => adjustToBusinessDay(date(2026, 10, 31), 'preceding')).toThrow(/Unknown business day convention/);
+    expect(() => adjustToBusinessDay(date(2026, 10, 31), FOLLOWING, 'XYZ')).toThrow(/Unknown holiday calendar/);
+  });
+});
+
+describe('holiday coverage', () => {
+  test('reports the years the holiday file covers', () => {
+    expect(holidayYears('NSW')).toEqual(expect.arrayContaining([2025, 2026, 2027]));
+    expect(hasHolidayData(2026, 'NSW')).toBe(true);
+    expect(hasHolidayData(2031, 'NSW')).toBe(false);
+  });
+
+  test('warns once per calendar and year with no holiday data and only skips weekends', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(isBusinessDay(date(2031, 12, 25))).toBe(true);
+    expect(key(adjustToBusinessDay(date(2031, 12, 27), FOLLOWING))).toBe('2031-12-29');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/2031 in the NSW calendar/);
+
+    isBusinessDay(date(2031, 12, 25), 'national');
+    expect(warn).toHaveBeenCalledTimes(2);
+
+    warn.mockRestore();
+  });
+});
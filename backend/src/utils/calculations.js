@@ -1,42 +1,29 @@
-// Helper function to calculate contract period in months and days (EXACT copy from server_1.js)
-function calculateContractPeriod(startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  // Calculate total days
-  const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-  
-  // Calculate full months
-  let fullMonths = 0;
-  let currentDate = new Date(start);
-  
-  while (currentDate < end) {
-    const nextMonth = new Date(currentDate);
-    nextMonth.setMonth(nextMonth.getMonth() + 1);
-    
-    if (nextMonth <= end) {
-      fullMonths++;
-      currentDate = nextMonth;
-    } else {
-      break;
-    }
-  }
-  
-  // Calculate remaining days in partial month
-  const remainingDays = Math.ceil((end - currentDate) / (1000 * 60 * 60 * 24));
-  const daysInLastMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0).getDate();
-  
-  return {
-    fullMonths,
-    remainingDays,
-    daysInLastMonth,
-    totalDays
-  };
-}
+const {
+  DAY_COUNT_CONVENTIONS,
+  calculateContractPeriod,
+  accrueInterest
+} = require('./dayCount');
 
 // Helper function to calculate total upfront interest amount (EXACT copy from server_1.js)
-function calculateUpfrontInterest(loanAmount, borrowerRate, startDate, endDate) {
+// dayCount: the stage's day-count convention (utils/dayCount.js); other conventions add up the accrual periods
+function calculateUpfrontInterest(loanAmount, borrowerRate, startDate, endDate, dayCount = DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA) {
   const period = calculateContractPeriod(startDate, endDate);
+
+  if (dayCount !== DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA) {
+    const periods = generateInterestAccrualPeriods(loanAmount, borrowerRate, startDate, endDate, dayCount);
+    const sumOf = (type) => periods
+      .filter(p => p.type === type)
+      .reduce((sum, p) => sum + p.accruedInterest, 0);
+    const fullMonthsInterest = sumOf('full_month');
+    const partialMonthInterest = sumOf('partial_month');
+
+    return {
+      fullMonthsInterest,
+      partialMonthInterest,
+      totalInterest: fullMonthsInterest + partialMonthInterest,
+      period
+    };
+  }
   
   // Monthly interest rate
   const monthlyRate = borrowerRate / 12;
@@ -59,10 +46,63 @@ function calculateUpfrontInterest(loanAmount, borrowerRate, startDate, endDate)
   };
 }
 
+// Helper function to split a contract into monthly accrual periods (full months then the partial month)
+// Uses the same month stepping as calculateContractPeriod so the rows add up to calculateUpfrontInterest
+// dayCount: monthly + pro-rata by default, otherwise each period accrues its own year fraction
+function generateInterestAccrualPeriods(loanAmount, borrowerRate, startDate, endDate, dayCount = DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA) {
+  const isMonthly = dayCount === DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA;
+  const period = calculateContractPeriod(startDate, endDate);
+  const monthlyRate = borrowerRate / 12;
+  const periods = [];
+  
+  let periodStart = new Date(startDate);
+  
+  for (let i = 0; i < period.fullMonths; i++) {
+    const periodEnd = new Date(periodStart);
+    periodEnd.setMonth(periodEnd.getMonth() + 1);
+    
+    periods.push({
+      periodNumber: i + 1,
+      type: 'full_month',
+      periodStart: new Date(periodStart),
+      periodEnd,
+      days: Math.ceil((periodEnd - periodStart) / (1000 * 60 * 60 * 24)),
+      accruedInterest: isMonthly ? monthlyRate * loanAmount : accrueInterest(loanAmount, borrowerRate, periodStart, periodEnd, dayCount)
+    });
+    
+    periodStart = periodEnd;
+  }
+  
+  if (period.remainingDays > 0) {
+    const dailyRate = monthlyRate / period.daysInLastMonth;
+    periods.push({
+      periodNumber: periods.length + 1,
+      type: 'partial_month',
+      periodStart: new Date(periodStart),
+      periodEnd: new Date(endDate),
+      days: period.remainingDays,
+      accruedInterest: isMonthly ?
+        dailyRate * period.remainingDays * loanAmount :
+        accrueInterest(loanAmount, borrowerRate, periodStart, endDate, dayCount)
+    });
+  }
+  
+  return periods;
+}
+
+// Helper function to calculate default interest accrued daily on the principal (annual default rate / 365)
+function calculateDefaultInterest(principal, defaultRate, days) {
+  if (!defaultRate || days <= 0) {
+    return 0;
+  }
+  return principal * (defaultRate / 365) * days;
+}
+
 // Helper function to determine interest payment status (EXACT copy from server_1.js)
 // Interest is due upfront on the start date - no special project logic needed
-function getUpfrontInterestStatus(expectedInterest, actualPaidAmount, contractStartDate, projectId, repaymentDate, expiryDate) {
-  const currentDate = new Date();
+// asOf: the date the status is judged at (defaults to now)
+function getUpfrontInterestStatus(expectedInterest, actualPaidAmount, contractStartDate, projectId, repaymentDate, expiryDate, asOf = new Date()) {
+  const currentDate = asOf;
   const startDate = new Date(contractStartDate);
   
   // Debug logging for problematic cases
@@ -128,7 +168,9 @@ function calculateBasePaymentDate(lastPaymentDate, startDate, transactionDate) {
 }
 
 // Helper function to generate all payment dates for an investment within a date range (EXACT copy from server_1.js)
-function generatePaymentSchedule(basePaymentDate, endDate, predictionEndDate, hasLastPayment = false) {
+// earliestDate: payments before this date are skipped (defaults to now; pass the as-of date, or an earlier date to keep
+// missed payments)
+function generatePaymentSchedule(basePaymentDate, endDate, predictionEndDate, hasLastPayment = false, earliestDate = new Date()) {
   const payments = [];
   
   if (!basePaymentDate) {
@@ -147,7 +189,7 @@ function generatePaymentSchedule(basePaymentDate, endDate, predictionEndDate, ha
   // Generate all future payments
   while (currentPaymentDate <= new Date(endDate) && currentPaymentDate <= predictionEndDate) {
     // Only include future payments (not past payments)
-    if (currentPaymentDate >= new Date()) {
+    if (currentPaymentDate >= earliestDate) {
       payments.push(new Date(currentPaymentDate));
     }
     
@@ -164,21 +206,75 @@ function isPaymentDueInMonth(paymentDate, monthStart, monthEnd) {
   return paymentDate >= monthStart && paymentDate <= monthEnd;
 }
 
+// Annualised internal rate of return for irregular cashflows (Excel XIRR, Actual/365).
+// cashflows: [{ date, amount }] with investments negative and receipts positive. Returns the rate as a fraction,
+// or null when the flows do not contain both signs or no rate is found.
+function calculateXirr(cashflows, guess = 0.1) {
+  const dated = cashflows
+    .filter(flow => flow.date && Number.isFinite(flow.amount) && flow.amount !== 0)
+    .map(flow => ({ amount: flow.amount, time: new Date(flow.date).getTime() }));
+  if (!dated.some(flow => flow.amount < 0) || !dated.some(flow => flow.amount > 0)) {
+    return null;
+  }
+
+  const firstTime = Math.min(...dated.map(flow => flow.time));
+  const flows = dated.map(flow => ({ amount: flow.amount, years: (flow.time - firstTime) / (365 * 24 * 60 * 60 * 1000) }));
+  const npv = (rate) => flows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+  const tolerance = 1e-7 * Math.max(1, ...flows.map(flow => Math.abs(flow.amount)));
+
+  // Newton's method from the guess
+  let rate = guess;
+  for (let i = 0; i < 100; i++) {
+    const value = npv(rate);
+    if (Math.abs(value) < tolerance) return rate;
+    const derivative = flows.reduce((sum, flow) => sum - flow.years * flow.amount / Math.pow(1 + rate, flow.years + 1), 0);
+    if (!derivative) break;
+    const next = rate - value / derivative;
+    if (!Number.isFinite(next) || next <= -1) break;
+    rate = next;
+  }
+
+  // Fall back to bisection when Newton does not converge
+  let low = -0.9999;
+  let high = 1;
+  while (npv(low) * npv(high) > 0 && high < 1e6) high *= 10;
+  if (npv(low) * npv(high) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = npv(mid);
+    if (Math.abs(value) < tolerance) return mid;
+    if (npv(low) * value < 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Status override rules that can be attached to a project or stage (see services/statusOverrides.js)
+const STATUS_OVERRIDE_RULES = {
+  OVERDUE_AFTER_REPAYMENT: 'overdue_after_repayment', // Overdue once the repayment date has passed
+  OVERDUE_EXTENSION: 'overdue_extension',             // Overdue-extension when expiry date is before repayment date
+  INCLUDE_MATURED: 'include_matured'                  // Keep in the active set even after maturity
+};
+
 // Helper function to determine loan status (EXACT copy from server_1.js)
-function getLoanStatus(projectId, loanStartDate, loanEndDate, daysToMaturity, expiryDate) {
-  // Special handling for projects 59, 55, 51
-  if ([59, 55, 51].includes(projectId)) {
-    const currentDate = new Date();
+// overrideRules: active status override rules for this loan (previously hard-coded for projects 59, 55, 51)
+// asOf: the date the status is judged at (defaults to now; daysToMaturity must be counted from the same date)
+function getLoanStatus(projectId, loanStartDate, loanEndDate, daysToMaturity, expiryDate, overrideRules = [], asOf = new Date()) {
+  if (overrideRules.length > 0) {
+    const currentDate = asOf;
     const endDate = new Date(loanEndDate);
     const expireDate = new Date(expiryDate);
     
     // Scenario 1: If end date (repayment date) is past today
-    if (endDate < currentDate) {
+    if (overrideRules.includes(STATUS_OVERRIDE_RULES.OVERDUE_AFTER_REPAYMENT) && endDate < currentDate) {
       return 'overdue';
     }
     
     // Scenario 2: If expire date is past the repayment date
-    if (expireDate < endDate) {
+    if (overrideRules.includes(STATUS_OVERRIDE_RULES.OVERDUE_EXTENSION) && expireDate < endDate) {
       return 'overdue-extension';
     }
     
@@ -186,7 +282,7 @@ function getLoanStatus(projectId, loanStartDate, loanEndDate, daysToMaturity, ex
   }
   
   // If loan hasn't started yet
-  if (new Date(loanStartDate) > new Date()) {
+  if (new Date(loanStartDate) > asOf) {
     if (daysToMaturity <= 14) {
       return 'starting_soon';
     }
@@ -194,7 +290,7 @@ function getLoanStatus(projectId, loanStartDate, loanEndDate, daysToMaturity, ex
   }
   
   // If loan has ended
-  if (new Date(loanEndDate) < new Date()) {
+  if (new Date(loanEndDate) < asOf) {
     return 'completed';
   }
   
@@ -215,9 +311,13 @@ function getLoanStatus(projectId, loanStartDate, loanEndDate, daysToMaturity, ex
 module.exports = {
   calculateContractPeriod,
   calculateUpfrontInterest,
+  generateInterestAccrualPeriods,
+  calculateDefaultInterest,
   getUpfrontInterestStatus,
   calculateBasePaymentDate,
   generatePaymentSchedule,
   isPaymentDueInMonth,
-  getLoanStatus
+  getLoanStatus,
+  calculateXirr,
+  STATUS_OVERRIDE_RULES
 }; 
\ No newline at end of file
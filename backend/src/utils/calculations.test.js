@@ -0,0 +1,47 @@
+const { calculateXirr } = require('./calculations');
+
+describe('calculateXirr', () => {
+  test('a year-long investment returning 10% has an XIRR of 10%', () => {
+    const rate = calculateXirr([
+      { date: '2025-01-01', amount: -1000 },
+      { date: '2026-01-01', amount: 1100 }
+    ]);
+
+    expect(rate).toBeCloseTo(0.1, 6);
+  });
+
+  test('matches the spreadsheet XIRR for irregular cashflows', () => {
+    const rate = calculateXirr([
+      { date: '2008-01-01', amount: -10000 },
+      { date: '2008-03-01', amount: 2750 },
+      { date: '2008-10-30', amount: 4250 },
+      { date: '2009-02-15', amount: 3250 },
+      { date: '2009-04-01', amount: 2750 }
+    ]);
+
+    expect(rate).toBeCloseTo(0.373362535, 6);
+  });
+
+  test('handles a negative return and ignores zero and undated flows', () => {
+    const rate = calculateXirr([
+      { date: '2025-01-01', amount: -1000 },
+      { date: '2025-06-01', amount: 0 },
+      { date: null, amount: 500 },
+      { date: '2026-01-01', amount: 900 }
+    ]);
+
+    expect(rate).toBeCloseTo(-0.1, 6);
+  });
+
+  test('returns null when the cashflows never change sign', () => {
+    expect(calculateXirr([
+      { date: '2025-01-01', amount: -1000 },
+      { date: '2025-07-01', amount: -500 }
+    ])).toBeNull();
+    expect(calculateXirr([
+      { date: '2025-01-01', amount: 1000 },
+      { date: '2026-01-01', amount: 100 }
+    ])).toBeNull();
+    expect(calculateXirr([])).toBeNull();
+  });
+});
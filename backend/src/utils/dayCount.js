@@ -0,0 +1,102 @@
+// Day-count conventions: how much of a year's interest accrues between two dates.
+// The loan book has always used monthly + pro-rata (annual rate / 12 per full month, the partial month pro-rated
+// by its days), which stays the default; a stage or funding can be switched to another convention
+// (see services/interestConventions.js).
+
+const DAY_COUNT_CONVENTIONS = {
+  MONTHLY_PRO_RATA: 'monthly_pro_rata', // Full months at rate / 12, remaining days / days in that month
+  ACT_365: 'act_365',                   // Actual days / 365
+  ACT_360: 'act_360',                   // Actual days / 360
+  THIRTY_360: '30_360'                  // 30/360 bond basis: every month counts as 30 days
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Helper function to calculate contract period in months and days (EXACT copy from server_1.js)
+function calculateContractPeriod(startDate, endDate) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  // Calculate total days
+  const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+
+  // Calculate full months
+  let fullMonths = 0;
+  let currentDate = new Date(start);
+
+  while (currentDate < end) {
+    const nextMonth = new Date(currentDate);
+    nextMonth.setMonth(nextMonth.getMonth() + 1);
+
+    if (nextMonth <= end) {
+      fullMonths++;
+      currentDate = nextMonth;
+    } else {
+      break;
+    }
+  }
+
+  // Calculate remaining days in partial month
+  const remainingDays = Math.ceil((end - currentDate) / (1000 * 60 * 60 * 24));
+  const daysInLastMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0).getDate();
+
+  return {
+    fullMonths,
+    remainingDays,
+    daysInLastMonth,
+    totalDays
+  };
+}
+
+// Calendar days between two dates, ignoring the time of day and daylight saving changes
+function actualDays(startDate, endDate) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  return Math.round((Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) -
+    Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / DAY_MS);
+}
+
+// 30/360 bond basis day count: a 31st is treated as the 30th (the end date only when the start is the 30th or 31st)
+function thirty360Days(startDate, endDate) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const startDay = Math.min(start.getDate(), 30);
+  const endDay = end.getDate() === 31 && startDay === 30 ? 30 : end.getDate();
+  return 360 * (end.getFullYear() - start.getFullYear()) +
+    30 * (end.getMonth() - start.getMonth()) +
+    (endDay - startDay);
+}
+
+// Fraction of a year between two dates under a day-count convention
+function yearFraction(startDate, endDate, convention = DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA) {
+  switch (convention) {
+    case DAY_COUNT_CONVENTIONS.ACT_365:
+      return actualDays(startDate, endDate) / 365;
+    case DAY_COUNT_CONVENTIONS.ACT_360:
+      return actualDays(startDate, endDate) / 360;
+    case DAY_COUNT_CONVENTIONS.THIRTY_360:
+      return thirty360Days(startDate, endDate) / 360;
+    case DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA: {
+      const period = calculateContractPeriod(startDate, endDate);
+      return (period.fullMonths + (period.remainingDays > 0 ? period.remainingDays / period.daysInLastMonth : 0)) / 12;
+    }
+    default:
+      throw new Error(`Unknown day-count convention: ${convention}`);
+  }
+}
+
+// Interest on a principal at an annual rate (as a fraction) between two dates
+function accrueInterest(principal, annualRate, startDate, endDate, convention = DAY_COUNT_CONVENTIONS.MONTHLY_PRO_RATA) {
+  if (!annualRate || new Date(endDate) <= new Date(startDate)) {
+    return 0;
+  }
+  return principal * parseFloat(annualRate) * yearFraction(startDate, endDate, convention);
+}
+
+module.exports = {
+  DAY_COUNT_CONVENTIONS,
+  calculateContractPeriod,
+  actualDays,
+  yearFraction,
+  accrueInterest
+};
@@ -0,0 +1,76 @@
+const { DAY_COUNT_CONVENTIONS, actualDays, yearFraction, accrueInterest } = require('./dayCount');
+
+const { MONTHLY_PRO_RATA, ACT_365, ACT_360, THIRTY_360 } = DAY_COUNT_CONVENTIONS;
+
+// Local dates, as the services build them
+const date = (year, month, day) => new Date(year, month - 1, day);
+
+describe('actualDays', () => {
+  test('counts calendar days across month ends and February', () => {
+    expect(actualDays(date(2026, 1, 31), date(2026, 2, 28))).toBe(28);
+    expect(actualDays(date(2026, 2, 28), date(2026, 3, 31))).toBe(31);
+    expect(actualDays(date(2028, 2, 1), date(2028, 3, 1))).toBe(29);
+    expect(actualDays(date(2026, 1, 1), date(2027, 1, 1))).toBe(365);
+  });
+});
+
+describe('yearFraction', () => {
+  test('ACT/365 and ACT/360 divide the actual days by 365 and 360', () => {
+    expect(yearFraction(date(2026, 1, 31), date(2026, 2, 28), ACT_365)).toBeCloseTo(28 / 365, 12);
+    expect(yearFraction(date(2026, 1, 31), date(2026, 2, 28), ACT_360)).toBeCloseTo(28 / 360, 12);
+    expect(yearFraction(date(2028, 2, 1), date(2028, 3, 1), ACT_365)).toBeCloseTo(29 / 365, 12);
+    expect(yearFraction(date(2028, 2, 1), date(2028, 3, 1), ACT_360)).toBeCloseTo(29 / 360, 12);
+  });
+
+  test('30/360 treats a 31st start as the 30th', () => {
+    // 31 Jan counts as 30 Jan: one month less two days
+    expect(yearFraction(date(2026, 1, 31), date(2026, 2, 28), THIRTY_360)).toBeCloseTo(28 / 360, 12);
+    expect(yearFraction(date(2026, 1, 31), date(2026, 3, 31), THIRTY_360)).toBeCloseTo(60 / 360, 12);
+  });
+
+  test('30/360 keeps a 31st end date unless the start is the 30th or 31st', () => {
+    expect(yearFraction(date(2026, 2, 28), date(2026, 3, 31), THIRTY_360)).toBeCloseTo(33 / 360, 12);
+    expect(yearFraction(date(2026, 3, 30), date(2026, 3, 31), THIRTY_360)).toBe(0);
+  });
+
+  test('30/360 counts a February month as 30 days, leap year or not', () => {
+    expect(yearFraction(date(2026, 2, 1), date(2026, 3, 1), THIRTY_360)).toBeCloseTo(30 / 360, 12);
+    expect(yearFraction(date(2028, 2, 1), date(2028, 3, 1), THIRTY_360)).toBeCloseTo(30 / 360, 12);
+  });
+
+  test('monthly pro-rata counts full months, then the remaining days over that month\'s length', () => {
+    expect(yearFraction(date(2026, 1, 15), date(2026, 3, 15), MONTHLY_PRO_RATA)).toBeCloseTo(2 / 12, 12);
+    expect(yearFraction(date(2026, 2, 1), date(2026, 2, 15), MONTHLY_PRO_RATA)).toBeCloseTo((14 / 28) / 12, 12);
+  });
+
+  test('rejects an unknown convention', () => {
+    expect(() => yearFraction(date(2026, 1, 1), date(2026, 2, 1), 'act_actual')).toThrow(/Unknown day-count convention/);
+  });
+});
+
+describe('accrueInterest', () => {
+  test('a year of 12% on $1m under each convention', () => {
+    const start = date(2026, 1, 1);
+    const end = date(2027, 1, 1);
+
+    expect(accrueInterest(1000000, 0.12, start, end, ACT_365)).toBeCloseTo(120000, 2);
+    expect(accrueInterest(1000000, 0.12, start, end, ACT_360)).toBeCloseTo(121666.67, 2);
+    expect(accrueInterest(1000000, 0.12, start, end, THIRTY_360)).toBeCloseTo(120000, 2);
+    expect(accrueInterest(1000000, 0.12, start, end, MONTHLY_PRO_RATA)).toBeCloseTo(120000, 2);
+  });
+
+  test('February interest differs by convention', () => {
+    const start = date(2026, 2, 1);
+    const end = date(2026, 3, 1);
+
+    expect(accrueInterest(365000, 0.1, start, end, ACT_365)).toBeCloseTo(2800, 2);
+    expect(accrueInterest(360000, 0.1, start, end, ACT_360)).toBeCloseTo(2800, 2);
+    expect(accrueInterest(360000, 0.1, start, end, THIRTY_360)).toBeCloseTo(3000, 2);
+  });
+
+  test('accrues nothing without a rate or over an empty period', () => {
+    expect(accrueInterest(1000, 0, date(2026, 1, 1), date(2026, 2, 1), ACT_365)).toBe(0);
+    expect(accrueInterest(1000, 0.1, date(2026, 2, 1), date(2026, 2, 1), ACT_365)).toBe(0);
+    expect(accrueInterest(1000, 0.1, date(2026, 2, 1), date(2026, 1, 1), ACT_365)).toBe(0);
+  });
+});
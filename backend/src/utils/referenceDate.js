@@ -0,0 +1,36 @@
+// Reference ("as of") dates for calculations and reports that can be re-run for a past date.
+// Routes accept ?asOf=YYYY-MM-DD; without it every calculation runs at the current time.
+
+// YYYY-MM-DD in local time
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Parse an ?asOf= value. Returns { asOf, asOfDate } - local midnight on that date, or now when the value is
+// missing - or { error } when it is not YYYY-MM-DD or lies in the future.
+function parseAsOf(value) {
+  if (value === undefined || value === null || value === '') {
+    const now = new Date();
+    return { asOf: now, asOfDate: toDateKey(now) };
+  }
+
+  const asOf = new Date(`${value}T00:00:00`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(asOf.getTime()) || toDateKey(asOf) !== value) {
+    return { error: 'asOf must be YYYY-MM-DD' };
+  }
+  if (asOf > new Date()) {
+    return { error: 'asOf cannot be in the future' };
+  }
+  return { asOf, asOfDate: value };
+}
+
+// True when asOf is before today, so anything recorded since then must be ignored
+function isHistorical(asOf) {
+  return toDateKey(asOf) < toDateKey(new Date());
+}
+
+module.exports = {
+  toDateKey,
+  parseAsOf,
+  isHistorical
+};
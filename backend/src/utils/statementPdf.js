@@ -0,0 +1,157 @@
+// Investor document PDF rendering: period statements (services/investorStatements) and annual tax summaries
+// (services/taxSummaries). Each renderer returns the PDF as a Buffer; none touch the database.
+const PDFDocument = require('pdfkit');
+
+const COMPANY_NAME = 'Goodland Capital';
+const MARGIN = 50;
+const ROW_HEIGHT = 16;
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+// DD/MM/YYYY from a YYYY-MM-DD string
+const formatDate = (value) => (value ? value.split('-').reverse().join('/') : '-');
+
+// Draw a table with a header row, starting a new page (and repeating the header) when the page fills up.
+// columns: [{ label, width, align, value(row) }]
+function drawTable(doc, columns, rows, { totals } = {}) {
+  const bottom = doc.page.height - MARGIN;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    if (doc.y + ROW_HEIGHT > bottom) {
+      doc.addPage();
+      drawRow(columns.map(column => column.label), { bold: true });
+    }
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, index) => {
+      const { width, align = 'left' } = columns[index];
+      doc.text(String(cell), x + 2, y + 3, { width: width - 4, align, lineBreak: false, ellipsis: true });
+      x += width;
+    });
+    doc.y = y + ROW_HEIGHT;
+    doc.x = MARGIN;
+  };
+
+  drawRow(columns.map(column => column.label), { bold: true });
+  rows.forEach(row => drawRow(columns.map(column => column.value(row))));
+  if (totals) drawRow(totals, { bold: true });
+}
+
+function drawSection(doc, title, emptyText, columns, rows, options) {
+  doc.moveDown(1);
+  if (doc.y + ROW_HEIGHT * 3 > doc.page.height - MARGIN) doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(12).text(title, MARGIN);
+  doc.moveDown(0.3);
+
+  if (rows.length === 0) {
+    doc.font('Helvetica').fontSize(9).text(emptyText, MARGIN);
+    return;
+  }
+  drawTable(doc, columns, rows, options);
+}
+
+// Collect a document into a Buffer. draw(doc) adds the content; the document is ended afterwards.
+function renderPdf(title, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title, Author: COMPANY_NAME } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc.end();
+  });
+}
+
+function drawHeader(doc, title, lines) {
+  doc.font('Helvetica-Bold').fontSize(18).text(COMPANY_NAME);
+  doc.font('Helvetica').fontSize(12).text(title);
+  doc.moveDown(0.8);
+  doc.fontSize(10);
+  lines.forEach(line => doc.text(line));
+}
+
+const drawFootnote = (doc, text) => {
+  doc.moveDown(1.5);
+  doc.font('Helvetica').fontSize(8).fillColor('#666666').text(text, MARGIN);
+};
+
+// Render an investor statement to a PDF Buffer
+function renderStatementPdf(statement) {
+  return renderPdf('Investor Statement', doc => {
+    const { investor, period, holdings, payments, totals, upcomingPayouts } = statement;
+
+    drawHeader(doc, 'Investor Statement', [
+      `Investor: ${investor.name || `#${investor.id}`}`,
+      `Statement period: ${formatDate(period.from)} to ${formatDate(period.to)}`,
+      `Issued: ${formatDate(statement.generatedAt.slice(0, 10))}`
+    ]);
+
+    drawSection(doc, 'Holdings', 'No holdings during this period.', [
+      { label: 'Project', width: 185, value: row => row.projectTitle || `Stage ${row.stageId}` },
+      { label: 'Amount', width: 90, align: 'right', value: row => formatCurrency(row.amount) },
+      { label: 'Rate p.a.', width: 60, align: 'right', value: row => `${row.annualRate.toFixed(2)}%` },
+      { label: 'Start', width: 80, align: 'right', value: row => formatDate(row.startDate) },
+      { label: 'Maturity', width: 80, align: 'right', value: row => formatDate(row.endDate) }
+    ], holdings);
+
+    drawSection(doc, 'Interest Payments', 'No interest was paid during this period.', [
+      { label: 'Date', width: 70, value: row => formatDate(row.date) },
+      { label: 'Project', width: 145, value: row => row.projectTitle || `Stage ${row.stageId}` },
+      { label: 'Gross', width: 70, align: 'right', value: row => formatCurrency(row.gross) },
+      { label: 'Tax', width: 70, align: 'right', value: row => formatCurrency(row.tax) },
+      { label: 'Fee', width: 70, align: 'right', value: row => formatCurrency(row.fee) },
+      { label: 'Net', width: 70, align: 'right', value: row => formatCurrency(row.net) }
+    ], payments, {
+      totals: ['Total', '', formatCurrency(totals.gross), formatCurrency(totals.tax), formatCurrency(totals.fee), formatCurrency(totals.net)]
+    });
+
+    drawSection(doc, 'Upcoming Payouts (estimated)', 'No payouts are scheduled in the next few months.', [
+      { label: 'Date', width: 90, value: row => formatDate(row.date) },
+      { label: 'Project', width: 290, value: row => row.projectTitle || `Stage ${row.stageId}` },
+      { label: 'Estimated Amount', width: 115, align: 'right', value: row => formatCurrency(row.estimatedAmount) }
+    ], upcomingPayouts);
+
+    drawFootnote(doc,
+      'Upcoming payouts are estimates based on the current schedule and may change. ' +
+      `Please contact ${COMPANY_NAME} if any details on this statement are incorrect.`
+    );
+  });
+}
+
+// Render an investor's financial-year tax summary to a PDF Buffer
+function renderTaxSummaryPdf(summary) {
+  return renderPdf('Annual Tax Summary', doc => {
+    const { investor, financialYear, period, stages, totals } = summary;
+
+    drawHeader(doc, `Annual Tax Summary - FY${financialYear}`, [
+      `Investor: ${investor.name || `#${investor.id}`}`,
+      `Financial year: ${formatDate(period.from)} to ${formatDate(period.to)}`,
+      `Issued: ${formatDate(summary.generatedAt.slice(0, 10))}`
+    ]);
+
+    drawSection(doc, 'Interest by Project', 'No interest was paid during this financial year.', [
+      { label: 'Project', width: 165, value: row => row.projectTitle || `Stage ${row.stageId}` },
+      { label: 'Payments', width: 50, align: 'right', value: row => row.payments },
+      { label: 'Gross Interest', width: 75, align: 'right', value: row => formatCurrency(row.gross) },
+      { label: 'Tax Withheld', width: 70, align: 'right', value: row => formatCurrency(row.tax) },
+      { label: 'Fees', width: 65, align: 'right', value: row => formatCurrency(row.fee) },
+      { label: 'Net Paid', width: 70, align: 'right', value: row => formatCurrency(row.net) }
+    ], stages, {
+      totals: ['Total', totals.payments, formatCurrency(totals.gross), formatCurrency(totals.tax), formatCurrency(totals.fee), formatCurrency(totals.net)]
+    });
+
+    drawFootnote(doc,
+      'This summary lists interest paid to you during the financial year as recorded by ' +
+      `${COMPANY_NAME}. It is not tax advice; please provide it to your accountant or tax adviser.`
+    );
+  });
+}
+
+module.exports = {
+  renderStatementPdf,
+  renderTaxSummaryPdf
+};
@@ -6,6 +6,9 @@ import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 
 import Layout from './components/Layout/Layout';
 import Dashboard from './pages/Dashboard';
+import LoanDetail from './pages/LoanDetail';
+import Login from './pages/Login';
+import RequireAuth from './components/Auth/RequireAuth';
 
 const theme = createTheme({
   palette: {
@@ -44,11 +47,22 @@ function App() {
       <ThemeProvider theme={theme}>
         <CssBaseline />
         <Router>
-          <Layout>
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-            </Routes>
-          </Layout>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route
+              path="*"
+              element={
+                <RequireAuth>
+                  <Layout>
+                    <Routes>
+                      <Route path="/" element={<Dashboard />} />
+                      <Route path="/loans/:id" element={<LoanDetail />} />
+                    </Routes>
+                  </Layout>
+                </RequireAuth>
+              }
+            />
+          </Routes>
         </Router>
       </ThemeProvider>
     </QueryClientProvider>
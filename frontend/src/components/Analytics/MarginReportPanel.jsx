@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  Chip,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Tooltip
+} from '@mui/material';
+import { analyticsService } from '../../services/api';
+
+const monthOptions = [0, 3, 6, 12, 24];
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+const marginColor = (value) => (value < 0 ? 'error.main' : 'inherit');
+
+// Net interest margin by month (actuals then forecast) and the stages whose margin is negative
+function MarginReportPanel() {
+  const [historyMonths, setHistoryMonths] = useState(12);
+  const [months, setMonths] = useState(12);
+
+  const { data: report, isLoading, error } = useQuery({
+    queryKey: ['marginReport', historyMonths, months],
+    queryFn: () => analyticsService.getMarginReport(historyMonths, months).then(res => res.data)
+  });
+
+  const negativeStages = (report?.stages || []).filter(stage => stage.isNegativeMargin);
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item xs={12} md={6}>
+            <Typography variant="h6">
+              Net Interest Margin
+            </Typography>
+            <Typography variant="body2" color="textSecondary">
+              Actual months compare accrued borrower interest with recorded investor payouts; forecast months use the
+              cashflow forecast. Net margin adds back payouts on Goodland-held funding.
+            </Typography>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              label="Actual Months"
+              fullWidth
+              size="small"
+              value={historyMonths}
+              onChange={(e) => setHistoryMonths(e.target.value)}
+            >
+              {monthOptions.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              label="Forecast Months"
+              fullWidth
+              size="small"
+              value={months}
+              onChange={(e) => setMonths(e.target.value)}
+            >
+              {monthOptions.map(option => (
+                <MenuItem key={option} value={option}>{option}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        </Grid>
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : error ? (
+          <Alert severity="error">
+            Error loading margin report: {error.response?.data?.message || error.message}
+          </Alert>
+        ) : (
+          <>
+            {negativeStages.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {negativeStages.length} stage(s) pay investors more than the borrower interest:{' '}
+                {negativeStages.map(stage => `${stage.projectTitle || 'Stage'} (${stage.stageId})`).join(', ')}
+              </Alert>
+            )}
+
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Month</TableCell>
+                    <TableCell align="right">Borrower Interest</TableCell>
+                    <TableCell align="right">Investor Payouts</TableCell>
+                    <TableCell align="right">Goodland-held</TableCell>
+                    <TableCell align="right">Gross Margin</TableCell>
+                    <TableCell align="right">Net Margin</TableCell>
+                    <TableCell align="right">Negative Stages</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.months.map(month => (
+                    <TableRow key={month.month}>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        {month.month}{' '}
+                        <Chip
+                          label={month.type}
+                          size="small"
+                          variant="outlined"
+                          color={month.type === 'actual' ? 'default' : 'primary'}
+                        />
+                      </TableCell>
+                      <TableCell align="right">{formatCurrency(month.borrowerInterest)}</TableCell>
+                      <TableCell align="right">{formatCurrency(month.investorPayouts)}</TableCell>
+                      <TableCell align="right">{formatCurrency(month.goodlandPayouts)}</TableCell>
+                      <TableCell align="right" sx={{ color: marginColor(month.grossMargin) }}>
+                        {formatCurrency(month.grossMargin)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ color: marginColor(month.netMargin) }}>
+                        {formatCurrency(month.netMargin)}
+                      </TableCell>
+                      <TableCell align="right">
+                        {month.negativeMarginStages > 0 ? (
+                          <Tooltip
+                            title={month.stages
+                              .filter(stage => stage.grossMargin < 0)
+                              .map(stage => `${stage.projectTitle || `Stage ${stage.stageId}`}: ${formatCurrency(stage.grossMargin)}`)
+                              .join(' | ')}
+                          >
+                            <span>{month.negativeMarginStages}</span>
+                          </Tooltip>
+                        ) : 0}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                  {['actual', 'forecast'].map(type => (
+                    <TableRow key={type}>
+                      <TableCell sx={{ fontWeight: 'bold', textTransform: 'capitalize' }}>Total {type}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(report.summary[type].borrowerInterest)}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(report.summary[type].investorPayouts)}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(report.summary[type].goodlandPayouts)}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold', color: marginColor(report.summary[type].grossMargin) }}>
+                        {formatCurrency(report.summary[type].grossMargin)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 'bold', color: marginColor(report.summary[type].netMargin) }}>
+                        {formatCurrency(report.summary[type].netMargin)}
+                      </TableCell>
+                      <TableCell />
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default MarginReportPanel;
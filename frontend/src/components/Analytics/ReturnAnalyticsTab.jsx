@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Tooltip
+} from '@mui/material';
+import { analyticsService } from '../../services/api';
+import MarginReportPanel from './MarginReportPanel';
+
+const stageStatusOptions = ['', 'operating', 'performing'];
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(2)}%`);
+
+// Realised yield below the contracted rate is highlighted
+const yieldColor = (realised, contracted) =>
+  realised !== null && contracted !== null && realised < contracted ? 'error.main' : 'inherit';
+
+function SummaryItem({ label, value }) {
+  return (
+    <Grid item xs={6} md={2}>
+      <Typography variant="subtitle2">{label}</Typography>
+      <Typography variant="h6">{value}</Typography>
+    </Grid>
+  );
+}
+
+// Investor XIRR and realised vs contracted yield, and the platform margin per stage
+function ReturnAnalyticsTab() {
+  const [stageStatus, setStageStatus] = useState('');
+
+  const { data: returnsResponse, isLoading: returnsLoading, error: returnsError } = useQuery({
+    queryKey: ['investorReturns'],
+    queryFn: () => analyticsService.getInvestorReturns().then(res => res.data)
+  });
+
+  const { data: marginsResponse, isLoading: marginsLoading, error: marginsError } = useQuery({
+    queryKey: ['stageMargins', stageStatus],
+    queryFn: () => analyticsService.getStageMargins(stageStatus || undefined).then(res => res.data)
+  });
+
+  const investors = returnsResponse?.data || [];
+  const returnsSummary = returnsResponse?.summary;
+  const stages = marginsResponse?.data || [];
+  const marginsSummary = marginsResponse?.summary;
+
+  return (
+    <div>
+      <Typography variant="h5" gutterBottom>
+        Returns & Margins
+      </Typography>
+      <Typography variant="body2" color="textSecondary" gutterBottom>
+        Investor returns use each investment as an outflow, net interest received as inflows and principal returned at
+        maturity. Investments that have not matured are valued at their principal today.
+      </Typography>
+
+      {/* Investor returns */}
+      <Card sx={{ mt: 2, mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Investor Returns
+          </Typography>
+
+          {returnsLoading ? (
+            <CircularProgress size={24} />
+          ) : returnsError ? (
+            <Alert severity="error">
+              Error loading investor returns: {returnsError.response?.data?.message || returnsError.message}
+            </Alert>
+          ) : (
+            <>
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <SummaryItem label="Investors" value={returnsSummary.investors} />
+                <SummaryItem label="Capital Invested" value={formatCurrency(returnsSummary.capital)} />
+                <SummaryItem label="Net Interest" value={formatCurrency(returnsSummary.netInterest)} />
+                <SummaryItem label="Contracted Yield" value={formatPercent(returnsSummary.contractedYield)} />
+                <SummaryItem label="Realised Yield" value={formatPercent(returnsSummary.realisedYield)} />
+                <SummaryItem label="Portfolio XIRR" value={formatPercent(returnsSummary.xirr)} />
+              </Grid>
+
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Investor</TableCell>
+                      <TableCell align="right">Holdings</TableCell>
+                      <TableCell align="right">Capital</TableCell>
+                      <TableCell align="right">Net Interest</TableCell>
+                      <TableCell align="right">Contracted</TableCell>
+                      <TableCell align="right">Realised</TableCell>
+                      <TableCell align="right">XIRR</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {investors.map(investor => (
+                      <TableRow key={investor.investorId}>
+                        <TableCell>
+                          <Tooltip
+                            title={investor.stages.map(stage =>
+                              `${stage.projectTitle || `Stage ${stage.stageId}`}: ${formatPercent(stage.xirr)}`
+                            ).join(' | ')}
+                          >
+                            <span>{investor.investorName || `Investor ${investor.investorId}`}</span>
+                          </Tooltip>
+                        </TableCell>
+                        <TableCell align="right">
+                          {investor.holdings}{investor.openHoldings > 0 ? ` (${investor.openHoldings} open)` : ''}
+                        </TableCell>
+                        <TableCell align="right">{formatCurrency(investor.capital)}</TableCell>
+                        <TableCell align="right">{formatCurrency(investor.netInterest)}</TableCell>
+                        <TableCell align="right">{formatPercent(investor.contractedYield)}</TableCell>
+                        <TableCell align="right" sx={{ color: yieldColor(investor.realisedYield, investor.contractedYield) }}>
+                          {formatPercent(investor.realisedYield)}
+                        </TableCell>
+                        <TableCell align="right">{formatPercent(investor.xirr)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <MarginReportPanel />
+
+      {/* Stage margins */}
+      <Card>
+        <CardContent>
+          <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+            <Grid item xs={12} md={9}>
+              <Typography variant="h6">
+                Stage Margins
+              </Typography>
+            </Grid>
+            <Grid item xs={12} md={3}>
+              <TextField
+                select
+                label="Stage Status"
+                fullWidth
+                size="small"
+                value={stageStatus}
+                onChange={(e) => setStageStatus(e.target.value)}
+              >
+                {stageStatusOptions.map(option => (
+                  <MenuItem key={option} value={option}>{option || 'All'}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          </Grid>
+
+          {marginsLoading ? (
+            <CircularProgress size={24} />
+          ) : marginsError ? (
+            <Alert severity="error">
+              Error loading stage margins: {marginsError.response?.data?.message || marginsError.message}
+            </Alert>
+          ) : (
+            <>
+              <Grid container spacing={2} sx={{ mb: 2 }}>
+                <SummaryItem label="Stages" value={marginsSummary.stages} />
+                <SummaryItem label="Loan Book" value={formatCurrency(marginsSummary.loanAmount)} />
+                <SummaryItem label="Borrower Rate" value={formatPercent(marginsSummary.borrowerRate)} />
+                <SummaryItem label="Investor Rate" value={formatPercent(marginsSummary.investorRate)} />
+                <SummaryItem label="Margin" value={formatPercent(marginsSummary.margin)} />
+                <SummaryItem label="Annual Margin" value={formatCurrency(marginsSummary.annualMargin)} />
+              </Grid>
+
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Project / Stage</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell align="right">Loan Amount</TableCell>
+                      <TableCell align="right">Funded</TableCell>
+                      <TableCell align="right">Borrower Rate</TableCell>
+                      <TableCell align="right">Investor Rate</TableCell>
+                      <TableCell align="right">Margin</TableCell>
+                      <TableCell align="right">Annual Margin</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {stages.map(stage => (
+                      <TableRow key={stage.stageId}>
+                        <TableCell>{stage.projectTitle || '-'} (stage {stage.stageId})</TableCell>
+                        <TableCell>{stage.status}</TableCell>
+                        <TableCell align="right">{formatCurrency(stage.loanAmount)}</TableCell>
+                        <TableCell align="right">{formatCurrency(stage.fundedAmount)}</TableCell>
+                        <TableCell align="right">{formatPercent(stage.borrowerRate)}</TableCell>
+                        <TableCell align="right">{formatPercent(stage.investorRate)}</TableCell>
+                        <TableCell align="right" sx={{ color: stage.margin !== null && stage.margin < 0 ? 'error.main' : 'inherit' }}>
+                          {formatPercent(stage.margin)}
+                        </TableCell>
+                        <TableCell align="right">{formatCurrency(stage.annualMargin)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default ReturnAnalyticsTab;
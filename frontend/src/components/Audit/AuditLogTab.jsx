@@ -0,0 +1,218 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  CircularProgress,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Box
+} from '@mui/material';
+import { auditService } from '../../services/api';
+
+const emptyFilters = { entityType: '', entityId: '', changedBy: '', from: '', to: '' };
+
+// Fields whose value differs between the before and after snapshots
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(key =>
+    JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key])
+  );
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+function AuditLogTab() {
+  const [draftFilters, setDraftFilters] = useState(emptyFilters);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+
+  const { data: auditResponse, isLoading, error } = useQuery({
+    queryKey: ['auditLog', filters, page, rowsPerPage],
+    queryFn: () => auditService.getAuditLog({
+      ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+      limit: rowsPerPage,
+      offset: page * rowsPerPage
+    }).then(res => res.data)
+  });
+
+  const entries = auditResponse?.data || [];
+  const entityTypes = auditResponse?.entityTypes || [];
+
+  const applyFilters = () => {
+    setPage(0);
+    setFilters(draftFilters);
+  };
+
+  const clearFilters = () => {
+    setPage(0);
+    setDraftFilters(emptyFilters);
+    setFilters(emptyFilters);
+  };
+
+  return (
+    <div>
+      <Typography variant="h5" gutterBottom>
+        Audit Log
+      </Typography>
+      <Typography variant="body2" color="textSecondary" gutterBottom>
+        Every reminder status change, recorded payment, status override and setting change, with who made it and from where.
+      </Typography>
+
+      {/* Filters */}
+      <Grid container spacing={2} sx={{ mb: 2, mt: 1 }}>
+        <Grid item xs={12} sm={6} md={2}>
+          <TextField
+            select
+            label="Entity"
+            fullWidth
+            size="small"
+            value={draftFilters.entityType}
+            onChange={(e) => setDraftFilters({ ...draftFilters, entityType: e.target.value })}
+          >
+            <MenuItem value="">All</MenuItem>
+            {entityTypes.map(type => (
+              <MenuItem key={type} value={type}>{type.replace(/_/g, ' ')}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={6} md={2}>
+          <TextField
+            label="Entity ID / Key"
+            fullWidth
+            size="small"
+            value={draftFilters.entityId}
+            onChange={(e) => setDraftFilters({ ...draftFilters, entityId: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={12} sm={6} md={2}>
+          <TextField
+            label="Changed By"
+            fullWidth
+            size="small"
+            value={draftFilters.changedBy}
+            onChange={(e) => setDraftFilters({ ...draftFilters, changedBy: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            label="From"
+            type="date"
+            fullWidth
+            size="small"
+            value={draftFilters.from}
+            onChange={(e) => setDraftFilters({ ...draftFilters, from: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={6} md={2}>
+          <TextField
+            label="To"
+            type="date"
+            fullWidth
+            size="small"
+            value={draftFilters.to}
+            onChange={(e) => setDraftFilters({ ...draftFilters, to: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+          />
+        </Grid>
+        <Grid item xs={12} md={2}>
+          <Button variant="contained" onClick={applyFilters} sx={{ mr: 1 }}>
+            Apply
+          </Button>
+          <Button onClick={clearFilters}>
+            Clear
+          </Button>
+        </Grid>
+      </Grid>
+
+      {isLoading ? (
+        <Grid container justifyContent="center">
+          <CircularProgress />
+        </Grid>
+      ) : error ? (
+        <Alert severity="error">
+          Error loading audit log: {error.response?.data?.message || error.message}
+        </Alert>
+      ) : entries.length === 0 ? (
+        <Alert severity="info">
+          No audit entries match these filters.
+        </Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>When</TableCell>
+                  <TableCell>Entity</TableCell>
+                  <TableCell>Action</TableCell>
+                  <TableCell>Changes</TableCell>
+                  <TableCell>Reason</TableCell>
+                  <TableCell>Changed By</TableCell>
+                  <TableCell>IP</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries.map(entry => (
+                  <TableRow key={entry.id}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {new Date(entry.created_at).toLocaleString()}
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{entry.entity_type.replace(/_/g, ' ')}</Typography>
+                      <Typography variant="caption" color="textSecondary">{entry.entity_id}</Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip label={entry.action} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      {changedFields(entry.before_value, entry.after_value).map(field => (
+                        <Box key={field} sx={{ fontSize: '0.8rem' }}>
+                          <strong>{field}</strong>: {formatValue((entry.before_value || {})[field])} → {formatValue((entry.after_value || {})[field])}
+                        </Box>
+                      ))}
+                    </TableCell>
+                    <TableCell>{entry.reason || '—'}</TableCell>
+                    <TableCell>{entry.changed_by}</TableCell>
+                    <TableCell>{entry.request_ip || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={auditResponse?.total || 0}
+            page={page}
+            onPageChange={(event, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[25, 50, 100]}
+          />
+        </Paper>
+      )}
+    </div>
+  );
+}
+
+export default AuditLogTab;
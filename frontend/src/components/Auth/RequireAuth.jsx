@@ -0,0 +1,16 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { authService } from '../../services/api';
+
+// Redirect to the login page when there is no stored token
+function RequireAuth({ children }) {
+  const location = useLocation();
+
+  if (!authService.isAuthenticated()) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  return children;
+}
+
+export default RequireAuth;
@@ -0,0 +1,735 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  CircularProgress,
+  Alert,
+  Chip,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Tooltip,
+  Checkbox,
+  FormControlLabel,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { bankImportService } from '../../services/api';
+
+const dateFormats = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'YYYY/MM/DD', 'DD.MM.YYYY'];
+
+const lineStatusColors = {
+  unmatched: 'warning',
+  proposed: 'info',
+  confirmed: 'success',
+  ignored: 'default',
+  duplicate: 'default'
+};
+
+const matchTypeLabels = {
+  borrower_interest: 'Borrower interest',
+  principal_repayment: 'Principal repayment',
+  investor_payout: 'Investor payout'
+};
+
+const emptyMapping = {
+  name: '',
+  dateColumn: 'Date',
+  dateFormat: 'DD/MM/YYYY',
+  amountColumn: 'Amount',
+  debitColumn: '',
+  creditColumn: '',
+  descriptionColumn: 'Description',
+  referenceColumn: '',
+  delimiter: ',',
+  skipRows: 0
+};
+const emptyUpload = { filename: '', csv: '', mappingId: '', saveMapping: false };
+const closedConfirmDialog = { open: false, line: null, matchKey: '', taxWithheld: '', feeWithheld: '', recordInterest: true, note: '' };
+const closedIgnoreDialog = { open: false, line: null, note: '' };
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+function BankReconciliationTab() {
+  const queryClient = useQueryClient();
+  const [upload, setUpload] = useState(emptyUpload);
+  const [mapping, setMapping] = useState(emptyMapping);
+  const [tolerances, setTolerances] = useState({ amountTolerance: 1, amountTolerancePct: 1, dateToleranceDays: 7 });
+  const [selectedImportId, setSelectedImportId] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [confirmDialog, setConfirmDialog] = useState(closedConfirmDialog);
+  const [ignoreDialog, setIgnoreDialog] = useState(closedIgnoreDialog);
+
+  const { data: mappingsResponse } = useQuery({
+    queryKey: ['bankImportMappings'],
+    queryFn: () => bankImportService.getMappings().then(res => res.data)
+  });
+
+  const { data: importsResponse, isLoading: importsLoading, error: importsError } = useQuery({
+    queryKey: ['bankImports'],
+    queryFn: () => bankImportService.getImports().then(res => res.data)
+  });
+
+  const { data: importResponse, isLoading: linesLoading } = useQuery({
+    queryKey: ['bankImport', selectedImportId, statusFilter],
+    queryFn: () => bankImportService.getImport(selectedImportId, statusFilter).then(res => res.data),
+    enabled: !!selectedImportId
+  });
+
+  const refreshImports = () => {
+    queryClient.invalidateQueries(['bankImports']);
+    queryClient.invalidateQueries(['bankImport']);
+  };
+
+  // Optionally save the mapping first so the next statement from this bank can reuse it
+  const importMutation = useMutation({
+    mutationFn: async () => {
+      let mappingId = upload.mappingId || null;
+      if (!mappingId && upload.saveMapping) {
+        const saved = await bankImportService.saveMapping(mapping);
+        mappingId = saved.data.data.id;
+      }
+      const response = await bankImportService.importStatement({
+        filename: upload.filename,
+        csv: upload.csv,
+        mappingId,
+        mapping: mappingId ? undefined : mapping,
+        options: tolerances
+      });
+      return response.data;
+    },
+    onSuccess: (result) => {
+      queryClient.invalidateQueries(['bankImportMappings']);
+      refreshImports();
+      setUpload(emptyUpload);
+      setSelectedImportId(result.data.importId);
+      setStatusFilter('');
+    }
+  });
+
+  const rematchMutation = useMutation({
+    mutationFn: () => bankImportService.rematchImport(selectedImportId, tolerances).then(res => res.data),
+    onSuccess: refreshImports
+  });
+
+  // Confirming marks the reminder paid, so the reminder tabs need to refetch too
+  const confirmMutation = useMutation({
+    mutationFn: ({ lineId, details }) => bankImportService.confirmLine(lineId, details),
+    onSuccess: () => {
+      refreshImports();
+      queryClient.invalidateQueries(['reminders']);
+      queryClient.invalidateQueries(['investorReminders']);
+      setConfirmDialog(closedConfirmDialog);
+    }
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: (lineId) => bankImportService.rejectLine(lineId),
+    onSuccess: refreshImports
+  });
+
+  const ignoreMutation = useMutation({
+    mutationFn: ({ lineId, note }) => bankImportService.ignoreLine(lineId, note),
+    onSuccess: () => {
+      refreshImports();
+      setIgnoreDialog(closedIgnoreDialog);
+    }
+  });
+
+  const mappings = mappingsResponse?.data || [];
+  const imports = importsResponse?.data || [];
+  const statement = importResponse?.data;
+  const lines = statement?.lines || [];
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setUpload({ ...upload, filename: file.name, csv: reader.result });
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const openConfirmDialog = (line) => {
+    confirmMutation.reset();
+    setConfirmDialog({
+      ...closedConfirmDialog,
+      open: true,
+      line,
+      matchKey: line.match_key || (line.candidates[0]?.matchKey ?? '')
+    });
+  };
+
+  const openIgnoreDialog = (line) => {
+    ignoreMutation.reset();
+    setIgnoreDialog({ ...closedIgnoreDialog, open: true, line });
+  };
+
+  const selectedCandidate = confirmDialog.line?.candidates.find(c => c.matchKey === confirmDialog.matchKey);
+  const usesMapping = !upload.mappingId;
+
+  const renderMatch = (line) => {
+    const candidate = line.candidates.find(c => c.matchKey === line.match_key);
+    if (!candidate) {
+      return line.candidates.length > 0 && line.status === 'unmatched' ? (
+        <Typography variant="caption" color="textSecondary">
+          {line.candidates.length} weak candidate(s)
+        </Typography>
+      ) : '-';
+    }
+    return (
+      <Tooltip title={`Expected ${formatCurrency(candidate.expectedAmount)} on ${formatDate(candidate.dueDate)} (${candidate.dayDifference} days, name match ${Math.round(candidate.nameScore * 100)}%)`}>
+        <div>
+          <Typography variant="body2">{candidate.label}</Typography>
+          <Typography variant="caption" color="textSecondary">
+            {matchTypeLabels[candidate.matchType]} | score {Math.round(candidate.score * 100)}%
+          </Typography>
+        </div>
+      </Tooltip>
+    );
+  };
+
+  return (
+    <div>
+      <Typography variant="h5" gutterBottom>
+        Bank Reconciliation
+      </Typography>
+      <Typography variant="body2" color="textSecondary" gutterBottom>
+        Import a bank statement CSV to match its lines against expected borrower interest, principal repayments and
+        investor payouts. Confirming a match marks the payment paid.
+      </Typography>
+
+      {/* Import */}
+      <Card sx={{ mt: 2, mb: 3 }}>
+        <CardContent>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={4}>
+              <Button variant="outlined" component="label" fullWidth>
+                {upload.filename || 'Choose CSV File'}
+                <input type="file" accept=".csv,text/csv" hidden onChange={handleFileChange} />
+              </Button>
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                select
+                label="Column Mapping"
+                fullWidth
+                size="small"
+                value={upload.mappingId}
+                onChange={(e) => setUpload({ ...upload, mappingId: e.target.value })}
+              >
+                <MenuItem value="">New mapping</MenuItem>
+                {mappings.map(saved => (
+                  <MenuItem key={saved.id} value={saved.id}>{saved.name}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={4} md={2}>
+              <TextField
+                label="Amount ±$"
+                type="number"
+                fullWidth
+                size="small"
+                value={tolerances.amountTolerance}
+                onChange={(e) => setTolerances({ ...tolerances, amountTolerance: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={4} md={2}>
+              <TextField
+                label="Amount ±%"
+                type="number"
+                fullWidth
+                size="small"
+                value={tolerances.amountTolerancePct}
+                onChange={(e) => setTolerances({ ...tolerances, amountTolerancePct: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={4} md={2}>
+              <TextField
+                label="Date ±days"
+                type="number"
+                fullWidth
+                size="small"
+                value={tolerances.dateToleranceDays}
+                onChange={(e) => setTolerances({ ...tolerances, dateToleranceDays: e.target.value })}
+              />
+            </Grid>
+
+            {usesMapping && (
+              <>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    label="Date Column"
+                    fullWidth
+                    size="small"
+                    value={mapping.dateColumn}
+                    onChange={(e) => setMapping({ ...mapping, dateColumn: e.target.value })}
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    select
+                    label="Date Format"
+                    fullWidth
+                    size="small"
+                    value={mapping.dateFormat}
+                    onChange={(e) => setMapping({ ...mapping, dateFormat: e.target.value })}
+                  >
+                    {dateFormats.map(format => (
+                      <MenuItem key={format} value={format}>{format}</MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    label="Description Column"
+                    fullWidth
+                    size="small"
+                    value={mapping.descriptionColumn}
+                    onChange={(e) => setMapping({ ...mapping, descriptionColumn: e.target.value })}
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    label="Reference Column (Optional)"
+                    fullWidth
+                    size="small"
+                    value={mapping.referenceColumn}
+                    onChange={(e) => setMapping({ ...mapping, referenceColumn: e.target.value })}
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <Tooltip title="Signed amount: money in positive, money out negative. Leave blank to use debit and credit columns.">
+                    <TextField
+                      label="Amount Column"
+                      fullWidth
+                      size="small"
+                      value={mapping.amountColumn}
+                      onChange={(e) => setMapping({ ...mapping, amountColumn: e.target.value })}
+                    />
+                  </Tooltip>
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    label="Debit Column"
+                    fullWidth
+                    size="small"
+                    disabled={!!mapping.amountColumn}
+                    value={mapping.debitColumn}
+                    onChange={(e) => setMapping({ ...mapping, debitColumn: e.target.value })}
+                  />
+                </Grid>
+                <Grid item xs={6} md={3}>
+                  <TextField
+                    label="Credit Column"
+                    fullWidth
+                    size="small"
+                    disabled={!!mapping.amountColumn}
+                    value={mapping.creditColumn}
+                    onChange={(e) => setMapping({ ...mapping, creditColumn: e.target.value })}
+                  />
+                </Grid>
+                <Grid item xs={3} md={2}>
+                  <TextField
+                    label="Delimiter"
+                    fullWidth
+                    size="small"
+                    inputProps={{ maxLength: 1 }}
+                    value={mapping.delimiter}
+                    onChange={(e) => setMapping({ ...mapping, delimiter: e.target.value })}
+                  />
+                </Grid>
+                <Grid item xs={3} md={2}>
+                  <Tooltip title="Rows above the header row">
+                    <TextField
+                      label="Skip Rows"
+                      type="number"
+                      fullWidth
+                      size="small"
+                      value={mapping.skipRows}
+                      onChange={(e) => setMapping({ ...mapping, skipRows: e.target.value })}
+                    />
+                  </Tooltip>
+                </Grid>
+                <Grid item xs={12} md={3}>
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        checked={upload.saveMapping}
+                        onChange={(e) => setUpload({ ...upload, saveMapping: e.target.checked })}
+                      />
+                    }
+                    label="Save mapping"
+                  />
+                </Grid>
+                {upload.saveMapping && (
+                  <Grid item xs={12} md={3}>
+                    <TextField
+                      label="Mapping Name"
+                      fullWidth
+                      size="small"
+                      value={mapping.name}
+                      onChange={(e) => setMapping({ ...mapping, name: e.target.value })}
+                    />
+                  </Grid>
+                )}
+              </>
+            )}
+
+            <Grid item xs={12}>
+              <Button
+                variant="contained"
+                onClick={() => importMutation.mutate()}
+                disabled={importMutation.isLoading || !upload.csv || (usesMapping && upload.saveMapping && !mapping.name.trim())}
+              >
+                {importMutation.isLoading ? <CircularProgress size={20} /> : 'Import and Match'}
+              </Button>
+            </Grid>
+          </Grid>
+
+          {importMutation.isSuccess && (
+            <Alert severity="success" sx={{ mt: 2 }} onClose={() => importMutation.reset()}>
+              {importMutation.data.message}
+              {importMutation.data.data.errors.length > 0 && ` (${importMutation.data.data.errors.length} rows skipped)`}
+            </Alert>
+          )}
+          {importMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {importMutation.error.response?.data?.message || importMutation.error.message}
+              {(importMutation.error.response?.data?.errors || []).slice(0, 5).map(message => (
+                <div key={message}>{message}</div>
+              ))}
+            </Alert>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Imports */}
+      <Typography variant="h6" gutterBottom>
+        Imported Statements
+      </Typography>
+      {importsLoading ? (
+        <Grid container justifyContent="center">
+          <CircularProgress />
+        </Grid>
+      ) : importsError ? (
+        <Alert severity="error">
+          Error loading bank imports: {importsError.response?.data?.message || importsError.message}
+        </Alert>
+      ) : imports.length === 0 ? (
+        <Alert severity="info">No statements have been imported yet.</Alert>
+      ) : (
+        <TableContainer component={Paper} sx={{ mb: 3 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>File</TableCell>
+                <TableCell>Period</TableCell>
+                <TableCell align="right">Lines</TableCell>
+                <TableCell align="right">Proposed</TableCell>
+                <TableCell align="right">Unmatched</TableCell>
+                <TableCell align="right">Confirmed</TableCell>
+                <TableCell>Imported</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {imports.map(item => (
+                <TableRow
+                  key={item.id}
+                  hover
+                  selected={item.id === selectedImportId}
+                  onClick={() => setSelectedImportId(item.id)}
+                  sx={{ cursor: 'pointer' }}
+                >
+                  <TableCell>{item.filename || `Import ${item.id}`}</TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                    {formatDate(item.statement_from)} - {formatDate(item.statement_to)}
+                  </TableCell>
+                  <TableCell align="right">
+                    {item.line_count}
+                    {item.duplicate_count > 0 && ` (${item.duplicate_count} dup.)`}
+                  </TableCell>
+                  <TableCell align="right">{item.proposed_count || 0}</TableCell>
+                  <TableCell align="right">{item.unmatched_count || 0}</TableCell>
+                  <TableCell align="right">{item.confirmed_count || 0}</TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                    {new Date(item.created_at).toLocaleString()} ({item.imported_by})
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
+      {/* Lines of the selected import */}
+      {selectedImportId && (
+        <>
+          <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+            <Grid item xs>
+              <Typography variant="h6">
+                {statement ? statement.filename || `Import ${statement.id}` : 'Statement Lines'}
+              </Typography>
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <TextField
+                select
+                label="Status"
+                fullWidth
+                size="small"
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+              >
+                <MenuItem value="">All</MenuItem>
+                {Object.keys(lineStatusColors).map(status => (
+                  <MenuItem key={status} value={status}>{status}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item>
+              <Tooltip title="Match unmatched lines again using the tolerances above">
+                <span>
+                  <Button
+                    variant="outlined"
+                    onClick={() => rematchMutation.mutate()}
+                    disabled={rematchMutation.isLoading}
+                  >
+                    {rematchMutation.isLoading ? <CircularProgress size={20} /> : 'Rematch'}
+                  </Button>
+                </span>
+              </Tooltip>
+            </Grid>
+          </Grid>
+
+          {rematchMutation.isSuccess && (
+            <Alert severity="success" sx={{ mb: 2 }} onClose={() => rematchMutation.reset()}>
+              {rematchMutation.data.message}
+            </Alert>
+          )}
+          {(rejectMutation.isError || rematchMutation.isError) && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {(rejectMutation.error || rematchMutation.error).response?.data?.message ||
+                (rejectMutation.error || rematchMutation.error).message}
+            </Alert>
+          )}
+
+          {linesLoading ? (
+            <Grid container justifyContent="center">
+              <CircularProgress />
+            </Grid>
+          ) : lines.length === 0 ? (
+            <Alert severity="info">No lines with this status.</Alert>
+          ) : (
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell align="right">Amount</TableCell>
+                    <TableCell>Description</TableCell>
+                    <TableCell>Match</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {lines.map(line => (
+                    <TableRow key={line.id}>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(line.transaction_date)}</TableCell>
+                      <TableCell align="right" sx={{ color: line.amount < 0 ? 'error.main' : 'success.main' }}>
+                        {formatCurrency(line.amount)}
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">{line.description}</Typography>
+                        {line.reference && (
+                          <Typography variant="caption" color="textSecondary">{line.reference}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{renderMatch(line)}</TableCell>
+                      <TableCell>
+                        <Tooltip title={line.note || ''}>
+                          <Chip label={line.status} color={lineStatusColors[line.status]} size="small" />
+                        </Tooltip>
+                      </TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        {['proposed', 'unmatched'].includes(line.status) && line.candidates.length > 0 && (
+                          <Button size="small" variant="contained" onClick={() => openConfirmDialog(line)}>
+                            Confirm
+                          </Button>
+                        )}
+                        {line.status === 'proposed' && (
+                          <Button size="small" variant="outlined" sx={{ ml: 1 }} onClick={() => rejectMutation.mutate(line.id)}>
+                            Reject
+                          </Button>
+                        )}
+                        {['proposed', 'unmatched'].includes(line.status) && (
+                          <Button size="small" sx={{ ml: 1 }} onClick={() => openIgnoreDialog(line)}>
+                            Ignore
+                          </Button>
+                        )}
+                        {line.status === 'ignored' && (
+                          <Button size="small" onClick={() => rejectMutation.mutate(line.id)}>
+                            Restore
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </>
+      )}
+
+      {/* Confirm Match Dialog */}
+      <Dialog open={confirmDialog.open} onClose={() => setConfirmDialog(closedConfirmDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Confirm Match</DialogTitle>
+        <DialogContent>
+          {confirmDialog.line && (
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {formatDate(confirmDialog.line.transaction_date)} {formatCurrency(confirmDialog.line.amount)} - {confirmDialog.line.description}
+            </Typography>
+          )}
+          <TextField
+            select
+            label="Expected Payment"
+            fullWidth
+            value={confirmDialog.matchKey}
+            onChange={(e) => setConfirmDialog({ ...confirmDialog, matchKey: e.target.value })}
+            sx={{ mt: 2 }}
+          >
+            {(confirmDialog.line?.candidates || []).map(candidate => (
+              <MenuItem key={candidate.matchKey} value={candidate.matchKey}>
+                {candidate.label}: {formatCurrency(candidate.expectedAmount)} due {formatDate(candidate.dueDate)} ({Math.round(candidate.score * 100)}%)
+              </MenuItem>
+            ))}
+          </TextField>
+          {selectedCandidate?.matchType === 'investor_payout' && (
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={6}>
+                <TextField
+                  label="Tax Withheld"
+                  type="number"
+                  fullWidth
+                  value={confirmDialog.taxWithheld}
+                  onChange={(e) => setConfirmDialog({ ...confirmDialog, taxWithheld: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={6}>
+                <TextField
+                  label="Fee Withheld"
+                  type="number"
+                  fullWidth
+                  value={confirmDialog.feeWithheld}
+                  onChange={(e) => setConfirmDialog({ ...confirmDialog, feeWithheld: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={confirmDialog.recordInterest}
+                      onChange={(e) => setConfirmDialog({ ...confirmDialog, recordInterest: e.target.checked })}
+                    />
+                  }
+                  label="Record interest payment (invest_interest)"
+                />
+              </Grid>
+            </Grid>
+          )}
+          <TextField
+            label="Note (Optional)"
+            multiline
+            rows={2}
+            fullWidth
+            value={confirmDialog.note}
+            onChange={(e) => setConfirmDialog({ ...confirmDialog, note: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+          {confirmMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {confirmMutation.error.response?.data?.message || confirmMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmDialog(closedConfirmDialog)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => confirmMutation.mutate({
+              lineId: confirmDialog.line.id,
+              details: {
+                matchKey: confirmDialog.matchKey,
+                taxWithheld: confirmDialog.taxWithheld || 0,
+                feeWithheld: confirmDialog.feeWithheld || 0,
+                recordInterest: confirmDialog.recordInterest,
+                note: confirmDialog.note
+              }
+            })}
+            variant="contained"
+            disabled={confirmMutation.isLoading || !confirmDialog.matchKey}
+          >
+            {confirmMutation.isLoading ? <CircularProgress size={20} /> : 'Confirm and Mark Paid'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Ignore Line Dialog */}
+      <Dialog open={ignoreDialog.open} onClose={() => setIgnoreDialog(closedIgnoreDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Ignore Statement Line</DialogTitle>
+        <DialogContent>
+          {ignoreDialog.line && (
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {formatDate(ignoreDialog.line.transaction_date)} {formatCurrency(ignoreDialog.line.amount)} - {ignoreDialog.line.description}
+            </Typography>
+          )}
+          <TextField
+            label="Note (e.g. bank fee, transfer between accounts)"
+            multiline
+            rows={2}
+            fullWidth
+            value={ignoreDialog.note}
+            onChange={(e) => setIgnoreDialog({ ...ignoreDialog, note: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+          {ignoreMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {ignoreMutation.error.response?.data?.message || ignoreMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setIgnoreDialog(closedIgnoreDialog)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => ignoreMutation.mutate({ lineId: ignoreDialog.line.id, note: ignoreDialog.note })}
+            variant="contained"
+            disabled={ignoreMutation.isLoading}
+          >
+            {ignoreMutation.isLoading ? <CircularProgress size={20} /> : 'Ignore'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </div>
+  );
+}
+
+export default BankReconciliationTab;
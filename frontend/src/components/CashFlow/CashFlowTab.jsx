@@ -1,5 +1,5 @@
-import React from 'react';
-import { useQuery } from '@tanstack/react-query';
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
   Typography,
   Grid,
@@ -9,14 +9,85 @@ import {
   Alert,
   Divider,
   Box,
-  Chip
+  Chip,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
 } from '@mui/material';
 import { cashflowService } from '../../services/api';
+import CashflowChart from './CashflowChart';
+
+const horizonOptions = [3, 6, 12, 24];
+// The API limits daily buckets to this many months
+const MAX_DAILY_MONTHS = 6;
+
+const granularityOptions = [
+  { value: 'month', label: 'Monthly' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'day', label: 'Daily' }
+];
+
+const emptyBalanceForm = {
+  accountType: 'trust',
+  balance: '',
+  balanceDate: new Date().toISOString().slice(0, 10),
+  note: '',
+  minBuffer: ''
+};
 
 function CashFlowTab() {
+  const queryClient = useQueryClient();
+  const [scenarioId, setScenarioId] = useState('');
+  const [months, setMonths] = useState(12);
+  const [granularity, setGranularity] = useState('month');
+  const [asOf, setAsOf] = useState('');
+  const [balanceDialogOpen, setBalanceDialogOpen] = useState(false);
+  const [balanceForm, setBalanceForm] = useState(emptyBalanceForm);
+
   const { data: cashflowResponse, isLoading, error } = useQuery({
-    queryKey: ['cashflow'],
-    queryFn: () => cashflowService.getMonthlyCashflow().then(res => res.data)
+    queryKey: ['cashflow', scenarioId, months, granularity, asOf],
+    queryFn: () => cashflowService.getMonthlyCashflow(months, scenarioId || undefined, granularity, asOf || undefined)
+      .then(res => res.data),
+    keepPreviousData: true
+  });
+
+  const handleGranularityChange = (value) => {
+    setGranularity(value);
+    if (value === 'day' && months > MAX_DAILY_MONTHS) {
+      setMonths(MAX_DAILY_MONTHS);
+    }
+  };
+
+  const { data: scenariosResponse } = useQuery({
+    queryKey: ['cashflowScenarios'],
+    queryFn: () => cashflowService.getScenarios().then(res => res.data)
+  });
+
+  const cashPositionMutation = useMutation({
+    mutationFn: async ({ accountType, balance, balanceDate, note, minBuffer }) => {
+      if (balance !== '') {
+        await cashflowService.recordBalance(accountType, parseFloat(balance), balanceDate, note);
+      }
+      if (minBuffer !== '') {
+        await cashflowService.updateMinBuffer(parseFloat(minBuffer));
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['cashflow']);
+      setBalanceDialogOpen(false);
+      setBalanceForm(emptyBalanceForm);
+    }
   });
 
   if (isLoading) {
@@ -30,13 +101,16 @@ function CashFlowTab() {
   if (error) {
     return (
       <Alert severity="error">
-        Error loading cashflow data: {error.message}
+        Error loading cashflow data: {error.response?.data?.message || error.message}
       </Alert>
     );
   }
 
   const cashflowData = cashflowResponse?.data || [];
   const summary = cashflowResponse?.summary || {};
+  const scenario = cashflowResponse?.scenario;
+  const scenarios = scenariosResponse?.data || [];
+  const liquidity = summary.liquidity;
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-AU', {
@@ -47,10 +121,124 @@ function CashFlowTab() {
 
   return (
     <div>
-      <Typography variant="h5" gutterBottom>
-        12-Month NET Cashflow Prediction
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 1 }}>
+        <Typography variant="h5" gutterBottom>
+          {months}-Month NET Cashflow Prediction{asOf ? ` (as of ${asOf})` : ''}
+        </Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Horizon"
+            value={months}
+            onChange={(e) => setMonths(e.target.value)}
+            sx={{ minWidth: 120 }}
+          >
+            {horizonOptions.map((option) => (
+              <MenuItem key={option} value={option} disabled={granularity === 'day' && option > MAX_DAILY_MONTHS}>
+                {option} months
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Granularity"
+            value={granularity}
+            onChange={(e) => handleGranularityChange(e.target.value)}
+            sx={{ minWidth: 130 }}
+          >
+            {granularityOptions.map((option) => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            type="date"
+            size="small"
+            label="As Of"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            inputProps={{ max: new Date().toISOString().slice(0, 10) }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Compare Scenario"
+            value={scenarioId}
+            onChange={(e) => setScenarioId(e.target.value)}
+            sx={{ minWidth: 240 }}
+          >
+            <MenuItem value="">Base case only</MenuItem>
+            {scenarios.map((s) => (
+              <MenuItem key={s.id} value={s.id}>
+                {s.name} ({s.adjustment_count} stage{s.adjustment_count === 1 ? '' : 's'})
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+      </Box>
       
+      {/* Shortfall Alert */}
+      {liquidity?.shortfallMonths.length > 0 && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          <Typography variant="subtitle2">
+            ⚠️ Projected balance falls below the {formatCurrency(liquidity.minBuffer)} minimum buffer in {liquidity.shortfallMonths.length} period(s)
+          </Typography>
+          {liquidity.shortfallMonths.map((m) => (
+            <Typography variant="body2" key={m.period}>
+              {m.label}: closing {formatCurrency(m.closingBalance)} — short by <strong>{formatCurrency(m.shortfall)}</strong>
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
+      {/* Liquidity Card */}
+      {liquidity && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="h6">
+                🏦 Cash Position
+              </Typography>
+              <Button size="small" variant="outlined" onClick={() => setBalanceDialogOpen(true)}>
+                Update Balance / Buffer
+              </Button>
+            </Box>
+            <Grid container spacing={2}>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Opening Balance</Typography>
+                <Typography variant="h6">{formatCurrency(liquidity.openingBalance)}</Typography>
+                <Typography variant="caption" color="textSecondary">
+                  {liquidity.balanceDate
+                    ? `As at ${new Date(liquidity.balanceDate).toLocaleDateString()} (${liquidity.accounts.map(a => a.account_type).join(' + ')})`
+                    : 'No balance recorded'}
+                </Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Projected Closing Balance</Typography>
+                <Typography variant="h6" color={liquidity.closingBalance < liquidity.minBuffer ? 'error.main' : 'inherit'}>
+                  {formatCurrency(liquidity.closingBalance)}
+                </Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Lowest Balance</Typography>
+                <Typography variant="h6" color={liquidity.lowestBalance < liquidity.minBuffer ? 'error.main' : 'inherit'}>
+                  {formatCurrency(liquidity.lowestBalance)}
+                </Typography>
+                <Typography variant="caption" color="textSecondary">
+                  {liquidity.lowestBalancePeriod}
+                </Typography>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <Typography variant="subtitle2">Minimum Buffer</Typography>
+                <Typography variant="h6">{formatCurrency(liquidity.minBuffer)}</Typography>
+              </Grid>
+            </Grid>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Summary Card */}
       <Card sx={{ mb: 3, bgcolor: 'primary.main', color: 'primary.contrastText' }}>
         <CardContent>
@@ -164,15 +352,70 @@ function CashFlowTab() {
         </Card>
       )}
       
-      {/* Monthly Breakdown */}
+      {/* Scenario Comparison */}
+      {scenario && (
+        <Card sx={{ mb: 3 }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              🧪 Scenario: {scenario.name}
+            </Typography>
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {scenario.description || `${scenario.scenarioType.replace(/_/g, ' ')} scenario`} • 
+              {' '}{scenario.adjustments.length} stage adjustment(s) • NET difference:{' '}
+              <Box component="span" sx={{ color: scenario.netCashflowDifference >= 0 ? 'success.main' : 'error.main', fontWeight: 'bold' }}>
+                {formatCurrency(scenario.netCashflowDifference)}
+              </Box>
+            </Typography>
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Period</TableCell>
+                    <TableCell align="right">Base Inflow</TableCell>
+                    <TableCell align="right">Scenario Inflow</TableCell>
+                    <TableCell align="right">Base NET</TableCell>
+                    <TableCell align="right">Scenario NET</TableCell>
+                    <TableCell align="right">Difference</TableCell>
+                    <TableCell align="right">Scenario Closing Balance</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {scenario.comparison.map((row) => (
+                    <TableRow key={row.period}>
+                      <TableCell>{row.label}</TableCell>
+                      <TableCell align="right">{formatCurrency(row.baseCashInflow)}</TableCell>
+                      <TableCell align="right">{formatCurrency(row.scenarioCashInflow)}</TableCell>
+                      <TableCell align="right">{formatCurrency(row.baseNetCashflow)}</TableCell>
+                      <TableCell align="right">{formatCurrency(row.scenarioNetCashflow)}</TableCell>
+                      <TableCell align="right" sx={{ color: row.difference < 0 ? 'error.main' : row.difference > 0 ? 'success.main' : 'inherit' }}>
+                        {formatCurrency(row.difference)}
+                      </TableCell>
+                      <TableCell align="right" sx={{ color: row.scenarioBelowBuffer ? 'error.main' : 'inherit' }}>
+                        {formatCurrency(row.scenarioClosingBalance)}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        </Card>
+      )}
+
+      {cashflowData.length > 0 && <CashflowChart periods={cashflowData} />}
+
+      {/* Period Breakdown */}
       <Grid container spacing={2}>
         {cashflowData.slice(0, 6).map((month, index) => (
           <Grid item xs={12} md={6} lg={4} key={index}>
-            <Card sx={{ height: '100%' }}>
+            <Card sx={{ height: '100%', ...(month.belowBuffer && { border: 2, borderColor: 'error.main' }) }}>
               <CardContent>
                 <Typography variant="h6" gutterBottom>
-                  {month.monthName}
+                  {month.label}
                 </Typography>
+                {month.belowBuffer && (
+                  <Chip label={`Below buffer by ${formatCurrency(month.bufferShortfall)}`} color="error" size="small" sx={{ mb: 1 }} />
+                )}
                 
                 {/* Inflows */}
                 <Box sx={{ mb: 2 }}>
@@ -185,6 +428,11 @@ function CashFlowTab() {
                   <Typography variant="body2" color="textSecondary">
                     Principal: {formatCurrency(month.totalPrincipalDue)}
                   </Typography>
+                  {month.totalDefaultInterest > 0 && (
+                    <Typography variant="body2" color="textSecondary">
+                      Default Interest: {formatCurrency(month.totalDefaultInterest)}
+                    </Typography>
+                  )}
                   <Typography variant="body2" fontWeight="bold" color="success.main">
                     Total In: {formatCurrency(month.totalCashInflow)}
                   </Typography>
@@ -244,6 +492,18 @@ function CashFlowTab() {
                   />
                 </Box>
 
+                {/* Running Balance */}
+                {month.closingBalance !== undefined && (
+                  <Box sx={{ mb: 2 }}>
+                    <Typography variant="body2" color="textSecondary">
+                      Opening Balance: {formatCurrency(month.openingBalance)}
+                    </Typography>
+                    <Typography variant="body2" fontWeight="bold" color={month.belowBuffer ? 'error.main' : 'textPrimary'}>
+                      Closing Balance: {formatCurrency(month.closingBalance)}
+                    </Typography>
+                  </Box>
+                )}
+
                 {/* Activity Indicators */}
                 <Box>
                   {month.loanMaturies.length > 0 && (
@@ -281,9 +541,15 @@ function CashFlowTab() {
             • <strong>Net Interest Income:</strong> Uses actual NET payment data (after taxes & fees) from borrowers<br/>
             • <strong>Calculation:</strong> (Actual NET Amount Paid ÷ Loan Term Months) for each active loan<br/>
             • <strong>Principal Repayments:</strong> Loan amounts due when loans mature<br/>
+            • <strong>Default Interest:</strong> Accrued daily at the default rate on overdue loans, expected in the current month<br/>
             • <strong>Investor Payments:</strong> Monthly interest payments to investors (individual rates)<br/>
+            • <strong>Weekly & Daily Views:</strong> Monthly payments are placed on their scheduled date (investors on their start day)<br/>
+            • <strong>As Of:</strong> Re-runs the forecast as it looked on a past date, ignoring borrower payments and balances recorded after it<br/>
             • <strong>Taxes & Fees:</strong> Tracked separately for transparency
           </Typography>
+          <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
+            <strong>Closing Balance</strong> = Opening Balance + NET Cashflow, carried period to period from the latest recorded trust and operating balances. Periods closing below the minimum buffer are flagged.
+          </Typography>
           <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
             <strong>🎯 Key Features:</strong>
           </Typography>
@@ -297,6 +563,75 @@ function CashFlowTab() {
           </Typography>
         </CardContent>
       </Card>
+
+      {/* Cash Position Dialog */}
+      <Dialog open={balanceDialogOpen} onClose={() => setBalanceDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Update Cash Position</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            label="Account"
+            fullWidth
+            value={balanceForm.accountType}
+            onChange={(e) => setBalanceForm({ ...balanceForm, accountType: e.target.value })}
+            sx={{ mt: 2 }}
+          >
+            <MenuItem value="trust">Trust Account</MenuItem>
+            <MenuItem value="operating">Operating Account</MenuItem>
+          </TextField>
+          <TextField
+            label="Balance"
+            type="number"
+            fullWidth
+            value={balanceForm.balance}
+            onChange={(e) => setBalanceForm({ ...balanceForm, balance: e.target.value })}
+            placeholder="Leave blank to keep the current balance"
+            sx={{ mt: 2 }}
+          />
+          <TextField
+            label="Balance Date"
+            type="date"
+            fullWidth
+            value={balanceForm.balanceDate}
+            onChange={(e) => setBalanceForm({ ...balanceForm, balanceDate: e.target.value })}
+            InputLabelProps={{ shrink: true }}
+            sx={{ mt: 2 }}
+          />
+          <TextField
+            label="Note (Optional)"
+            fullWidth
+            value={balanceForm.note}
+            onChange={(e) => setBalanceForm({ ...balanceForm, note: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+          <TextField
+            label="Minimum Buffer"
+            type="number"
+            fullWidth
+            value={balanceForm.minBuffer}
+            onChange={(e) => setBalanceForm({ ...balanceForm, minBuffer: e.target.value })}
+            placeholder={liquidity ? `Currently ${liquidity.minBuffer}` : ''}
+            sx={{ mt: 2 }}
+          />
+          {cashPositionMutation.error && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {cashPositionMutation.error.response?.data?.message || cashPositionMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBalanceDialogOpen(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => cashPositionMutation.mutate(balanceForm)}
+            variant="contained"
+            disabled={cashPositionMutation.isLoading || (balanceForm.balance === '' && balanceForm.minBuffer === '')}
+          >
+            {cashPositionMutation.isLoading ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </div>
   );
 }
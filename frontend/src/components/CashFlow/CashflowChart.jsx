@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarController,
+  BarElement,
+  LineController,
+  LineElement,
+  PointElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import {
+  Typography,
+  Card,
+  CardContent,
+  Box,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  IconButton
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarController,
+  BarElement,
+  LineController,
+  LineElement,
+  PointElement,
+  Tooltip,
+  Legend
+);
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+const compactCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD', notation: 'compact' }).format(amount || 0);
+
+// Inflows are stacked in one column and investor payouts in another; net and cumulative cashflow are lines,
+// each in a stack of its own so the y axis does not add one line onto the other.
+// In gross view the interest column also shows the taxes and fees withheld from it.
+function buildChartData(periods, basis) {
+  let cumulative = 0;
+  const cumulativeNet = periods.map(period => {
+    cumulative += period.netCashflow;
+    return Math.round(cumulative * 100) / 100;
+  });
+
+  const bar = (label, data, color, stack) => ({ type: 'bar', label, data, backgroundColor: color, stack, order: 2 });
+  const line = (label, data, color, dashed, stack) => ({
+    type: 'line',
+    label,
+    data,
+    stack,
+    borderColor: color,
+    backgroundColor: color,
+    borderDash: dashed ? [6, 4] : [],
+    tension: 0.2,
+    order: 1
+  });
+
+  return {
+    labels: periods.map(period => period.label),
+    datasets: [
+      line('NET Cashflow', periods.map(period => period.netCashflow), '#1565c0', false, 'net'),
+      line('Cumulative NET', cumulativeNet, '#6a1b9a', true, 'cumulative'),
+      bar(basis === 'gross' ? 'Interest (Net of Tax & Fees)' : 'Interest Income (Net)', periods.map(period => period.totalInterestReceivable), '#66bb6a', 'inflows'),
+      ...(basis === 'gross' ? [
+        bar('Taxes', periods.map(period => period.totalTaxes), '#ffa726', 'inflows'),
+        bar('Fees', periods.map(period => period.totalFees), '#ffcc80', 'inflows')
+      ] : []),
+      bar('Principal Due', periods.map(period => period.totalPrincipalDue), '#26a69a', 'inflows'),
+      bar('Default Interest', periods.map(period => period.totalDefaultInterest), '#9ccc65', 'inflows'),
+      bar('Investor Payouts', periods.map(period => period.totalInvestorPayouts), '#ef5350', 'outflows')
+    ]
+  };
+}
+
+function PeriodDetail({ period, onClose }) {
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="subtitle1" fontWeight="bold">
+          {period.label}: NET {formatCurrency(period.netCashflow)}
+        </Typography>
+        <IconButton size="small" onClick={onClose}>
+          <Close fontSize="small" />
+        </IconButton>
+      </Box>
+
+      <Typography variant="subtitle2" color="success.main" sx={{ mt: 1 }}>
+        💵 Interest Payments ({period.interestPayments.length})
+      </Typography>
+      {period.interestPayments.length > 0 ? (
+        <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Project</TableCell>
+                <TableCell>Scheduled</TableCell>
+                <TableCell align="right">Gross</TableCell>
+                <TableCell align="right">Tax</TableCell>
+                <TableCell align="right">Fee</TableCell>
+                <TableCell align="right">Net</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {period.interestPayments.map(payment => (
+                <TableRow key={payment.stageId}>
+                  <TableCell>
+                    {payment.projectTitle} (stage {payment.stageId})
+                    {payment.isProrated && <Chip label="prorated" size="small" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{payment.scheduledPaymentDate || '-'}</TableCell>
+                  <TableCell align="right">{formatCurrency(payment.grossAmount)}</TableCell>
+                  <TableCell align="right">{formatCurrency(payment.taxAmount)}</TableCell>
+                  <TableCell align="right">{formatCurrency(payment.feeAmount)}</TableCell>
+                  <TableCell align="right">{formatCurrency(payment.netAmount)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      ) : (
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>None this period.</Typography>
+      )}
+
+      <Typography variant="subtitle2" color="warning.main">
+        🏦 Loan Maturities ({period.loanMaturies.length})
+      </Typography>
+      {period.loanMaturies.length > 0 ? (
+        <TableContainer component={Paper} variant="outlined" sx={{ mb: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Project</TableCell>
+                <TableCell>Maturity Date</TableCell>
+                <TableCell align="right">Principal</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {period.loanMaturies.map(maturity => (
+                <TableRow key={maturity.stageId}>
+                  <TableCell>{maturity.projectTitle} (stage {maturity.stageId})</TableCell>
+                  <TableCell>{maturity.maturityDate}</TableCell>
+                  <TableCell align="right">{formatCurrency(maturity.amount)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      ) : (
+        <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>None this period.</Typography>
+      )}
+
+      <Typography variant="subtitle2" color="error.main">
+        👥 Investor Payouts ({period.investorPayouts.length})
+      </Typography>
+      {period.investorPayouts.length > 0 ? (
+        <TableContainer component={Paper} variant="outlined">
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Investor</TableCell>
+                <TableCell>Stage</TableCell>
+                <TableCell align="right">Amount</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {period.investorPayouts.map((payout, index) => (
+                <TableRow key={`${payout.investorId}-${payout.stageId}-${index}`}>
+                  <TableCell>
+                    {payout.investorName}
+                    {payout.isGoodlandInvestor && <Chip label="Goodland (not an outflow)" size="small" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{payout.stageId}</TableCell>
+                  <TableCell align="right">{formatCurrency(payout.amount)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      ) : (
+        <Typography variant="body2" color="textSecondary">None this period.</Typography>
+      )}
+    </Box>
+  );
+}
+
+// Cashflow chart by forecast period; clicking a period shows its interest payments, maturities and investor payouts
+function CashflowChart({ periods }) {
+  const [basis, setBasis] = useState('net');
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const selectedPeriod = selectedIndex !== null ? periods[selectedIndex] : null;
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    scales: {
+      x: { stacked: true },
+      y: { stacked: true, ticks: { callback: value => compactCurrency(value) } }
+    },
+    plugins: {
+      tooltip: {
+        callbacks: { label: context => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}` }
+      }
+    },
+    onClick: (event, elements) => {
+      if (elements.length > 0) setSelectedIndex(elements[0].index);
+    },
+    onHover: (event, elements) => {
+      event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">
+            📊 Cashflow Chart
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={basis}
+            onChange={(e, value) => value && setBasis(value)}
+          >
+            <ToggleButton value="net">Net</ToggleButton>
+            <ToggleButton value="gross">Gross</ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+        <Typography variant="caption" color="textSecondary">
+          Click a period for its interest payments, loan maturities and investor payouts.
+        </Typography>
+
+        <Box sx={{ height: 360, mt: 1 }}>
+          <Chart type="bar" data={buildChartData(periods, basis)} options={options} />
+        </Box>
+
+        {selectedPeriod && <PeriodDetail period={selectedPeriod} onClose={() => setSelectedIndex(null)} />}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default CashflowChart;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { useQuery } from '@tanstack/react-query';
+import { Link as RouterLink } from 'react-router-dom';
 import {
   Grid,
   Card,
@@ -14,7 +15,8 @@ import {
   Paper,
   Chip,
   CircularProgress,
-  Alert
+  Alert,
+  Link
 } from '@mui/material';
 import { loanService } from '../../services/api';
 
@@ -212,9 +214,9 @@ function LoanStatusTab() {
               {loans.map((loan) => (
                 <TableRow key={`stage-${loan.id}`}>
                   <TableCell>
-                    <Typography variant="body2" fontWeight="bold">
+                    <Link component={RouterLink} to={`/loans/${loan.id}`} variant="body2" fontWeight="bold">
                       {loan.id}
-                    </Typography>
+                    </Link>
                   </TableCell>
                   <TableCell>{loan.project_title}</TableCell>
                   <TableCell>{formatCurrency(loan.loan_amount)}</TableCell>
@@ -0,0 +1,468 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  CircularProgress,
+  Alert,
+  Chip,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Paper,
+  Tooltip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions
+} from '@mui/material';
+import { dataQualityService, stageResolutionService, authService } from '../../services/api';
+
+const severityColors = { error: 'error', warning: 'warning', info: 'info' };
+
+const findingStatusOptions = [
+  { value: 'open', label: 'Open', color: 'default' },
+  { value: 'acknowledged', label: 'Acknowledged', color: 'info' },
+  { value: 'ignored', label: 'Ignored', color: 'default' },
+  { value: 'resolved', label: 'Resolved', color: 'success' }
+];
+
+// resolved is set by the scanner, not by users
+const userStatusOptions = findingStatusOptions.filter(option => option.value !== 'resolved');
+
+const emptyFilters = { status: '', severity: '', rule: '' };
+const closedStatusDialog = { open: false, finding: null, status: 'acknowledged', note: '' };
+const closedResolveDialog = { open: false, finding: null, canonicalStageId: '', resolution: 'merged', reason: '' };
+
+const formatRule = (rule) => rule.replace(/_/g, ' ');
+
+function DataQualityTab() {
+  const queryClient = useQueryClient();
+  const canUpdate = authService.hasRole('ops');
+  const canResolveStages = authService.hasRole('finance');
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [statusDialog, setStatusDialog] = useState(closedStatusDialog);
+  const [resolveDialog, setResolveDialog] = useState(closedResolveDialog);
+
+  const { data: findingsResponse, isLoading, error } = useQuery({
+    queryKey: ['dataQualityFindings', filters, page, rowsPerPage],
+    queryFn: () => dataQualityService.getFindings({
+      ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value)),
+      limit: rowsPerPage,
+      offset: page * rowsPerPage
+    }).then(res => res.data)
+  });
+
+  const scanMutation = useMutation({
+    mutationFn: () => dataQualityService.runScan().then(res => res.data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['dataQualityFindings']);
+    }
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: ({ id, status, note }) => dataQualityService.updateFindingStatus(id, status, note),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['dataQualityFindings']);
+      setStatusDialog(closedStatusDialog);
+    }
+  });
+
+  // Keep the canonical stage and exclude or merge the rest, then rescan so the duplicate finding resolves
+  const resolveMutation = useMutation({
+    mutationFn: ({ canonicalStageId, stageIds, resolution, reason }) =>
+      stageResolutionService.resolveStages(canonicalStageId, stageIds, resolution, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['loans']);
+      queryClient.invalidateQueries(['cashflow']);
+      setResolveDialog(closedResolveDialog);
+      scanMutation.mutate();
+    }
+  });
+
+  const findings = findingsResponse?.data || [];
+  const summary = findingsResponse?.summary || { total: 0, bySeverity: {}, byRule: {} };
+  const rules = findingsResponse?.rules || {};
+  const lastRun = findingsResponse?.lastRun;
+
+  const updateFilter = (field, value) => {
+    setPage(0);
+    setFilters({ ...filters, [field]: value });
+  };
+
+  const openStatusDialog = (finding) => {
+    statusMutation.reset();
+    setStatusDialog({
+      open: true,
+      finding,
+      status: finding.status === 'open' ? 'acknowledged' : finding.status,
+      note: finding.status_note || ''
+    });
+  };
+
+  const openResolveDialog = (finding) => {
+    resolveMutation.reset();
+    setResolveDialog({
+      ...closedResolveDialog,
+      open: true,
+      finding,
+      canonicalStageId: finding.details.stageIds[0]
+    });
+  };
+
+  const handleResolve = () => {
+    const { finding, canonicalStageId, resolution, reason } = resolveDialog;
+    resolveMutation.mutate({
+      canonicalStageId,
+      stageIds: finding.details.stageIds.filter(id => id !== canonicalStageId),
+      resolution,
+      reason
+    });
+  };
+
+  const getStatusOption = (status) =>
+    findingStatusOptions.find(option => option.value === status) || findingStatusOptions[0];
+
+  return (
+    <div>
+      <Grid container justifyContent="space-between" alignItems="center">
+        <Grid item>
+          <Typography variant="h5" gutterBottom>
+            Data Quality
+          </Typography>
+          <Typography variant="body2" color="textSecondary" gutterBottom>
+            {lastRun
+              ? `Last scan ${new Date(lastRun.started_at).toLocaleString()} (${lastRun.source}): ${lastRun.findings_count} findings, ${lastRun.new_count} new, ${lastRun.resolved_count} resolved`
+              : 'No scan has run yet.'}
+          </Typography>
+        </Grid>
+        {canUpdate && (
+          <Grid item>
+            <Button
+              variant="contained"
+              onClick={() => scanMutation.mutate()}
+              disabled={scanMutation.isLoading}
+            >
+              {scanMutation.isLoading ? <CircularProgress size={20} /> : 'Run Scan Now'}
+            </Button>
+          </Grid>
+        )}
+      </Grid>
+
+      {scanMutation.isSuccess && (
+        <Alert severity="success" sx={{ mt: 1 }} onClose={() => scanMutation.reset()}>
+          {scanMutation.data.message}
+        </Alert>
+      )}
+      {scanMutation.isError && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {scanMutation.error.response?.data?.message || scanMutation.error.message}
+        </Alert>
+      )}
+
+      {/* Summary Cards */}
+      <Grid container spacing={2} sx={{ mt: 1, mb: 2 }}>
+        <Grid item xs={12} sm={4}>
+          <Card>
+            <CardContent>
+              <Typography color="textSecondary" gutterBottom>Needing Attention</Typography>
+              <Typography variant="h4">{summary.total}</Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <Card>
+            <CardContent>
+              <Typography color="textSecondary" gutterBottom>Errors</Typography>
+              <Typography variant="h4" color="error">{summary.bySeverity.error || 0}</Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <Card>
+            <CardContent>
+              <Typography color="textSecondary" gutterBottom>Warnings</Typography>
+              <Typography variant="h4" color="warning.main">{summary.bySeverity.warning || 0}</Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      {/* Filters */}
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid item xs={12} sm={4} md={3}>
+          <TextField
+            select
+            label="Status"
+            fullWidth
+            size="small"
+            value={filters.status}
+            onChange={(e) => updateFilter('status', e.target.value)}
+          >
+            <MenuItem value="">Needing attention</MenuItem>
+            {findingStatusOptions.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+            <MenuItem value="all">All</MenuItem>
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4} md={3}>
+          <TextField
+            select
+            label="Severity"
+            fullWidth
+            size="small"
+            value={filters.severity}
+            onChange={(e) => updateFilter('severity', e.target.value)}
+          >
+            <MenuItem value="">All</MenuItem>
+            {Object.keys(severityColors).map(severity => (
+              <MenuItem key={severity} value={severity}>{severity}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4} md={4}>
+          <TextField
+            select
+            label="Rule"
+            fullWidth
+            size="small"
+            value={filters.rule}
+            onChange={(e) => updateFilter('rule', e.target.value)}
+          >
+            <MenuItem value="">All</MenuItem>
+            {Object.keys(rules).map(rule => (
+              <MenuItem key={rule} value={rule}>
+                {formatRule(rule)} ({summary.byRule[rule] || 0})
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+      </Grid>
+
+      {isLoading ? (
+        <Grid container justifyContent="center">
+          <CircularProgress />
+        </Grid>
+      ) : error ? (
+        <Alert severity="error">
+          Error loading data quality findings: {error.response?.data?.message || error.message}
+        </Alert>
+      ) : findings.length === 0 ? (
+        <Alert severity="success">
+          No findings match these filters.
+        </Alert>
+      ) : (
+        <Paper>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Severity</TableCell>
+                  <TableCell>Rule</TableCell>
+                  <TableCell>Finding</TableCell>
+                  <TableCell>First Seen</TableCell>
+                  <TableCell>Last Seen</TableCell>
+                  <TableCell>Status</TableCell>
+                  {canUpdate && <TableCell />}
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {findings.map(finding => (
+                  <TableRow key={finding.id}>
+                    <TableCell>
+                      <Chip label={finding.severity} color={severityColors[finding.severity] || 'default'} size="small" />
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title={rules[finding.rule]?.description || ''}>
+                        <Typography variant="body2">{formatRule(finding.rule)}</Typography>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">{finding.message}</Typography>
+                      <Typography variant="caption" color="textSecondary">
+                        {finding.entity_type.replace(/_/g, ' ')} {finding.entity_id}
+                        {finding.project_title ? ` | ${finding.project_title}` : ''}
+                      </Typography>
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {new Date(finding.first_seen_at).toLocaleDateString()}
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {new Date(finding.last_seen_at).toLocaleDateString()}
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title={finding.status_note ? `${finding.status_note} (${finding.status_changed_by})` : ''}>
+                        <Chip
+                          label={getStatusOption(finding.status).label}
+                          color={getStatusOption(finding.status).color}
+                          variant="outlined"
+                          size="small"
+                        />
+                      </Tooltip>
+                    </TableCell>
+                    {canUpdate && (
+                      <TableCell>
+                        {finding.status !== 'resolved' && (
+                          <Button size="small" variant="outlined" onClick={() => openStatusDialog(finding)}>
+                            Update
+                          </Button>
+                        )}
+                        {finding.status !== 'resolved' && finding.rule === 'duplicate_stage' && canResolveStages && (
+                          <Button size="small" variant="outlined" sx={{ ml: 1 }} onClick={() => openResolveDialog(finding)}>
+                            Resolve
+                          </Button>
+                        )}
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          <TablePagination
+            component="div"
+            count={findingsResponse?.total || 0}
+            page={page}
+            onPageChange={(event, newPage) => setPage(newPage)}
+            rowsPerPage={rowsPerPage}
+            onRowsPerPageChange={(e) => {
+              setRowsPerPage(parseInt(e.target.value));
+              setPage(0);
+            }}
+            rowsPerPageOptions={[25, 50, 100]}
+          />
+        </Paper>
+      )}
+
+      {/* Status Dialog */}
+      <Dialog open={statusDialog.open} onClose={() => setStatusDialog(closedStatusDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Update Finding</DialogTitle>
+        <DialogContent>
+          {statusDialog.finding && (
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {statusDialog.finding.message}
+            </Typography>
+          )}
+          <TextField
+            select
+            label="Status"
+            fullWidth
+            value={statusDialog.status}
+            onChange={(e) => setStatusDialog({ ...statusDialog, status: e.target.value })}
+            sx={{ mt: 2 }}
+          >
+            {userStatusOptions.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label={statusDialog.status === 'ignored' ? 'Why is this not a problem?' : 'Note (Optional)'}
+            multiline
+            rows={3}
+            fullWidth
+            value={statusDialog.note}
+            onChange={(e) => setStatusDialog({ ...statusDialog, note: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+          {statusMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {statusMutation.error.response?.data?.message || statusMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStatusDialog(closedStatusDialog)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => statusMutation.mutate({
+              id: statusDialog.finding.id,
+              status: statusDialog.status,
+              note: statusDialog.note
+            })}
+            variant="contained"
+            disabled={statusMutation.isLoading || (statusDialog.status === 'ignored' && !statusDialog.note.trim())}
+          >
+            {statusMutation.isLoading ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Resolve Duplicate Stages Dialog */}
+      <Dialog open={resolveDialog.open} onClose={() => setResolveDialog(closedResolveDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Resolve Duplicate Stages</DialogTitle>
+        <DialogContent>
+          {resolveDialog.finding && (
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {resolveDialog.finding.message}
+            </Typography>
+          )}
+          <TextField
+            select
+            label="Canonical Stage (kept)"
+            fullWidth
+            value={resolveDialog.canonicalStageId}
+            onChange={(e) => setResolveDialog({ ...resolveDialog, canonicalStageId: e.target.value })}
+            sx={{ mt: 2 }}
+          >
+            {(resolveDialog.finding?.details.stageIds || []).map(stageId => (
+              <MenuItem key={stageId} value={stageId}>Stage {stageId}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Other Stages"
+            fullWidth
+            value={resolveDialog.resolution}
+            onChange={(e) => setResolveDialog({ ...resolveDialog, resolution: e.target.value })}
+            helperText="Both remove the other stages from loans, reminders and the cashflow forecast"
+            sx={{ mt: 2 }}
+          >
+            <MenuItem value="merged">Merge into the canonical stage</MenuItem>
+            <MenuItem value="excluded">Exclude</MenuItem>
+          </TextField>
+          <TextField
+            label="Reason"
+            multiline
+            rows={3}
+            fullWidth
+            value={resolveDialog.reason}
+            onChange={(e) => setResolveDialog({ ...resolveDialog, reason: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+          {resolveMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {resolveMutation.error.response?.data?.message || resolveMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setResolveDialog(closedResolveDialog)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleResolve}
+            variant="contained"
+            disabled={resolveMutation.isLoading || !resolveDialog.reason.trim()}
+          >
+            {resolveMutation.isLoading ? <CircularProgress size={20} /> : 'Resolve'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </div>
+  );
+}
+
+export default DataQualityTab;
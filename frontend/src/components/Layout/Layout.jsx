@@ -1,15 +1,29 @@
 import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
 import {
   AppBar,
   Toolbar,
   Typography,
   Container,
   Box,
-  Paper
+  Paper,
+  Button
 } from '@mui/material';
 import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
+import { authService } from '../../services/api';
 
 function Layout({ children }) {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const user = authService.getCurrentUser();
+
+  const handleLogout = () => {
+    authService.logout();
+    queryClient.clear();
+    navigate('/login', { replace: true });
+  };
+
   return (
     <Box sx={{ flexGrow: 1 }}>
       <AppBar position="static">
@@ -21,6 +35,14 @@ function Layout({ children }) {
           <Typography variant="body2">
             {new Date().toLocaleDateString()}
           </Typography>
+          {user && (
+            <Typography variant="body2" sx={{ ml: 3 }}>
+              {user.name || user.email} ({user.role})
+            </Typography>
+          )}
+          <Button color="inherit" size="small" onClick={handleLogout} sx={{ ml: 2 }}>
+            Sign Out
+          </Button>
         </Toolbar>
       </AppBar>
       
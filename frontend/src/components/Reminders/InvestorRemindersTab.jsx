@@ -36,13 +36,32 @@ import {
   CheckCircle as CheckCircleIcon,
   RadioButtonUnchecked as UncheckedIcon
 } from '@mui/icons-material';
-import { reminderService } from '../../services/api';
+import { reminderService, paymentBatchService, authService } from '../../services/api';
+import PaymentBatchesPanel, { downloadBatchFile } from './PaymentBatchesPanel';
+
+const emptyPayout = {
+  amountPaid: '',
+  paymentDate: '',
+  bankReference: '',
+  taxWithheld: '',
+  feeWithheld: '',
+  recordInterest: true
+};
+
+const closedBatchDialog = { open: false, processingDate: '', description: 'INV PAYOUTS' };
+const closedProfileDialog = { open: false, investorId: null, investorName: '', accountName: '', bsb: '', accountNumber: '', lodgementReference: '' };
 
 function InvestorRemindersTab() {
   const queryClient = useQueryClient();
   const [daysAhead, setDaysAhead] = useState(30);
   const [noteDialog, setNoteDialog] = useState({ open: false, reminderKey: '', currentState: false });
   const [userNote, setUserNote] = useState('');
+  const [payout, setPayout] = useState(emptyPayout);
+  // ABA batching (finance): selected reminder keys and the batch / bank details dialogs
+  const canBatch = authService.hasRole('finance');
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [batchDialog, setBatchDialog] = useState(closedBatchDialog);
+  const [profileDialog, setProfileDialog] = useState(closedProfileDialog);
 
   const { data: investorRemindersResponse, isLoading, error } = useQuery({
     queryKey: ['investorReminders', daysAhead],
@@ -50,18 +69,80 @@ function InvestorRemindersTab() {
   });
 
   const markPaymentMutation = useMutation({
-    mutationFn: ({ reminderKey, isPaid, isIgnored, userNote }) => 
-      reminderService.markInvestorPaymentStatus(reminderKey, isPaid, isIgnored, userNote),
+    mutationFn: ({ reminderKey, isPaid, isIgnored, userNote, payout }) => 
+      reminderService.markInvestorPaymentStatus(reminderKey, isPaid, isIgnored, userNote, payout),
     onSuccess: () => {
       queryClient.invalidateQueries(['investorReminders']);
       setNoteDialog({ open: false, reminderKey: '', currentState: false });
       setUserNote('');
+      setPayout(emptyPayout);
     }
   });
 
-  const handlePaymentToggle = (reminderKey, currentState) => {
+  const { data: profilesResponse } = useQuery({
+    queryKey: ['paymentProfiles'],
+    queryFn: () => paymentBatchService.getProfiles().then(res => res.data),
+    enabled: canBatch
+  });
+
+  // Create the batch and download its ABA file straight away
+  const createBatchMutation = useMutation({
+    mutationFn: ({ reminderKeys, processingDate, description }) =>
+      paymentBatchService.createBatch(reminderKeys, processingDate, description).then(res => res.data),
+    onSuccess: async (result) => {
+      queryClient.invalidateQueries(['investorReminders']);
+      queryClient.invalidateQueries(['paymentBatches']);
+      setSelectedKeys([]);
+      setBatchDialog(closedBatchDialog);
+      await downloadBatchFile(result.data);
+    }
+  });
+
+  const saveProfileMutation = useMutation({
+    mutationFn: ({ investorId, ...profile }) => paymentBatchService.saveProfile(investorId, profile),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['paymentProfiles']);
+      setProfileDialog(closedProfileDialog);
+    }
+  });
+
+  const profiles = profilesResponse?.data || [];
+  const findProfile = (investorId) => profiles.find(profile => profile.investor_id === investorId);
+
+  const toggleSelected = (reminderKey) => {
+    setSelectedKeys(selectedKeys.includes(reminderKey)
+      ? selectedKeys.filter(key => key !== reminderKey)
+      : [...selectedKeys, reminderKey]);
+  };
+
+  const openBatchDialog = () => {
+    createBatchMutation.reset();
+    setBatchDialog({ ...closedBatchDialog, open: true, processingDate: new Date().toISOString().slice(0, 10) });
+  };
+
+  const openProfileDialog = (payment) => {
+    const profile = findProfile(payment.investorId);
+    saveProfileMutation.reset();
+    setProfileDialog({
+      open: true,
+      investorId: payment.investorId,
+      investorName: payment.investorName,
+      accountName: profile?.account_name || payment.investorName.slice(0, 32),
+      bsb: profile?.bsb || '',
+      accountNumber: profile?.account_number || '',
+      lodgementReference: profile?.lodgement_reference || ''
+    });
+  };
+
+  const handlePaymentToggle = (payment) => {
+    const { reminderKey, isPaid: currentState } = payment;
     if (!currentState) {
-      // Marking as paid - show note dialog
+      // Marking as paid - show payout details dialog, prefilled with the scheduled payment
+      setPayout({
+        ...emptyPayout,
+        amountPaid: payment.monthlyPayment.toFixed(2),
+        paymentDate: new Date().toISOString().slice(0, 10)
+      });
       setNoteDialog({ open: true, reminderKey, currentState });
     } else {
       // Marking as unpaid - do directly
@@ -84,7 +165,8 @@ function InvestorRemindersTab() {
       reminderKey: noteDialog.reminderKey, 
       isPaid: true, 
       isIgnored: false,
-      userNote 
+      userNote,
+      payout
     });
   };
 
@@ -333,10 +415,19 @@ function InvestorRemindersTab() {
         </CardContent>
       </Card>
       
+      {canBatch && <PaymentBatchesPanel />}
+
       {/* Projects with Upcoming Payments */}
-      <Typography variant="h6" gutterBottom>
-        Projects with Upcoming Investor Payments
-      </Typography>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="h6" gutterBottom>
+          Projects with Upcoming Investor Payments
+        </Typography>
+        {canBatch && (
+          <Button variant="contained" disabled={selectedKeys.length === 0} onClick={openBatchDialog}>
+            Create ABA Batch ({selectedKeys.length})
+          </Button>
+        )}
+      </Box>
       <Typography variant="body2" color="textSecondary" sx={{ mb: 2 }}>
         Fully paid projects appear at the bottom in gray and disappear from view after 15 days. Data is kept for 3 years for records. Unchecking any payment will restore the project to active status.
       </Typography>
@@ -387,6 +478,19 @@ function InvestorRemindersTab() {
                         <ListItemText
                           primary={
                             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              {canBatch && !payment.isPaid && !payment.isIgnored && !payment.isBatched && (
+                                <Tooltip title={findProfile(payment.investorId) ? 'Select for ABA batch' : 'Add bank details to batch this payment'}>
+                                  <span>
+                                    <Checkbox
+                                      size="small"
+                                      checked={selectedKeys.includes(payment.reminderKey)}
+                                      onChange={() => toggleSelected(payment.reminderKey)}
+                                      disabled={!findProfile(payment.investorId)}
+                                      sx={{ p: 0 }}
+                                    />
+                                  </span>
+                                </Tooltip>
+                              )}
                               <Typography variant="subtitle1" fontWeight="bold">
                                 {payment.investorName}
                               </Typography>
@@ -420,7 +524,10 @@ function InvestorRemindersTab() {
                                 )}
                               </Typography>
                               <Typography variant="body2">
-                                Due Date: <strong>{new Date(payment.scheduledDate).toLocaleDateString()}</strong>
+                                Due Date: <strong>{new Date(payment.dueDate || payment.scheduledDate).toLocaleDateString()}</strong>
+                                {payment.dueDate && payment.dueDate !== payment.scheduledDate && (
+                                  <> (scheduled {new Date(payment.scheduledDate).toLocaleDateString()}, moved to a business day)</>
+                                )}
                               </Typography>
                               {payment.isProrated && (
                                 <Typography variant="body2" color="info.main" sx={{ fontStyle: 'italic', fontSize: '0.875rem' }}>
@@ -432,6 +539,14 @@ function InvestorRemindersTab() {
                         />
                         
                         <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          {payment.isBatched && (
+                            <Chip label={`Batched #${payment.batchId}`} color="secondary" size="small" />
+                          )}
+                          {canBatch && (
+                            <Button size="small" onClick={() => openProfileDialog(payment)}>
+                              {findProfile(payment.investorId) ? 'Bank Details' : 'Add Bank Details'}
+                            </Button>
+                          )}
                           <Chip 
                             label={getDaysUntilText(payment.daysUntilPayment)}
                             color={getDaysUntilColor(payment.daysUntilPayment, payment.isPaid, payment.isIgnored)}
@@ -442,7 +557,7 @@ function InvestorRemindersTab() {
                             control={
                               <Checkbox
                                 checked={Boolean(payment.isPaid)}
-                                onChange={() => handlePaymentToggle(payment.reminderKey, payment.isPaid)}
+                                onChange={() => handlePaymentToggle(payment)}
                                 icon={<UncheckedIcon />}
                                 checkedIcon={<CheckCircleIcon />}
                                 disabled={markPaymentMutation.isLoading || payment.isIgnored}
@@ -465,7 +580,9 @@ function InvestorRemindersTab() {
                           />
                           
                           {payment.isPaid && payment.markedPaidAt ? (
-                            <Tooltip title={`Marked paid at ${new Date(payment.markedPaidAt).toLocaleString()}`}>
+                            <Tooltip title={`Marked paid at ${new Date(payment.markedPaidAt).toLocaleString()}` +
+                              (payment.amountPaid !== null && payment.amountPaid !== undefined ? ` · ${formatCurrency(payment.amountPaid)} paid${payment.paymentDate ? ` on ${payment.paymentDate}` : ''}` : '') +
+                              (payment.bankReference ? ` · Ref ${payment.bankReference}` : '')}>
                               <CheckCircleIcon color="success" fontSize="small" />
                             </Tooltip>
                           ) : null}
@@ -491,8 +608,69 @@ function InvestorRemindersTab() {
         <DialogTitle>Confirm Payment</DialogTitle>
         <DialogContent>
           <Typography variant="body1" gutterBottom>
-            Are you sure you want to mark this investor payment as paid?
+            Record the payout actually made to this investor.
           </Typography>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Amount Paid (Gross)"
+                type="number"
+                fullWidth
+                value={payout.amountPaid}
+                onChange={(e) => setPayout({ ...payout, amountPaid: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Payment Date"
+                type="date"
+                fullWidth
+                value={payout.paymentDate}
+                onChange={(e) => setPayout({ ...payout, paymentDate: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Tax Withheld"
+                type="number"
+                fullWidth
+                value={payout.taxWithheld}
+                onChange={(e) => setPayout({ ...payout, taxWithheld: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Fee Withheld"
+                type="number"
+                fullWidth
+                value={payout.feeWithheld}
+                onChange={(e) => setPayout({ ...payout, feeWithheld: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Bank Reference"
+                fullWidth
+                value={payout.bankReference}
+                onChange={(e) => setPayout({ ...payout, bankReference: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={payout.recordInterest}
+                    onChange={(e) => setPayout({ ...payout, recordInterest: e.target.checked })}
+                  />
+                }
+                label="Record as an interest payment (moves the next scheduled payout forward)"
+              />
+              <Typography variant="caption" color="textSecondary" display="block">
+                Net paid: {formatCurrency((parseFloat(payout.amountPaid) || 0) - (parseFloat(payout.taxWithheld) || 0) - (parseFloat(payout.feeWithheld) || 0))}
+              </Typography>
+            </Grid>
+          </Grid>
           <TextField
             label="Payment Note (Optional)"
             multiline
@@ -517,6 +695,133 @@ function InvestorRemindersTab() {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Create ABA Batch Dialog */}
+      <Dialog open={batchDialog.open} onClose={() => setBatchDialog(closedBatchDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Create ABA Payment Batch</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="textSecondary" gutterBottom>
+            {selectedKeys.length} payment(s) totalling {formatCurrency(rawReminders
+              .flatMap(project => project.upcomingPayments)
+              .filter(payment => selectedKeys.includes(payment.reminderKey))
+              .reduce((sum, payment) => sum + payment.monthlyPayment, 0))}. The payments stay unpaid, marked as batched, until they are marked paid.
+          </Typography>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Processing Date"
+                type="date"
+                fullWidth
+                value={batchDialog.processingDate}
+                onChange={(e) => setBatchDialog({ ...batchDialog, processingDate: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <TextField
+                label="Description"
+                fullWidth
+                inputProps={{ maxLength: 12 }}
+                value={batchDialog.description}
+                onChange={(e) => setBatchDialog({ ...batchDialog, description: e.target.value })}
+              />
+            </Grid>
+          </Grid>
+          {createBatchMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {createBatchMutation.error.response?.data?.message || createBatchMutation.error.message}
+              {(createBatchMutation.error.response?.data?.problems || []).map(problem => (
+                <div key={problem}>{problem}</div>
+              ))}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBatchDialog(closedBatchDialog)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => createBatchMutation.mutate({
+              reminderKeys: selectedKeys,
+              processingDate: batchDialog.processingDate,
+              description: batchDialog.description
+            })}
+            variant="contained"
+            disabled={createBatchMutation.isLoading || !batchDialog.processingDate}
+          >
+            {createBatchMutation.isLoading ? <CircularProgress size={20} /> : 'Create and Download'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Investor Bank Details Dialog */}
+      <Dialog open={profileDialog.open} onClose={() => setProfileDialog(closedProfileDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Bank Details - {profileDialog.investorName}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField
+                label="Account Name"
+                fullWidth
+                inputProps={{ maxLength: 32 }}
+                value={profileDialog.accountName}
+                onChange={(e) => setProfileDialog({ ...profileDialog, accountName: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                label="BSB"
+                fullWidth
+                placeholder="062-000"
+                value={profileDialog.bsb}
+                onChange={(e) => setProfileDialog({ ...profileDialog, bsb: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} sm={8}>
+              <TextField
+                label="Account Number"
+                fullWidth
+                inputProps={{ maxLength: 9 }}
+                value={profileDialog.accountNumber}
+                onChange={(e) => setProfileDialog({ ...profileDialog, accountNumber: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                label="Lodgement Reference (Optional)"
+                helperText="Shown on the investor's statement; defaults to GL INT and the payment date"
+                fullWidth
+                inputProps={{ maxLength: 18 }}
+                value={profileDialog.lodgementReference}
+                onChange={(e) => setProfileDialog({ ...profileDialog, lodgementReference: e.target.value })}
+              />
+            </Grid>
+          </Grid>
+          {saveProfileMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {saveProfileMutation.error.response?.data?.message || saveProfileMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setProfileDialog(closedProfileDialog)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={() => saveProfileMutation.mutate({
+              investorId: profileDialog.investorId,
+              accountName: profileDialog.accountName,
+              bsb: profileDialog.bsb,
+              accountNumber: profileDialog.accountNumber,
+              lodgementReference: profileDialog.lodgementReference
+            })}
+            variant="contained"
+            disabled={saveProfileMutation.isLoading}
+          >
+            {saveProfileMutation.isLoading ? <CircularProgress size={20} /> : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </div>
   );
 }
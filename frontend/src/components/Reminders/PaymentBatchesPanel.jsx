@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Typography,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Button,
+  CircularProgress,
+  Alert,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Tooltip
+} from '@mui/material';
+import { paymentBatchService } from '../../services/api';
+
+const closedCancelDialog = { open: false, batch: null, reason: '' };
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+// Save a batch's ABA file through the browser
+export const downloadBatchFile = async (batch) => {
+  const response = await paymentBatchService.downloadAba(batch.id);
+  const url = window.URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = batch.fileName;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// Recent ABA payment batches with download and cancel (finance)
+function PaymentBatchesPanel() {
+  const queryClient = useQueryClient();
+  const [cancelDialog, setCancelDialog] = useState(closedCancelDialog);
+
+  const { data: batchesResponse, isLoading, error } = useQuery({
+    queryKey: ['paymentBatches'],
+    queryFn: () => paymentBatchService.getBatches().then(res => res.data)
+  });
+
+  const downloadMutation = useMutation({ mutationFn: downloadBatchFile });
+
+  // Cancelling releases the batch's unpaid reminders so they can be batched again
+  const cancelMutation = useMutation({
+    mutationFn: ({ id, reason }) => paymentBatchService.cancelBatch(id, reason),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['paymentBatches']);
+      queryClient.invalidateQueries(['investorReminders']);
+      setCancelDialog(closedCancelDialog);
+    }
+  });
+
+  const batches = batchesResponse?.data || [];
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          ABA Payment Batches
+        </Typography>
+
+        {batchesResponse && !batchesResponse.remitterConfigured && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            ABA files cannot be generated until the remitter account is configured on the server. {batchesResponse.remitterError}
+          </Alert>
+        )}
+        {downloadMutation.isError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Error downloading ABA file: {downloadMutation.error.message}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : error ? (
+          <Alert severity="error">
+            Error loading payment batches: {error.response?.data?.message || error.message}
+          </Alert>
+        ) : batches.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            No batches yet. Select unpaid payments below and create a batch to generate an ABA file.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Batch</TableCell>
+                  <TableCell>Processing Date</TableCell>
+                  <TableCell align="right">Payments</TableCell>
+                  <TableCell align="right">Total</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {batches.map(batch => (
+                  <TableRow key={batch.id}>
+                    <TableCell>#{batch.id} {batch.description}</TableCell>
+                    <TableCell>{new Date(batch.processing_date).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">{batch.payment_count}</TableCell>
+                    <TableCell align="right">{formatCurrency(batch.total_amount)}</TableCell>
+                    <TableCell>
+                      <Tooltip title={batch.cancel_reason ? `${batch.cancel_reason} (${batch.cancelled_by})` : ''}>
+                        <Chip
+                          label={batch.status}
+                          color={batch.status === 'submitted' ? 'primary' : 'default'}
+                          size="small"
+                        />
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {new Date(batch.created_at).toLocaleString()} ({batch.created_by})
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" onClick={() => downloadMutation.mutate(batch)} disabled={downloadMutation.isLoading}>
+                        Download
+                      </Button>
+                      {batch.status === 'submitted' && (
+                        <Button
+                          size="small"
+                          color="error"
+                          onClick={() => {
+                            cancelMutation.reset();
+                            setCancelDialog({ ...closedCancelDialog, open: true, batch });
+                          }}
+                        >
+                          Cancel
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+
+      {/* Cancel Batch Dialog */}
+      <Dialog open={cancelDialog.open} onClose={() => setCancelDialog(closedCancelDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Cancel Payment Batch</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="textSecondary" gutterBottom>
+            Unpaid payments in batch #{cancelDialog.batch?.id} go back to the reminder list. Payments already marked paid stay paid.
+          </Typography>
+          <TextField
+            label="Reason (e.g. file rejected by the bank)"
+            multiline
+            rows={2}
+            fullWidth
+            value={cancelDialog.reason}
+            onChange={(e) => setCancelDialog({ ...cancelDialog, reason: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+          {cancelMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {cancelMutation.error.response?.data?.message || cancelMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCancelDialog(closedCancelDialog)}>
+            Close
+          </Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={() => cancelMutation.mutate({ id: cancelDialog.batch.id, reason: cancelDialog.reason })}
+            disabled={cancelMutation.isLoading || !cancelDialog.reason.trim()}
+          >
+            {cancelMutation.isLoading ? <CircularProgress size={20} /> : 'Cancel Batch'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+}
+
+export default PaymentBatchesPanel;
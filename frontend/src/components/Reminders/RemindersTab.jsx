@@ -1,5 +1,5 @@
-import React from 'react';
-import { useQuery } from '@tanstack/react-query';
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
   Typography,
   List,
@@ -11,16 +11,66 @@ import {
   CircularProgress,
   Alert,
   Card,
-  CardContent
+  CardContent,
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import { reminderService } from '../../services/api';
 
+const reminderStatusOptions = [
+  { value: 'open', label: 'Open', color: 'default' },
+  { value: 'contacted', label: 'Contacted', color: 'info' },
+  { value: 'promised', label: 'Promised to Pay', color: 'warning' },
+  { value: 'paid', label: 'Paid', color: 'success' },
+  { value: 'waived', label: 'Waived', color: 'default' }
+];
+
+const closedStatusDialog = { open: false, reminder: null, status: 'open', promisedDate: '', userNote: '' };
+
 function RemindersTab() {
+  const queryClient = useQueryClient();
+  const [statusDialog, setStatusDialog] = useState(closedStatusDialog);
+
   const { data: remindersResponse, isLoading, error } = useQuery({
     queryKey: ['reminders'],
     queryFn: () => reminderService.getReminders().then(res => res.data)
   });
 
+  const markStatusMutation = useMutation({
+    mutationFn: ({ reminderKey, dueDate, status, promisedDate, userNote }) =>
+      reminderService.markReminderStatus(reminderKey, dueDate, status, promisedDate, userNote),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['reminders']);
+      setStatusDialog(closedStatusDialog);
+    }
+  });
+
+  const openStatusDialog = (reminder) => {
+    markStatusMutation.reset();
+    setStatusDialog({
+      open: true,
+      reminder,
+      status: reminder.reminderStatus === 'open' ? 'contacted' : reminder.reminderStatus,
+      promisedDate: reminder.promisedDate || '',
+      userNote: reminder.statusNote || ''
+    });
+  };
+
+  const handleSaveStatus = () => {
+    markStatusMutation.mutate({
+      reminderKey: statusDialog.reminder.reminderKey,
+      dueDate: statusDialog.reminder.dueDate,
+      status: statusDialog.status,
+      promisedDate: statusDialog.status === 'promised' ? statusDialog.promisedDate : null,
+      userNote: statusDialog.userNote
+    });
+  };
+
   if (isLoading) {
     return (
       <Grid container justifyContent="center">
@@ -55,6 +105,23 @@ function RemindersTab() {
     }
   };
 
+  const getStatusOption = (status) =>
+    reminderStatusOptions.find(option => option.value === status) || reminderStatusOptions[0];
+
+  const describeStatus = (reminder) => {
+    const parts = [];
+    if (reminder.reminderStatus === 'promised' && reminder.promisedDate) {
+      parts.push(`Promised: ${new Date(reminder.promisedDate).toLocaleDateString()}${reminder.promiseBroken ? ' (missed)' : ''}`);
+    }
+    if (reminder.contactedAt) {
+      parts.push(`Contacted: ${new Date(reminder.contactedAt).toLocaleDateString()}`);
+    }
+    if (reminder.statusNote) {
+      parts.push(`Note: ${reminder.statusNote}`);
+    }
+    return parts.join(' | ');
+  };
+
   return (
     <div>
       <Typography variant="h5" gutterBottom>
@@ -115,16 +182,39 @@ function RemindersTab() {
       ) : (
         <List>
           {reminders.map((reminder) => (
-            <ListItem key={reminder.id} divider>
+            <ListItem key={reminder.reminderKey} divider sx={{ opacity: reminder.isResolved ? 0.6 : 1 }}>
               <ListItemText
                 primary={`${reminder.projectTitle}`}
-                secondary={`Due: ${new Date(reminder.dueDate).toLocaleDateString()} | Amount: ${formatCurrency(reminder.loanAmount)} | Days: ${reminder.daysUntilDue}`}
+                secondary={
+                  <>
+                    {`Due: ${new Date(reminder.dueDate).toLocaleDateString()} | Amount: ${formatCurrency(reminder.loanAmount)} | Days: ${reminder.daysUntilDue}${reminder.accruedDefaultInterest > 0 ? ` | Default Interest: ${formatCurrency(reminder.accruedDefaultInterest)} (${reminder.defaultInterestDays} days)` : ''}`}
+                    {describeStatus(reminder) && (
+                      <Box component="span" sx={{ display: 'block', color: reminder.promiseBroken ? 'error.main' : 'text.secondary' }}>
+                        {describeStatus(reminder)}
+                      </Box>
+                    )}
+                  </>
+                }
+              />
+              <Chip
+                label={getStatusOption(reminder.reminderStatus).label}
+                color={reminder.promiseBroken ? 'error' : getStatusOption(reminder.reminderStatus).color}
+                variant={reminder.reminderStatus === 'open' ? 'outlined' : 'filled'}
+                sx={{ mr: 1 }}
               />
               <Chip 
                 label={reminder.urgencyLevel.toUpperCase()}
-                color={getUrgencyColor(reminder.urgencyLevel)}
+                color={reminder.isResolved ? 'default' : getUrgencyColor(reminder.urgencyLevel)}
                 sx={{ mr: 2 }}
               />
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={() => openStatusDialog(reminder)}
+                sx={{ mr: 1 }}
+              >
+                Update Status
+              </Button>
               <Button 
                 variant="outlined" 
                 size="small"
@@ -136,6 +226,68 @@ function RemindersTab() {
           ))}
         </List>
       )}
+
+      {/* Status Dialog */}
+      <Dialog open={statusDialog.open} onClose={() => setStatusDialog(closedStatusDialog)} maxWidth="sm" fullWidth>
+        <DialogTitle>Update Reminder Status</DialogTitle>
+        <DialogContent>
+          {statusDialog.reminder && (
+            <Typography variant="body2" color="textSecondary" gutterBottom>
+              {statusDialog.reminder.projectTitle} - {statusDialog.reminder.reminderType === 'upfront_interest' ? 'Upfront interest' : 'Principal repayment'} due {new Date(statusDialog.reminder.dueDate).toLocaleDateString()}
+            </Typography>
+          )}
+          <TextField
+            select
+            label="Status"
+            fullWidth
+            value={statusDialog.status}
+            onChange={(e) => setStatusDialog({ ...statusDialog, status: e.target.value })}
+            sx={{ mt: 2 }}
+          >
+            {reminderStatusOptions.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          {statusDialog.status === 'promised' && (
+            <TextField
+              label="Promised Payment Date"
+              type="date"
+              fullWidth
+              value={statusDialog.promisedDate}
+              onChange={(e) => setStatusDialog({ ...statusDialog, promisedDate: e.target.value })}
+              InputLabelProps={{ shrink: true }}
+              sx={{ mt: 2 }}
+            />
+          )}
+          <TextField
+            label="Note (Optional)"
+            multiline
+            rows={3}
+            fullWidth
+            value={statusDialog.userNote}
+            onChange={(e) => setStatusDialog({ ...statusDialog, userNote: e.target.value })}
+            placeholder="Who was contacted, what was agreed..."
+            sx={{ mt: 2 }}
+          />
+          {markStatusMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {markStatusMutation.error.response?.data?.message || markStatusMutation.error.message}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStatusDialog(closedStatusDialog)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSaveStatus}
+            variant="contained"
+            disabled={markStatusMutation.isLoading || (statusDialog.status === 'promised' && !statusDialog.promisedDate)}
+          >
+            {markStatusMutation.isLoading ? <CircularProgress size={20} /> : 'Save Status'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </div>
   );
 }
@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  CircularProgress,
+  Alert,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { statementService } from '../../services/api';
+import TaxSummaryPanel, { saveBlob } from './TaxSummaryPanel';
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Statements default to the previous calendar month
+const defaultPeriod = () => {
+  const today = new Date();
+  return {
+    from: toDateString(new Date(today.getFullYear(), today.getMonth() - 1, 1)),
+    to: toDateString(new Date(today.getFullYear(), today.getMonth(), 0))
+  };
+};
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+// Investor statements per period: generate a PDF per investor or for everyone with activity (finance)
+function InvestorStatementsTab() {
+  const queryClient = useQueryClient();
+  const [period, setPeriod] = useState(defaultPeriod);
+  const validPeriod = !!period.from && !!period.to && period.from <= period.to;
+
+  const { data: investorsResponse, isLoading: investorsLoading, error: investorsError } = useQuery({
+    queryKey: ['statementInvestors', period.from, period.to],
+    queryFn: () => statementService.getInvestors(period.from, period.to).then(res => res.data),
+    enabled: validPeriod
+  });
+
+  const { data: statementsResponse, isLoading: statementsLoading, error: statementsError } = useQuery({
+    queryKey: ['investorStatements'],
+    queryFn: () => statementService.getStatements().then(res => res.data)
+  });
+
+  // Each download generates and stores a new statement, so the stored list is refreshed
+  const generateMutation = useMutation({
+    mutationFn: async (investor) => {
+      const response = await statementService.generatePdf(investor.id, period.from, period.to);
+      saveBlob(response.data, `statement-investor-${investor.id}-${period.from}-to-${period.to}.pdf`);
+    },
+    onSuccess: () => queryClient.invalidateQueries(['investorStatements'])
+  });
+
+  const batchMutation = useMutation({
+    mutationFn: () => statementService.generateBatch(period.from, period.to).then(res => res.data),
+    onSuccess: () => queryClient.invalidateQueries(['investorStatements'])
+  });
+
+  const downloadMutation = useMutation({
+    mutationFn: async (statement) => {
+      const response = await statementService.downloadPdf(statement.id);
+      saveBlob(response.data, statement.fileName);
+    }
+  });
+
+  const investors = investorsResponse?.data || [];
+  const statements = statementsResponse?.data || [];
+  const batchResult = batchMutation.data?.data;
+
+  return (
+    <div>
+      <Typography variant="h5" gutterBottom>
+        Investor Statements
+      </Typography>
+      <Typography variant="body2" color="textSecondary" gutterBottom>
+        Statements list each investor's holdings, the interest paid in the period with tax and fees withheld, and the
+        payouts scheduled for the next few months. Every generated PDF is stored and can be downloaded again below.
+        Annual tax summaries total each investor's interest, withholding tax and fees for a financial year.
+      </Typography>
+
+      {/* Period */}
+      <Card sx={{ mt: 2, mb: 3 }}>
+        <CardContent>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={6} md={3}>
+              <TextField
+                label="From"
+                type="date"
+                fullWidth
+                size="small"
+                InputLabelProps={{ shrink: true }}
+                value={period.from}
+                onChange={(e) => setPeriod({ ...period, from: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <TextField
+                label="To"
+                type="date"
+                fullWidth
+                size="small"
+                InputLabelProps={{ shrink: true }}
+                value={period.to}
+                onChange={(e) => setPeriod({ ...period, to: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <Button
+                variant="contained"
+                onClick={() => batchMutation.mutate()}
+                disabled={!validPeriod || investors.length === 0 || batchMutation.isLoading}
+              >
+                {batchMutation.isLoading ? <CircularProgress size={20} /> : `Generate All Statements (${investors.length})`}
+              </Button>
+            </Grid>
+          </Grid>
+
+          {!validPeriod && (
+            <Alert severity="warning" sx={{ mt: 2 }}>
+              Choose a period where From is on or before To.
+            </Alert>
+          )}
+          {batchMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {batchMutation.error.response?.data?.message || batchMutation.error.message}
+            </Alert>
+          )}
+          {batchResult && (
+            <Alert severity={batchResult.failed.length > 0 ? 'warning' : 'success'} sx={{ mt: 2 }}>
+              {batchMutation.data.message}
+              {batchResult.failed.map(failure => (
+                <div key={failure.investorId}>
+                  {failure.investorName || `Investor ${failure.investorId}`}: {failure.error}
+                </div>
+              ))}
+            </Alert>
+          )}
+          {generateMutation.isError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              Error generating statement: {generateMutation.error.message}
+            </Alert>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Investors with activity in the period */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Investors With Activity
+          </Typography>
+          {!validPeriod ? null : investorsLoading ? (
+            <CircularProgress size={24} />
+          ) : investorsError ? (
+            <Alert severity="error">
+              Error loading investors: {investorsError.response?.data?.message || investorsError.message}
+            </Alert>
+          ) : investors.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No investor had a holding or payment in this period.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Investor</TableCell>
+                    <TableCell>Email</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {investors.map(investor => (
+                    <TableRow key={investor.id}>
+                      <TableCell>{investor.name}</TableCell>
+                      <TableCell>{investor.email || '-'}</TableCell>
+                      <TableCell align="right">
+                        <Button
+                          size="small"
+                          onClick={() => generateMutation.mutate(investor)}
+                          disabled={generateMutation.isLoading}
+                        >
+                          Download PDF
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      <TaxSummaryPanel />
+
+      {/* Stored statements */}
+      <Card>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Generated Statements
+          </Typography>
+          {downloadMutation.isError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              Error downloading statement: {downloadMutation.error.message}
+            </Alert>
+          )}
+          {statementsLoading ? (
+            <CircularProgress size={24} />
+          ) : statementsError ? (
+            <Alert severity="error">
+              Error loading statements: {statementsError.response?.data?.message || statementsError.message}
+            </Alert>
+          ) : statements.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No statements generated yet.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Investor</TableCell>
+                    <TableCell>Period</TableCell>
+                    <TableCell align="right">Payments</TableCell>
+                    <TableCell align="right">Gross</TableCell>
+                    <TableCell align="right">Net</TableCell>
+                    <TableCell>Generated</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {statements.map(statement => (
+                    <TableRow key={statement.id}>
+                      <TableCell>{statement.investor_name || `Investor ${statement.investor_id}`}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        {formatDate(statement.period_from)} - {formatDate(statement.period_to)}
+                      </TableCell>
+                      <TableCell align="right">{statement.payments_count}</TableCell>
+                      <TableCell align="right">{formatCurrency(statement.total_gross)}</TableCell>
+                      <TableCell align="right">{formatCurrency(statement.total_net)}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                        {new Date(statement.created_at).toLocaleString()} ({statement.generated_by})
+                      </TableCell>
+                      <TableCell align="right">
+                        <Button
+                          size="small"
+                          onClick={() => downloadMutation.mutate(statement)}
+                          disabled={downloadMutation.isLoading}
+                        >
+                          Download
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default InvestorStatementsTab;
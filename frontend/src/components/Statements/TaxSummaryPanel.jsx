@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import {
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  CircularProgress,
+  Alert,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { taxSummaryService } from '../../services/api';
+
+// Financial years end on 30 June and are named by the year they end in
+const lastCompletedFinancialYear = () => {
+  const today = new Date();
+  return today.getMonth() >= 6 ? today.getFullYear() : today.getFullYear() - 1;
+};
+const yearOptions = Array.from({ length: 6 }, (_, i) => lastCompletedFinancialYear() + 1 - i);
+const yearLabel = (year) => `FY${year - 1}-${String(year).slice(-2)}`;
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(amount || 0);
+
+// Save a downloaded file through the browser
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// Financial-year interest, withholding tax and fees: firm totals and per-investor CSV/PDF (finance)
+function TaxSummaryPanel() {
+  const [year, setYear] = useState(lastCompletedFinancialYear);
+
+  const { data: summaryResponse, isLoading, error } = useQuery({
+    queryKey: ['taxSummary', year],
+    queryFn: () => taxSummaryService.getFirmSummary(year).then(res => res.data)
+  });
+
+  const firmCsvMutation = useMutation({
+    mutationFn: async () => {
+      const response = await taxSummaryService.downloadFirmCsv(year);
+      saveBlob(response.data, `tax-summary-FY${year}.csv`);
+    }
+  });
+
+  const investorFileMutation = useMutation({
+    mutationFn: async ({ investorId, format }) => {
+      const response = await taxSummaryService.downloadInvestorFile(investorId, year, format);
+      saveBlob(response.data, `tax-summary-FY${year}-investor-${investorId}.${format}`);
+    }
+  });
+
+  const summary = summaryResponse?.data;
+  const downloadError = firmCsvMutation.error || investorFileMutation.error;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Annual Tax Summaries
+        </Typography>
+
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item xs={6} md={3}>
+            <TextField
+              select
+              label="Financial Year"
+              fullWidth
+              size="small"
+              value={year}
+              onChange={(e) => setYear(e.target.value)}
+            >
+              {yearOptions.map(option => (
+                <MenuItem key={option} value={option}>{yearLabel(option)}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <Button variant="outlined" onClick={() => firmCsvMutation.mutate()} disabled={firmCsvMutation.isLoading}>
+              Export Firm CSV
+            </Button>
+          </Grid>
+        </Grid>
+
+        {downloadError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            Error downloading tax summary: {downloadError.message}
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <CircularProgress size={24} />
+        ) : error ? (
+          <Alert severity="error">
+            Error loading tax summary: {error.response?.data?.message || error.message}
+          </Alert>
+        ) : summary.investors.length === 0 ? (
+          <Typography variant="body2" color="textSecondary">
+            No interest was paid to investors in {yearLabel(year)}.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Investor</TableCell>
+                  <TableCell align="right">Payments</TableCell>
+                  <TableCell align="right">Gross Interest</TableCell>
+                  <TableCell align="right">Tax Withheld</TableCell>
+                  <TableCell align="right">Fees</TableCell>
+                  <TableCell align="right">Net Paid</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {summary.investors.map(investor => (
+                  <TableRow key={investor.investorId}>
+                    <TableCell>{investor.investorName || `Investor ${investor.investorId}`}</TableCell>
+                    <TableCell align="right">{investor.payments}</TableCell>
+                    <TableCell align="right">{formatCurrency(investor.gross)}</TableCell>
+                    <TableCell align="right">{formatCurrency(investor.tax)}</TableCell>
+                    <TableCell align="right">{formatCurrency(investor.fee)}</TableCell>
+                    <TableCell align="right">{formatCurrency(investor.net)}</TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      {['csv', 'pdf'].map(format => (
+                        <Button
+                          key={format}
+                          size="small"
+                          onClick={() => investorFileMutation.mutate({ investorId: investor.investorId, format })}
+                          disabled={investorFileMutation.isLoading}
+                        >
+                          {format.toUpperCase()}
+                        </Button>
+                      ))}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell sx={{ fontWeight: 'bold' }}>Total ({summary.totals.investors} investors)</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{summary.totals.payments}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(summary.totals.gross)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(summary.totals.tax)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(summary.totals.fee)}</TableCell>
+                  <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatCurrency(summary.totals.net)}</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default TaxSummaryPanel;
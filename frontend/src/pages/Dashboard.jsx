@@ -4,6 +4,12 @@ import LoanStatusTab from '../components/Dashboard/LoanStatusTab';
 import CashFlowTab from '../components/CashFlow/CashFlowTab';
 import RemindersTab from '../components/Reminders/RemindersTab';
 import InvestorRemindersTab from '../components/Reminders/InvestorRemindersTab';
+import DataQualityTab from '../components/DataQuality/DataQualityTab';
+import ReturnAnalyticsTab from '../components/Analytics/ReturnAnalyticsTab';
+import BankReconciliationTab from '../components/BankReconciliation/BankReconciliationTab';
+import InvestorStatementsTab from '../components/Statements/InvestorStatementsTab';
+import AuditLogTab from '../components/Audit/AuditLogTab';
+import { authService } from '../services/api';
 
 function TabPanel({ children, value, index, ...other }) {
   return (
@@ -21,6 +27,8 @@ function TabPanel({ children, value, index, ...other }) {
 
 function Dashboard() {
   const [activeTab, setActiveTab] = useState(0);
+  // Returns & margins, bank reconciliation, investor statements and the audit log are finance-only
+  const isFinance = authService.hasRole('finance');
 
   const handleTabChange = (event, newValue) => {
     setActiveTab(newValue);
@@ -33,11 +41,16 @@ function Dashboard() {
       </Typography>
       
       <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
-        <Tabs value={activeTab} onChange={handleTabChange}>
+        <Tabs value={activeTab} onChange={handleTabChange} variant="scrollable" scrollButtons="auto">
           <Tab label="Loan Status Overview" />
           <Tab label="Cashflow Prediction" />
           <Tab label="Borrower Reminders" />
           <Tab label="Investor Reminders" />
+          <Tab label="Data Quality" />
+          {isFinance && <Tab label="Returns & Margins" />}
+          {isFinance && <Tab label="Bank Reconciliation" />}
+          {isFinance && <Tab label="Investor Statements" />}
+          {isFinance && <Tab label="Audit Log" />}
         </Tabs>
       </Box>
       
@@ -56,6 +69,34 @@ function Dashboard() {
       <TabPanel value={activeTab} index={3}>
         <InvestorRemindersTab />
       </TabPanel>
+
+      <TabPanel value={activeTab} index={4}>
+        <DataQualityTab />
+      </TabPanel>
+
+      {isFinance && (
+        <TabPanel value={activeTab} index={5}>
+          <ReturnAnalyticsTab />
+        </TabPanel>
+      )}
+
+      {isFinance && (
+        <TabPanel value={activeTab} index={6}>
+          <BankReconciliationTab />
+        </TabPanel>
+      )}
+
+      {isFinance && (
+        <TabPanel value={activeTab} index={7}>
+          <InvestorStatementsTab />
+        </TabPanel>
+      )}
+
+      {isFinance && (
+        <TabPanel value={activeTab} index={8}>
+          <AuditLogTab />
+        </TabPanel>
+      )}
     </Box>
   );
 }
@@ -0,0 +1,294 @@
+import React from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import {
+  Box,
+  Button,
+  Grid,
+  Card,
+  CardContent,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { ArrowBack as ArrowBackIcon } from '@mui/icons-material';
+import { loanService } from '../services/api';
+
+function LoanDetail() {
+  const { id } = useParams();
+
+  const { data: loanResponse, isLoading, error } = useQuery({
+    queryKey: ['loan', id],
+    queryFn: () => loanService.getLoanById(id).then(res => res.data)
+  });
+
+  const { data: scheduleResponse, error: scheduleError } = useQuery({
+    queryKey: ['interestSchedule', id],
+    queryFn: () => loanService.getInterestSchedule(id).then(res => res.data)
+  });
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-AU', {
+      style: 'currency',
+      currency: 'AUD'
+    }).format(amount);
+  };
+
+  const formatDate = (date) => {
+    return date ? new Date(date).toLocaleDateString() : '-';
+  };
+
+  const formatStatus = (status) => {
+    return status.replace(/_/g, ' ').replace(/-/g, ' ').toUpperCase();
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'active':
+      case 'paid': return 'success';
+      case 'due_soon':
+      case 'due_this_week':
+      case 'overdue-extension': return 'warning';
+      case 'due_this_month':
+      case 'starting_soon': return 'info';
+      case 'overdue':
+      case 'partial': return 'error';
+      default: return 'default';
+    }
+  };
+
+  const backButton = (
+    <Button component={RouterLink} to="/" startIcon={<ArrowBackIcon />} sx={{ mb: 2 }}>
+      Back to Dashboard
+    </Button>
+  );
+
+  if (isLoading) {
+    return (
+      <Grid container justifyContent="center">
+        <CircularProgress />
+      </Grid>
+    );
+  }
+
+  if (error) {
+    return (
+      <Box>
+        {backButton}
+        <Alert severity="error">
+          Error loading loan {id}: {error.response?.data?.message || error.message}
+        </Alert>
+      </Box>
+    );
+  }
+
+  const { stage, project, upfrontInterest, interestStatus, loanStatus, defaultInterest, interestPayments, investors, summary } = loanResponse.data;
+  const schedule = scheduleResponse?.data?.schedule || [];
+
+  return (
+    <Box>
+      {backButton}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Typography variant="h5">
+          {project.title || 'Unknown Project'} — Stage {stage.id}
+        </Typography>
+        <Chip label={`Loan: ${formatStatus(loanStatus)}`} color={getStatusColor(loanStatus)} size="small" />
+        <Chip label={`Interest: ${formatStatus(interestStatus)}`} color={getStatusColor(interestStatus)} size="small" />
+      </Box>
+
+      <Grid container spacing={3}>
+        {/* Loan Terms */}
+        <Grid item xs={12} md={4}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Loan Terms</Typography>
+              <Typography variant="body2">Loan Amount: <strong>{formatCurrency(stage.loan_amount)}</strong></Typography>
+              <Typography variant="body2">Interest Rate: {stage.borrower_interest_rate}%</Typography>
+              <Typography variant="body2">Default Rate: {stage.default_rate}%</Typography>
+              <Typography variant="body2">Start Date: {formatDate(stage.loan_start_date)}</Typography>
+              <Typography variant="body2">Repayment Date: {formatDate(stage.loan_repayment_date)}</Typography>
+              <Typography variant="body2">Expiry Date: {formatDate(stage.loan_expiry_date)}</Typography>
+              <Typography variant="body2">Days to Maturity: {stage.days_to_maturity}</Typography>
+              <Typography variant="body2">Stage Status: {stage.status} • Project Status: {project.status}</Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Upfront Interest Breakdown */}
+        <Grid item xs={12} md={4}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Upfront Interest</Typography>
+              <Typography variant="body2">
+                Full Months ({upfrontInterest.period.fullMonths}): {formatCurrency(upfrontInterest.fullMonthsInterest)}
+              </Typography>
+              <Typography variant="body2">
+                Partial Month ({upfrontInterest.period.remainingDays}/{upfrontInterest.period.daysInLastMonth} days): {formatCurrency(upfrontInterest.partialMonthInterest)}
+              </Typography>
+              <Typography variant="body2" fontWeight="bold" sx={{ mt: 1 }}>
+                Total Expected: {formatCurrency(upfrontInterest.totalInterest)}
+              </Typography>
+              <Typography variant="caption" color="textSecondary">
+                Contract length: {upfrontInterest.period.totalDays} days
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Collection Summary */}
+        <Grid item xs={12} md={4}>
+          <Card sx={{ height: '100%' }}>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>Collection</Typography>
+              <Typography variant="body2">
+                Interest Paid: <strong>{formatCurrency(summary.total_interest_paid)}</strong> ({summary.payment_completion}%)
+              </Typography>
+              <Typography variant="body2">Payments Recorded: {summary.payment_count}</Typography>
+              <Typography variant="body2">Last Payment: {formatDate(summary.last_payment_date)}</Typography>
+              {defaultInterest.accrued > 0 && (
+                <Typography variant="body2" color="error">
+                  Default Interest: <strong>{formatCurrency(defaultInterest.accrued)}</strong> ({defaultInterest.days} days since {formatDate(defaultInterest.accruingSince)})
+                </Typography>
+              )}
+              <Typography variant="body2">Investors: {summary.investor_count}</Typography>
+              <Typography variant="body2">Total Funded: {formatCurrency(summary.total_funded)}</Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Interest Schedule */}
+        <Grid item xs={12}>
+          <Typography variant="h6" gutterBottom>
+            Interest Schedule
+          </Typography>
+          {scheduleError ? (
+            <Alert severity="info">
+              Interest schedule unavailable: {scheduleError.response?.data?.message || scheduleError.message}
+            </Alert>
+          ) : (
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>#</TableCell>
+                    <TableCell>Period</TableCell>
+                    <TableCell>Days</TableCell>
+                    <TableCell>Accrued</TableCell>
+                    <TableCell>Collected</TableCell>
+                    <TableCell>Cumulative Collected</TableCell>
+                    <TableCell>Remaining Balance</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {schedule.map((row) => (
+                    <TableRow key={`period-${row.periodNumber}`}>
+                      <TableCell>{row.periodNumber}</TableCell>
+                      <TableCell>
+                        {formatDate(row.periodStart)} – {formatDate(row.periodEnd)}
+                        {row.type === 'partial_month' && (
+                          <Chip label="Partial" size="small" color="info" variant="outlined" sx={{ ml: 1 }} />
+                        )}
+                      </TableCell>
+                      <TableCell>{row.days}</TableCell>
+                      <TableCell>{formatCurrency(row.accruedInterest)}</TableCell>
+                      <TableCell>{formatCurrency(row.collected)}</TableCell>
+                      <TableCell>{formatCurrency(row.cumulativeCollected)}</TableCell>
+                      <TableCell>{formatCurrency(row.remainingBalance)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Grid>
+
+        {/* Investors */}
+        <Grid item xs={12}>
+          <Typography variant="h6" gutterBottom>
+            Investors
+          </Typography>
+          {investors.length === 0 ? (
+            <Alert severity="info">No investor funding recorded for this stage.</Alert>
+          ) : (
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Investor</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Amount</TableCell>
+                    <TableCell>Income Rate</TableCell>
+                    <TableCell>Start Date</TableCell>
+                    <TableCell>End Date</TableCell>
+                    <TableCell>Transaction Date</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {investors.map((investor) => (
+                    <TableRow key={`funding-${investor.funding_id}`}>
+                      <TableCell>{investor.investor_name}</TableCell>
+                      <TableCell>{investor.type}</TableCell>
+                      <TableCell>{formatCurrency(investor.investment_amount)}</TableCell>
+                      <TableCell>{investor.investor_rate !== null ? `${investor.investor_rate.toFixed(2)}%` : '-'}</TableCell>
+                      <TableCell>{formatDate(investor.investor_start_date)}</TableCell>
+                      <TableCell>{formatDate(investor.investor_end_date)}</TableCell>
+                      <TableCell>{formatDate(investor.transcation_date)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Grid>
+
+        {/* Interest Payments */}
+        <Grid item xs={12}>
+          <Typography variant="h6" gutterBottom>
+            Interest Payments
+          </Typography>
+          {interestPayments.length === 0 ? (
+            <Alert severity="info">No interest payments recorded for this stage.</Alert>
+          ) : (
+            <TableContainer component={Paper}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Investor</TableCell>
+                    <TableCell>Gross</TableCell>
+                    <TableCell>Tax</TableCell>
+                    <TableCell>Fee</TableCell>
+                    <TableCell>Net</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {interestPayments.map((payment) => (
+                    <TableRow key={`interest-${payment.id}`}>
+                      <TableCell>{formatDate(payment.date)}</TableCell>
+                      <TableCell>{payment.investor_name || (payment.investor_id ? `Investor ${payment.investor_id}` : '-')}</TableCell>
+                      <TableCell>{formatCurrency(payment.money)}</TableCell>
+                      <TableCell>{formatCurrency(payment.tax)}</TableCell>
+                      <TableCell>{formatCurrency(payment.fee)}</TableCell>
+                      <TableCell>{formatCurrency(payment.net)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </Grid>
+      </Grid>
+    </Box>
+  );
+}
+
+export default LoanDetail;
@@ -2,6 +2,11 @@ import axios from 'axios';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
+const TOKEN_KEY = 'goodland_token';
+const USER_KEY = 'goodland_user';
+// Same order as the backend: each role includes the ones before it
+const ROLES = ['viewer', 'ops', 'finance', 'admin'];
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
@@ -14,6 +19,10 @@ const api = axios.create({
 api.interceptors.request.use(
   (config) => {
     console.log(`Making ${config.method?.toUpperCase()} request to ${config.url}`);
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
@@ -28,27 +37,131 @@ api.interceptors.response.use(
   },
   (error) => {
     console.error('API Error:', error.response?.data || error.message);
+    // Expired or revoked token - clear the session and send the user back to the login page
+    if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/login')) {
+      authService.logout();
+      if (window.location.pathname !== '/login') {
+        window.location.assign('/login');
+      }
+    }
     return Promise.reject(error);
   }
 );
 
+export const authService = {
+  login: async (email, password) => {
+    const res = await api.post('/auth/login', { email, password });
+    localStorage.setItem(TOKEN_KEY, res.data.data.token);
+    localStorage.setItem(USER_KEY, JSON.stringify(res.data.data.user));
+    return res.data.data.user;
+  },
+  logout: () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+  },
+  getMe: () => api.get('/auth/me'),
+  isAuthenticated: () => !!localStorage.getItem(TOKEN_KEY),
+  getCurrentUser: () => JSON.parse(localStorage.getItem(USER_KEY) || 'null'),
+  hasRole: (minRole) => {
+    const user = authService.getCurrentUser();
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minRole);
+  },
+};
+
 export const loanService = {
   getAllLoans: () => api.get('/loans'),
   getLoanById: (id) => api.get(`/loans/${id}`),
-  getInterestSchedule: (loanId, months = 12) => 
-    api.get(`/interests/schedule/${loanId}?months=${months}`),
+  getInterestSchedule: (loanId, months) => 
+    api.get(`/interests/schedule/${loanId}`, { params: { months } }),
 };
 
 export const cashflowService = {
-  getMonthlyCashflow: (months = 12) => 
-    api.get(`/cashflow/monthly?months=${months}`),
+  getMonthlyCashflow: (months = 12, scenarioId, granularity = 'month', asOf) => 
+    api.get('/cashflow/monthly', { params: { months, scenarioId, granularity, asOf } }),
+  getScenarios: () => api.get('/cashflow/scenarios'),
+  getScenario: (id) => api.get(`/cashflow/scenarios/${id}`),
+  createScenario: (scenario) => api.post('/cashflow/scenarios', scenario),
+  updateScenario: (id, scenario) => api.put(`/cashflow/scenarios/${id}`, scenario),
+  deleteScenario: (id) => api.delete(`/cashflow/scenarios/${id}`),
+  getBalances: () => api.get('/cashflow/balances'),
+  recordBalance: (accountType, balance, balanceDate, note = '') =>
+    api.post('/cashflow/balances', { accountType, balance, balanceDate, note }),
+  updateMinBuffer: (minBuffer) => api.put('/cashflow/buffer', { minBuffer }),
 };
 
 export const reminderService = {
   getReminders: () => api.get('/reminders'),
+  markReminderStatus: (reminderKey, dueDate, status, promisedDate = null, userNote = '') =>
+    api.post('/reminders/mark-status', { reminderKey, dueDate, status, promisedDate, userNote }),
   getInvestorReminders: (days = 30) => api.get(`/reminders/investors?days=${days}`),
-  markInvestorPaymentStatus: (reminderKey, isPaid, isIgnored, userNote = '') => 
-    api.post('/reminders/investors/mark-status', { reminderKey, isPaid, isIgnored, userNote }),
+  markInvestorPaymentStatus: (reminderKey, isPaid, isIgnored, userNote = '', payout = null) => 
+    api.post('/reminders/investors/mark-status', { reminderKey, isPaid, isIgnored, userNote, payout }),
+};
+
+export const auditService = {
+  getAuditLog: (filters = {}) => api.get('/audit', { params: filters }),
+};
+
+export const stageResolutionService = {
+  getResolutions: (includeInactive = false) =>
+    api.get('/stage-resolutions', { params: { includeInactive } }),
+  resolveStages: (canonicalStageId, stageIds, resolution, reason) =>
+    api.post('/stage-resolutions', { canonicalStageId, stageIds, resolution, reason }),
+  reinstateStage: (id, reason = '') => api.delete(`/stage-resolutions/${id}`, { data: { reason } }),
+};
+
+export const dataQualityService = {
+  getFindings: (filters = {}) => api.get('/data-quality/findings', { params: filters }),
+  getRuns: (limit = 20) => api.get('/data-quality/runs', { params: { limit } }),
+  runScan: () => api.post('/data-quality/scan'),
+  updateFindingStatus: (id, status, note = '') =>
+    api.put(`/data-quality/findings/${id}`, { status, note }),
+};
+
+export const bankImportService = {
+  getMappings: () => api.get('/bank-imports/mappings'),
+  saveMapping: (mapping) => api.post('/bank-imports/mappings', mapping),
+  getImports: (limit = 50) => api.get('/bank-imports', { params: { limit } }),
+  getImport: (id, status = '') => api.get(`/bank-imports/${id}`, { params: status ? { status } : {} }),
+  importStatement: (statement) => api.post('/bank-imports', statement),
+  rematchImport: (id, options = {}) => api.post(`/bank-imports/${id}/rematch`, { options }),
+  confirmLine: (lineId, details = {}) => api.post(`/bank-imports/lines/${lineId}/confirm`, details),
+  rejectLine: (lineId) => api.post(`/bank-imports/lines/${lineId}/reject`),
+  ignoreLine: (lineId, note = '') => api.post(`/bank-imports/lines/${lineId}/ignore`, { note }),
+};
+
+export const paymentBatchService = {
+  getProfiles: () => api.get('/payment-batches/profiles'),
+  saveProfile: (investorId, profile) => api.put(`/payment-batches/profiles/${investorId}`, profile),
+  getBatches: (limit = 20) => api.get('/payment-batches', { params: { limit } }),
+  createBatch: (reminderKeys, processingDate, description = '') =>
+    api.post('/payment-batches', { reminderKeys, processingDate, description }),
+  downloadAba: (id) => api.get(`/payment-batches/${id}/aba`, { responseType: 'blob' }),
+  cancelBatch: (id, reason) => api.post(`/payment-batches/${id}/cancel`, { reason }),
+};
+
+export const statementService = {
+  getInvestors: (from, to) => api.get('/statements/investors', { params: { from, to } }),
+  getStatement: (investorId, from, to) => api.get(`/statements/investors/${investorId}`, { params: { from, to } }),
+  generatePdf: (investorId, from, to) =>
+    api.get(`/statements/investors/${investorId}`, { params: { from, to, format: 'pdf' }, responseType: 'blob' }),
+  generateBatch: (from, to) => api.post('/statements/batch', { from, to }),
+  getStatements: (params = {}) => api.get('/statements', { params }),
+  downloadPdf: (id) => api.get(`/statements/${id}/pdf`, { responseType: 'blob' }),
+};
+
+export const analyticsService = {
+  getInvestorReturns: (investorId) => api.get('/analytics/investor-returns', { params: { investorId } }),
+  getStageMargins: (status) => api.get('/analytics/stage-margins', { params: { status } }),
+  getMarginReport: (historyMonths = 12, months = 12) => api.get('/analytics/margins', { params: { historyMonths, months } }),
+};
+
+export const taxSummaryService = {
+  getFirmSummary: (year) => api.get('/tax-summaries', { params: { year } }),
+  downloadFirmCsv: (year) => api.get('/tax-summaries', { params: { year, format: 'csv' }, responseType: 'blob' }),
+  getInvestorSummary: (investorId, year) => api.get(`/tax-summaries/investors/${investorId}`, { params: { year } }),
+  downloadInvestorFile: (investorId, year, format) =>
+    api.get(`/tax-summaries/investors/${investorId}`, { params: { year, format }, responseType: 'blob' }),
 };
 
 export default api;
\ No newline at end of file